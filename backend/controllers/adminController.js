@@ -0,0 +1,70 @@
+/**
+ * @fileoverview Admin Controller
+ * @description Platform maintenance operations for administrators
+ * @module controllers/adminController
+ * @requires ../services/statsRebuildService
+ * @requires ../services/jobQueue
+ * @requires ../services/accountDeletionService
+ */
+
+const statsRebuildService = require('../services/statsRebuildService');
+const jobQueue = require('../services/jobQueue');
+const accountDeletionService = require('../services/accountDeletionService');
+
+/**
+ * @desc    Preview the differences between stored and recomputed stats
+ * @route   GET /api/admin/stats/rebuild
+ * @access  Private (Admin only)
+ */
+exports.previewStatsRebuild = async (req, res, next) => {
+  try {
+    const report = await statsRebuildService.rebuildStats({ apply: false });
+
+    res.status(200).json({
+      success: true,
+      data: report,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Queue a recompute of user stats and Game.stats from finished matches
+ *          (the report is the result of the job, see GET /api/jobs/:id)
+ * @route   POST /api/admin/stats/rebuild
+ * @access  Private (Admin only)
+ */
+exports.rebuildStats = async (req, res, next) => {
+  try {
+    const job = await jobQueue.enqueue('stats-rebuild', {}, { createdBy: req.user._id });
+
+    res.status(202).json({
+      success: true,
+      message: 'Recálculo de estadísticas en cola',
+      data: job,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    List deleted accounts: pending ones (still restorable) and anonymized
+ *          ones with the report of what was anonymized
+ * @route   GET /api/admin/deleted-accounts
+ * @access  Private (Admin only)
+ */
+exports.getDeletedAccounts = async (req, res, next) => {
+  try {
+    const accounts = await accountDeletionService.listDeletedAccounts(req.query.status);
+
+    res.status(200).json({
+      success: true,
+      count: accounts.length,
+      data: accounts,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -1,17 +1,25 @@
 /**
  * @fileoverview Authentication Controller
- * @description Handles registration, login, logout and user profile
+ * @description Handles registration, login, sessions, logout, user profile and personal data exports
  * @module controllers/authController
  * @requires ../models/User
  * @requires ../models/Group
- * @requires ../models/Match
- * @requires ../utils/generateToken
+ * @requires ../services/sessionService
+ * @requires ../services/accountService
+ * @requires ../services/accountDeletionService
+ * @requires ../services/imageService
+ * @requires ../services/dataExportService
+ * @requires ../services/invitationService
  */
 
 const User = require('../models/User');
 const Group = require('../models/Group');
-const Match = require('../models/Match');
-const generateToken = require('../utils/generateToken');
+const sessionService = require('../services/sessionService');
+const accountService = require('../services/accountService');
+const accountDeletionService = require('../services/accountDeletionService');
+const imageService = require('../services/imageService');
+const dataExportService = require('../services/dataExportService');
+const invitationService = require('../services/invitationService');
 
 /**
  * Generates alternative nickname suggestions based on the original
@@ -104,8 +112,12 @@ const register = async (req, res, next) => {
       password,
     });
 
-    // Generar token
-    const token = generateToken(user._id);
+    // Group invitations sent to this email before it had an account
+    const pendingInvitations = await invitationService.claimEmailInvitations(user);
+
+    // Start a session
+    const { token, refreshToken } = await sessionService.createSession(user._id, req);
+    accountService.sendVerificationEmailInBackground(user);
 
     res.status(201).json({
       success: true,
@@ -116,9 +128,12 @@ const register = async (req, res, next) => {
           nickname: user.nickname,
           name: user.name,
           email: user.email,
+          emailVerified: user.emailVerified,
           avatar: user.avatar,
         },
         token,
+        refreshToken,
+        pendingInvitations,
       },
     });
   } catch (error) {
@@ -127,13 +142,13 @@ const register = async (req, res, next) => {
 };
 
 /**
- * @desc    Login
+ * @desc    Login (with restore: true, also cancels a pending account deletion)
  * @route   POST /api/auth/login
  * @access  Public
  */
 const login = async (req, res, next) => {
   try {
-    const { identifier, password } = req.body;
+    const { identifier, password, restore } = req.body;
 
     if (!identifier) {
       return res.status(400).json({
@@ -169,6 +184,20 @@ const login = async (req, res, next) => {
       });
     }
 
+    // Accounts in their deletion grace period are restored on request
+    if (accountDeletionService.isPendingDeletion(user)) {
+      if (!restore) {
+        return res.status(403).json({
+          success: false,
+          message: 'Tu cuenta está pendiente de eliminación. Puedes restaurarla hasta que termine el periodo de gracia',
+          pendingDeletion: {
+            scheduledFor: user.deletion.scheduledFor,
+          },
+        });
+      }
+      await accountDeletionService.restoreAccount(user);
+    }
+
     // Verify if user is active
     if (!user.isActive) {
       return res.status(401).json({
@@ -177,8 +206,8 @@ const login = async (req, res, next) => {
       });
     }
 
-    // Generar token
-    const token = generateToken(user._id);
+    // Start a session
+    const { token, refreshToken } = await sessionService.createSession(user._id, req);
 
     res.status(200).json({
       success: true,
@@ -189,10 +218,12 @@ const login = async (req, res, next) => {
           nickname: user.nickname,
           name: user.name,
           email: user.email,
+          emailVerified: user.emailVerified,
           avatar: user.avatar,
           stats: user.stats,
         },
         token,
+        refreshToken,
       },
     });
   } catch (error) {
@@ -200,6 +231,245 @@ const login = async (req, res, next) => {
   }
 };
 
+/**
+ * @desc    Exchange a refresh token for new access and refresh tokens
+ * @route   POST /api/auth/refresh
+ * @access  Public (refresh token)
+ */
+const refreshAccessToken = async (req, res, next) => {
+  try {
+    const tokens = await sessionService.refreshSession(req.body.refreshToken, req);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        token: tokens.token,
+        refreshToken: tokens.refreshToken,
+      },
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    next(error);
+  }
+};
+
+/**
+ * @desc    Logout: closes the session of the refresh token
+ * @route   POST /api/auth/logout
+ * @access  Public (refresh token)
+ */
+const logout = async (req, res, next) => {
+  try {
+    await sessionService.revokeByRefreshToken(req.body.refreshToken);
+
+    res.status(200).json({
+      success: true,
+      message: 'Sesión cerrada correctamente',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    List the authenticated user's open sessions
+ * @route   GET /api/auth/sessions
+ * @access  Private
+ */
+const getSessions = async (req, res, next) => {
+  try {
+    const sessions = await sessionService.listSessions(req.user._id, req.sessionId);
+
+    res.status(200).json({
+      success: true,
+      count: sessions.length,
+      data: sessions,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Close one of the authenticated user's sessions
+ * @route   DELETE /api/auth/sessions/:sessionId
+ * @access  Private
+ */
+const revokeSession = async (req, res, next) => {
+  try {
+    await sessionService.revokeSession(req.user._id, req.params.sessionId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Sesión cerrada correctamente',
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    next(error);
+  }
+};
+
+/**
+ * @desc    Close all the authenticated user's sessions except the current one
+ * @route   DELETE /api/auth/sessions
+ * @access  Private
+ */
+const revokeAllSessions = async (req, res, next) => {
+  try {
+    const revoked = await sessionService.revokeAllSessions(req.user._id, { except: req.sessionId });
+
+    res.status(200).json({
+      success: true,
+      message: revoked > 0 ? `${revoked} sesión(es) cerrada(s)` : 'No había otras sesiones abiertas',
+      data: { revoked },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Change password (closes every other session)
+ * @route   PUT /api/auth/password
+ * @access  Private
+ */
+const changePassword = async (req, res, next) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    const user = await User.findById(req.user._id).select('+password');
+    const isMatch = await user.comparePassword(currentPassword);
+    if (!isMatch) {
+      // 400, not 401: the client would take a 401 as an expired session
+      return res.status(400).json({
+        success: false,
+        message: 'La contraseña actual no es correcta',
+      });
+    }
+
+    user.password = newPassword;
+    await user.save();
+
+    const revoked = await sessionService.revokeAllSessions(user._id, {
+      except: req.sessionId,
+      reason: 'password-change',
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Contraseña actualizada. Se han cerrado las demás sesiones',
+      data: { revoked },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Email a password reset link (same answer whether or not the email has an account)
+ * @route   POST /api/auth/forgot-password
+ * @access  Public
+ */
+const forgotPassword = async (req, res, next) => {
+  try {
+    await accountService.requestPasswordReset(req.body.email);
+
+    res.status(200).json({
+      success: true,
+      message: 'Si el email pertenece a una cuenta, recibirás un enlace para restablecer la contraseña',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Set a new password with a reset link (closes every session)
+ * @route   POST /api/auth/reset-password
+ * @access  Public (reset token)
+ */
+const resetPassword = async (req, res, next) => {
+  try {
+    await accountService.resetPassword(req.body.token, req.body.password);
+
+    res.status(200).json({
+      success: true,
+      message: 'Contraseña restablecida. Ya puedes iniciar sesión',
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    next(error);
+  }
+};
+
+/**
+ * @desc    Verify the user's email with a verification link
+ * @route   POST /api/auth/verify-email
+ * @access  Public (verification token)
+ */
+const verifyEmail = async (req, res, next) => {
+  try {
+    const user = await accountService.verifyEmail(req.body.token);
+
+    res.status(200).json({
+      success: true,
+      message: 'Email verificado correctamente',
+      data: {
+        email: user.email,
+        emailVerified: user.emailVerified,
+      },
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    next(error);
+  }
+};
+
+/**
+ * @desc    Send the verification email again
+ * @route   POST /api/auth/resend-verification
+ * @access  Private
+ */
+const resendVerification = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user._id);
+    await accountService.sendVerificationEmail(user);
+
+    res.status(200).json({
+      success: true,
+      message: `Te hemos enviado un email de verificación a ${user.email}`,
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    next(error);
+  }
+};
+
 /**
  * @desc    Get authenticated user profile
  * @route   GET /api/auth/me
@@ -259,16 +529,31 @@ const updateProfile = async (req, res, next) => {
     }
 
     const user = await User.findById(userId);
+    const previousAvatar = user.avatar;
+    const previousEmail = user.email;
 
     if (nickname) user.nickname = nickname.toLowerCase().trim();
     if (name) user.name = name.trim();
     if (email) user.email = email.toLowerCase().trim();
-    if (avatar) user.avatar = avatar;
+    const emailChanged = user.email !== previousEmail;
+    if (emailChanged) {
+      // The new address has to be verified again
+      user.emailVerified = false;
+      user.emailVerifiedAt = null;
+    }
+    if (avatar !== undefined) user.avatar = avatar;
     if (description !== undefined) user.description = description;
     if (quote !== undefined) user.quote = quote;
 
     await user.save();
 
+    if (previousAvatar && previousAvatar !== user.avatar) {
+      imageService.removeUnreferencedImages([previousAvatar]);
+    }
+    if (emailChanged) {
+      accountService.sendVerificationEmailInBackground(user);
+    }
+
     res.status(200).json({
       success: true,
       message: 'Perfil actualizado exitosamente',
@@ -281,6 +566,78 @@ const updateProfile = async (req, res, next) => {
   }
 };
 
+/**
+ * @desc    Upload the authenticated user's avatar (cropped to a square, in several sizes)
+ * @route   POST /api/auth/profile/avatar
+ * @access  Private
+ */
+const uploadAvatar = async (req, res, next) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'No se ha proporcionado ninguna imagen',
+      });
+    }
+
+    const files = await imageService.processAvatar(req.file.buffer);
+    const baseUrl = `${req.protocol}://${req.get('host')}`;
+
+    const user = await User.findById(req.user._id);
+    const previousAvatar = user.avatar;
+    user.avatar = imageService.getImageUrl(baseUrl, files.large, 'avatar');
+    await user.save();
+
+    if (previousAvatar && previousAvatar !== user.avatar) {
+      imageService.removeUnreferencedImages([previousAvatar]);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Avatar actualizado exitosamente',
+      data: {
+        user: user,
+      },
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    next(error);
+  }
+};
+
+/**
+ * @desc    Remove the authenticated user's avatar
+ * @route   DELETE /api/auth/profile/avatar
+ * @access  Private
+ */
+const deleteAvatar = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user._id);
+    const previousAvatar = user.avatar;
+    user.avatar = '';
+    await user.save();
+
+    if (previousAvatar) {
+      imageService.removeUnreferencedImages([previousAvatar]);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Avatar eliminado exitosamente',
+      data: {
+        user: user,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * @desc    Check nickname availability
  * @route   POST /api/auth/check-nickname
@@ -392,71 +749,42 @@ const checkEmail = async (req, res, next) => {
 };
 
 /**
- * @desc    Export all user data (GDPR)
- * @route   GET /api/auth/export-data
+ * @desc    Request a downloadable archive with all user data (GDPR)
+ * @route   POST /api/auth/export
  * @access  Private
  */
-const exportUserData = async (req, res, next) => {
+const requestDataExport = async (req, res, next) => {
   try {
-    const userId = req.user._id;
+    const dataExport = await dataExportService.requestExport(req.user._id);
 
-    // Get user data
-    const user = await User.findById(userId).select('-password');
-
-    // Get user's groups
-    const groups = await Group.find({ 'members.user': userId })
-      .select('name description createdAt')
-      .lean();
-
-    // Get user's matches
-    const matches = await Match.find({ 'players.user': userId })
-      .populate('game', 'name')
-      .populate('group', 'name')
-      .select('scheduledDate actualDate status players')
-      .lean();
-
-    // Format matches to include only user data
-    const userMatches = matches.map(match => {
-      const playerData = match.players.find(p => p.user.toString() === userId.toString());
-      return {
-        game: match.game?.name || 'Unknown',
-        group: match.group?.name || 'Unknown',
-        scheduledDate: match.scheduledDate,
-        actualDate: match.actualDate,
-        status: match.status,
-        score: playerData?.score || 0,
-        position: playerData?.position || null,
-      };
+    res.status(202).json({
+      success: true,
+      message: 'Estamos preparando tus datos; tardará unos minutos',
+      data: dataExport,
     });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    next(error);
+  }
+};
 
-    const exportData = {
-      exportDate: new Date().toISOString(),
-      user: {
-        nickname: user.nickname,
-        name: user.name,
-        email: user.email,
-        avatar: user.avatar,
-        description: user.description,
-        quote: user.quote,
-        createdAt: user.createdAt,
-      },
-      groups: groups.map(g => ({
-        name: g.name,
-        description: g.description,
-        joinedAt: g.createdAt,
-      })),
-      matches: userMatches,
-      statistics: {
-        totalGroups: groups.length,
-        totalMatches: matches.length,
-        completedMatches: matches.filter(m => m.status === 'finalizada').length,
-      },
-    };
+/**
+ * @desc    Get the latest data export of the user (null if none)
+ * @route   GET /api/auth/export/latest
+ * @access  Private
+ */
+const getLatestDataExport = async (req, res, next) => {
+  try {
+    const dataExport = await dataExportService.getLatestExport(req.user._id);
 
     res.status(200).json({
       success: true,
-      message: 'Datos exportados correctamente',
-      data: exportData,
+      data: dataExport,
     });
   } catch (error) {
     next(error);
@@ -464,7 +792,82 @@ const exportUserData = async (req, res, next) => {
 };
 
 /**
- * @desc    Delete account and all user data (GDPR)
+ * @desc    Get the status of a data export
+ * @route   GET /api/auth/export/:exportId
+ * @access  Private (owner only)
+ */
+const getDataExport = async (req, res, next) => {
+  try {
+    const dataExport = await dataExportService.getExport(req.user._id, req.params.exportId);
+
+    res.status(200).json({
+      success: true,
+      data: dataExport,
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    next(error);
+  }
+};
+
+/**
+ * @desc    Create a short-lived download link for a ready data export
+ * @route   POST /api/auth/export/:exportId/link
+ * @access  Private (owner only)
+ */
+const createDataExportLink = async (req, res, next) => {
+  try {
+    const baseUrl = `${req.protocol}://${req.get('host')}`;
+    const link = await dataExportService.createDownloadLink(req.user._id, req.params.exportId, baseUrl);
+
+    res.status(200).json({
+      success: true,
+      data: link,
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    next(error);
+  }
+};
+
+/**
+ * @desc    Download the ZIP of a data export
+ * @route   GET /api/auth/export/:exportId/download?token=
+ * @access  Public (the signed token of the link grants access)
+ */
+const downloadDataExport = async (req, res, next) => {
+  try {
+    const { buffer, filename } = await dataExportService.getDownload(req.params.exportId, req.query.token);
+
+    res.set({
+      'Content-Type': 'application/zip',
+      'Content-Disposition': `attachment; filename="${filename}"`,
+      'Cache-Control': 'no-store',
+    });
+    res.send(buffer);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    next(error);
+  }
+};
+
+/**
+ * @desc    Delete account: personal data is anonymized, now or after the grace period (GDPR)
  * @route   DELETE /api/auth/delete-account
  * @access  Private
  */
@@ -484,40 +887,38 @@ const deleteAccount = async (req, res, next) => {
 
     const isMatch = await user.comparePassword(password);
     if (!isMatch) {
-      return res.status(401).json({
+      // 400, not 401: the client would take a 401 as an expired session
+      return res.status(400).json({
         success: false,
         message: 'Contraseña incorrecta',
       });
     }
 
     // Verify if user is admin of any group
-    const adminGroups = await Group.find({ admin: userId });
+    const adminGroups = await Group.find({ admin: userId, isActive: true });
     if (adminGroups.length > 0) {
+      const names = adminGroups.map(g => g.name).join(', ');
       return res.status(400).json({
         success: false,
-        message: `Eres administrador de ${adminGroups.length} grupo(s). Transfiere la administración antes de eliminar tu cuenta.`,
+        message: `Eres administrador de ${names}. Transfiere la administración a otro miembro desde la página de cada grupo (o elimina el grupo si no tiene más miembros) antes de eliminar tu cuenta.`,
         groups: adminGroups.map(g => ({ id: g._id, name: g.name })),
       });
     }
 
-    // Remove user from groups
-    await Group.updateMany(
-      { 'members.user': userId },
-      { $pull: { members: { user: userId } } }
-    );
-
-    // Remove participation in matches (mark as deleted)
-    await Match.updateMany(
-      { 'players.user': userId },
-      { $pull: { players: { user: userId } } }
-    );
-
-    // Delete user
-    await User.findByIdAndDelete(userId);
+    // Anonymize now or after the grace period: matches keep a "deleted player"
+    const { anonymized, scheduledFor } = await accountDeletionService.requestDeletion(user, {
+      immediate: req.body.immediate === true,
+    });
 
     res.status(200).json({
       success: true,
-      message: 'Cuenta eliminada correctamente. Todos tus datos han sido borrados.',
+      message: anonymized
+        ? 'Cuenta eliminada correctamente. Tus datos personales han sido borrados.'
+        : 'Tu cuenta se ha desactivado y se eliminará al terminar el periodo de gracia. Inicia sesión antes para restaurarla.',
+      data: {
+        anonymized,
+        scheduledFor,
+      },
     });
   } catch (error) {
     next(error);
@@ -527,10 +928,26 @@ const deleteAccount = async (req, res, next) => {
 module.exports = {
   register,
   login,
+  refreshAccessToken,
+  logout,
+  getSessions,
+  revokeSession,
+  revokeAllSessions,
+  changePassword,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification,
   getMe,
   updateProfile,
+  uploadAvatar,
+  deleteAvatar,
   checkNickname,
   checkEmail,
-  exportUserData,
+  requestDataExport,
+  getLatestDataExport,
+  getDataExport,
+  createDataExportLink,
+  downloadDataExport,
   deleteAccount,
 };
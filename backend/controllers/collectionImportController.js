@@ -0,0 +1,94 @@
+/**
+ * @fileoverview Controlador de Importación de Colecciones
+ * @description Importa en bloque la colección de BGG de un usuario a su biblioteca o a la de un grupo
+ * @module controllers/collectionImportController
+ * @requires ../services/collectionImportService
+ */
+
+const collectionImportService = require('../services/collectionImportService');
+
+/**
+ * @desc    Previsualizar la importación de una colección de BGG
+ * @route   POST /api/games/import/preview (username o archivo XML/CSV en "file")
+ * @access  Private
+ */
+exports.previewImport = async (req, res, next) => {
+  try {
+    const { username, groupId } = req.body;
+
+    const preview = await collectionImportService.previewImport(req.user._id, {
+      username: username?.trim(),
+      file: req.file,
+      groupId: groupId || null,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: preview,
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    next(error);
+  }
+};
+
+/**
+ * @desc    Iniciar la importación de los juegos seleccionados
+ * @route   POST /api/games/import
+ * @access  Private
+ */
+exports.startImport = async (req, res, next) => {
+  try {
+    const { games, groupId, source, sourceLabel } = req.body;
+
+    const job = await collectionImportService.startImport(req.user._id, {
+      games,
+      groupId: groupId || null,
+      source,
+      sourceLabel,
+    });
+
+    res.status(202).json({
+      success: true,
+      message: 'Importación iniciada',
+      data: job,
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    next(error);
+  }
+};
+
+/**
+ * @desc    Consultar el progreso de una importación
+ * @route   GET /api/games/import/:jobId
+ * @access  Private (solo quien la inició)
+ */
+exports.getImportJob = async (req, res, next) => {
+  try {
+    const job = await collectionImportService.getImportJob(req.user._id, req.params.jobId);
+
+    res.status(200).json({
+      success: true,
+      data: job,
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    next(error);
+  }
+};
@@ -4,10 +4,12 @@
  * @module controllers/gameController
  * @requires ../services/gameService
  * @requires ../services/bggGameService
+ * @requires ../services/imageService
  */
 
 const gameService = require('../services/gameService');
 const bggGameService = require('../services/bggGameService');
+const imageService = require('../services/imageService');
 const { createLogger } = require('../utils/logger');
 
 const logger = createLogger('GameController');
@@ -245,21 +247,21 @@ exports.updateGame = async (req, res, next) => {
 };
 
 /**
- * @desc    Sincronizar juego de BGG (actualizar datos)
+ * @desc    Sincronizar juego de BGG (en segundo plano; el progreso se consulta en /api/jobs/:id)
  * @route   PUT /api/games/:id/sync-bgg
  * @access  Private
  */
 exports.syncBGGGame = async (req, res, next) => {
   try {
-    const updatedGame = await bggGameService.syncBGGGame(
+    const job = await bggGameService.requestBGGSync(
       req.params.id,
       req.user._id
     );
 
-    res.status(200).json({
+    res.status(202).json({
       success: true,
-      message: 'Juego sincronizado con BGG exitosamente',
-      data: updatedGame,
+      message: 'Sincronización con BGG en cola',
+      data: job,
     });
   } catch (error) {
     if (error.status) {
@@ -352,6 +354,7 @@ exports.getGroupGameStats = async (req, res, next) => {
  * @access  Private
  */
 exports.uploadGameImage = async (req, res, next) => {
+  let files = null;
   try {
     const { id } = req.params;
 
@@ -362,16 +365,20 @@ exports.uploadGameImage = async (req, res, next) => {
       });
     }
 
-    // Build image URL
-    const protocol = req.protocol;
-    const host = req.get('host');
-    const imageUrl = `${protocol}://${host}/uploads/games/${req.file.filename}`;
+    // Validate the content and store the standard sizes
+    files = await imageService.processGameImage(req.file.buffer);
+
+    // Build image URLs
+    const baseUrl = `${req.protocol}://${req.get('host')}`;
+    const imageUrl = imageService.getGameImageUrl(baseUrl, files.image);
+    const thumbnailUrl = imageService.getGameImageUrl(baseUrl, files.thumbnail);
 
     // Update game with new image
     const updatedGame = await gameService.updateGame(
       id,
-      { image: imageUrl },
-      req.user._id
+      { image: imageUrl, thumbnail: thumbnailUrl },
+      req.user._id,
+      { imageUpload: true }
     );
 
     res.status(200).json({
@@ -380,18 +387,14 @@ exports.uploadGameImage = async (req, res, next) => {
       data: {
         game: updatedGame,
         imageUrl: imageUrl,
-        filename: req.file.filename,
+        thumbnailUrl: thumbnailUrl,
+        filename: files.image,
       },
     });
   } catch (error) {
-    // If there's an error, delete the uploaded file
-    if (req.file) {
-      const fs = require('fs');
-      const path = require('path');
-      const filePath = path.join(__dirname, '../uploads/games', req.file.filename);
-      if (fs.existsSync(filePath)) {
-        fs.unlinkSync(filePath);
-      }
+    // If there's an error, delete the stored files (unless another game uses them)
+    if (files) {
+      imageService.removeUnreferencedImages(Object.values(files).map(name => imageService.getGameImageUrl('', name)));
     }
 
     if (error.status) {
@@ -1,30 +1,37 @@
 /**
  * @fileoverview Group Controller
- * @description Handles group CRUD, members, invitations and permissions
+ * @description Handles group CRUD, members and their roles, ownership transfer, join requests and permissions
  * @module controllers/groupController
  * @requires ../models/Group
- * @requires ../models/User
  * @requires ../models/Match
  * @requires ../utils/groupHelpers
+ * @requires ../services/pointsCalculator
+ * @requires ../services/imageService
+ * @requires ../services/joinRequestService
  */
 
 const Group = require('../models/Group');
-const User = require('../models/User');
 const Match = require('../models/Match');
+const Game = require('../models/Game');
+const pointsCalculator = require('../services/pointsCalculator');
+const imageService = require('../services/imageService');
+const joinRequestService = require('../services/joinRequestService');
 const {
+  MAX_GROUPS_PER_USER,
+  hasReachedGroupLimit,
   generateUniqueInviteCode,
   addGroupToUser,
   removeGroupFromUser,
   removeGroupFromAllMembers,
   addMemberToGroup,
   removeMemberFromGroup,
+  setMemberRole,
+  transferGroupOwnership,
+  findSuccessorAdmin,
   groupPopulateOptions,
   groupPopulateOptionsSimple,
 } = require('../utils/groupHelpers');
 
-// Maximum number of groups per user
-const MAX_GROUPS_PER_USER = 7;
-
 /**
  * @desc    Create a new group
  * @route   POST /api/groups
@@ -35,12 +42,7 @@ const createGroup = async (req, res, next) => {
     const { name, description, avatar, settings } = req.body;
 
     // Check user group limit
-    const userGroupCount = await Group.countDocuments({
-      'members.user': req.user._id,
-      isActive: true
-    });
-
-    if (userGroupCount >= MAX_GROUPS_PER_USER) {
+    if (await hasReachedGroupLimit(req.user._id)) {
       return res.status(400).json({
         success: false,
         message: `Has alcanzado el límite máximo de ${MAX_GROUPS_PER_USER} grupos`,
@@ -121,13 +123,13 @@ const getGroup = async (req, res, next) => {
 };
 
 /**
- * @desc    Join a group via invitation code
+ * @desc    Join a group via invitation code (or ask to join, if it requires approval)
  * @route   POST /api/groups/join
  * @access  Private
  */
 const joinGroup = async (req, res, next) => {
   try {
-    const { inviteCode } = req.body;
+    const { inviteCode, message } = req.body;
 
     const group = await Group.findOne({ inviteCode: inviteCode.toUpperCase(), isActive: true });
 
@@ -147,18 +149,25 @@ const joinGroup = async (req, res, next) => {
     }
 
     // Verify user's group limit
-    const userGroupCount = await Group.countDocuments({
-      'members.user': req.user._id,
-      isActive: true
-    });
-
-    if (userGroupCount >= MAX_GROUPS_PER_USER) {
+    if (await hasReachedGroupLimit(req.user._id)) {
       return res.status(400).json({
         success: false,
         message: `Has alcanzado el límite máximo de ${MAX_GROUPS_PER_USER} grupos`,
       });
     }
 
+    // The admins decide; capacity is checked when they approve
+    if (group.settings.requireApproval) {
+      const request = await joinRequestService.createJoinRequest(group, req.user._id, message);
+
+      return res.status(202).json({
+        success: true,
+        pending: true,
+        message: 'Solicitud enviada. Te unirás al grupo cuando un administrador la apruebe',
+        data: request,
+      });
+    }
+
     // Verify member limit
     if (!group.canAcceptMoreMembers()) {
       return res.status(400).json({
@@ -179,6 +188,129 @@ const joinGroup = async (req, res, next) => {
       data: group,
     });
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get the user's pending join requests and the ones reviewed lately
+ * @route   GET /api/groups/join-requests/mine
+ * @access  Private
+ */
+const getMyJoinRequests = async (req, res, next) => {
+  try {
+    const requests = await joinRequestService.getUserJoinRequests(req.user._id);
+
+    res.status(200).json({
+      success: true,
+      count: requests.length,
+      data: requests,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Withdraw a pending join request
+ * @route   DELETE /api/groups/join-requests/:requestId
+ * @access  Private (requester)
+ */
+const cancelJoinRequest = async (req, res, next) => {
+  try {
+    await joinRequestService.cancelJoinRequest(req.user._id, req.params.requestId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Solicitud retirada',
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get the join requests of a group (pending by default)
+ * @route   GET /api/groups/:id/join-requests?status=pending|approved|rejected|all
+ * @access  Private (Group Admin or Moderator)
+ */
+const getJoinRequests = async (req, res, next) => {
+  try {
+    const requests = await joinRequestService.getGroupJoinRequests(req.group._id, req.query.status);
+
+    res.status(200).json({
+      success: true,
+      count: requests.length,
+      data: requests,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Approve a join request (adds the requester to the group)
+ * @route   POST /api/groups/:id/join-requests/:requestId/approve
+ * @access  Private (Group Admin or Moderator)
+ */
+const approveJoinRequest = async (req, res, next) => {
+  try {
+    const request = await joinRequestService.approveJoinRequest(req.group, req.params.requestId, req.user._id);
+
+    res.status(200).json({
+      success: true,
+      message: `${request.user?.name || 'El usuario'} se ha unido al grupo`,
+      data: request,
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    next(error);
+  }
+};
+
+/**
+ * @desc    Reject a join request
+ * @route   POST /api/groups/:id/join-requests/:requestId/reject
+ * @access  Private (Group Admin or Moderator)
+ */
+const rejectJoinRequest = async (req, res, next) => {
+  try {
+    const request = await joinRequestService.rejectJoinRequest(
+      req.group,
+      req.params.requestId,
+      req.user._id,
+      req.body.reason
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Solicitud rechazada',
+      data: request,
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+      });
+    }
     next(error);
   }
 };
@@ -194,6 +326,7 @@ const updateGroup = async (req, res, next) => {
 
     // Group already comes from isGroupAdmin middleware
     const group = req.group || await Group.findById(req.params.id);
+    const previousAvatar = group.avatar;
 
     // Update fields
     if (name) group.name = name;
@@ -219,6 +352,10 @@ const updateGroup = async (req, res, next) => {
     await group.save();
     await group.populate(groupPopulateOptions);
 
+    if (previousAvatar && previousAvatar !== group.avatar) {
+      imageService.removeUnreferencedImages([previousAvatar]);
+    }
+
     res.status(200).json({
       success: true,
       message: 'Grupo actualizado exitosamente',
@@ -229,6 +366,78 @@ const updateGroup = async (req, res, next) => {
   }
 };
 
+/**
+ * @desc    Upload the group avatar (cropped to a square, in several sizes)
+ * @route   POST /api/groups/:id/avatar
+ * @access  Private (Group Admin)
+ */
+const uploadGroupAvatar = async (req, res, next) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'No se ha proporcionado ninguna imagen',
+      });
+    }
+
+    const files = await imageService.processAvatar(req.file.buffer);
+    const baseUrl = `${req.protocol}://${req.get('host')}`;
+
+    // Group already comes from isGroupAdmin middleware
+    const group = req.group || await Group.findById(req.params.id);
+    const previousAvatar = group.avatar;
+    group.avatar = imageService.getImageUrl(baseUrl, files.large, 'avatar');
+    await group.save();
+    await group.populate(groupPopulateOptions);
+
+    if (previousAvatar && previousAvatar !== group.avatar) {
+      imageService.removeUnreferencedImages([previousAvatar]);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Avatar del grupo actualizado exitosamente',
+      data: group,
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    next(error);
+  }
+};
+
+/**
+ * @desc    Remove the group avatar
+ * @route   DELETE /api/groups/:id/avatar
+ * @access  Private (Group Admin)
+ */
+const deleteGroupAvatar = async (req, res, next) => {
+  try {
+    // Group already comes from isGroupAdmin middleware
+    const group = req.group || await Group.findById(req.params.id);
+    const previousAvatar = group.avatar;
+    group.avatar = '';
+    await group.save();
+    await group.populate(groupPopulateOptions);
+
+    if (previousAvatar) {
+      imageService.removeUnreferencedImages([previousAvatar]);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Avatar del grupo eliminado exitosamente',
+      data: group,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * @desc    Regenerate invitation code
  * @route   PUT /api/groups/:id/invite-code
@@ -313,6 +522,75 @@ const removeMember = async (req, res, next) => {
   }
 };
 
+/**
+ * @desc    Promote a member to moderator or demote a moderator to member
+ * @route   PUT /api/groups/:id/members/:userId/role
+ * @access  Private (Group Admin)
+ */
+const updateMemberRole = async (req, res, next) => {
+  try {
+    const { userId } = req.params;
+    const { role } = req.body;
+
+    // Group already comes from isGroupAdmin middleware
+    const group = req.group || await Group.findById(req.params.id);
+
+    try {
+      await setMemberRole(group, userId, role);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    await group.populate(groupPopulateOptions);
+    const member = group.members.find((m) => m.user && m.user._id.equals(userId));
+    const name = member?.user.name || 'El miembro';
+
+    res.status(200).json({
+      success: true,
+      message: role === 'moderator' ? `${name} ahora es moderador` : `${name} ya no es moderador`,
+      data: group,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Transfer the group administration to another member
+ * @route   POST /api/groups/:id/transfer
+ * @access  Private (Group Admin)
+ */
+const transferOwnership = async (req, res, next) => {
+  try {
+    const { userId } = req.body;
+
+    // Group already comes from isGroupAdmin middleware
+    const group = req.group || await Group.findById(req.params.id);
+
+    try {
+      await transferGroupOwnership(group, userId);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    await group.populate(groupPopulateOptions);
+
+    res.status(200).json({
+      success: true,
+      message: `${group.admin.name} es ahora el administrador del grupo. Tú sigues como moderador`,
+      data: group,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * @desc    Leave the group
  * @route   DELETE /api/groups/:id/leave
@@ -337,23 +615,18 @@ const leaveGroup = async (req, res, next) => {
       });
     }
 
-    // If admin and there are more members, transfer admin to the oldest member
-    if (group.isAdmin(req.user._id)) {
-      const otherMembers = group.members.filter(
-        m => m.user._id.toString() !== req.user._id.toString()
-      );
-      
-      if (otherMembers.length > 0) {
-        // Sort by join date and assign to the oldest
-        otherMembers.sort((a, b) => new Date(a.joinedAt) - new Date(b.joinedAt));
-        const newAdmin = otherMembers[0];
-        
-        group.admin = newAdmin.user._id;
-        newAdmin.role = 'admin';
-        await group.save();
+    // If admin and there are more members, hand the group to the oldest one who can own it
+    if (group.isAdmin(req.user._id) && group.members.length > 1) {
+      const successorId = await findSuccessorAdmin(group);
+      if (!successorId) {
+        return res.status(400).json({
+          success: false,
+          message: 'Ningún miembro con la cuenta activa puede quedarse con el grupo; transfiere la administración antes de salir',
+        });
       }
-      // If no other members, group will be left without admin (or could be deleted)
+      await transferGroupOwnership(group, successorId);
     }
+    // If no other members, group will be left without admin (or could be deleted)
 
     // Remove member
     await removeMemberFromGroup(group, req.user._id);
@@ -385,6 +658,10 @@ const deleteGroup = async (req, res, next) => {
     const memberIds = group.members.map((member) => member.user);
     await removeGroupFromAllMembers(memberIds, group._id);
 
+    if (group.avatar) {
+      imageService.removeUnreferencedImages([group.avatar]);
+    }
+
     res.status(200).json({
       success: true,
       message: 'Grupo eliminado exitosamente',
@@ -395,24 +672,14 @@ const deleteGroup = async (req, res, next) => {
 };
 
 /**
- * @desc    Invite user to a group by email
- * @route   POST /api/groups/:id/invite
- * @access  Private (Group Admin)
+ * @desc    Get public group information by ID (without requiring membership)
+ * @route   GET /api/groups/public/:id
+ * @access  Public
  */
-const inviteUserToGroup = async (req, res, next) => {
+const getGroupPublic = async (req, res, next) => {
   try {
-    const { email } = req.body;
-
-    // Validate that email is present
-    if (!email || !email.trim()) {
-      return res.status(400).json({
-        success: false,
-        message: 'El email es obligatorio',
-      });
-    }
-
-    // Group already comes from isGroupAdmin middleware
-    const group = req.group || await Group.findById(req.params.id);
+    const group = await Group.findById(req.params.id)
+      .populate(groupPopulateOptions);
 
     if (!group || !group.isActive) {
       return res.status(404).json({
@@ -421,42 +688,168 @@ const inviteUserToGroup = async (req, res, next) => {
       });
     }
 
-    // Find user by email
-    const userToInvite = await User.findOne({ email: email.toLowerCase() });
+    res.status(200).json({
+      success: true,
+      data: group,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Applies the provided scoring rule fields to a profile or per-game override
+ * @param {Object} target - settings.scoring or a gameOverrides entry
+ * @param {Object} rules - { positionPoints, participationPoints, bonuses }
+ */
+const applyScoringRules = (target, rules) => {
+  const { positionPoints, participationPoints, bonuses } = rules;
+
+  if (positionPoints !== undefined) target.positionPoints = positionPoints;
+  if (participationPoints !== undefined) target.participationPoints = participationPoints;
+  if (bonuses) {
+    if (bonuses.winner !== undefined) target.bonuses.winner = bonuses.winner;
+    if (bonuses.highestScore !== undefined) target.bonuses.highestScore = bonuses.highestScore;
+  }
+};
+
+/**
+ * Builds the scoring profile response (effective profile + per-game overrides)
+ * @param {Object} group - Group document
+ * @returns {Object} Scoring profile data
+ */
+const formatScoringProfile = (group) => ({
+  profile: pointsCalculator.resolveScoringProfile(group),
+  gameOverrides: (group.settings.scoring?.gameOverrides || []).map((override) => ({
+    game: override.game,
+    ...pointsCalculator.resolveScoringProfile(group, override.game),
+  })),
+});
 
-    if (!userToInvite) {
-      return res.status(404).json({
+/**
+ * @desc    Get the group scoring profile
+ * @route   GET /api/groups/:id/scoring-profile
+ * @access  Private (Group Member)
+ */
+const getScoringProfile = async (req, res, next) => {
+  try {
+    // Group already comes from isGroupMember middleware
+    const group = req.group || await Group.findById(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      data: formatScoringProfile(group),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Update the group scoring profile
+ * @route   PUT /api/groups/:id/scoring-profile
+ * @access  Private (Group Admin)
+ */
+const updateScoringProfile = async (req, res, next) => {
+  try {
+    const { name } = req.body;
+
+    const validationError = pointsCalculator.validateScoringProfile(req.body);
+    if (validationError) {
+      return res.status(400).json({
         success: false,
-        message: 'Usuario no encontrado con ese email',
+        message: validationError,
       });
     }
 
-    // Verify if already a member
-    if (group.isMember(userToInvite._id)) {
+    // Group already comes from isGroupAdmin middleware
+    const group = req.group || await Group.findById(req.params.id);
+
+    if (name !== undefined) group.settings.scoring.name = name;
+    applyScoringRules(group.settings.scoring, req.body);
+    group.settings.scoring.version += 1;
+
+    await group.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Perfil de puntuación actualizado exitosamente',
+      data: formatScoringProfile(group),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Reset the group scoring profile to the standard one
+ * @route   DELETE /api/groups/:id/scoring-profile
+ * @access  Private (Group Admin)
+ */
+const resetScoringProfile = async (req, res, next) => {
+  try {
+    // Group already comes from isGroupAdmin middleware
+    const group = req.group || await Group.findById(req.params.id);
+
+    const version = group.settings.scoring.version || 0;
+    group.settings.scoring = { version: version + 1, gameOverrides: [] };
+
+    await group.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Perfil de puntuación restablecido',
+      data: formatScoringProfile(group),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Set the scoring profile of a specific game in the group
+ * @route   PUT /api/groups/:id/scoring-profile/games/:gameId
+ * @access  Private (Group Admin)
+ */
+const setGameScoringProfile = async (req, res, next) => {
+  try {
+    const { gameId } = req.params;
+
+    const validationError = pointsCalculator.validateScoringProfile(req.body);
+    if (validationError) {
       return res.status(400).json({
         success: false,
-        message: 'Este usuario ya es miembro del grupo',
+        message: validationError,
       });
     }
 
-    // Verify member limit
-    if (!group.canAcceptMoreMembers()) {
-      return res.status(400).json({
+    const gameExists = await Game.exists({ _id: gameId, isActive: true });
+    if (!gameExists) {
+      return res.status(404).json({
         success: false,
-        message: 'El grupo ha alcanzado el límite de miembros',
+        message: 'Juego no encontrado',
       });
     }
 
-    // Add user to group
-    await addMemberToGroup(group, userToInvite._id);
+    // Group already comes from isGroupAdmin middleware
+    const group = req.group || await Group.findById(req.params.id);
+    const overrides = group.settings.scoring.gameOverrides;
 
-    // Populate to return complete data
-    await group.populate(groupPopulateOptions);
+    let override = overrides.find((o) => o.game.equals(gameId));
+    if (!override) {
+      overrides.push({ game: gameId });
+      override = overrides[overrides.length - 1];
+    }
+
+    applyScoringRules(override, req.body);
+    group.settings.scoring.version += 1;
+
+    await group.save();
 
     res.status(200).json({
       success: true,
-      message: `Usuario ${userToInvite.name} invitado al grupo exitosamente`,
-      data: group,
+      message: 'Perfil de puntuación del juego actualizado exitosamente',
+      data: formatScoringProfile(group),
     });
   } catch (error) {
     next(error);
@@ -464,25 +857,35 @@ const inviteUserToGroup = async (req, res, next) => {
 };
 
 /**
- * @desc    Get public group information by ID (without requiring membership)
- * @route   GET /api/groups/public/:id
- * @access  Public
+ * @desc    Remove the scoring profile of a specific game (falls back to the group profile)
+ * @route   DELETE /api/groups/:id/scoring-profile/games/:gameId
+ * @access  Private (Group Admin)
  */
-const getGroupPublic = async (req, res, next) => {
+const removeGameScoringProfile = async (req, res, next) => {
   try {
-    const group = await Group.findById(req.params.id)
-      .populate(groupPopulateOptions);
+    const { gameId } = req.params;
 
-    if (!group || !group.isActive) {
+    // Group already comes from isGroupAdmin middleware
+    const group = req.group || await Group.findById(req.params.id);
+    const overrides = group.settings.scoring.gameOverrides;
+
+    const overrideIndex = overrides.findIndex((o) => o.game.equals(gameId));
+    if (overrideIndex === -1) {
       return res.status(404).json({
         success: false,
-        message: 'Grupo no encontrado',
+        message: 'Este juego no tiene un perfil de puntuación propio',
       });
     }
 
+    overrides.splice(overrideIndex, 1);
+    group.settings.scoring.version += 1;
+
+    await group.save();
+
     res.status(200).json({
       success: true,
-      data: group,
+      message: 'Perfil de puntuación del juego eliminado',
+      data: formatScoringProfile(group),
     });
   } catch (error) {
     next(error);
@@ -495,11 +898,24 @@ module.exports = {
   getGroup,
   getGroupPublic,
   joinGroup,
+  getMyJoinRequests,
+  cancelJoinRequest,
+  getJoinRequests,
+  approveJoinRequest,
+  rejectJoinRequest,
   updateGroup,
+  uploadGroupAvatar,
+  deleteGroupAvatar,
   regenerateInviteCode,
   getMembers,
   removeMember,
+  updateMemberRole,
+  transferOwnership,
   leaveGroup,
   deleteGroup,
-  inviteUserToGroup,
+  getScoringProfile,
+  updateScoringProfile,
+  resetScoringProfile,
+  setGameScoringProfile,
+  removeGameScoringProfile,
 };
@@ -0,0 +1,268 @@
+/**
+ * @fileoverview Invitation Controller
+ * @description Handles group invitations by email and invite links
+ * @module controllers/invitationController
+ * @requires ../services/invitationService
+ * @requires ../utils/groupHelpers
+ */
+
+const invitationService = require('../services/invitationService');
+const { groupPopulateOptions } = require('../utils/groupHelpers');
+
+/**
+ * @desc    Invite a person to the group by email (registered or not)
+ * @route   POST /api/groups/:id/invite
+ * @access  Private (Group Admin)
+ */
+exports.inviteUser = async (req, res, next) => {
+  try {
+    const invitation = await invitationService.createInvitation(req.group, req.user, req.body.email);
+
+    res.status(201).json({
+      success: true,
+      message: invitation.invitee
+        ? `Invitación enviada a ${invitation.invitee.name}`
+        : `Invitación enviada a ${invitation.email}. Podrá aceptarla cuando se registre`,
+      data: invitation,
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get the outstanding invitations of the group
+ * @route   GET /api/groups/:id/invitations
+ * @access  Private (Group Admin)
+ */
+exports.getInvitations = async (req, res, next) => {
+  try {
+    const invitations = await invitationService.getGroupInvitations(req.group._id);
+
+    res.status(200).json({
+      success: true,
+      count: invitations.length,
+      data: invitations,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Revoke a pending invitation
+ * @route   DELETE /api/groups/:id/invitations/:invitationId
+ * @access  Private (Group Admin)
+ */
+exports.revokeInvitation = async (req, res, next) => {
+  try {
+    await invitationService.revokeInvitation(req.group, req.params.invitationId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Invitación revocada',
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    next(error);
+  }
+};
+
+/**
+ * @desc    Create an invite link
+ * @route   POST /api/groups/:id/invite-links
+ * @access  Private (Group Admin)
+ */
+exports.createInviteLink = async (req, res, next) => {
+  try {
+    const { expiresInDays, maxUses, role } = req.body;
+    const link = await invitationService.createInviteLink(req.group, req.user._id, { expiresInDays, maxUses, role });
+
+    res.status(201).json({
+      success: true,
+      message: 'Enlace de invitación creado',
+      data: link,
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get the invite links of the group that haven't expired or been revoked
+ * @route   GET /api/groups/:id/invite-links
+ * @access  Private (Group Admin)
+ */
+exports.getInviteLinks = async (req, res, next) => {
+  try {
+    const links = await invitationService.getGroupInviteLinks(req.group._id);
+
+    res.status(200).json({
+      success: true,
+      count: links.length,
+      data: links,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Revoke an invite link
+ * @route   DELETE /api/groups/:id/invite-links/:linkId
+ * @access  Private (Group Admin)
+ */
+exports.revokeInviteLink = async (req, res, next) => {
+  try {
+    await invitationService.revokeInviteLink(req.group, req.params.linkId, req.user._id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Enlace de invitación revocado',
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get the user's pending invitations
+ * @route   GET /api/groups/invitations/mine
+ * @access  Private
+ */
+exports.getMyInvitations = async (req, res, next) => {
+  try {
+    const invitations = await invitationService.getUserInvitations(req.user._id);
+
+    res.status(200).json({
+      success: true,
+      count: invitations.length,
+      data: invitations,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Accept an invitation (joins its group)
+ * @route   POST /api/groups/invitations/:invitationId/accept
+ * @access  Private (invitee)
+ */
+exports.acceptInvitation = async (req, res, next) => {
+  try {
+    const group = await invitationService.acceptInvitation(req.user, req.params.invitationId);
+    await group.populate(groupPopulateOptions);
+
+    res.status(200).json({
+      success: true,
+      message: `Te has unido a ${group.name}`,
+      data: group,
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    next(error);
+  }
+};
+
+/**
+ * @desc    Decline an invitation
+ * @route   POST /api/groups/invitations/:invitationId/decline
+ * @access  Private (invitee)
+ */
+exports.declineInvitation = async (req, res, next) => {
+  try {
+    await invitationService.declineInvitation(req.user._id, req.params.invitationId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Invitación rechazada',
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get the group an invite link joins
+ * @route   GET /api/groups/invite-links/:token
+ * @access  Public
+ */
+exports.getInviteLinkPreview = async (req, res, next) => {
+  try {
+    const preview = await invitationService.getInviteLinkPreview(req.params.token);
+
+    res.status(200).json({
+      success: true,
+      data: preview,
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    next(error);
+  }
+};
+
+/**
+ * @desc    Join a group with an invite link
+ * @route   POST /api/groups/invite-links/:token/join
+ * @access  Private
+ */
+exports.joinWithInviteLink = async (req, res, next) => {
+  try {
+    const group = await invitationService.joinWithInviteLink(req.params.token, req.user._id);
+    await group.populate(groupPopulateOptions);
+
+    res.status(200).json({
+      success: true,
+      message: `Te has unido a ${group.name}`,
+      data: group,
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    next(error);
+  }
+};
@@ -0,0 +1,32 @@
+/**
+ * @fileoverview Job Controller
+ * @description Status of background jobs
+ * @module controllers/jobController
+ * @requires ../services/jobQueue
+ */
+
+const jobQueue = require('../services/jobQueue');
+
+/**
+ * @desc    Get the status of a background job (attempts, last error, result)
+ * @route   GET /api/jobs/:id
+ * @access  Private (who requested it, or admin)
+ */
+exports.getJob = async (req, res, next) => {
+  try {
+    const job = await jobQueue.getJob(req.params.id, req.user);
+
+    res.status(200).json({
+      success: true,
+      data: job,
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    next(error);
+  }
+};
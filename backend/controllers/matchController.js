@@ -49,6 +49,67 @@ exports.createMatch = async (req, res, next) => {
   }
 };
 
+/**
+ * @desc    Log a match already played (created finished, with its results)
+ * @route   POST /api/matches/played
+ * @access  Private (group member)
+ */
+exports.logPlayedMatch = async (req, res, next) => {
+  try {
+    const {
+      gameId,
+      groupId,
+      playedDate,
+      playerIds,
+      location,
+      notes,
+      duration,
+      winnerId,
+      results,
+      mode,
+      teams,
+      cooperativeResult,
+    } = req.body;
+
+    const { match, rankingReport } = await matchService.logPlayedMatch(req.user._id, {
+      gameId,
+      groupId,
+      playedDate,
+      playerIds,
+      location,
+      notes,
+      duration,
+      winnerId,
+      results,
+      mode,
+      teams,
+      cooperativeResult,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Partida registrada con sus resultados',
+      data: match,
+      ranking: rankingReport,
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    // Handle Mongoose validation errors or other errors
+    if (error.message) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    next(error);
+  }
+};
+
 /**
  * @desc    List matches (with filters)
  * @route   GET /api/matches
@@ -146,7 +207,7 @@ exports.updateMatch = async (req, res, next) => {
 exports.finishMatch = async (req, res, next) => {
   try {
     const { id } = req.params;
-    const { winnerId, results, duration, notes } = req.body;
+    const { winnerId, results, duration, notes, mode, teams, cooperativeResult } = req.body;
 
     const { match, rankingReport } = await matchService.finishMatch(
       id,
@@ -154,7 +215,8 @@ exports.finishMatch = async (req, res, next) => {
       winnerId,
       results,
       duration,
-      notes
+      notes,
+      { mode, teams, cooperativeResult }
     );
 
     res.status(200).json({
@@ -174,6 +236,142 @@ exports.finishMatch = async (req, res, next) => {
   }
 };
 
+/**
+ * @desc    Request a correction of a finished match's results
+ * @route   POST /api/matches/:id/corrections
+ * @access  Private (creator or group admin; applied at once for the group admin)
+ */
+exports.requestResultCorrection = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { winnerId, results, mode, teams, cooperativeResult, reason } = req.body;
+
+    const { match, correction, rankingReport } = await matchService.requestResultCorrection(
+      id,
+      req.user._id,
+      { winnerId, results, mode, teams, cooperativeResult },
+      reason
+    );
+
+    const applied = correction.status === 'approved';
+
+    res.status(applied ? 200 : 201).json({
+      success: true,
+      message: applied
+        ? 'Resultados corregidos'
+        : 'Corrección enviada al administrador y los moderadores del grupo para su aprobación',
+      data: match,
+      correction,
+      ranking: rankingReport,
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get the result corrections of a match
+ * @route   GET /api/matches/:id/corrections
+ * @access  Private (group members)
+ */
+exports.getResultCorrections = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const { corrections, canReview } = await matchService.getResultCorrections(id, req.user._id);
+
+    res.status(200).json({
+      success: true,
+      count: corrections.length,
+      canReview,
+      data: corrections,
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    next(error);
+  }
+};
+
+/**
+ * @desc    Approve a pending result correction
+ * @route   POST /api/matches/:id/corrections/:correctionId/approve
+ * @access  Private (group admin)
+ */
+exports.approveResultCorrection = async (req, res, next) => {
+  try {
+    const { id, correctionId } = req.params;
+
+    const { match, correction, rankingReport } = await matchService.reviewResultCorrection(
+      id,
+      correctionId,
+      req.user._id,
+      true,
+      req.body.note
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Corrección aprobada y resultados actualizados',
+      data: match,
+      correction,
+      ranking: rankingReport,
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    next(error);
+  }
+};
+
+/**
+ * @desc    Reject a pending result correction
+ * @route   POST /api/matches/:id/corrections/:correctionId/reject
+ * @access  Private (group admin)
+ */
+exports.rejectResultCorrection = async (req, res, next) => {
+  try {
+    const { id, correctionId } = req.params;
+
+    const { match, correction } = await matchService.reviewResultCorrection(
+      id,
+      correctionId,
+      req.user._id,
+      false,
+      req.body.note
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Corrección rechazada',
+      data: match,
+      correction,
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    next(error);
+  }
+};
+
 /**
  * @desc    Confirm match attendance
  * @route   POST /api/matches/:id/confirm
@@ -257,32 +455,74 @@ exports.deleteMatch = async (req, res, next) => {
 
 /**
  * @desc    Get global user ranking
- * @route   GET /api/matches/ranking/global
+ * @route   GET /api/matches/ranking/global?sortBy=points|wins|rating
  * @access  Private
  */
 exports.getGlobalRanking = async (req, res, next) => {
   try {
-    const ranking = await matchService.getGlobalRanking();
+    const { sortBy = 'points' } = req.query;
+
+    const ranking = await matchService.getGlobalRanking(sortBy);
 
     res.status(200).json({
       success: true,
       data: ranking,
     });
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+      });
+    }
     next(error);
   }
 };
 
 /**
- * @desc    Get group ranking
- * @route   GET /api/matches/ranking/group/:groupId
+ * @desc    Get group ranking (current season by default)
+ * @route   GET /api/matches/ranking/group/:groupId?sortBy=points|wins|rating&season=current|all|:seasonId
  * @access  Private
  */
 exports.getGroupRanking = async (req, res, next) => {
   try {
     const { groupId } = req.params;
+    const { sortBy = 'points', season = 'current' } = req.query;
 
-    const ranking = await matchService.getGroupRanking(groupId, req.user._id);
+    const { ranking, season: rankingSeason } = await matchService.getGroupRanking(
+      groupId,
+      req.user._id,
+      sortBy,
+      season
+    );
+
+    res.status(200).json({
+      success: true,
+      data: ranking,
+      season: rankingSeason,
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get the leaderboard of a game inside a group
+ * @route   GET /api/matches/ranking/group/:groupId/game/:gameId?sortBy=points|wins|rating
+ * @access  Private
+ */
+exports.getGameLeaderboard = async (req, res, next) => {
+  try {
+    const { groupId, gameId } = req.params;
+    const { sortBy = 'points' } = req.query;
+
+    const ranking = await matchService.getGameLeaderboard(groupId, gameId, req.user._id, sortBy);
 
     res.status(200).json({
       success: true,
@@ -298,3 +538,36 @@ exports.getGroupRanking = async (req, res, next) => {
     next(error);
   }
 };
+
+/**
+ * @desc    Get the head-to-head record between two group members
+ * @route   GET /api/matches/ranking/group/:groupId/head-to-head?playerA=&playerB=&gameId=
+ * @access  Private
+ */
+exports.getHeadToHead = async (req, res, next) => {
+  try {
+    const { groupId } = req.params;
+    const { playerA, playerB, gameId } = req.query;
+
+    const record = await matchService.getHeadToHead(
+      groupId,
+      req.user._id,
+      playerA,
+      playerB,
+      gameId || null
+    );
+
+    res.status(200).json({
+      success: true,
+      data: record,
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    next(error);
+  }
+};
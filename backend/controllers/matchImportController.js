@@ -0,0 +1,97 @@
+/**
+ * @fileoverview Controlador de Importación de Partidas
+ * @description Importa el historial de partidas de BG Stats o BGG como partidas finalizadas de un grupo
+ * @module controllers/matchImportController
+ * @requires ../services/matchImportService
+ */
+
+const matchImportService = require('../services/matchImportService');
+
+/**
+ * @desc    Previsualizar la importación de un historial de partidas
+ * @route   POST /api/groups/:id/matches/import/preview (archivo JSON/XML en "file")
+ * @access  Private (Group Admin)
+ */
+exports.previewImport = async (req, res, next) => {
+  try {
+    const preview = await matchImportService.previewImport(req.params.id, req.file);
+
+    res.status(200).json({
+      success: true,
+      data: preview,
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    next(error);
+  }
+};
+
+/**
+ * @desc    Iniciar la importación de un historial de partidas
+ * @route   POST /api/groups/:id/matches/import (archivo en "file", playerMap como JSON)
+ * @access  Private (Group Admin)
+ */
+exports.startImport = async (req, res, next) => {
+  try {
+    // En multipart el mapa de jugadores llega como texto
+    let playerMap = req.body.playerMap;
+    if (typeof playerMap === 'string') {
+      try {
+        playerMap = JSON.parse(playerMap);
+      } catch {
+        return res.status(400).json({
+          success: false,
+          message: 'playerMap debe ser un objeto JSON',
+        });
+      }
+    }
+
+    const job = await matchImportService.startImport(req.params.id, req.user._id, {
+      file: req.file,
+      playerMap,
+    });
+
+    res.status(202).json({
+      success: true,
+      message: 'Importación iniciada',
+      data: job,
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    next(error);
+  }
+};
+
+/**
+ * @desc    Consultar el progreso de una importación de partidas
+ * @route   GET /api/groups/:id/matches/import/:jobId
+ * @access  Private (Group Admin)
+ */
+exports.getImportJob = async (req, res, next) => {
+  try {
+    const job = await matchImportService.getImportJob(req.params.id, req.params.jobId);
+
+    res.status(200).json({
+      success: true,
+      data: job,
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    next(error);
+  }
+};
@@ -0,0 +1,158 @@
+/**
+ * @fileoverview Season Controller
+ * @description Handles group seasons and their archived standings
+ * @module controllers/seasonController
+ * @requires ../services/seasonService
+ */
+
+const seasonService = require('../services/seasonService');
+
+/**
+ * @desc    List the seasons of a group
+ * @route   GET /api/groups/:id/seasons
+ * @access  Private (Group Member)
+ */
+exports.getSeasons = async (req, res, next) => {
+  try {
+    const { seasons, currentSeasonId } = await seasonService.listSeasons(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      count: seasons.length,
+      data: seasons,
+      currentSeasonId,
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get a season with its standings (frozen once closed)
+ * @route   GET /api/groups/:id/seasons/:seasonId?sortBy=points|wins|rating
+ * @access  Private (Group Member)
+ */
+exports.getSeason = async (req, res, next) => {
+  try {
+    const { sortBy = 'points' } = req.query;
+    const season = await seasonService.getSeasonStandings(req.params.id, req.params.seasonId, sortBy);
+
+    res.status(200).json({
+      success: true,
+      data: season,
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    next(error);
+  }
+};
+
+/**
+ * @desc    Create a season
+ * @route   POST /api/groups/:id/seasons
+ * @access  Private (Group Admin)
+ */
+exports.createSeason = async (req, res, next) => {
+  try {
+    const season = await seasonService.createSeason(req.params.id, req.user._id, req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'Temporada creada exitosamente',
+      data: season,
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    next(error);
+  }
+};
+
+/**
+ * @desc    Update the name or dates of an open season
+ * @route   PUT /api/groups/:id/seasons/:seasonId
+ * @access  Private (Group Admin)
+ */
+exports.updateSeason = async (req, res, next) => {
+  try {
+    const season = await seasonService.updateSeason(req.params.id, req.params.seasonId, req.body);
+
+    res.status(200).json({
+      success: true,
+      message: 'Temporada actualizada exitosamente',
+      data: season,
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    next(error);
+  }
+};
+
+/**
+ * @desc    Delete an open season
+ * @route   DELETE /api/groups/:id/seasons/:seasonId
+ * @access  Private (Group Admin)
+ */
+exports.deleteSeason = async (req, res, next) => {
+  try {
+    await seasonService.deleteSeason(req.params.id, req.params.seasonId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Temporada eliminada',
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    next(error);
+  }
+};
+
+/**
+ * @desc    Close a season now and archive its final standings
+ * @route   POST /api/groups/:id/seasons/:seasonId/close
+ * @access  Private (Group Admin)
+ */
+exports.closeSeason = async (req, res, next) => {
+  try {
+    const season = await seasonService.closeSeason(req.params.id, req.params.seasonId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Temporada cerrada y clasificación archivada',
+      data: season,
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    next(error);
+  }
+};
@@ -4,10 +4,12 @@
  * @module middlewares/auth
  * @requires jsonwebtoken
  * @requires ../models/User
+ * @requires ../services/sessionService
  */
 
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const sessionService = require('../services/sessionService');
 const { createLogger } = require('../utils/logger');
 
 const logger = createLogger('Auth');
@@ -27,6 +29,16 @@ const protect = async (req, res, next) => {
       // Verify token
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+      // The token's session must still be open (logout, revocation, password change)
+      const session = await sessionService.getActiveSession(decoded.sid, decoded.id);
+      if (!session) {
+        return res.status(401).json({
+          success: false,
+          message: 'Sesión cerrada o expirada',
+        });
+      }
+      req.sessionId = session._id;
+
       // Get user from token (without password)
       req.user = await User.findById(decoded.id).select('-password');
 
@@ -78,4 +90,19 @@ const protect = async (req, res, next) => {
   }
 };
 
-module.exports = { protect };
+/**
+ * Middleware to restrict routes to platform administrators
+ * Must be used after protect
+ */
+const adminOnly = (req, res, next) => {
+  if (req.user?.role !== 'admin') {
+    return res.status(403).json({
+      success: false,
+      message: 'Solo los administradores pueden realizar esta acción',
+    });
+  }
+
+  next();
+};
+
+module.exports = { protect, adminOnly };
@@ -0,0 +1,33 @@
+/**
+ * @fileoverview Collection Upload Middleware
+ * @description Configures multer for BGG collection exports (XML/CSV), kept in memory
+ * @module middlewares/collectionUpload
+ * @requires multer
+ * @requires path
+ */
+
+const multer = require('multer');
+const path = require('path');
+const { MAX_COLLECTION_FILE_SIZE } = require('../utils/bggCollectionParser');
+
+// File filter - XML or CSV exports only
+const fileFilter = (req, file, cb) => {
+  const allowedExtensions = ['.xml', '.csv'];
+
+  if (allowedExtensions.includes(path.extname(file.originalname).toLowerCase())) {
+    cb(null, true);
+  } else {
+    cb(new Error('Tipo de archivo no válido. Sube la exportación de BGG en XML o CSV'), false);
+  }
+};
+
+// The file is parsed right away and never stored
+const collectionUpload = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: fileFilter,
+  limits: {
+    fileSize: MAX_COLLECTION_FILE_SIZE,
+  },
+});
+
+module.exports = collectionUpload;
@@ -223,3 +223,55 @@ exports.hotGamesValidation = [
     .optional()
     .isInt({ min: 1, max: 50 }).withMessage('El límite debe estar entre 1 y 50'),
 ];
+
+/**
+ * Validaciones para previsualizar la importación de una colección de BGG
+ * (se aplican después de multer, que rellena req.body en peticiones multipart)
+ */
+exports.importPreviewValidation = [
+  body('username')
+    .optional({ values: 'falsy' })
+    .trim()
+    .isLength({ min: 1, max: 50 }).withMessage('Usuario de BGG inválido'),
+
+  body('groupId')
+    .optional({ values: 'falsy' })
+    .isMongoId().withMessage('ID de grupo inválido'),
+];
+
+/**
+ * Validaciones para iniciar la importación de una colección
+ */
+exports.startImportValidation = [
+  body('games')
+    .isArray({ min: 1, max: 1000 }).withMessage('Selecciona entre 1 y 1000 juegos para importar'),
+
+  body('games.*.bggId')
+    .isInt({ min: 1 }).withMessage('ID de BGG inválido'),
+
+  body('games.*.name')
+    .optional()
+    .isString()
+    .isLength({ max: 200 }).withMessage('Nombre de juego demasiado largo'),
+
+  body('groupId')
+    .optional({ values: 'falsy' })
+    .isMongoId().withMessage('ID de grupo inválido'),
+
+  body('source')
+    .optional()
+    .isIn(['bgg-user', 'file']).withMessage('Origen de importación inválido'),
+
+  body('sourceLabel')
+    .optional()
+    .trim()
+    .isLength({ max: 200 }).withMessage('Origen de importación inválido'),
+];
+
+/**
+ * Validaciones para consultar una importación
+ */
+exports.importJobValidation = [
+  param('jobId')
+    .isMongoId().withMessage('ID de importación inválido'),
+];
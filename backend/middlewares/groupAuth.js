@@ -3,9 +3,11 @@
  * @description Verifica membresía y roles de usuario en grupos
  * @module middlewares/groupAuth
  * @requires ../models/Group
+ * @requires ../utils/groupHelpers
  */
 
 const Group = require('../models/Group');
+const { hasGroupPermission } = require('../utils/groupHelpers');
 
 /**
  * Middleware para verificar que el usuario sea miembro del grupo
@@ -126,6 +128,41 @@ const isGroupAdminOrModerator = async (req, res, next) => {
   }
 };
 
+/**
+ * Crea un middleware que exige un permiso del usuario en el grupo (req.params.id)
+ * @param {string} permission - Clave de GROUP_PERMISSIONS (utils/groupHelpers)
+ * @returns {Function} Middleware de Express
+ */
+const requireGroupPermission = (permission) => async (req, res, next) => {
+  try {
+    // Si ya tenemos el grupo del middleware anterior, usarlo
+    let group = req.group;
+
+    if (!group) {
+      group = await Group.findById(req.params.id);
+
+      if (!group || !group.isActive) {
+        return res.status(404).json({
+          success: false,
+          message: 'Grupo no encontrado',
+        });
+      }
+    }
+
+    if (!hasGroupPermission(group, req.user._id, permission)) {
+      return res.status(403).json({
+        success: false,
+        message: 'No tienes permisos para realizar esta acción',
+      });
+    }
+
+    req.group = group;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Middleware para verificar que el usuario sea admin o miembro del grupo
  * Centraliza la lógica duplicada: if (!isAdmin && !isMember)
@@ -184,5 +221,6 @@ module.exports = {
   isGroupMember,
   isGroupAdmin,
   isGroupAdminOrModerator,
+  requireGroupPermission,
   checkGroupAccess,
 };
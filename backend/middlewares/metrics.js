@@ -28,6 +28,46 @@ const httpRequestDuration = new client.Histogram({
   registers: [register],
 });
 
+// Background job queue: depth is read from the queue when Prometheus scrapes
+let readJobQueueDepth = null;
+
+new client.Gauge({
+  name: 'job_queue_depth',
+  help: 'Background jobs queued or running',
+  labelNames: ['type', 'status'],
+  registers: [register],
+  async collect() {
+    if (!readJobQueueDepth) return;
+    const depth = await readJobQueueDepth();
+    this.reset();
+    depth.forEach(({ type, status, count }) => this.set({ type, status }, count));
+  },
+});
+
+// Jobs that finished, by outcome (completed / failed)
+const jobQueueJobsTotal = new client.Counter({
+  name: 'job_queue_jobs_total',
+  help: 'Background jobs finished',
+  labelNames: ['type', 'outcome'],
+  registers: [register],
+});
+
+// Failed attempts, including those that will be retried
+const jobQueueFailuresTotal = new client.Counter({
+  name: 'job_queue_failures_total',
+  help: 'Failed background job attempts',
+  labelNames: ['type'],
+  registers: [register],
+});
+
+/**
+ * Sets where the queue depth gauge reads from
+ * @param {Function} reader - async () => [{ type, status, count }]
+ */
+const setJobQueueDepthReader = (reader) => {
+  readJobQueueDepth = reader;
+};
+
 /**
  * Middleware that records metrics for each request
  */
@@ -69,4 +109,10 @@ const metricsHandler = async (req, res) => {
   res.send(await register.metrics());
 };
 
-module.exports = { metricsMiddleware, metricsHandler };
+module.exports = {
+  metricsMiddleware,
+  metricsHandler,
+  jobQueueJobsTotal,
+  jobQueueFailuresTotal,
+  setJobQueueDepthReader,
+};
@@ -0,0 +1,33 @@
+/**
+ * @fileoverview Plays Upload Middleware
+ * @description Configures multer for play history files (BG Stats JSON / BGG plays XML), kept in memory
+ * @module middlewares/playsUpload
+ * @requires multer
+ * @requires path
+ */
+
+const multer = require('multer');
+const path = require('path');
+const { MAX_PLAYS_FILE_SIZE } = require('../utils/playsImportParser');
+
+// File filter - JSON or XML only
+const fileFilter = (req, file, cb) => {
+  const allowedExtensions = ['.json', '.xml'];
+
+  if (allowedExtensions.includes(path.extname(file.originalname).toLowerCase())) {
+    cb(null, true);
+  } else {
+    cb(new Error('Tipo de archivo no válido. Sube la exportación de BG Stats (JSON) o el historial de BGG (XML)'), false);
+  }
+};
+
+// The file is parsed right away and never stored
+const playsUpload = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: fileFilter,
+  limits: {
+    fileSize: MAX_PLAYS_FILE_SIZE,
+  },
+});
+
+module.exports = playsUpload;
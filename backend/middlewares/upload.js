@@ -1,54 +1,45 @@
 /**
  * @fileoverview Upload Middleware
- * @description Configures multer for game image uploads
+ * @description Configures multer for image uploads (game images and avatars)
  * @module middlewares/upload
  * @requires multer
- * @requires path
- * @requires fs
  */
 
 const multer = require('multer');
-const path = require('path');
-const fs = require('fs');
 
-// Create uploads directory if it doesn't exist
-const uploadsDir = path.join(__dirname, '../uploads/games');
-if (!fs.existsSync(uploadsDir)) {
-  fs.mkdirSync(uploadsDir, { recursive: true });
-}
-
-// Storage configuration
-const storage = multer.diskStorage({
-  destination: function (req, file, cb) {
-    cb(null, uploadsDir);
-  },
-  filename: function (req, file, cb) {
-    // Generate unique name: timestamp-random-originalname
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    const ext = path.extname(file.originalname);
-    const name = path.basename(file.originalname, ext).replace(/\s+/g, '-');
-    cb(null, `${name}-${uniqueSuffix}${ext}`);
-  }
-});
-
-// File filter - images only
-const fileFilter = (req, file, cb) => {
-  const allowedTypes = ['image/jpeg', 'image/jpg', 'image/png', 'image/gif', 'image/webp'];
-  
-  if (allowedTypes.includes(file.mimetype)) {
-    cb(null, true);
-  } else {
-    cb(new Error('Invalid file type. Only images are allowed (JPEG, PNG, GIF, WEBP)'), false);
-  }
-};
+// Kept in memory: imageService checks the content and stores the processed
+// sizes, the upload itself is never written to disk
+const storage = multer.memoryStorage();
 
 // Multer configuration
 const upload = multer({
   storage: storage,
-  fileFilter: fileFilter,
   limits: {
-    fileSize: 5 * 1024 * 1024 // 5MB maximum
+    fileSize: 5 * 1024 * 1024, // 5MB maximum
+    files: 1,
   }
 });
 
+/**
+ * Turns multer errors of an image upload into 400 responses
+ */
+const handleImageUploadError = (err, req, res, next) => {
+  if (err) {
+    if (err.code === 'LIMIT_FILE_SIZE') {
+      return res.status(400).json({
+        success: false,
+        message: 'La imagen no puede superar los 5MB',
+      });
+    }
+    if (err.code === 'LIMIT_FILE_COUNT' || err.code === 'LIMIT_UNEXPECTED_FILE') {
+      return res.status(400).json({
+        success: false,
+        message: 'Solo se puede subir una imagen por petición',
+      });
+    }
+  }
+  next(err);
+};
+
 module.exports = upload;
+module.exports.handleImageUploadError = handleImageUploadError;
@@ -0,0 +1,60 @@
+/**
+ * @fileoverview Account Token Model
+ * @description Single-use tokens sent by email (password reset, email verification)
+ * @module models/AccountToken
+ * @requires mongoose
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Account Token Schema
+ * @typedef {Object} AccountToken
+ * @property {ObjectId} user - User the token was issued to
+ * @property {string} purpose - password-reset or email-verification
+ * @property {string} tokenHash - SHA-256 of the token (the token itself is only in the email)
+ * @property {string} email - Address the token was sent to
+ * @property {Date} expiresAt - When the token stops working
+ * @property {Date} usedAt - When the token was used (tokens work once)
+ */
+const accountTokenSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    purpose: {
+      type: String,
+      enum: ['password-reset', 'email-verification'],
+      required: true,
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    email: {
+      type: String,
+      required: true,
+      lowercase: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    usedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+accountTokenSchema.index({ user: 1, purpose: 1, createdAt: -1 });  // Latest token of a user
+accountTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });  // Expired tokens are deleted by MongoDB
+
+module.exports = mongoose.model('AccountToken', accountTokenSchema);
@@ -0,0 +1,74 @@
+/**
+ * @fileoverview Data Export Model
+ * @description Downloadable archive with all the data of a user (GDPR)
+ * @module models/DataExport
+ * @requires mongoose
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Data Export Schema
+ * @typedef {Object} DataExport
+ * @property {ObjectId} user - User the data belongs to (and who requested it)
+ * @property {string} status - pending, running, ready, failed or expired
+ * @property {string} fileKey - Storage key of the ZIP (exports/...), while it exists
+ * @property {number} size - ZIP size in bytes
+ * @property {Object} counts - Records per file of the archive (profile, groups, matches...)
+ * @property {number} files - Uploaded files included
+ * @property {string} error - Why it failed
+ * @property {Date} expiresAt - When the ZIP is deleted
+ */
+const dataExportSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'running', 'ready', 'failed', 'expired'],
+      default: 'pending',
+    },
+    fileKey: {
+      type: String,
+      default: null,
+    },
+    size: {
+      type: Number,
+      default: 0,
+    },
+    counts: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    files: {
+      type: Number,
+      default: 0,
+    },
+    error: {
+      type: String,
+    },
+    startedAt: {
+      type: Date,
+    },
+    finishedAt: {
+      type: Date,
+    },
+    expiresAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+dataExportSchema.index({ user: 1, createdAt: -1 });  // Exports of a user, newest first
+dataExportSchema.index({ status: 1, expiresAt: 1 });  // Expired archives to delete
+dataExportSchema.index({ createdAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });  // Keep a month of history
+
+module.exports = mongoose.model('DataExport', dataExportSchema);
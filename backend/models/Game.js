@@ -182,15 +182,30 @@ gameSchema.index({ 'stats.timesPlayed': -1, isActive: 1 });  // Most played game
 gameSchema.index({ categories: 1 });  // Filter by category
 gameSchema.index({ minPlayers: 1, maxPlayers: 1 });  // Filter by player count
 
+// Days after which BGG data is re-synced
+const BGG_SYNC_MAX_AGE_DAYS = 30;
+
+const bggStaleDate = () => {
+  const date = new Date();
+  date.setDate(date.getDate() - BGG_SYNC_MAX_AGE_DAYS);
+  return date;
+};
+
 // Method to check if BGG update is needed (30 days)
 gameSchema.methods.needsBGGUpdate = function() {
   if (this.source !== 'bgg') return false;
   if (!this.bggLastSync) return true;
-  
-  const thirtyDaysAgo = new Date();
-  thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
-  
-  return this.bggLastSync < thirtyDaysAgo;
+
+  return this.bggLastSync < bggStaleDate();
+};
+
+// Filter of the active BGG games that need an update (same rule as needsBGGUpdate)
+gameSchema.statics.staleBGGFilter = function() {
+  return {
+    source: 'bgg',
+    isActive: true,
+    $or: [{ bggLastSync: null }, { bggLastSync: { $lt: bggStaleDate() } }],
+  };
 };
 
 // Virtual to get formatted playing time
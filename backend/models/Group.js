@@ -9,6 +9,31 @@
 const mongoose = require('mongoose');
 const crypto = require('crypto');
 
+/**
+ * Scoring rules shared by the group profile and its per-game overrides
+ * positionPoints[0] is the points for 1st place; positions outside the table get participationPoints
+ */
+const scoringRulesFields = {
+  positionPoints: {
+    type: [Number],
+    default: undefined,
+  },
+  participationPoints: {
+    type: Number,
+    min: [0, 'Los puntos de participación no pueden ser negativos'],
+  },
+  bonuses: {
+    winner: {
+      type: Number,
+      min: [0, 'Las bonificaciones no pueden ser negativas'],
+    },
+    highestScore: {
+      type: Number,
+      min: [0, 'Las bonificaciones no pueden ser negativas'],
+    },
+  },
+};
+
 /**
  * Group Schema
  * @typedef {Object} Group
@@ -33,7 +58,7 @@ const groupSchema = new mongoose.Schema(
     },
     avatar: {
       type: String,
-      default: 'https://via.placeholder.com/200',
+      default: '',
     },
     inviteCode: {
       type: String,
@@ -77,6 +102,30 @@ const groupSchema = new mongoose.Schema(
         type: Boolean,
         default: false,
       },
+      // Scoring profile (missing fields fall back to the standard 10/5/2/1 table)
+      scoring: {
+        name: {
+          type: String,
+          trim: true,
+          maxlength: [50, 'El nombre del perfil no puede exceder 50 caracteres'],
+        },
+        ...scoringRulesFields,
+        // Incremented on every change so finished matches can record which version scored them
+        version: {
+          type: Number,
+          default: 0,
+        },
+        gameOverrides: [
+          {
+            game: {
+              type: mongoose.Schema.Types.ObjectId,
+              ref: 'Game',
+              required: true,
+            },
+            ...scoringRulesFields,
+          },
+        ],
+      },
     },
     stats: {
       totalMatches: {
@@ -0,0 +1,77 @@
+/**
+ * @fileoverview Group Invitation Model
+ * @description Invitation of a person to a group, sent by email, that the invitee accepts or declines
+ * @module models/GroupInvitation
+ * @requires mongoose
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Group Invitation Schema
+ * @typedef {Object} GroupInvitation
+ * @property {ObjectId} group - Group the person is invited to
+ * @property {ObjectId} invitedBy - Admin who sent it
+ * @property {string} email - Address it was sent to
+ * @property {ObjectId} invitee - Invited user; null until someone signs up with the email
+ * @property {boolean} claimedAtSignup - Sent before the invitee had an account (accepting it needs the email verified)
+ * @property {string} status - pending, accepted, declined, revoked (by an admin) or expired (replaced after expiring)
+ * @property {Date} expiresAt - When it can no longer be accepted
+ * @property {Date} respondedAt - When it was accepted, declined or revoked
+ */
+const groupInvitationSchema = new mongoose.Schema(
+  {
+    group: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Group',
+      required: true,
+    },
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    email: {
+      type: String,
+      required: true,
+      lowercase: true,
+      trim: true,
+    },
+    invitee: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    claimedAtSignup: {
+      type: Boolean,
+      default: false,
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'accepted', 'declined', 'revoked', 'expired'],
+      default: 'pending',
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    respondedAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+groupInvitationSchema.index({ group: 1, status: 1, createdAt: -1 });  // Outstanding invitations of a group
+groupInvitationSchema.index({ invitee: 1, status: 1 });  // Invitations of a user
+groupInvitationSchema.index({ email: 1, status: 1 });  // Invitations waiting for someone to sign up
+groupInvitationSchema.index(
+  { group: 1, email: 1 },
+  { unique: true, partialFilterExpression: { status: 'pending' } }
+);  // One pending invitation per address and group
+groupInvitationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });  // Kept a month after expiring
+
+module.exports = mongoose.model('GroupInvitation', groupInvitationSchema);
@@ -0,0 +1,128 @@
+/**
+ * @fileoverview Import Job Model
+ * @description Progress of a bulk import (BGG games into a library, or past matches into a group)
+ * @module models/ImportJob
+ * @requires mongoose
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Game or play of the import that could not be added
+ */
+const importFailureSchema = new mongoose.Schema(
+  {
+    bggId: {
+      type: Number,
+    },
+    name: {
+      type: String,
+    },
+    message: {
+      type: String,
+    },
+  },
+  { _id: false }
+);
+
+/**
+ * Import Job Schema
+ * @typedef {Object} ImportJob
+ * @property {string} type - What is imported: games (library) or matches (group history)
+ * @property {ObjectId} user - User who started the import (owner of the added games)
+ * @property {ObjectId} group - Target group (null = personal library)
+ * @property {string} source - Where the list came from: bgg-user or file for games, bgstats or bgg-plays for matches
+ * @property {string} sourceLabel - BGG username or file name
+ * @property {string} status - pending, running, completed or failed
+ * @property {number} total - Games or plays to process
+ * @property {number} processed - Processed so far
+ * @property {number} imported - Games or matches added
+ * @property {number} skipped - Already there (game in the library, play imported before)
+ * @property {Array} failures - Games or plays that could not be added
+ * @property {string} dataKey - Storage key of the parsed plays of a match import, until it ends
+ */
+const importJobSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: ['games', 'matches'],
+      default: 'games',
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    group: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Group',
+      default: null,
+    },
+    source: {
+      type: String,
+      enum: ['bgg-user', 'file', 'bgstats', 'bgg-plays'],
+      required: true,
+    },
+    sourceLabel: {
+      type: String,
+      trim: true,
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'running', 'completed', 'failed'],
+      default: 'pending',
+    },
+    games: {
+      type: [
+        {
+          _id: false,
+          bggId: Number,
+          name: String,
+        },
+      ],
+      default: [],
+    },
+    total: {
+      type: Number,
+      default: 0,
+    },
+    processed: {
+      type: Number,
+      default: 0,
+    },
+    imported: {
+      type: Number,
+      default: 0,
+    },
+    skipped: {
+      type: Number,
+      default: 0,
+    },
+    failures: {
+      type: [importFailureSchema],
+      default: [],
+    },
+    error: {
+      type: String,
+    },
+    dataKey: {
+      type: String,
+      default: null,
+    },
+    startedAt: {
+      type: Date,
+    },
+    finishedAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+importJobSchema.index({ user: 1, createdAt: -1 });  // Imports of a user, newest first
+importJobSchema.index({ createdAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });  // Keep a week of history
+
+module.exports = mongoose.model('ImportJob', importJobSchema);
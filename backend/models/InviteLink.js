@@ -0,0 +1,84 @@
+/**
+ * @fileoverview Invite Link Model
+ * @description Shareable link to join a group, with an expiry date, an optional use limit and a role for those who join
+ * @module models/InviteLink
+ * @requires mongoose
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Invite Link Schema
+ * @typedef {Object} InviteLink
+ * @property {ObjectId} group - Group the link joins
+ * @property {ObjectId} createdBy - Admin who created it
+ * @property {string} token - Random part of the link URL
+ * @property {string} role - Role given to those who join with it (member or moderator)
+ * @property {number} maxUses - How many people can join with it (null: no limit)
+ * @property {number} uses - How many people have joined with it
+ * @property {Date} expiresAt - When it stops working
+ * @property {Date} revokedAt - When an admin revoked it
+ * @property {ObjectId} revokedBy - Admin who revoked it
+ */
+const inviteLinkSchema = new mongoose.Schema(
+  {
+    group: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Group',
+      required: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    token: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    role: {
+      type: String,
+      enum: ['member', 'moderator'],
+      default: 'member',
+    },
+    maxUses: {
+      type: Number,
+      min: 1,
+      default: null,
+    },
+    uses: {
+      type: Number,
+      default: 0,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    revokedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Instance method: active, expired, exhausted (no uses left) or revoked
+inviteLinkSchema.methods.getStatus = function () {
+  if (this.revokedAt) return 'revoked';
+  if (this.expiresAt <= new Date()) return 'expired';
+  if (this.maxUses !== null && this.uses >= this.maxUses) return 'exhausted';
+  return 'active';
+};
+
+// Indexes
+inviteLinkSchema.index({ group: 1, createdAt: -1 });  // Links of a group
+inviteLinkSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });  // Kept a month after expiring
+
+module.exports = mongoose.model('InviteLink', inviteLinkSchema);
@@ -0,0 +1,96 @@
+/**
+ * @fileoverview Job Model
+ * @description Background job of the queue (BGG sync, imports, stats rebuilds)
+ * @module models/Job
+ * @requires mongoose
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Job Schema
+ * @typedef {Object} Job
+ * @property {string} type - Handler that runs the job (e.g. bgg-sync, stats-rebuild)
+ * @property {Object} payload - Input of the handler
+ * @property {string} status - queued, running, completed or failed
+ * @property {number} attempts - Times the job has been started
+ * @property {number} maxAttempts - Attempts before the job is given up
+ * @property {Date} runAt - Earliest time the job can start (pushed back on retries)
+ * @property {Date} lockedAt - Last heartbeat of the worker running the job
+ * @property {string} lastError - Error of the last failed attempt
+ * @property {Object} result - Output of the handler
+ * @property {ObjectId} createdBy - User who requested the job (null for scheduled jobs)
+ * @property {string} lock - Singleton jobs only: jobs with the same lock never run at the same time
+ * @property {Date} finishedAt - When the job completed or was given up
+ */
+const jobSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    status: {
+      type: String,
+      enum: ['queued', 'running', 'completed', 'failed'],
+      default: 'queued',
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    maxAttempts: {
+      type: Number,
+      default: 3,
+      min: 1,
+    },
+    runAt: {
+      type: Date,
+      default: Date.now,
+    },
+    lockedAt: {
+      type: Date,
+    },
+    lastError: {
+      type: String,
+    },
+    result: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    finishedAt: {
+      type: Date,
+    },
+    lock: {
+      type: String,
+    },
+  },
+  {
+    timestamps: true,
+    minimize: false,
+  }
+);
+
+// Indexes
+jobSchema.index({ status: 1, runAt: 1 });  // Next job to run
+jobSchema.index({ type: 1, status: 1 });  // Queue depth by type, pending jobs of a type
+// At most one queued job of each singleton type, and one running job per lock
+jobSchema.index(
+  { type: 1 },
+  { unique: true, partialFilterExpression: { status: 'queued', lock: { $exists: true } } }
+);
+jobSchema.index(
+  { lock: 1 },
+  { unique: true, partialFilterExpression: { status: 'running', lock: { $exists: true } } }
+);
+jobSchema.index({ finishedAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });  // Keep a week of finished jobs
+
+module.exports = mongoose.model('Job', jobSchema);
@@ -0,0 +1,70 @@
+/**
+ * @fileoverview Join Request Model
+ * @description Request to join a group that requires approval, reviewed by its admins and moderators
+ * @module models/JoinRequest
+ * @requires mongoose
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Join Request Schema
+ * @typedef {Object} JoinRequest
+ * @property {ObjectId} group - Group the user wants to join
+ * @property {ObjectId} user - User who asked to join
+ * @property {string} status - pending, approved, rejected or cancelled (by the requester)
+ * @property {string} message - Optional note from the requester to the group admins
+ * @property {ObjectId} reviewedBy - Admin or moderator who approved or rejected it
+ * @property {Date} reviewedAt - When it was approved or rejected
+ * @property {string} rejectionReason - Why it was rejected, shown to the requester
+ */
+const joinRequestSchema = new mongoose.Schema(
+  {
+    group: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Group',
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'approved', 'rejected', 'cancelled'],
+      default: 'pending',
+    },
+    message: {
+      type: String,
+      trim: true,
+      maxlength: [300, 'El mensaje no puede exceder 300 caracteres'],
+      default: '',
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    reviewedAt: {
+      type: Date,
+    },
+    rejectionReason: {
+      type: String,
+      trim: true,
+      maxlength: [300, 'El motivo no puede exceder 300 caracteres'],
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+joinRequestSchema.index({ group: 1, status: 1, createdAt: 1 });  // Review queue of a group, oldest first
+joinRequestSchema.index({ user: 1, createdAt: -1 });  // Requests of a user
+joinRequestSchema.index(
+  { group: 1, user: 1 },
+  { unique: true, partialFilterExpression: { status: 'pending' } }
+);  // One pending request per user and group
+
+module.exports = mongoose.model('JoinRequest', joinRequestSchema);
@@ -7,6 +7,61 @@
 
 const mongoose = require('mongoose');
 
+/**
+ * Snapshot of a match's results, kept in the correction audit trail
+ */
+const resultsSnapshotSchema = new mongoose.Schema(
+  {
+    mode: {
+      type: String,
+    },
+    players: [
+      {
+        _id: false,
+        user: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User',
+        },
+        position: {
+          type: Number,
+        },
+        score: {
+          type: Number,
+        },
+        pointsEarned: {
+          type: Number,
+        },
+        team: {
+          type: mongoose.Schema.Types.ObjectId,
+        },
+      },
+    ],
+    teams: [
+      {
+        name: {
+          type: String,
+        },
+        position: {
+          type: Number,
+        },
+        score: {
+          type: Number,
+        },
+      },
+    ],
+    winners: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+    ],
+    cooperativeResult: {
+      type: String,
+    },
+  },
+  { _id: false }
+);
+
 /**
  * Match Schema
  * @typedef {Object} Match
@@ -14,8 +69,14 @@ const mongoose = require('mongoose');
  * @property {ObjectId} group - Group where the match is played
  * @property {Date} scheduledDate - Scheduled date
  * @property {string} status - Status (programada/en_curso/finalizada/cancelada)
+ * @property {string} mode - Match mode (individual/teams/cooperative)
  * @property {Array} players - Participating players
- * @property {ObjectId} winner - Match winner
+ * @property {Array} teams - Teams with their position and score (teams mode)
+ * @property {string} cooperativeResult - Shared result (cooperative mode: win/loss)
+ * @property {ObjectId} winner - Match winner, when there is exactly one
+ * @property {Array} winners - All players in 1st place (several on a tie)
+ * @property {Array} resultCorrections - Corrections of the results after finishing (audit trail)
+ * @property {Object} importSource - Play this match was imported from (BG Stats / BGG plays)
  */
 const matchSchema = new mongoose.Schema(
   {
@@ -46,6 +107,11 @@ const matchSchema = new mongoose.Schema(
       trim: true,
       maxlength: [200, 'La ubicación no puede exceder 200 caracteres'],
     },
+    mode: {
+      type: String,
+      enum: ['individual', 'teams', 'cooperative'],
+      default: 'individual',
+    },
     players: [
       {
         user: {
@@ -69,8 +135,34 @@ const matchSchema = new mongoose.Schema(
           type: Number,
           default: 0,
         },
+        // _id of the player's team (teams mode)
+        team: {
+          type: mongoose.Schema.Types.ObjectId,
+        },
+      },
+    ],
+    teams: [
+      {
+        name: {
+          type: String,
+          required: [true, 'El nombre del equipo es obligatorio'],
+          trim: true,
+          maxlength: [50, 'El nombre del equipo no puede exceder 50 caracteres'],
+        },
+        position: {
+          type: Number,
+          min: 1,
+        },
+        score: {
+          type: Number,
+          default: 0,
+        },
       },
     ],
+    cooperativeResult: {
+      type: String,
+      enum: ['win', 'loss'],
+    },
     winner: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User',
@@ -83,6 +175,40 @@ const matchSchema = new mongoose.Schema(
         message: 'El ganador debe ser uno de los jugadores'
       }
     },
+    winners: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+    ],
+    // Snapshot of the scoring profile used when the match was finished
+    scoringProfile: {
+      name: {
+        type: String,
+      },
+      version: {
+        type: Number,
+      },
+      game: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Game',
+      },
+      positionPoints: {
+        type: [Number],
+        default: undefined,
+      },
+      participationPoints: {
+        type: Number,
+      },
+      bonuses: {
+        winner: {
+          type: Number,
+        },
+        highestScore: {
+          type: Number,
+        },
+      },
+    },
     duration: {
       value: {
         type: Number,
@@ -104,6 +230,55 @@ const matchSchema = new mongoose.Schema(
       ref: 'User',
       required: true,
     },
+    // Corrections of a finished match's results; approved ones keep the original and amended results
+    resultCorrections: [
+      {
+        status: {
+          type: String,
+          enum: ['pending', 'approved', 'rejected'],
+          default: 'pending',
+        },
+        requestedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User',
+          required: true,
+        },
+        reason: {
+          type: String,
+          trim: true,
+          maxlength: [500, 'El motivo no puede exceder 500 caracteres'],
+        },
+        // Results as sent by the requester (same fields as finishing the match)
+        proposal: {
+          type: mongoose.Schema.Types.Mixed,
+          required: true,
+        },
+        original: resultsSnapshotSchema,
+        amended: resultsSnapshotSchema,
+        reviewedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User',
+        },
+        reviewedAt: {
+          type: Date,
+        },
+        reviewNote: {
+          type: String,
+          trim: true,
+          maxlength: [500, 'La nota no puede exceder 500 caracteres'],
+        },
+      },
+    ],
+    // Origin of a match imported from another app; lets a re-import skip it
+    importSource: {
+      provider: {
+        type: String,
+        enum: ['bgstats', 'bgg'],
+      },
+      externalId: {
+        type: String,
+      },
+    },
   },
   {
     timestamps: true,
@@ -113,11 +288,17 @@ const matchSchema = new mongoose.Schema(
 // Indexes for efficient searches
 matchSchema.index({ group: 1, scheduledDate: -1 });  // Matches by group ordered by date
 matchSchema.index({ group: 1, status: 1, scheduledDate: -1 });  // Filter by group+status+date
+matchSchema.index({ group: 1, status: 1, actualDate: 1 });  // Season rankings (finished matches by date)
 matchSchema.index({ game: 1, status: 1 });  // Statistics by game
 matchSchema.index({ 'players.user': 1, status: 1 });  // User matches by status
 matchSchema.index({ createdBy: 1, createdAt: -1 });  // Matches created by user
 matchSchema.index({ status: 1, scheduledDate: 1 });  // Upcoming scheduled matches
 matchSchema.index({ winner: 1 }, { sparse: true });  // Winner queries (sparse for optimization)
+matchSchema.index({ winners: 1 });  // Winner queries including ties
+matchSchema.index(
+  { group: 1, 'importSource.provider': 1, 'importSource.externalId': 1 },
+  { unique: true, partialFilterExpression: { 'importSource.externalId': { $exists: true } } }
+);  // A play is imported once per group
 
 // Validation: at least 2 players (only on creation or when players is defined)
 matchSchema.pre('save', function (next) {
@@ -0,0 +1,78 @@
+/**
+ * @fileoverview Player Rating Model
+ * @description Skill rating (mu/sigma) of a user, overall, per group and per game
+ * @module models/PlayerRating
+ * @requires mongoose
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Player Rating Schema
+ * @typedef {Object} PlayerRating
+ * @property {ObjectId} user - Rated user
+ * @property {string} scope - Rating scope (global/group/game)
+ * @property {ObjectId} group - Group of the rating (only for group scope)
+ * @property {ObjectId} game - Game of the rating (only for game scope)
+ * @property {number} mu - Estimated skill
+ * @property {number} sigma - Uncertainty of the estimate
+ * @property {number} matches - Rated matches played in this scope
+ */
+const playerRatingSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    scope: {
+      type: String,
+      enum: ['global', 'group', 'game'],
+      required: true,
+    },
+    group: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Group',
+      default: null,
+    },
+    game: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Game',
+      default: null,
+    },
+    mu: {
+      type: Number,
+      required: true,
+    },
+    sigma: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    matches: {
+      type: Number,
+      default: 0,
+    },
+    lastPlayedAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Conservative rating: the skill we are ~99% sure the player has
+playerRatingSchema.virtual('rating').get(function () {
+  return this.mu - 3 * this.sigma;
+});
+
+playerRatingSchema.set('toJSON', { virtuals: true });
+playerRatingSchema.set('toObject', { virtuals: true });
+
+// Indexes
+playerRatingSchema.index({ user: 1, scope: 1, group: 1, game: 1 }, { unique: true });  // One rating per user and scope
+playerRatingSchema.index({ scope: 1, group: 1, mu: -1 });  // Group leaderboards by skill
+playerRatingSchema.index({ scope: 1, game: 1, mu: -1 });  // Game leaderboards by skill
+
+module.exports = mongoose.model('PlayerRating', playerRatingSchema);
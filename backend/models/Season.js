@@ -0,0 +1,124 @@
+/**
+ * @fileoverview Season Model
+ * @description Defines a group's ranking season and its archived final standings
+ * @module models/Season
+ * @requires mongoose
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Frozen ranking entry of a closed season
+ */
+const standingSchema = new mongoose.Schema(
+  {
+    position: {
+      type: Number,
+    },
+    tied: {
+      type: Boolean,
+      default: false,
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    nickname: {
+      type: String,
+    },
+    name: {
+      type: String,
+    },
+    avatar: {
+      type: String,
+    },
+    totalPoints: {
+      type: Number,
+      default: 0,
+    },
+    totalMatches: {
+      type: Number,
+      default: 0,
+    },
+    totalWins: {
+      type: Number,
+      default: 0,
+    },
+    winRate: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    skillRating: {
+      type: Number,
+    },
+    skillMu: {
+      type: Number,
+    },
+    skillSigma: {
+      type: Number,
+    },
+    ratedMatches: {
+      type: Number,
+    },
+  },
+  { _id: false }
+);
+
+/**
+ * Season Schema
+ * A season covers the group's finished matches with actualDate in [startDate, endDate)
+ * @typedef {Object} Season
+ * @property {ObjectId} group - Group of the season
+ * @property {string} name - Season name
+ * @property {Date} startDate - First instant of the season
+ * @property {Date} endDate - End of the season (exclusive)
+ * @property {string} status - open (standings are computed live) or closed (archived)
+ * @property {Array} standings - Final standings, frozen when the season is closed
+ */
+const seasonSchema = new mongoose.Schema(
+  {
+    group: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Group',
+      required: [true, 'El grupo es obligatorio'],
+    },
+    name: {
+      type: String,
+      required: [true, 'El nombre de la temporada es obligatorio'],
+      trim: true,
+      maxlength: [50, 'El nombre no puede exceder 50 caracteres'],
+    },
+    startDate: {
+      type: Date,
+      required: [true, 'La fecha de inicio es obligatoria'],
+    },
+    endDate: {
+      type: Date,
+      required: [true, 'La fecha de fin es obligatoria'],
+    },
+    status: {
+      type: String,
+      enum: ['open', 'closed'],
+      default: 'open',
+    },
+    standings: {
+      type: [standingSchema],
+      default: [],
+    },
+    closedAt: {
+      type: Date,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+seasonSchema.index({ group: 1, startDate: -1 });  // Seasons of a group, newest first
+seasonSchema.index({ group: 1, status: 1, endDate: 1 });  // Ended seasons pending archive
+
+module.exports = mongoose.model('Season', seasonSchema);
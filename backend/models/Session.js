@@ -0,0 +1,75 @@
+/**
+ * @fileoverview Session Model
+ * @description Login session of a user on one device, holding its refresh token
+ * @module models/Session
+ * @requires mongoose
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Session Schema
+ * @typedef {Object} Session
+ * @property {ObjectId} user - Owner of the session
+ * @property {string} refreshTokenHash - SHA-256 of the current refresh token
+ * @property {string} previousTokenHash - SHA-256 of the token it replaced (reuse detection)
+ * @property {string} userAgent - User-Agent of the last request that used the session
+ * @property {string} ip - IP of the last request that used the session
+ * @property {Date} lastUsedAt - Last login, refresh or authenticated request
+ * @property {Date} expiresAt - When the refresh token stops working (renewed on each refresh)
+ * @property {Date} revokedAt - When the session was closed (logout, revoke, password change)
+ * @property {string} revokedReason - logout, revoked, password-change, token-reuse or account-deletion
+ */
+const sessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    refreshTokenHash: {
+      type: String,
+      required: true,
+      select: false,
+    },
+    previousTokenHash: {
+      type: String,
+      select: false,
+    },
+    userAgent: {
+      type: String,
+      default: '',
+      maxlength: 500,
+    },
+    ip: {
+      type: String,
+      default: '',
+    },
+    lastUsedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    revokedReason: {
+      type: String,
+      enum: ['logout', 'revoked', 'password-change', 'token-reuse', 'account-deletion', null],
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+sessionSchema.index({ user: 1, revokedAt: 1, lastUsedAt: -1 });  // Active sessions of a user
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });  // Expired sessions are deleted by MongoDB
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -16,9 +16,14 @@ const bcrypt = require('bcryptjs');
  * @property {string} name - Full name
  * @property {string} email - Unique email
  * @property {string} password - Hashed password
- * @property {string} avatar - Avatar URL
+ * @property {boolean} emailVerified - Whether the user followed the verification link sent to their email
+ * @property {Date} emailVerifiedAt - When the email was verified
+ * @property {string} avatar - Avatar URL (empty: the app shows the initials)
  * @property {Object} stats - Player statistics
  * @property {ObjectId[]} groups - Groups the user belongs to
+ * @property {string} role - Platform role (user/admin)
+ * @property {Object} deletion - Account deletion: requestedAt, scheduledFor (end of the
+ *   grace period), anonymizedAt and the report of what was anonymized
  */
 const userSchema = new mongoose.Schema(
   {
@@ -48,6 +53,8 @@ const userSchema = new mongoose.Schema(
       trim: true,
       validate: {
         validator: function(v) {
+          // Anonymized accounts keep a placeholder that can't receive mail
+          if (this.deletion?.anonymizedAt) return true;
           // Only letters, numbers, dots, hyphens and underscores before @
           // Allowed domains and extensions .com or .es
           const emailRegex = /^[a-zA-Z0-9._-]+@(gmail|outlook|hotmail|yahoo|icloud|protonmail|live|msn)\.(com|es)$/i;
@@ -56,6 +63,14 @@ const userSchema = new mongoose.Schema(
         message: 'Email inválido. Usa un dominio estándar (gmail, outlook, etc.) con .com o .es'
       },
     },
+    emailVerified: {
+      type: Boolean,
+      default: false,
+    },
+    emailVerifiedAt: {
+      type: Date,
+      default: null,
+    },
     password: {
       type: String,
       required: [true, 'La contraseña es obligatoria'],
@@ -64,7 +79,7 @@ const userSchema = new mongoose.Schema(
     },
     avatar: {
       type: String,
-      default: 'https://via.placeholder.com/150',
+      default: '',
     },
     description: {
       type: String,
@@ -100,6 +115,17 @@ const userSchema = new mongoose.Schema(
       type: Boolean,
       default: true,
     },
+    role: {
+      type: String,
+      enum: ['user', 'admin'],
+      default: 'user',
+    },
+    deletion: {
+      requestedAt: Date,
+      scheduledFor: Date,
+      anonymizedAt: Date,
+      report: mongoose.Schema.Types.Mixed,
+    },
   },
   {
     timestamps: true,
@@ -114,6 +140,7 @@ userSchema.index({ isActive: 1, 'stats.totalPoints': -1 });  // Active users ran
 userSchema.index({ 'stats.totalWins': -1 });  // Ranking by wins
 userSchema.index({ createdAt: -1 });  // Most recent users
 userSchema.index({ name: 'text', nickname: 'text' });  // Text search
+userSchema.index({ 'deletion.scheduledFor': 1 }, { sparse: true });  // Accounts due for anonymization
 
 // Middleware to hash password before saving
 userSchema.pre('save', async function (next) {
@@ -0,0 +1,41 @@
+/**
+ * @fileoverview Rutas de Administración
+ * @description Define endpoints de mantenimiento de la plataforma y cuentas eliminadas (solo administradores)
+ * @module routes/adminRoutes
+ * @requires express
+ * @requires express-validator
+ * @requires ../middlewares/auth
+ * @requires ../controllers/adminController
+ */
+
+const express = require('express');
+const { query } = require('express-validator');
+const { protect, adminOnly } = require('../middlewares/auth');
+const { validate } = require('../middlewares/validator');
+const {
+  previewStatsRebuild,
+  rebuildStats,
+  getDeletedAccounts,
+} = require('../controllers/adminController');
+
+const router = express.Router();
+
+// Validaciones
+const deletedAccountsValidation = [
+  query('status')
+    .optional()
+    .isIn(['pending', 'anonymized', 'all'])
+    .withMessage('Estado inválido (pending, anonymized o all)'),
+];
+
+// All routes require a platform administrator
+router.use(protect, adminOnly);
+
+// Stats rebuild from match history
+router.get('/stats/rebuild', previewStatsRebuild);
+router.post('/stats/rebuild', rebuildStats);
+
+// Deleted and anonymized accounts
+router.get('/deleted-accounts', deletedAccountsValidation, validate, getDeletedAccounts);
+
+module.exports = router;
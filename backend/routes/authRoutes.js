@@ -1,18 +1,45 @@
 /**
  * @fileoverview Rutas de Autenticación
- * @description Define endpoints para registro, login, perfil y gestión de cuenta
+ * @description Define endpoints para registro, login, sesiones, recuperación de contraseña, verificación de email, perfil, exportación de datos y gestión de cuenta
  * @module routes/authRoutes
  * @requires express
  * @requires express-validator
  * @requires ../controllers/authController
  * @requires ../middlewares/auth
+ * @requires ../middlewares/upload
  */
 
 const express = require('express');
-const { body } = require('express-validator');
-const { register, login, getMe, updateProfile, checkNickname, checkEmail, exportUserData, deleteAccount } = require('../controllers/authController');
+const { body, param } = require('express-validator');
+const {
+  register,
+  login,
+  refreshAccessToken,
+  logout,
+  getSessions,
+  revokeSession,
+  revokeAllSessions,
+  changePassword,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification,
+  getMe,
+  updateProfile,
+  uploadAvatar,
+  deleteAvatar,
+  checkNickname,
+  checkEmail,
+  requestDataExport,
+  getLatestDataExport,
+  getDataExport,
+  createDataExportLink,
+  downloadDataExport,
+  deleteAccount,
+} = require('../controllers/authController');
 const { protect } = require('../middlewares/auth');
 const { validate } = require('../middlewares/validator');
+const upload = require('../middlewares/upload');
 
 const router = express.Router();
 
@@ -48,6 +75,46 @@ const loginValidation = [
   body('password').notEmpty().withMessage('La contraseña es obligatoria'),
 ];
 
+const refreshTokenValidation = [
+  body('refreshToken').isString().notEmpty().withMessage('El token de refresco es obligatorio'),
+];
+
+const sessionIdValidation = [param('sessionId').isMongoId().withMessage('ID de sesión inválido')];
+
+const exportIdValidation = [param('exportId').isMongoId().withMessage('ID de exportación inválido')];
+
+const changePasswordValidation = [
+  body('currentPassword').notEmpty().withMessage('La contraseña actual es obligatoria'),
+  body('newPassword')
+    .notEmpty()
+    .withMessage('La nueva contraseña es obligatoria')
+    .isLength({ min: 6 })
+    .withMessage('La contraseña debe tener al menos 6 caracteres'),
+];
+
+const forgotPasswordValidation = [
+  body('email')
+    .trim()
+    .notEmpty()
+    .withMessage('El email es obligatorio')
+    .isEmail()
+    .withMessage('Debe ser un email válido')
+    .normalizeEmail(),
+];
+
+const resetPasswordValidation = [
+  body('token').isString().notEmpty().withMessage('El enlace no es válido'),
+  body('password')
+    .notEmpty()
+    .withMessage('La contraseña es obligatoria')
+    .isLength({ min: 6 })
+    .withMessage('La contraseña debe tener al menos 6 caracteres'),
+];
+
+const verifyEmailValidation = [
+  body('token').isString().notEmpty().withMessage('El enlace no es válido'),
+];
+
 const updateProfileValidation = [
   body('name')
     .optional()
@@ -81,11 +148,28 @@ router.post('/register', registerValidation, validate, register);
 router.post('/login', loginValidation, validate, login);
 router.post('/check-nickname', checkNickname);
 router.post('/check-email', checkEmail);
+router.post('/refresh', refreshTokenValidation, validate, refreshAccessToken);
+router.post('/logout', logout);
+router.post('/forgot-password', forgotPasswordValidation, validate, forgotPassword);
+router.post('/reset-password', resetPasswordValidation, validate, resetPassword);
+router.post('/verify-email', verifyEmailValidation, validate, verifyEmail);
+// Sin protect: el token firmado del enlace identifica la exportación
+router.get('/export/:exportId/download', exportIdValidation, validate, downloadDataExport);
 
 // Protected routes
 router.get('/me', protect, getMe);
+router.get('/sessions', protect, getSessions);
+router.delete('/sessions', protect, revokeAllSessions);
+router.delete('/sessions/:sessionId', protect, sessionIdValidation, validate, revokeSession);
+router.put('/password', protect, changePasswordValidation, validate, changePassword);
+router.post('/resend-verification', protect, resendVerification);
 router.put('/profile', protect, updateProfileValidation, validate, updateProfile);
-router.get('/export-data', protect, exportUserData);
+router.post('/profile/avatar', protect, upload.single('avatar'), upload.handleImageUploadError, uploadAvatar);
+router.delete('/profile/avatar', protect, deleteAvatar);
+router.post('/export', protect, requestDataExport);
+router.get('/export/latest', protect, getLatestDataExport);
+router.get('/export/:exportId', protect, exportIdValidation, validate, getDataExport);
+router.post('/export/:exportId/link', protect, exportIdValidation, validate, createDataExportLink);
 router.delete('/delete-account', protect, deleteAccount);
 
 module.exports = router;
@@ -7,12 +7,14 @@
  * @requires ../middlewares/gameValidator
  * @requires ../controllers/gameController
  * @requires ../controllers/cacheController
+ * @requires ../controllers/collectionImportController
  */
 
 const express = require('express');
 const { protect } = require('../middlewares/auth');
 const { validate } = require('../middlewares/validator');
 const upload = require('../middlewares/upload');
+const collectionUpload = require('../middlewares/collectionUpload');
 const {
   createGameValidation,
   addFromBGGValidation,
@@ -23,6 +25,9 @@ const {
   idParamValidation,
   groupStatsValidation,
   hotGamesValidation,
+  importPreviewValidation,
+  startImportValidation,
+  importJobValidation,
 } = require('../middlewares/gameValidator');
 const {
   searchBGG,
@@ -43,6 +48,11 @@ const {
   invalidateCache,
   clearCache,
 } = require('../controllers/cacheController');
+const {
+  previewImport,
+  startImport,
+  getImportJob,
+} = require('../controllers/collectionImportController');
 
 const router = express.Router();
 
@@ -64,8 +74,8 @@ router.get('/', protect, getGamesValidation, validate, getGames);
 // Specific routes with full paths BEFORE routes with dynamic parameters
 router.get('/stats/:groupId', protect, groupStatsValidation, validate, getGroupGameStats);
 
-// Middleware to handle multer errors
-const handleMulterError = (err, req, res, next) => {
+// Middleware to handle collection export upload errors
+const handleCollectionUploadError = (err, req, res, next) => {
   if (err) {
     if (err.message.includes('Tipo de archivo no válido')) {
       return res.status(400).json({
@@ -76,15 +86,20 @@ const handleMulterError = (err, req, res, next) => {
     if (err.code === 'LIMIT_FILE_SIZE') {
       return res.status(400).json({
         success: false,
-        message: 'La imagen no puede superar los 5MB',
+        message: 'El archivo de colección no puede superar los 2MB',
       });
     }
   }
   next(err);
 };
 
+// Bulk import of a BGG collection
+router.post('/import/preview', protect, collectionUpload.single('file'), handleCollectionUploadError, importPreviewValidation, validate, previewImport);
+router.post('/import', protect, startImportValidation, validate, startImport);
+router.get('/import/:jobId', protect, importJobValidation, validate, getImportJob);
+
 // Routes with dynamic parameters - most specific first
-router.post('/:id/upload-image', protect, idParamValidation, validate, upload.single('image'), handleMulterError, uploadGameImage);
+router.post('/:id/upload-image', protect, idParamValidation, validate, upload.single('image'), upload.handleImageUploadError, uploadGameImage);
 router.put('/:id/sync-bgg', protect, idParamValidation, validate, syncBGGGame);
 router.get('/:id', protect, idParamValidation, validate, getGame);
 router.put('/:id', protect, updateGameValidation, validate, updateGame);
@@ -1,33 +1,79 @@
 /**
  * @fileoverview Rutas de Grupos
- * @description Define endpoints para CRUD de grupos, miembros e invitaciones
+ * @description Define endpoints para CRUD de grupos, miembros y sus roles, transferencia de la administración, solicitudes de ingreso, invitaciones, temporadas e importación de partidas
  * @module routes/groupRoutes
  * @requires express
  * @requires express-validator
  * @requires ../controllers/groupController
+ * @requires ../controllers/invitationController
+ * @requires ../controllers/seasonController
+ * @requires ../controllers/matchImportController
  * @requires ../middlewares/auth
  * @requires ../middlewares/groupAuth
+ * @requires ../middlewares/playsUpload
+ * @requires ../middlewares/upload
  */
 
 const express = require('express');
-const { body, param } = require('express-validator');
+const { body, param, query } = require('express-validator');
 const {
   createGroup,
   getMyGroups,
   getGroup,
   getGroupPublic,
   joinGroup,
+  getMyJoinRequests,
+  cancelJoinRequest,
+  getJoinRequests,
+  approveJoinRequest,
+  rejectJoinRequest,
   updateGroup,
+  uploadGroupAvatar,
+  deleteGroupAvatar,
   regenerateInviteCode,
   getMembers,
   removeMember,
+  updateMemberRole,
+  transferOwnership,
   leaveGroup,
   deleteGroup,
-  inviteUserToGroup,
+  getScoringProfile,
+  updateScoringProfile,
+  resetScoringProfile,
+  setGameScoringProfile,
+  removeGameScoringProfile,
 } = require('../controllers/groupController');
+const {
+  inviteUser,
+  getInvitations,
+  revokeInvitation,
+  createInviteLink,
+  getInviteLinks,
+  revokeInviteLink,
+  getMyInvitations,
+  acceptInvitation,
+  declineInvitation,
+  getInviteLinkPreview,
+  joinWithInviteLink,
+} = require('../controllers/invitationController');
+const {
+  getSeasons,
+  getSeason,
+  createSeason,
+  updateSeason,
+  deleteSeason,
+  closeSeason,
+} = require('../controllers/seasonController');
+const {
+  previewImport: previewMatchImport,
+  startImport: startMatchImport,
+  getImportJob: getMatchImportJob,
+} = require('../controllers/matchImportController');
 const { protect } = require('../middlewares/auth');
-const { isGroupMember, isGroupAdmin } = require('../middlewares/groupAuth');
+const { isGroupMember, isGroupAdmin, requireGroupPermission } = require('../middlewares/groupAuth');
 const { validate } = require('../middlewares/validator');
+const playsUpload = require('../middlewares/playsUpload');
+const upload = require('../middlewares/upload');
 
 const router = express.Router();
 
@@ -79,27 +125,216 @@ const joinGroupValidation = [
     .withMessage('El código debe tener 8 caracteres')
     .isAlphanumeric()
     .withMessage('El código solo puede contener letras y números'),
+  body('message')
+    .optional()
+    .trim()
+    .isLength({ max: 300 })
+    .withMessage('El mensaje no puede exceder 300 caracteres'),
+];
+
+const joinRequestIdValidation = [param('requestId').isMongoId().withMessage('ID de solicitud inválido')];
+
+const groupJoinRequestsValidation = [
+  param('id').isMongoId().withMessage('ID de grupo inválido'),
+  query('status')
+    .optional()
+    .isIn(['pending', 'approved', 'rejected', 'all'])
+    .withMessage('El estado debe ser pending, approved, rejected o all'),
+];
+
+const reviewJoinRequestValidation = [
+  param('id').isMongoId().withMessage('ID de grupo inválido'),
+  ...joinRequestIdValidation,
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 300 })
+    .withMessage('El motivo no puede exceder 300 caracteres'),
+];
+
+const inviteUserValidation = [
+  param('id').isMongoId().withMessage('ID de grupo inválido'),
+  body('email')
+    .trim()
+    .notEmpty()
+    .withMessage('El email es obligatorio')
+    .isEmail()
+    .withMessage('Debe ser un email válido')
+    .normalizeEmail(),
+];
+
+const invitationIdValidation = [param('invitationId').isMongoId().withMessage('ID de invitación inválido')];
+
+const groupInvitationValidation = [
+  param('id').isMongoId().withMessage('ID de grupo inválido'),
+  ...invitationIdValidation,
+];
+
+const createInviteLinkValidation = [
+  param('id').isMongoId().withMessage('ID de grupo inválido'),
+  body('expiresInDays')
+    .optional()
+    .isInt({ min: 1, max: 30 })
+    .withMessage('La caducidad debe estar entre 1 y 30 días')
+    .toInt(),
+  body('maxUses')
+    .optional({ values: 'null' })
+    .isInt({ min: 1, max: 100 })
+    .withMessage('El número de usos debe estar entre 1 y 100')
+    .toInt(),
+  body('role')
+    .optional()
+    .isIn(['member', 'moderator'])
+    .withMessage('El rol debe ser member o moderator'),
+];
+
+const inviteLinkIdValidation = [
+  param('id').isMongoId().withMessage('ID de grupo inválido'),
+  param('linkId').isMongoId().withMessage('ID de enlace inválido'),
+];
+
+const inviteLinkTokenValidation = [
+  param('token').isLength({ min: 16, max: 16 }).withMessage('Enlace de invitación inválido'),
+];
+
+const scoringProfileValidation = [
+  param('id').isMongoId().withMessage('ID de grupo inválido'),
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('El nombre del perfil debe tener entre 1 y 50 caracteres'),
+  body('positionPoints').optional().isArray().withMessage('positionPoints debe ser una lista'),
+  body('participationPoints')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('participationPoints debe ser un número no negativo'),
+  body('bonuses').optional().isObject().withMessage('bonuses debe ser un objeto'),
+];
+
+const gameScoringProfileValidation = [
+  ...scoringProfileValidation,
+  param('gameId').isMongoId().withMessage('ID de juego inválido'),
+];
+
+const seasonIdValidation = [
+  param('id').isMongoId().withMessage('ID de grupo inválido'),
+  param('seasonId').isMongoId().withMessage('ID de temporada inválido'),
+];
+
+const createSeasonValidation = [
+  param('id').isMongoId().withMessage('ID de grupo inválido'),
+  body('name')
+    .trim()
+    .notEmpty()
+    .withMessage('El nombre de la temporada es obligatorio')
+    .isLength({ max: 50 })
+    .withMessage('El nombre no puede exceder 50 caracteres'),
+  body('startDate').isISO8601().withMessage('startDate debe ser una fecha válida'),
+  body('endDate').isISO8601().withMessage('endDate debe ser una fecha válida'),
+];
+
+const updateSeasonValidation = [
+  ...seasonIdValidation,
+  body('name')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('El nombre de la temporada no puede estar vacío')
+    .isLength({ max: 50 })
+    .withMessage('El nombre no puede exceder 50 caracteres'),
+  body('startDate').optional().isISO8601().withMessage('startDate debe ser una fecha válida'),
+  body('endDate').optional().isISO8601().withMessage('endDate debe ser una fecha válida'),
 ];
 
 const idValidation = [param('id').isMongoId().withMessage('ID de grupo inválido')];
 
+const importJobValidation = [
+  param('id').isMongoId().withMessage('ID de grupo inválido'),
+  param('jobId').isMongoId().withMessage('ID de importación inválido'),
+];
+
+// Manejo de errores de subida del historial de partidas
+const handlePlaysUploadError = (err, req, res, next) => {
+  if (err) {
+    if (err.message.includes('Tipo de archivo no válido')) {
+      return res.status(400).json({
+        success: false,
+        message: err.message,
+      });
+    }
+    if (err.code === 'LIMIT_FILE_SIZE') {
+      return res.status(400).json({
+        success: false,
+        message: 'El historial de partidas no puede superar los 10MB',
+      });
+    }
+  }
+  next(err);
+};
+
 const memberValidation = [
   param('id').isMongoId().withMessage('ID de grupo inválido'),
   param('userId').isMongoId().withMessage('ID de usuario inválido'),
 ];
 
+const memberRoleValidation = [
+  ...memberValidation,
+  body('role')
+    .isIn(['member', 'moderator'])
+    .withMessage('El rol debe ser member o moderator'),
+];
+
+const transferOwnershipValidation = [
+  param('id').isMongoId().withMessage('ID de grupo inválido'),
+  body('userId').isMongoId().withMessage('ID de usuario inválido'),
+];
+
 // Public routes (no authentication)
 router.get('/public/:id', idValidation, validate, getGroupPublic);
+router.get('/invite-links/:token', inviteLinkTokenValidation, validate, getInviteLinkPreview);
 
 // Protected routes - Specific routes first
 router.post('/', protect, createGroupValidation, validate, createGroup);
 router.get('/', protect, getMyGroups);
 router.post('/join', protect, joinGroupValidation, validate, joinGroup);
+router.get('/join-requests/mine', protect, getMyJoinRequests);
+router.delete('/join-requests/:requestId', protect, joinRequestIdValidation, validate, cancelJoinRequest);
+router.get('/invitations/mine', protect, getMyInvitations);
+router.post('/invitations/:invitationId/accept', protect, invitationIdValidation, validate, acceptInvitation);
+router.post('/invitations/:invitationId/decline', protect, invitationIdValidation, validate, declineInvitation);
+router.post('/invite-links/:token/join', protect, inviteLinkTokenValidation, validate, joinWithInviteLink);
 
 // Routes with specific parameters (before generic :id routes)
 router.put('/:id/invite-code', protect, idValidation, validate, isGroupAdmin, regenerateInviteCode);
-router.post('/:id/invite', protect, idValidation, validate, isGroupAdmin, inviteUserToGroup);
+router.post('/:id/avatar', protect, idValidation, validate, isGroupAdmin, upload.single('avatar'), upload.handleImageUploadError, uploadGroupAvatar);
+router.delete('/:id/avatar', protect, idValidation, validate, isGroupAdmin, deleteGroupAvatar);
+router.post('/:id/invite', protect, inviteUserValidation, validate, isGroupAdmin, inviteUser);
+router.get('/:id/invitations', protect, idValidation, validate, isGroupAdmin, getInvitations);
+router.delete('/:id/invitations/:invitationId', protect, groupInvitationValidation, validate, isGroupAdmin, revokeInvitation);
+router.post('/:id/invite-links', protect, createInviteLinkValidation, validate, isGroupAdmin, createInviteLink);
+router.get('/:id/invite-links', protect, idValidation, validate, isGroupAdmin, getInviteLinks);
+router.delete('/:id/invite-links/:linkId', protect, inviteLinkIdValidation, validate, isGroupAdmin, revokeInviteLink);
 router.delete('/:id/members/:userId', protect, memberValidation, validate, isGroupAdmin, removeMember);
+router.put('/:id/members/:userId/role', protect, memberRoleValidation, validate, isGroupAdmin, updateMemberRole);
+router.post('/:id/transfer', protect, transferOwnershipValidation, validate, isGroupAdmin, transferOwnership);
+router.get('/:id/join-requests', protect, groupJoinRequestsValidation, validate, requireGroupPermission('reviewJoinRequests'), getJoinRequests);
+router.post('/:id/join-requests/:requestId/approve', protect, reviewJoinRequestValidation, validate, requireGroupPermission('reviewJoinRequests'), approveJoinRequest);
+router.post('/:id/join-requests/:requestId/reject', protect, reviewJoinRequestValidation, validate, requireGroupPermission('reviewJoinRequests'), rejectJoinRequest);
+router.get('/:id/scoring-profile', protect, idValidation, validate, isGroupMember, getScoringProfile);
+router.put('/:id/scoring-profile', protect, scoringProfileValidation, validate, isGroupAdmin, updateScoringProfile);
+router.delete('/:id/scoring-profile', protect, idValidation, validate, isGroupAdmin, resetScoringProfile);
+router.put('/:id/scoring-profile/games/:gameId', protect, gameScoringProfileValidation, validate, isGroupAdmin, setGameScoringProfile);
+router.delete('/:id/scoring-profile/games/:gameId', protect, gameScoringProfileValidation, validate, isGroupAdmin, removeGameScoringProfile);
+router.get('/:id/seasons', protect, idValidation, validate, isGroupMember, getSeasons);
+router.post('/:id/seasons', protect, createSeasonValidation, validate, isGroupAdmin, createSeason);
+router.get('/:id/seasons/:seasonId', protect, seasonIdValidation, validate, isGroupMember, getSeason);
+router.put('/:id/seasons/:seasonId', protect, updateSeasonValidation, validate, isGroupAdmin, updateSeason);
+router.delete('/:id/seasons/:seasonId', protect, seasonIdValidation, validate, isGroupAdmin, deleteSeason);
+router.post('/:id/seasons/:seasonId/close', protect, seasonIdValidation, validate, isGroupAdmin, closeSeason);
+router.post('/:id/matches/import/preview', protect, idValidation, validate, isGroupAdmin, playsUpload.single('file'), handlePlaysUploadError, previewMatchImport);
+router.post('/:id/matches/import', protect, idValidation, validate, isGroupAdmin, playsUpload.single('file'), handlePlaysUploadError, startMatchImport);
+router.get('/:id/matches/import/:jobId', protect, importJobValidation, validate, isGroupAdmin, getMatchImportJob);
 
 // Routes that require being a group member
 router.get('/:id', protect, idValidation, validate, isGroupMember, getGroup);
@@ -0,0 +1,27 @@
+/**
+ * @fileoverview Rutas de Trabajos en segundo plano
+ * @description Define el endpoint de estado de los trabajos de la cola
+ * @module routes/jobRoutes
+ * @requires express
+ * @requires express-validator
+ * @requires ../middlewares/auth
+ * @requires ../controllers/jobController
+ */
+
+const express = require('express');
+const { param } = require('express-validator');
+const { protect } = require('../middlewares/auth');
+const { validate } = require('../middlewares/validator');
+const { getJob } = require('../controllers/jobController');
+
+const router = express.Router();
+
+// Todas las rutas requieren autenticación
+router.use(protect);
+
+const jobIdValidation = [param('id').isMongoId().withMessage('ID de trabajo inválido')];
+
+// Estado de un trabajo (sincronización BGG, recálculo de estadísticas...)
+router.get('/:id', jobIdValidation, validate, getJob);
+
+module.exports = router;
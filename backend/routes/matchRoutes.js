@@ -11,15 +11,22 @@ const express = require('express');
 const { protect } = require('../middlewares/auth');
 const {
   createMatch,
+  logPlayedMatch,
   getMatches,
   getMatch,
   updateMatch,
   finishMatch,
+  requestResultCorrection,
+  getResultCorrections,
+  approveResultCorrection,
+  rejectResultCorrection,
   confirmAttendance,
   cancelAttendance,
   deleteMatch,
   getGlobalRanking,
   getGroupRanking,
+  getGameLeaderboard,
+  getHeadToHead,
 } = require('../controllers/matchController');
 
 const router = express.Router();
@@ -27,13 +34,20 @@ const router = express.Router();
 // Ranking routes
 router.get('/ranking/global', protect, getGlobalRanking);
 router.get('/ranking/group/:groupId', protect, getGroupRanking);
+router.get('/ranking/group/:groupId/game/:gameId', protect, getGameLeaderboard);
+router.get('/ranking/group/:groupId/head-to-head', protect, getHeadToHead);
 
 // Protected routes
 router.post('/', protect, createMatch);
+router.post('/played', protect, logPlayedMatch);
 router.get('/', protect, getMatches);
 router.get('/:id', protect, getMatch);
 router.put('/:id', protect, updateMatch);
 router.post('/:id/finish', protect, finishMatch);
+router.get('/:id/corrections', protect, getResultCorrections);
+router.post('/:id/corrections', protect, requestResultCorrection);
+router.post('/:id/corrections/:correctionId/approve', protect, approveResultCorrection);
+router.post('/:id/corrections/:correctionId/reject', protect, rejectResultCorrection);
 router.post('/:id/confirm', protect, confirmAttendance);
 router.delete('/:id/confirm', protect, cancelAttendance);
 router.delete('/:id', protect, deleteMatch);
@@ -0,0 +1,165 @@
+/**
+ * Script para mover las imágenes subidas del disco local al almacenamiento configurado (S3)
+ * Copia los archivos que falten en el bucket y actualiza las URLs guardadas en juegos, usuarios y grupos
+ * Sin --apply solo muestra lo que haría; con --delete-local borra además los archivos locales copiados
+ * Ejecutar con: STORAGE_DRIVER=s3 node scripts/migrate-uploads.js [--apply] [--delete-local]
+ */
+
+const path = require('path');
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Game = require('../models/Game');
+const User = require('../models/User');
+const Group = require('../models/Group');
+const storage = require('../services/storageService');
+const LocalStorage = require('../services/storageService.local');
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/tabletopmastering';
+const APPLY = process.argv.includes('--apply');
+const DELETE_LOCAL = process.argv.includes('--delete-local');
+
+// Carpetas de uploads/ que se migran
+const PREFIXES = ['games/', 'avatars/'];
+
+const CONTENT_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+};
+
+/**
+ * Copia los archivos locales que aún no están en el almacenamiento destino
+ * @returns {object} { copied, present, keys: claves disponibles en el destino }
+ */
+async function copyFiles(local) {
+  let copied = 0;
+  let present = 0;
+  const keys = [];
+
+  for (const prefix of PREFIXES) {
+    for (const { key } of await local.list(prefix)) {
+      if (key.endsWith('.tmp')) continue;
+
+      if (await storage.exists(key)) {
+        present++;
+      } else {
+        if (APPLY) {
+          const contentType = CONTENT_TYPES[path.extname(key).toLowerCase()] || 'application/octet-stream';
+          await storage.put(key, await local.get(key), contentType);
+        }
+        copied++;
+        console.log(`   ⬆️  ${key}`);
+      }
+      keys.push(key);
+    }
+  }
+  return { copied, present, keys };
+}
+
+/**
+ * URL nueva de un archivo migrado, o null si no cambia
+ * (con un bucket privado las URLs no cambian: la API redirige /uploads)
+ */
+function migratedUrl(local, url) {
+  const key = local.keyFromUrl(url);
+  if (!key) return null;
+
+  const origin = url.slice(0, url.indexOf('/uploads/'));
+  const newUrl = storage.getUrl(key, origin);
+  return newUrl !== url ? newUrl : null;
+}
+
+/**
+ * Cambia a la nueva URL las imágenes de un modelo que apuntan a archivos migrados
+ * @param {object} local - Driver local
+ * @param {Model} Model - Modelo con imágenes (Game, User o Group)
+ * @param {Array<string>} fields - Campos con URLs de imágenes
+ * @param {string} label - Campo que identifica cada documento en la salida
+ * @returns {number} Documentos actualizados
+ */
+async function updateUrls(local, Model, fields, label) {
+  let updated = 0;
+  const docs = await Model.find({ $or: fields.map(field => ({ [field]: /\/uploads\// })) })
+    .select([label, ...fields].join(' '))
+    .lean();
+
+  for (const doc of docs) {
+    const changes = {};
+    for (const field of fields) {
+      const url = migratedUrl(local, doc[field]);
+      if (url) changes[field] = url;
+    }
+
+    if (Object.keys(changes).length > 0) {
+      if (APPLY) await Model.updateOne({ _id: doc._id }, { $set: changes });
+      updated++;
+      console.log(`   🔗 ${doc[label]}: ${Object.values(changes).join(', ')}`);
+    }
+  }
+  return updated;
+}
+
+async function migrateUploads() {
+  if (storage.name === 'local') {
+    console.error('❌ El almacenamiento configurado es el disco local. Define STORAGE_DRIVER=s3 y las variables S3_*');
+    process.exitCode = 1;
+    return;
+  }
+
+  const local = new LocalStorage();
+
+  try {
+    console.log('🔌 Conectando a MongoDB...');
+    await mongoose.connect(MONGODB_URI);
+    console.log('✅ Conectado a MongoDB\n');
+
+    console.log(APPLY ? '📦 MIGRACIÓN DE ARCHIVOS SUBIDOS\n' : '🔍 MIGRACIÓN DE ARCHIVOS SUBIDOS (simulación)\n');
+    console.log('='.repeat(60));
+
+    console.log('\n📁 Archivos');
+    console.log('-'.repeat(40));
+    const { copied, present, keys } = await copyFiles(local);
+    console.log(`   ${copied} por copiar, ${present} ya estaban en el destino`);
+
+    console.log('\n🎲 URLs de juegos');
+    console.log('-'.repeat(40));
+    const games = await updateUrls(local, Game, ['image', 'thumbnail'], 'name');
+    console.log(`   ${games} juegos con URLs nuevas`);
+
+    console.log('\n👤 Avatares de usuarios y grupos');
+    console.log('-'.repeat(40));
+    const users = await updateUrls(local, User, ['avatar'], 'nickname');
+    const groups = await updateUrls(local, Group, ['avatar'], 'name');
+    console.log(`   ${users} usuarios y ${groups} grupos con URLs nuevas`);
+
+    if (APPLY && DELETE_LOCAL) {
+      for (const key of keys) {
+        await local.remove(key);
+      }
+      console.log(`\n🗑️  ${keys.length} archivos locales eliminados`);
+    }
+
+    console.log('\n' + '='.repeat(60));
+    if (APPLY) {
+      console.log('\n✅ Migración completada');
+    } else {
+      console.log('\nℹ️  No se ha escrito nada. Ejecuta con --apply para migrar');
+    }
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+    console.log('\n🔌 Desconectado de MongoDB');
+  }
+}
+
+// Ejecutar si se llama directamente
+if (require.main === module) {
+  migrateUploads();
+}
+
+module.exports = migrateUploads;
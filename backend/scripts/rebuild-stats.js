@@ -0,0 +1,71 @@
+/**
+ * Script para recalcular las estadísticas de usuarios y juegos, y las valoraciones de habilidad, desde el historial de partidas
+ * Muestra siempre las diferencias encontradas y solo las escribe con --apply
+ * Ejecutar con: node scripts/rebuild-stats.js [--apply]
+ */
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const statsRebuildService = require('../services/statsRebuildService');
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/tabletopmastering';
+const APPLY = process.argv.includes('--apply');
+
+const formatStats = (stats) => Object.entries(stats)
+  .map(([key, value]) => `${key}: ${value instanceof Date ? value.toISOString() : value}`)
+  .join(', ');
+
+async function rebuildStats() {
+  try {
+    console.log('🔌 Conectando a MongoDB...');
+    await mongoose.connect(MONGODB_URI);
+    console.log('✅ Conectado a MongoDB\n');
+
+    console.log(APPLY ? '🔧 RECÁLCULO DE ESTADÍSTICAS\n' : '🔍 RECÁLCULO DE ESTADÍSTICAS (simulación)\n');
+    console.log('='.repeat(60));
+
+    const report = await statsRebuildService.rebuildStats({ apply: APPLY });
+
+    console.log(`\n📁 Partidas finalizadas analizadas: ${report.matchesScanned}`);
+
+    const sections = [
+      { title: 'Usuarios', result: report.users },
+      { title: 'Juegos', result: report.games },
+    ];
+
+    for (const { title, result } of sections) {
+      console.log(`\n👥 ${title}: ${result.checked} revisados, ${result.differences.length} con diferencias`);
+      console.log('-'.repeat(40));
+
+      result.differences.forEach((diff) => {
+        console.log(`   ${diff.name} (${diff.userId || diff.gameId})`);
+        console.log(`      actual:   ${formatStats(diff.current)}`);
+        console.log(`      esperado: ${formatStats(diff.expected)}`);
+      });
+    }
+
+    const { ratings } = report;
+    console.log(`\n⭐ Valoraciones: ${ratings.checked} revisadas, ${ratings.changed} con diferencias, ${ratings.removed} sobrantes`);
+
+    console.log('\n' + '='.repeat(60));
+    if (APPLY) {
+      console.log('\n✅ Estadísticas actualizadas');
+    } else {
+      console.log('\nℹ️  No se ha escrito nada. Ejecuta con --apply para guardar los cambios');
+    }
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+    console.log('\n🔌 Desconectado de MongoDB');
+  }
+}
+
+// Ejecutar si se llama directamente
+if (require.main === module) {
+  rebuildStats();
+}
+
+module.exports = rebuildStats;
@@ -12,6 +12,7 @@ const Group = require('../models/Group');
 const Game = require('../models/Game');
 const Match = require('../models/Match');
 const BGGCache = require('../models/BGGCache');
+const PlayerRating = require('../models/PlayerRating');
 
 const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/tabletopmastering';
 
@@ -27,6 +28,7 @@ async function verifyIndexes() {
       { name: 'Game', model: Game },
       { name: 'Match', model: Match },
       { name: 'BGGCache', model: BGGCache },
+      { name: 'PlayerRating', model: PlayerRating },
     ];
 
     console.log('📊 VERIFICACIÓN DE ÍNDICES\n');
@@ -75,6 +77,7 @@ async function verifyIndexes() {
     console.log('  ✅ Game.find({ group, isActive }).sort({ createdAt: -1 }) - Índice compuesto');
     console.log('  ✅ Game.find({ bggId }) - Índice sparse');
     console.log('  ✅ Game.$text({ name, description }) - Índice de texto');
+    console.log('  ✅ PlayerRating.find({ scope, group }).sort({ mu: -1 }) - Índice compuesto');
     console.log('  ✅ BGGCache TTL - Auto-eliminación de caché expirado');
 
     console.log('\n✅ Verificación de índices completada\n');
@@ -8,6 +8,7 @@
  * @requires express-rate-limit
  * @requires morgan
  * @requires ./config/database
+ * @requires ./services/storageService
  * @requires Sentry
  */
 
@@ -18,10 +19,12 @@ const cors = require('cors');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const morgan = require('morgan');
-const path = require('path');
 const connectDB = require('./config/database');
 const { errorHandler, notFound } = require('./middlewares/errorHandler');
 const { metricsMiddleware, metricsHandler } = require('./middlewares/metrics');
+const jobQueue = require('./services/jobQueue');
+const { startBackgroundJobs } = require('./services/backgroundJobs');
+const storage = require('./services/storageService');
 const { createLogger } = require('./utils/logger');
 
 const logger = createLogger('Server');
@@ -31,6 +34,8 @@ const authRoutes = require('./routes/authRoutes');
 const groupRoutes = require('./routes/groupRoutes');
 const gameRoutes = require('./routes/gameRoutes');
 const matchRoutes = require('./routes/matchRoutes');
+const adminRoutes = require('./routes/adminRoutes');
+const jobRoutes = require('./routes/jobRoutes');
 
 // Create Express application
 const app = express();
@@ -52,6 +57,12 @@ Sentry.init({
 // Connect to database
 connectDB();
 
+// Background job worker (BGG sync, imports, stats rebuilds). Set JOB_WORKER=false
+// on instances that should only serve the API
+if (process.env.JOB_WORKER !== 'false') {
+  startBackgroundJobs();
+}
+
 // ============================================
 // BASIC SECURITY
 // ============================================
@@ -99,6 +110,10 @@ const authLimiter = rateLimit({
 // Apply strict rate limiting to authentication routes
 app.use('/api/auth/login', authLimiter);
 app.use('/api/auth/register', authLimiter);
+app.use('/api/auth/password', authLimiter);
+app.use('/api/auth/forgot-password', authLimiter);
+app.use('/api/auth/reset-password', authLimiter);
+app.use('/api/auth/resend-verification', authLimiter);
 
 // ============================================
 // OTHER MIDDLEWARES
@@ -147,8 +162,10 @@ app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 app.use(metricsMiddleware);
 app.get('/metrics', metricsHandler);
 
-// Serve static files (uploaded images)
-app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
+// Serve uploaded images (from disk, or redirected to the S3 bucket). Data
+// exports and match imports live in the private storage; any left in this
+// one are never served
+app.use('/uploads', storage.handler({ hiddenPrefixes: ['exports/', 'imports/'] }));
 
 // Logger only in development
 if (process.env.NODE_ENV === 'development') {
@@ -203,6 +220,8 @@ app.use('/api/auth', authRoutes);
 app.use('/api/groups', groupRoutes);
 app.use('/api/games', gameRoutes);
 app.use('/api/matches', matchRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/jobs', jobRoutes);
 
 // Middleware para rutas no encontradas
 app.use(notFound);
@@ -236,6 +255,7 @@ process.on('unhandledRejection', (err) => {
 
 process.on('SIGTERM', () => {
   logger.info('SIGTERM signal received, closing server...');
+  jobQueue.stop();
   server.close(() => {
     logger.info('Server closed successfully');
   });
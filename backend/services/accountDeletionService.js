@@ -0,0 +1,229 @@
+/**
+ * @fileoverview Account Deletion Service
+ * @description Account deletion by anonymization, with an optional grace period to restore it
+ * @module services/accountDeletionService
+ * @requires ../models/User
+ * @requires ../models/Group
+ * @requires ../models/Match
+ * @requires ../models/Game
+ * @requires ../models/ImportJob
+ * @requires ./sessionService
+ * @requires ./accountService
+ * @requires ./imageService
+ * @requires ./dataExportService
+ * @requires ./joinRequestService
+ * @requires ./invitationService
+ */
+
+const crypto = require('crypto');
+const User = require('../models/User');
+const Group = require('../models/Group');
+const Match = require('../models/Match');
+const Game = require('../models/Game');
+const ImportJob = require('../models/ImportJob');
+const sessionService = require('./sessionService');
+const accountService = require('./accountService');
+const imageService = require('./imageService');
+const dataExportService = require('./dataExportService');
+const joinRequestService = require('./joinRequestService');
+const invitationService = require('./invitationService');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('AccountDeletionService');
+
+/**
+ * A deleted account is not removed: matches, winners and head-to-head
+ * records of other players point at it. Its document becomes a tombstone
+ * named "Jugador eliminado" with every personal field cleared, and it leaves
+ * its groups. With a grace period the account is only deactivated at first;
+ * logging in before it ends restores it, and the account-anonymization job
+ * anonymizes it afterwards.
+ */
+
+const parsedGraceDays = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS, 10);
+const GRACE_DAYS = Number.isNaN(parsedGraceDays) ? 30 : Math.max(parsedGraceDays, 0);
+
+const TOMBSTONE_NAME = 'Jugador eliminado';
+
+// Personal fields cleared from the tombstone (reported to admins)
+const CLEARED_FIELDS = ['name', 'nickname', 'email', 'password', 'avatar', 'description', 'quote'];
+
+/**
+ * Placeholder email of a tombstone (email is required and unique)
+ * @param {string} userId - User ID
+ * @returns {string} Email that can't receive mail
+ */
+const tombstoneEmail = (userId) => `deleted-${userId}@deleted.invalid`;
+
+/**
+ * Whether an account is waiting for the end of its grace period
+ * @param {object} user - User document
+ * @returns {boolean}
+ */
+const isPendingDeletion = (user) => Boolean(user.deletion?.scheduledFor && !user.deletion?.anonymizedAt);
+
+/**
+ * Replaces a user with a tombstone. Safe to run twice (the job may retry it).
+ * @param {string} userId - User ID
+ * @returns {object|null} Anonymization report, or null if there was nothing to do
+ */
+const anonymizeUser = async (userId) => {
+  const user = await User.findById(userId);
+  if (!user || user.deletion?.anonymizedAt) return null;
+
+  const previousAvatar = user.avatar;
+
+  const [groupsResult, matchesKept, gamesResult, importJobsResult] = await Promise.all([
+    Group.updateMany({ 'members.user': userId }, { $pull: { members: { user: userId } } }),
+    Match.countDocuments({ 'players.user': userId }),
+    // Personal collection; games shared in groups stay
+    Game.updateMany({ addedBy: userId, group: null, isActive: true }, { $set: { isActive: false } }),
+    ImportJob.deleteMany({ user: userId }),
+  ]);
+  await sessionService.deleteUserSessions(userId);
+  await accountService.deleteUserTokens(userId);
+  const exportsDeleted = await dataExportService.deleteUserExports(userId);
+  await joinRequestService.deleteUserJoinRequests(userId);
+  await invitationService.deleteUserInvitations(user);
+
+  const now = new Date();
+  const report = {
+    fieldsCleared: CLEARED_FIELDS,
+    groupsLeft: groupsResult.modifiedCount,
+    matchesKept,
+    personalGamesRemoved: gamesResult.modifiedCount,
+    importsDeleted: importJobsResult.deletedCount,
+    exportsDeleted,
+  };
+
+  user.name = TOMBSTONE_NAME;
+  user.nickname = undefined;
+  user.email = tombstoneEmail(user._id);
+  user.password = crypto.randomBytes(32).toString('hex');
+  user.avatar = '';
+  user.description = '';
+  user.quote = '';
+  user.groups = [];
+  user.emailVerified = false;
+  user.emailVerifiedAt = null;
+  user.role = 'user';
+  user.isActive = false;
+  user.deletion = {
+    requestedAt: user.deletion?.requestedAt || now,
+    scheduledFor: user.deletion?.scheduledFor || null,
+    anonymizedAt: now,
+    report,
+  };
+  await user.save();
+
+  if (previousAvatar) {
+    imageService.removeUnreferencedImages([previousAvatar]);
+  }
+
+  logger.info(`User ${userId} anonymized`, report);
+  return report;
+};
+
+/**
+ * Deletes an account: anonymizes it now, or deactivates it until the grace period ends
+ * @param {object} user - User document
+ * @param {object} options - { immediate: skip the grace period }
+ * @returns {object} { anonymized, scheduledFor }
+ */
+const requestDeletion = async (user, { immediate = false } = {}) => {
+  if (immediate || GRACE_DAYS === 0) {
+    await anonymizeUser(user._id);
+    return { anonymized: true, scheduledFor: null };
+  }
+
+  const now = new Date();
+  const scheduledFor = new Date(now.getTime() + GRACE_DAYS * 24 * 60 * 60 * 1000);
+  user.isActive = false;
+  user.deletion = { requestedAt: now, scheduledFor, anonymizedAt: null };
+  await user.save();
+
+  await sessionService.revokeAllSessions(user._id, { reason: 'account-deletion' });
+  return { anonymized: false, scheduledFor };
+};
+
+/**
+ * Cancels a pending deletion (the user logged in during the grace period)
+ * @param {object} user - User document
+ */
+const restoreAccount = async (user) => {
+  if (!isPendingDeletion(user)) {
+    throw { status: 400, message: 'La cuenta no está pendiente de eliminación' };
+  }
+
+  user.isActive = true;
+  user.deletion = undefined;
+  await user.save();
+  logger.info(`User ${user._id} restored during the deletion grace period`);
+};
+
+/**
+ * Anonymizes the accounts whose grace period is over (account-anonymization job)
+ * @returns {object} { anonymized, failed }
+ */
+const anonymizeDueAccounts = async () => {
+  const users = await User.find({
+    'deletion.scheduledFor': { $lte: new Date() },
+    'deletion.anonymizedAt': null,
+  })
+    .select('_id')
+    .lean();
+
+  let anonymized = 0;
+  let failed = 0;
+  for (const { _id } of users) {
+    try {
+      await anonymizeUser(_id);
+      anonymized++;
+    } catch (error) {
+      failed++;
+      logger.error(`Could not anonymize user ${_id}`, error);
+    }
+  }
+  return { anonymized, failed };
+};
+
+/**
+ * Accounts pending deletion and anonymized accounts, newest request first (admins)
+ * @param {string} status - pending, anonymized or all
+ * @returns {Array} Accounts with their deletion record
+ */
+const listDeletedAccounts = async (status = 'all') => {
+  const filter = { 'deletion.requestedAt': { $ne: null } };
+  if (status === 'pending') filter['deletion.anonymizedAt'] = null;
+  if (status === 'anonymized') filter['deletion.anonymizedAt'] = { $ne: null };
+
+  const users = await User.find(filter)
+    .select('name nickname email deletion createdAt')
+    .sort({ 'deletion.requestedAt': -1 })
+    .lean();
+
+  return users.map(user => ({
+    id: user._id,
+    status: user.deletion.anonymizedAt ? 'anonymized' : 'pending',
+    // Pending accounts can still be restored, so their owner is shown
+    name: user.name,
+    nickname: user.deletion.anonymizedAt ? null : user.nickname,
+    email: user.deletion.anonymizedAt ? null : user.email,
+    createdAt: user.createdAt,
+    requestedAt: user.deletion.requestedAt,
+    scheduledFor: user.deletion.scheduledFor,
+    anonymizedAt: user.deletion.anonymizedAt,
+    report: user.deletion.report || null,
+  }));
+};
+
+module.exports = {
+  GRACE_DAYS,
+  TOMBSTONE_NAME,
+  isPendingDeletion,
+  anonymizeUser,
+  requestDeletion,
+  restoreAccount,
+  anonymizeDueAccounts,
+  listDeletedAccounts,
+};
@@ -0,0 +1,224 @@
+/**
+ * @fileoverview Account Service
+ * @description Password reset and email verification through single-use emailed tokens
+ * @module services/accountService
+ * @requires ../models/AccountToken
+ * @requires ../models/User
+ * @requires ./mailService
+ * @requires ./sessionService
+ * @requires ../utils/emailTemplates
+ */
+
+const crypto = require('crypto');
+const AccountToken = require('../models/AccountToken');
+const User = require('../models/User');
+const mailService = require('./mailService');
+const sessionService = require('./sessionService');
+const { clientLink, renderEmail } = require('../utils/emailTemplates');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('AccountService');
+
+/**
+ * Tokens are random, emailed as part of a link to the frontend and stored
+ * only hashed. Issuing a new token of a purpose discards the user's earlier
+ * ones, and using a token marks it used atomically, so each works once.
+ */
+
+const TOKEN_TTL_MS = {
+  'password-reset': 60 * 60 * 1000,
+  'email-verification': 48 * 60 * 60 * 1000,
+};
+
+// Minimum time between two emails of the same purpose to the same address
+const RESEND_COOLDOWN_MS = 60 * 1000;
+
+const INVALID_LINK = {
+  'password-reset': 'El enlace para restablecer la contraseña no es válido o ha caducado',
+  'email-verification': 'El enlace de verificación no es válido o ha caducado',
+};
+
+/**
+ * @param {string} token - Emailed token
+ * @returns {string} SHA-256 hex digest
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+/**
+ * Creates a token for a user, discarding their unused tokens of the same purpose
+ * @param {object} user - User document
+ * @param {string} purpose - password-reset or email-verification
+ * @returns {string} Token to email
+ */
+const issueToken = async (user, purpose) => {
+  const latest = await AccountToken.findOne({ user: user._id, purpose, email: user.email })
+    .sort({ createdAt: -1 })
+    .select('createdAt');
+  if (latest && Date.now() - latest.createdAt.getTime() < RESEND_COOLDOWN_MS) {
+    throw { status: 429, message: 'Acabamos de enviarte un email. Espera un minuto antes de pedir otro' };
+  }
+
+  await AccountToken.deleteMany({ user: user._id, purpose, usedAt: null });
+
+  const token = crypto.randomBytes(32).toString('base64url');
+  await AccountToken.create({
+    user: user._id,
+    purpose,
+    tokenHash: hashToken(token),
+    email: user.email,
+    expiresAt: new Date(Date.now() + TOKEN_TTL_MS[purpose]),
+  });
+  return token;
+};
+
+/**
+ * Marks a token used (atomically, so it works only once)
+ * @param {string} token - Token from the link
+ * @param {string} purpose - password-reset or email-verification
+ * @returns {object} Token document
+ */
+const consumeToken = async (token, purpose) => {
+  const accountToken = await AccountToken.findOneAndUpdate(
+    {
+      tokenHash: hashToken(token),
+      purpose,
+      usedAt: null,
+      expiresAt: { $gt: new Date() },
+    },
+    { $set: { usedAt: new Date() } },
+    { new: true }
+  );
+
+  if (!accountToken) {
+    throw { status: 400, message: INVALID_LINK[purpose] };
+  }
+  return accountToken;
+};
+
+/**
+ * Emails a password reset link. Unknown emails are ignored without telling
+ * the caller, and the email is sent in the background, so the response
+ * doesn't reveal whether an account exists or wait for the mail server.
+ * @param {string} email - Account email
+ */
+const requestPasswordReset = async (email) => {
+  const user = await User.findOne({ email: String(email).toLowerCase().trim(), isActive: true });
+  if (!user) return;
+
+  let token;
+  try {
+    token = await issueToken(user, 'password-reset');
+  } catch (error) {
+    if (error.status === 429) return;
+    throw error;
+  }
+
+  mailService.send({
+    to: user.email,
+    subject: 'Restablece tu contraseña de Tabletop Mastering',
+    ...renderEmail({
+      name: user.name,
+      intro: 'Hemos recibido una solicitud para restablecer tu contraseña.',
+      action: 'Elegir una nueva contraseña',
+      link: clientLink('/reset-password', { token }),
+      outro: 'El enlace caduca en una hora y solo funciona una vez. Si no lo has pedido tú, ignora este email: tu contraseña no cambiará.',
+    }),
+  }).catch(error => logger.error('Error sending password reset email', error));
+};
+
+/**
+ * Sets a new password from a reset link and closes every session of the user
+ * @param {string} token - Token from the link
+ * @param {string} password - New password
+ * @returns {object} User
+ */
+const resetPassword = async (token, password) => {
+  const accountToken = await consumeToken(token, 'password-reset');
+
+  const user = await User.findById(accountToken.user);
+  if (!user || !user.isActive) {
+    throw { status: 400, message: INVALID_LINK['password-reset'] };
+  }
+
+  user.password = password;
+  // Following the link proves the address is the user's
+  if (user.email === accountToken.email && !user.emailVerified) {
+    user.emailVerified = true;
+    user.emailVerifiedAt = new Date();
+  }
+  await user.save();
+
+  await sessionService.revokeAllSessions(user._id, { reason: 'password-change' });
+  return user;
+};
+
+/**
+ * Emails an email verification link to the user's current address
+ * @param {object} user - User document
+ */
+const sendVerificationEmail = async (user) => {
+  if (user.emailVerified) {
+    throw { status: 400, message: 'Tu email ya está verificado' };
+  }
+
+  const token = await issueToken(user, 'email-verification');
+  await mailService.send({
+    to: user.email,
+    subject: 'Confirma tu email de Tabletop Mastering',
+    ...renderEmail({
+      name: user.name,
+      intro: 'Confirma que esta dirección es tuya para poder recuperar tu cuenta si olvidas la contraseña.',
+      action: 'Verificar mi email',
+      link: clientLink('/verify-email', { token }),
+      outro: 'El enlace caduca en 48 horas. Si no has creado una cuenta, ignora este email.',
+    }),
+  });
+};
+
+/**
+ * Sends the verification email without making the caller wait or fail
+ * (registration, email change)
+ * @param {object} user - User document
+ */
+const sendVerificationEmailInBackground = (user) => {
+  sendVerificationEmail(user).catch(error => logger.error('Error sending verification email', error));
+};
+
+/**
+ * Marks the user's email verified from a verification link
+ * @param {string} token - Token from the link
+ * @returns {object} User
+ */
+const verifyEmail = async (token) => {
+  const accountToken = await consumeToken(token, 'email-verification');
+
+  const user = await User.findById(accountToken.user);
+  if (!user || user.email !== accountToken.email) {
+    // The email changed after the link was sent
+    throw { status: 400, message: INVALID_LINK['email-verification'] };
+  }
+
+  if (!user.emailVerified) {
+    user.emailVerified = true;
+    user.emailVerifiedAt = new Date();
+    await user.save();
+  }
+  return user;
+};
+
+/**
+ * Deletes every token of a user (account deletion)
+ * @param {string} userId - User ID
+ */
+const deleteUserTokens = async (userId) => {
+  await AccountToken.deleteMany({ user: userId });
+};
+
+module.exports = {
+  requestPasswordReset,
+  resetPassword,
+  sendVerificationEmail,
+  sendVerificationEmailInBackground,
+  verifyEmail,
+  deleteUserTokens,
+};
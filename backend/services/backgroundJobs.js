@@ -0,0 +1,176 @@
+/**
+ * @fileoverview Background Jobs
+ * @description Handlers and schedules of the job queue
+ * @module services/backgroundJobs
+ * @requires ../models/Game
+ * @requires ../models/ImportJob
+ * @requires ../models/DataExport
+ * @requires ./jobQueue
+ * @requires ./bggGameService
+ * @requires ./collectionImportService
+ * @requires ./matchImportService
+ * @requires ./statsRebuildService
+ * @requires ./ratingService
+ * @requires ./imageService
+ * @requires ./accountDeletionService
+ * @requires ./dataExportService
+ * @requires ./seasonService
+ */
+
+const Game = require('../models/Game');
+const ImportJob = require('../models/ImportJob');
+const DataExport = require('../models/DataExport');
+const jobQueue = require('./jobQueue');
+const bggGameService = require('./bggGameService');
+const collectionImportService = require('./collectionImportService');
+const matchImportService = require('./matchImportService');
+const statsRebuildService = require('./statsRebuildService');
+const ratingService = require('./ratingService');
+const imageService = require('./imageService');
+const accountDeletionService = require('./accountDeletionService');
+const dataExportService = require('./dataExportService');
+const seasonService = require('./seasonService');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('BackgroundJobs');
+
+// Stale BGG games re-synced per run: every sync is a throttled BGG request
+const STALE_SYNC_BATCH = 50;
+
+const UPLOADS_CLEANUP_INTERVAL_MS = 24 * 60 * 60 * 1000;
+
+// Accounts whose deletion grace period ended are anonymized within this time
+const ACCOUNT_ANONYMIZATION_INTERVAL_MS = 60 * 60 * 1000;
+
+const DATA_EXPORT_CLEANUP_INTERVAL_MS = 60 * 60 * 1000;
+
+// Seasons that ended are archived within this time (their standings are live until then)
+const SEASON_ARCHIVE_INTERVAL_MS = 15 * 60 * 1000;
+
+// Both rebuilds replay every rating and write them over the stored ones, so
+// only one of them runs at a time
+const RATING_REPLAY_LOCK = 'rating-replay';
+
+/**
+ * Marks an import as failed once the queue gives up its job
+ * @param {object} payload - { importJobId }
+ */
+const markImportFailed = ({ importJobId }) =>
+  ImportJob.updateOne(
+    { _id: importJobId, status: { $in: ['pending', 'running'] } },
+    { $set: { status: 'failed', error: 'La importación se interrumpió', finishedAt: new Date() } }
+  );
+
+/**
+ * Marks a match import as failed once the queue gives up its job, and drops its parsed plays
+ * @param {object} payload - { importJobId }
+ */
+const markMatchImportFailed = async ({ importJobId }) => {
+  await markImportFailed({ importJobId });
+  await matchImportService.removeImportData(importJobId);
+};
+
+/**
+ * Marks a data export as failed once the queue gives up its job
+ * @param {object} payload - { exportId }
+ */
+const markExportFailed = ({ exportId }) =>
+  DataExport.updateOne(
+    { _id: exportId, status: { $in: ['pending', 'running'] } },
+    { $set: { status: 'failed', error: 'No se pudo generar la exportación', finishedAt: new Date() } }
+  );
+
+/**
+ * Re-syncs the BGG games not synced for BGG_SYNC_MAX_AGE_DAYS, oldest first
+ * @returns {object} { synced, failed }
+ */
+const syncStaleBGGGames = async () => {
+  const games = await Game.find(Game.staleBGGFilter())
+    .select('_id')
+    .sort({ bggLastSync: 1 })
+    .limit(STALE_SYNC_BATCH)
+    .lean();
+
+  let synced = 0;
+  let failed = 0;
+  for (const game of games) {
+    try {
+      await bggGameService.syncBGGGame(game._id);
+      synced++;
+    } catch (error) {
+      failed++;
+      logger.warn(`Could not re-sync BGG game ${game._id}`, { message: error.message });
+    }
+  }
+
+  if (games.length > 0) {
+    logger.info(`Stale BGG games re-synced: ${synced} ok, ${failed} failed`);
+  }
+  return { synced, failed };
+};
+
+jobQueue.registerHandler(
+  'bgg-sync',
+  async ({ gameId }) => {
+    const game = await bggGameService.syncBGGGame(gameId);
+    return game && { gameId: game._id, name: game.name, bggLastSync: game.bggLastSync };
+  },
+  { maxAttempts: 5, backoffMs: 60 * 1000 }
+);
+
+jobQueue.registerHandler('bgg-sync-stale', syncStaleBGGGames, { maxAttempts: 1 });
+
+jobQueue.registerHandler(
+  'collection-import',
+  ({ importJobId }) => collectionImportService.runImport(importJobId),
+  { maxAttempts: 2, onFailure: markImportFailed }
+);
+
+jobQueue.registerHandler(
+  'match-import',
+  ({ importJobId }) => matchImportService.runImport(importJobId),
+  { maxAttempts: 2, onFailure: markMatchImportFailed }
+);
+
+jobQueue.registerHandler(
+  'stats-rebuild',
+  () => statsRebuildService.rebuildStats({ apply: true }),
+  { maxAttempts: 1, singleton: RATING_REPLAY_LOCK }
+);
+
+jobQueue.registerHandler(
+  'rating-rebuild',
+  () => ratingService.rebuildRatings({ apply: true }),
+  { maxAttempts: 2, singleton: RATING_REPLAY_LOCK }
+);
+
+jobQueue.registerHandler('uploads-cleanup', imageService.removeOrphanedImages, { maxAttempts: 1 });
+
+jobQueue.registerHandler('account-anonymization', accountDeletionService.anonymizeDueAccounts, { maxAttempts: 1 });
+
+jobQueue.registerHandler(
+  'data-export',
+  ({ exportId }) => dataExportService.runExport(exportId),
+  { maxAttempts: 2, onFailure: markExportFailed }
+);
+
+jobQueue.registerHandler('data-export-cleanup', dataExportService.removeExpiredExports, { maxAttempts: 1 });
+
+jobQueue.registerHandler('season-archive', seasonService.archiveEndedSeasons, { maxAttempts: 1 });
+
+/**
+ * Starts the job worker of this process and the recurring jobs
+ */
+const startBackgroundJobs = () => {
+  const staleSyncHours = Number(process.env.BGG_STALE_SYNC_INTERVAL_HOURS) || 24;
+  jobQueue.scheduleRecurring('bgg-sync-stale', staleSyncHours * 60 * 60 * 1000);
+  jobQueue.scheduleRecurring('uploads-cleanup', UPLOADS_CLEANUP_INTERVAL_MS);
+  jobQueue.scheduleRecurring('account-anonymization', ACCOUNT_ANONYMIZATION_INTERVAL_MS);
+  jobQueue.scheduleRecurring('data-export-cleanup', DATA_EXPORT_CLEANUP_INTERVAL_MS);
+  jobQueue.scheduleRecurring('season-archive', SEASON_ARCHIVE_INTERVAL_MS);
+  jobQueue.start();
+};
+
+module.exports = {
+  startBackgroundJobs,
+};
@@ -5,11 +5,13 @@
  * @requires ../models/Game
  * @requires ../models/Group
  * @requires ./bggService
+ * @requires ./jobQueue
  */
 
 const Game = require('../models/Game');
 const Group = require('../models/Group');
 const bggService = require('./bggService');
+const jobQueue = require('./jobQueue');
 
 /**
  * Validate and get group access for BGG operations (optimized)
@@ -156,11 +158,13 @@ exports.addBGGGame = async (bggId, userId, groupId = null, customNotes = '') =>
 };
 
 /**
- * Sync BGG game (update data) - optimized
+ * Request a sync of a BGG game: checks access and queues the sync job
+ * @returns {object} Queued job (poll GET /api/jobs/:id)
  */
-exports.syncBGGGame = async (gameId, userId) => {
+exports.requestBGGSync = async (gameId, userId) => {
   const game = await Game.findOne({ _id: gameId, isActive: true })
-    .select('source bggId group');
+    .select('source bggId group')
+    .lean();
 
   if (!game) {
     throw { status: 404, message: 'Juego no encontrado' };
@@ -189,6 +193,22 @@ exports.syncBGGGame = async (gameId, userId) => {
     }
   }
 
+  return jobQueue.enqueue('bgg-sync', { gameId: game._id.toString() }, { createdBy: userId });
+};
+
+/**
+ * Sync BGG game (update data) - run by the bgg-sync job
+ */
+exports.syncBGGGame = async (gameId) => {
+  const game = await Game.findOne({ _id: gameId, isActive: true })
+    .select('source bggId')
+    .lean();
+
+  if (!game || game.source !== 'bgg') {
+    // Deleted or changed since the job was queued: nothing to sync
+    return null;
+  }
+
   // Get updated data from BGG
   const bggData = await bggService.getGameDetails(game.bggId);
 
@@ -0,0 +1,343 @@
+/**
+ * BGG Service - BoardGameGeek XML API2 client
+ * Same interface as bggService.mock.js, backed by the real API
+ *
+ * @description Requests are throttled (BGG rate-limits aggressively) and
+ * "202 Accepted" responses, which BGG returns while it prepares a result
+ * (collections above all), are retried with a growing delay.
+ * Game details are cached in BGGCache.
+ */
+
+const axios = require('axios');
+const { createLogger } = require('../utils/logger');
+const { parseXml, decodeEntities, childrenNamed, childNamed } = require('../utils/xmlParser');
+const { collectionFromXml } = require('../utils/bggCollectionParser');
+const logger = createLogger('BGGApi');
+
+const DEFAULT_BASE_URL = 'https://boardgamegeek.com/xmlapi2';
+
+/**
+ * Statuses after which the same request is tried again
+ * 202: the result is queued, 429: rate limited, 503: BGG overloaded
+ */
+const RETRYABLE_STATUSES = [202, 429, 503];
+
+/**
+ * BGG accepts at most 20 ids per thing request
+ */
+const MAX_THING_IDS = 20;
+
+/**
+ * Maximum search results returned (each one is hydrated with its thumbnail)
+ */
+const SEARCH_LIMIT = 20;
+
+/**
+ * Value attribute of a child element (<yearpublished value="2017"/>)
+ */
+const valueOf = (node, name) => childNamed(node, name)?.attributes.value;
+
+/**
+ * Numeric value attribute of a child element, 0 when missing or not a number
+ */
+const numberOf = (node, name) => {
+  const value = parseFloat(valueOf(node, name));
+  return Number.isFinite(value) ? value : 0;
+};
+
+/**
+ * Text content of a child element
+ */
+const textOf = (node, name) => childNamed(node, name)?.text.trim() || '';
+
+/**
+ * Primary name of an item (falls back to the first alternate one)
+ */
+const primaryName = (item) => {
+  const names = childrenNamed(item, 'name');
+  const primary = names.find(name => name.attributes.type === 'primary') || names[0];
+  return primary?.attributes.value || primary?.text.trim() || '';
+};
+
+/**
+ * Values of the <link> elements of a type (categories, mechanics, designers...)
+ */
+const linksOf = (item, type) =>
+  childrenNamed(item, 'link')
+    .filter(link => link.attributes.type === type)
+    .map(link => link.attributes.value);
+
+/**
+ * BGG image URLs sometimes come protocol-relative
+ */
+const absoluteUrl = (url) => {
+  if (!url) return null;
+  return url.startsWith('//') ? `https:${url}` : url;
+};
+
+/**
+ * Year or null (BGG uses 0 for unknown years, which fails Game validation)
+ */
+const yearOf = (item) => {
+  const year = parseInt(valueOf(item, 'yearpublished'), 10);
+  return year > 0 ? year : null;
+};
+
+/**
+ * Maps a thing item (with stats) to the shape stored in Game
+ */
+const toGameDetails = (item) => {
+  const ratings = childNamed(childNamed(item, 'statistics'), 'ratings');
+
+  return {
+    bggId: parseInt(item.attributes.id, 10),
+    name: primaryName(item),
+    // Descriptions are HTML-escaped before being put in the XML
+    description: decodeEntities(textOf(item, 'description')),
+    image: absoluteUrl(textOf(item, 'image')),
+    thumbnail: absoluteUrl(textOf(item, 'thumbnail')),
+    yearPublished: yearOf(item),
+    minPlayers: numberOf(item, 'minplayers'),
+    maxPlayers: numberOf(item, 'maxplayers'),
+    playingTime: numberOf(item, 'playingtime'),
+    minPlayTime: numberOf(item, 'minplaytime'),
+    maxPlayTime: numberOf(item, 'maxplaytime'),
+    minAge: numberOf(item, 'minage'),
+    categories: linksOf(item, 'boardgamecategory'),
+    mechanics: linksOf(item, 'boardgamemechanic'),
+    designer: linksOf(item, 'boardgamedesigner'),
+    publisher: linksOf(item, 'boardgamepublisher'),
+    rating: {
+      average: numberOf(ratings, 'average'),
+      usersRated: numberOf(ratings, 'usersrated'),
+      bayesAverage: numberOf(ratings, 'bayesaverage'),
+    },
+    weight: numberOf(ratings, 'averageweight'),
+    source: 'bgg',
+    bggLastSync: new Date(),
+  };
+};
+
+class BGGApiService {
+  #http;
+  #minInterval;
+  #maxRetries;
+  #retryDelay;
+  #useCache;
+  #nextRequestAt = 0;
+
+  /**
+   * @param {object} options
+   * @param {string} options.baseUrl - XML API2 base URL (a local stub in tests)
+   * @param {string} options.token - BGG application token, sent as a Bearer token
+   * @param {number} options.minInterval - Minimum ms between two requests
+   * @param {number} options.maxRetries - Retries of a queued/rate-limited request
+   * @param {number} options.retryDelay - Delay before the first retry, doubled on each one
+   * @param {number} options.timeout - Request timeout in ms
+   * @param {boolean} options.useCache - Read and write game details in BGGCache
+   */
+  constructor({
+    baseUrl = DEFAULT_BASE_URL,
+    token = '',
+    minInterval = 2000,
+    maxRetries = 5,
+    retryDelay = 2000,
+    timeout = 15000,
+    useCache = true,
+  } = {}) {
+    this.#http = axios.create({
+      baseURL: baseUrl,
+      timeout,
+      responseType: 'text',
+      headers: token ? { Authorization: `Bearer ${token}` } : {},
+      validateStatus: status => status === 200 || RETRYABLE_STATUSES.includes(status),
+    });
+    this.#minInterval = minInterval;
+    this.#maxRetries = maxRetries;
+    this.#retryDelay = retryDelay;
+    this.#useCache = useCache;
+  }
+
+  /**
+   * Waits for the next free request slot
+   * Slots are reserved synchronously, so concurrent callers are spaced out too
+   */
+  async #throttle() {
+    const now = Date.now();
+    const wait = Math.max(0, this.#nextRequestAt - now);
+    this.#nextRequestAt = Math.max(now, this.#nextRequestAt) + this.#minInterval;
+    if (wait > 0) await this.#sleep(wait);
+  }
+
+  /**
+   * GETs an API path and returns the parsed XML root
+   * @param {string} path - Endpoint (search, thing, hot, collection)
+   * @param {object} params - Query parameters
+   * @returns {object} Parsed root element
+   */
+  async #request(path, params = {}) {
+    for (let attempt = 0; ; attempt++) {
+      await this.#throttle();
+
+      let response;
+      try {
+        response = await this.#http.get(path, { params });
+      } catch (error) {
+        logger.error(`BGG request failed: ${path}`, { message: error.message, status: error.response?.status });
+        throw new Error(`Error al contactar con BGG: ${error.message}`);
+      }
+
+      if (response.status === 200) {
+        return parseXml(response.data);
+      }
+
+      if (attempt >= this.#maxRetries) {
+        logger.warn(`BGG still answering ${response.status} for ${path} after ${attempt} retries`);
+        throw new Error('BGG está procesando la petición; inténtalo de nuevo en unos segundos');
+      }
+
+      const delay = this.#retryDelay * 2 ** attempt;
+      logger.debug(`BGG answered ${response.status} for ${path}, retrying in ${delay}ms`);
+      await this.#sleep(delay);
+    }
+  }
+
+  /**
+   * Fetches thing items by id (up to MAX_THING_IDS per request)
+   */
+  async #getThings(ids, stats = false) {
+    const items = [];
+    for (let i = 0; i < ids.length; i += MAX_THING_IDS) {
+      const root = await this.#request('/thing', {
+        id: ids.slice(i, i + MAX_THING_IDS).join(','),
+        ...(stats && { stats: 1 }),
+      });
+      items.push(...childrenNamed(root, 'item'));
+    }
+    return items;
+  }
+
+  async searchGames(query, exact = false) {
+    logger.debug(`Searching for: "${query}", exact: ${exact}`);
+
+    const root = await this.#request('/search', {
+      query,
+      type: 'boardgame',
+      ...(exact && { exact: 1 }),
+    });
+
+    const results = childrenNamed(root, 'item')
+      .slice(0, SEARCH_LIMIT)
+      .map(item => ({
+        bggId: parseInt(item.attributes.id, 10),
+        name: primaryName(item),
+        yearPublished: yearOf(item),
+        image: null,
+        thumbnail: null,
+      }));
+
+    // Search results carry no images: fetch them in a single thing request
+    if (results.length > 0) {
+      const things = await this.#getThings(results.map(result => result.bggId));
+      const imagesById = new Map(things.map(item => [
+        parseInt(item.attributes.id, 10),
+        { image: absoluteUrl(textOf(item, 'image')), thumbnail: absoluteUrl(textOf(item, 'thumbnail')) },
+      ]));
+      results.forEach(result => Object.assign(result, imagesById.get(result.bggId)));
+    }
+
+    logger.debug(`Found ${results.length} result(s)`);
+    return results;
+  }
+
+  async getGameDetails(bggId) {
+    logger.debug(`Getting details for bggId: ${bggId}`);
+
+    const BGGCache = this.#useCache ? require('../models/BGGCache') : null;
+    if (BGGCache) {
+      const cached = await BGGCache.getValidCache(bggId);
+      if (cached) return cached;
+    }
+
+    const [item] = await this.#getThings([bggId], true);
+    if (!item || !['boardgame', 'boardgameexpansion'].includes(item.attributes.type)) {
+      throw new Error('Juego no encontrado en BGG');
+    }
+
+    const details = toGameDetails(item);
+    if (BGGCache) {
+      await BGGCache.saveToCache(details.bggId, details);
+    }
+    return details;
+  }
+
+  async getHotGames(limit = 10) {
+    logger.debug(`Getting hot games, limit: ${limit}`);
+
+    const root = await this.#request('/hot', { type: 'boardgame' });
+
+    return childrenNamed(root, 'item')
+      .slice(0, limit)
+      .map(item => ({
+        bggId: parseInt(item.attributes.id, 10),
+        rank: parseInt(item.attributes.rank, 10),
+        name: valueOf(item, 'name') || '',
+        yearPublished: yearOf(item),
+        thumbnail: absoluteUrl(valueOf(item, 'thumbnail')),
+      }));
+  }
+
+  /**
+   * Gets the board games a BGG user owns (expansions excluded)
+   * @param {string} username - BGG username
+   * @returns {Array} [{ bggId, name, yearPublished, image, thumbnail, numPlays }]
+   */
+  async getUserCollection(username) {
+    logger.debug(`Getting collection of: "${username}"`);
+
+    const root = await this.#request('/collection', {
+      username,
+      own: 1,
+      subtype: 'boardgame',
+      excludesubtype: 'boardgameexpansion',
+    });
+
+    if (root.name === 'errors') {
+      const message = textOf(childNamed(root, 'error'), 'message');
+      logger.debug(`BGG collection error: ${message}`);
+      throw { status: 404, message: 'Usuario de BGG no encontrado' };
+    }
+
+    return collectionFromXml(root);
+  }
+
+  async validateBGGId(bggId) {
+    try {
+      await this.getGameDetails(bggId);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  async getCacheStats() {
+    const BGGCache = require('../models/BGGCache');
+    return BGGCache.getCacheStats();
+  }
+
+  async invalidateCache(bggId) {
+    const BGGCache = require('../models/BGGCache');
+    return BGGCache.invalidateCache(bggId);
+  }
+
+  async clearCache() {
+    const BGGCache = require('../models/BGGCache');
+    return BGGCache.clearAllCache();
+  }
+
+  #sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+}
+
+module.exports = BGGApiService;
@@ -1,9 +1,22 @@
 /**
- * BGG Service - Uses mock to avoid external API dependency
+ * BGG Service - Chooses the BoardGameGeek client from configuration
+ * USE_BGG_MOCK=true serves static data (bggService.mock.js); otherwise the
+ * XML API2 client (bggService.api.js) talks to BGG_API_URL
  */
 const { createLogger } = require('../utils/logger');
 const logger = createLogger('BGGService');
 
-logger.info('Using BGG mock service');
-module.exports = require('./bggService.mock');
+if (process.env.USE_BGG_MOCK === 'true') {
+  logger.info('Using BGG mock service');
+  module.exports = require('./bggService.mock');
+} else {
+  const BGGApiService = require('./bggService.api');
+  const numberFromEnv = (name) => (process.env[name] ? Number(process.env[name]) : undefined);
 
+  logger.info('Using BGG XML API2 client');
+  module.exports = new BGGApiService({
+    baseUrl: process.env.BGG_API_URL || undefined,
+    token: process.env.BGG_API_TOKEN || '',
+    minInterval: numberFromEnv('BGG_REQUEST_INTERVAL_MS'),
+  });
+}
@@ -533,6 +533,24 @@ class MockBGGService {
     return this.#hotList.slice(0, Math.min(limit, this.#hotList.length));
   }
 
+  async getUserCollection(username) {
+    logger.debug(`Getting collection of: "${username}"`);
+    await this.#sleep(150);
+
+    // Any username owns the first games of the hot list
+    return this.#hotList.slice(0, 5).map(hot => {
+      const game = this.#getGame(hot.bggId);
+      return {
+        bggId: game.bggId,
+        name: game.name,
+        yearPublished: game.yearPublished,
+        image: game.image,
+        thumbnail: game.thumbnail,
+        numPlays: 0,
+      };
+    });
+  }
+
   async validateBGGId(bggId) {
     try {
       await this.getGameDetails(bggId);
@@ -554,7 +572,7 @@ class MockBGGService {
 
   async clearCache() {
     const BGGCache = require('../models/BGGCache');
-    return BGGCache.clearCache();
+    return BGGCache.clearAllCache();
   }
 
   #sleep(ms) {
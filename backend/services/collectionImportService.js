@@ -0,0 +1,243 @@
+/**
+ * @fileoverview Collection Import Service
+ * @description Bulk import of a BGG collection into a personal or group library
+ * @module services/collectionImportService
+ * @requires ../models/Game
+ * @requires ../models/ImportJob
+ * @requires ./bggService
+ * @requires ./bggGameService
+ * @requires ./gameService
+ * @requires ./jobQueue
+ */
+
+const Game = require('../models/Game');
+const ImportJob = require('../models/ImportJob');
+const bggService = require('./bggService');
+const bggGameService = require('./bggGameService');
+const gameService = require('./gameService');
+const jobQueue = require('./jobQueue');
+const { parseCollectionFile } = require('../utils/bggCollectionParser');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('CollectionImport');
+
+/**
+ * Imports run on the job queue (collection-import jobs): each game needs a
+ * BGG details request, and those are throttled, so a big collection takes
+ * minutes. Clients poll the ImportJob for progress. If the worker dies the
+ * queue runs the import again, which skips the games already added.
+ */
+
+/**
+ * Identifiers under which a collection game may already be in a library:
+ * the BGG one and, for games added by hand, the custom one (same name)
+ * @param {object} game - { bggId, name }
+ * @returns {Array<string>} Identifiers (gameService.getGameIdentifier)
+ */
+const identifiersOf = (game) => [
+  gameService.getGameIdentifier({ source: 'bgg', bggId: game.bggId }),
+  ...(game.name ? [gameService.getGameIdentifier({ source: 'custom', name: game.name })] : []),
+];
+
+/**
+ * Gets the identifiers of the games already in the target library
+ * @param {string} userId - User importing
+ * @param {string} groupId - Target group (null = personal library)
+ * @returns {Set<string>} Identifiers
+ */
+const getLibraryIdentifiers = async (userId, groupId) => {
+  const filter = groupId
+    ? { group: groupId, isActive: true }
+    : { addedBy: userId, group: null, isActive: true };
+
+  const games = await Game.find(filter).select('source bggId name').lean();
+  return new Set(games.map(game => gameService.getGameIdentifier(game)));
+};
+
+/**
+ * Reads the collection to import from a BGG username or an uploaded export
+ * @param {object} source - { username, file } (file as given by multer)
+ * @returns {object} { source, sourceLabel, games }
+ */
+const loadCollection = async ({ username, file }) => {
+  if (file) {
+    return {
+      source: 'file',
+      sourceLabel: file.originalname,
+      games: parseCollectionFile(file.buffer, file.originalname),
+    };
+  }
+
+  if (!username) {
+    throw { status: 400, message: 'Indica un usuario de BGG o sube la exportación de tu colección' };
+  }
+
+  return {
+    source: 'bgg-user',
+    sourceLabel: username,
+    games: await bggService.getUserCollection(username),
+  };
+};
+
+/**
+ * Previews an import: the owned games of the collection, flagging those
+ * already in the target library (they will be skipped)
+ * @param {string} userId - User importing
+ * @param {object} options - { username, file, groupId }
+ * @returns {object} { source, sourceLabel, total, newCount, games }
+ */
+const previewImport = async (userId, { username, file, groupId = null }) => {
+  await bggGameService.validateGroupAccess(groupId, userId);
+
+  const [collection, identifiers] = await Promise.all([
+    loadCollection({ username, file }),
+    getLibraryIdentifiers(userId, groupId),
+  ]);
+
+  // A collection may list the same game twice (several copies)
+  const seen = new Set();
+  const games = collection.games
+    .filter(game => !seen.has(game.bggId) && seen.add(game.bggId))
+    .map(game => ({
+      ...game,
+      alreadyInLibrary: identifiersOf(game).some(id => identifiers.has(id)),
+    }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+
+  return {
+    source: collection.source,
+    sourceLabel: collection.sourceLabel,
+    total: games.length,
+    newCount: games.filter(game => !game.alreadyInLibrary).length,
+    games,
+  };
+};
+
+/**
+ * Records the outcome of one game of the job
+ */
+const recordProgress = (jobId, outcome, failure = null) =>
+  ImportJob.updateOne(
+    { _id: jobId },
+    {
+      $inc: { processed: 1, ...(outcome !== 'failed' && { [outcome]: 1 }) },
+      ...(failure && { $push: { failures: failure } }),
+    }
+  );
+
+/**
+ * Runs an import job: adds each game that is not in the library yet
+ * Counters start over, so a retried import reports the whole run
+ * @param {string} jobId - Import job ID
+ */
+const runImport = async (jobId) => {
+  const job = await ImportJob.findByIdAndUpdate(
+    jobId,
+    { $set: { status: 'running', startedAt: new Date(), processed: 0, imported: 0, skipped: 0, failures: [] } },
+    { new: true }
+  ).lean();
+  if (!job) return;
+
+  try {
+    const identifiers = await getLibraryIdentifiers(job.user, job.group);
+
+    for (const { bggId, name } of job.games) {
+      if (identifiersOf({ bggId, name }).some(id => identifiers.has(id))) {
+        await recordProgress(job._id, 'skipped');
+        continue;
+      }
+
+      try {
+        const bggData = await bggService.getGameDetails(bggId);
+        await Game.create({
+          ...bggData,
+          group: job.group || null,
+          addedBy: job.user,
+          customNotes: '',
+          isActive: true,
+        });
+        identifiersOf(bggData).forEach(id => identifiers.add(id));
+        await recordProgress(job._id, 'imported');
+      } catch (error) {
+        logger.warn(`Could not import BGG game ${bggId}`, { message: error.message });
+        await recordProgress(job._id, 'failed', {
+          bggId,
+          name,
+          message: error.name === 'ValidationError' ? 'Datos de BGG incompletos' : error.message,
+        });
+      }
+    }
+
+    await ImportJob.updateOne(
+      { _id: job._id },
+      { $set: { status: 'completed', finishedAt: new Date() } }
+    );
+  } catch (error) {
+    // The queue retries the job and marks the import failed once it gives up
+    logger.error(`Import job ${job._id} failed`, error);
+    throw error;
+  }
+};
+
+/**
+ * Starts importing the selected games of a collection
+ * @param {string} userId - User importing (owner of the new games)
+ * @param {object} options - { games: [{ bggId, name }], groupId, source, sourceLabel }
+ * @returns {object} Created import job
+ */
+const startImport = async (userId, { games, groupId = null, source = 'bgg-user', sourceLabel = '' }) => {
+  await bggGameService.validateGroupAccess(groupId, userId);
+
+  const running = await ImportJob.exists({
+    type: 'games',
+    user: userId,
+    status: { $in: ['pending', 'running'] },
+  });
+  if (running) {
+    throw { status: 409, message: 'Ya tienes una importación en curso; espera a que termine' };
+  }
+
+  const seen = new Set();
+  const uniqueGames = games
+    .map(game => ({ bggId: Number(game.bggId), name: game.name || '' }))
+    .filter(game => !seen.has(game.bggId) && seen.add(game.bggId));
+
+  const job = await ImportJob.create({
+    type: 'games',
+    user: userId,
+    group: groupId || null,
+    source,
+    sourceLabel,
+    games: uniqueGames,
+    total: uniqueGames.length,
+  });
+
+  // The client polls getImportJob for progress
+  await jobQueue.enqueue('collection-import', { importJobId: job._id.toString() }, { createdBy: userId });
+
+  return getImportJob(userId, job._id);
+};
+
+/**
+ * Gets the progress of an import job of the user
+ * @param {string} userId - User who started it
+ * @param {string} jobId - Import job ID
+ * @returns {object} Job without its game list
+ */
+const getImportJob = async (userId, jobId) => {
+  const job = await ImportJob.findOne({ _id: jobId, type: 'games', user: userId })
+    .select('-games')
+    .lean();
+
+  if (!job) {
+    throw { status: 404, message: 'Importación no encontrada' };
+  }
+  return job;
+};
+
+module.exports = {
+  previewImport,
+  startImport,
+  getImportJob,
+  runImport,
+};
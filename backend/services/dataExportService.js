@@ -0,0 +1,558 @@
+/**
+ * @fileoverview Data Export Service
+ * @description Builds a ZIP with every record and uploaded file tied to a user (GDPR) and serves it through expiring links
+ * @module services/dataExportService
+ * @requires jszip
+ * @requires jsonwebtoken
+ * @requires ../models/DataExport
+ * @requires ../models/User
+ * @requires ../models/Group
+ * @requires ../models/Match
+ * @requires ../models/Game
+ * @requires ../models/PlayerRating
+ * @requires ../models/ImportJob
+ * @requires ../models/Session
+ * @requires ../models/JoinRequest
+ * @requires ../models/GroupInvitation
+ * @requires ./jobQueue
+ * @requires ./storageService
+ * @requires ./privateStorageService
+ * @requires ./imageService
+ * @requires ./sessionService
+ */
+
+const crypto = require('crypto');
+const JSZip = require('jszip');
+const jwt = require('jsonwebtoken');
+const DataExport = require('../models/DataExport');
+const User = require('../models/User');
+const Group = require('../models/Group');
+const Match = require('../models/Match');
+const Game = require('../models/Game');
+const PlayerRating = require('../models/PlayerRating');
+const ImportJob = require('../models/ImportJob');
+const Session = require('../models/Session');
+const JoinRequest = require('../models/JoinRequest');
+const GroupInvitation = require('../models/GroupInvitation');
+const jobQueue = require('./jobQueue');
+const storage = require('./storageService');
+const privateStorage = require('./privateStorageService');
+const imageService = require('./imageService');
+const sessionService = require('./sessionService');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('DataExportService');
+
+/**
+ * The archive is built by the data-export job and stored under exports/ in
+ * the private storage, with an unguessable name. No URL serves it: it is
+ * downloaded from the API with a link signed for a few minutes, requested
+ * again by the client whenever it needs one. The archive itself is deleted once it
+ * expires (data-export-cleanup job) or when the account is anonymized.
+ */
+
+const EXPORT_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+const DOWNLOAD_LINK_TTL = '15m';
+const EXPORT_PREFIX = 'exports/';
+
+const README = `Exportación de datos de Tabletop Mastering
+
+Cada conjunto de datos viene en dos formatos con el mismo contenido:
+JSON (completo) y CSV (para abrirlo con una hoja de cálculo).
+
+- profile: tu perfil y estadísticas
+- groups: grupos de los que eres miembro, tu rol y cuándo te uniste
+- join-requests: solicitudes para unirte a grupos que requieren aprobación
+- group-invitations: invitaciones a grupos que has recibido
+- matches: partidas en las que has jugado o que has creado, con tu resultado
+- match-corrections: correcciones de resultados que has pedido o revisado
+- games: juegos que has añadido a tu biblioteca o a tus grupos
+- ratings: tu puntuación de habilidad global, por grupo y por juego
+- imports: importaciones de juegos y partidas que has hecho
+- sessions: dispositivos con los que has iniciado sesión
+- files/: imágenes que has subido (avatar e imágenes de juegos)
+
+Los identificadores (id, match, group, game) enlazan los registros entre archivos.
+`;
+
+/**
+ * @param {*} id - ObjectId or populated document
+ * @returns {string|null} ID as a string
+ */
+const idOf = (id) => (id ? String(id._id || id) : null);
+
+/**
+ * Serializes one CSV cell. Dates become ISO strings and objects JSON; cells
+ * a spreadsheet would run as a formula are prefixed with a quote.
+ * @param {*} value - Cell value
+ * @returns {string} Escaped cell
+ */
+const csvCell = (value) => {
+  if (value === null || value === undefined) return '';
+
+  let text;
+  if (value instanceof Date) text = value.toISOString();
+  else if (typeof value === 'object') text = JSON.stringify(value);
+  else text = String(value);
+
+  if (/^[=+\-@\t\r]/.test(text) && typeof value === 'string') text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Serializes records as CSV, with a column per key found in any of them
+ * @param {Array<object>} rows - Records
+ * @returns {string} CSV with a header row
+ */
+const toCsv = (rows) => {
+  const columns = [...new Set(rows.flatMap(row => Object.keys(row)))];
+  const lines = [columns, ...rows.map(row => columns.map(column => row[column]))]
+    .map(cells => cells.map(csvCell).join(','));
+  return `${lines.join('\r\n')}\r\n`;
+};
+
+/**
+ * Every record tied to a user, as flat rows per data set, plus the storage
+ * keys of the files they uploaded
+ * @param {string} userId - User ID
+ * @returns {object} { datasets: { name: [rows] }, fileKeys }
+ */
+const collectUserData = async (userId) => {
+  const userIdString = String(userId);
+  const isUser = (id) => idOf(id) === userIdString;
+
+  const [user, groups, joinRequests, invitations, matches, games, ratings, imports, sessions] = await Promise.all([
+    User.findById(userId).lean(),
+    Group.find({ 'members.user': userId }).select('name description admin members isActive createdAt').lean(),
+    JoinRequest.find({ user: userId }).populate('group', 'name').sort({ createdAt: 1 }).lean(),
+    GroupInvitation.find({ invitee: userId }).populate('group', 'name').sort({ createdAt: 1 }).lean(),
+    Match.find({
+      $or: [
+        { 'players.user': userId },
+        { createdBy: userId },
+        { 'resultCorrections.requestedBy': userId },
+        { 'resultCorrections.reviewedBy': userId },
+      ],
+    })
+      .populate('game', 'name')
+      .populate('group', 'name')
+      .sort({ scheduledDate: 1 })
+      .lean(),
+    Game.find({ addedBy: userId }).populate('group', 'name').sort({ createdAt: 1 }).lean(),
+    PlayerRating.find({ user: userId }).populate('group', 'name').populate('game', 'name').lean(),
+    ImportJob.find({ user: userId }).select('-games -dataKey').sort({ createdAt: 1 }).lean(),
+    Session.find({ user: userId }).sort({ createdAt: 1 }).lean(),
+  ]);
+
+  if (!user) {
+    throw { status: 404, message: 'Usuario no encontrado' };
+  }
+
+  const profile = [{
+    id: idOf(user._id),
+    nickname: user.nickname || null,
+    name: user.name,
+    email: user.email,
+    emailVerified: Boolean(user.emailVerified),
+    emailVerifiedAt: user.emailVerifiedAt || null,
+    avatar: user.avatar || null,
+    description: user.description || '',
+    quote: user.quote || '',
+    role: user.role,
+    totalMatches: user.stats?.totalMatches || 0,
+    totalWins: user.stats?.totalWins || 0,
+    totalPoints: user.stats?.totalPoints || 0,
+    createdAt: user.createdAt,
+    updatedAt: user.updatedAt,
+  }];
+
+  const groupRows = groups.map(group => {
+    const member = group.members.find(m => isUser(m.user));
+    return {
+      id: idOf(group._id),
+      name: group.name,
+      description: group.description || '',
+      role: member?.role || 'member',
+      isGroupAdmin: isUser(group.admin),
+      joinedAt: member?.joinedAt || null,
+      members: group.members.length,
+      groupActive: group.isActive !== false,
+      groupCreatedAt: group.createdAt,
+    };
+  });
+
+  const joinRequestRows = joinRequests.map(request => ({
+    id: idOf(request._id),
+    group: idOf(request.group),
+    groupName: request.group?.name || null,
+    status: request.status,
+    message: request.message || '',
+    createdAt: request.createdAt,
+    reviewedAt: request.reviewedAt || null,
+    rejectionReason: request.rejectionReason || '',
+  }));
+
+  const invitationRows = invitations.map(invitation => ({
+    id: idOf(invitation._id),
+    group: idOf(invitation.group),
+    groupName: invitation.group?.name || null,
+    email: invitation.email,
+    status: invitation.status,
+    createdAt: invitation.createdAt,
+    expiresAt: invitation.expiresAt,
+    respondedAt: invitation.respondedAt || null,
+  }));
+
+  const matchRows = matches.map(match => {
+    const player = match.players.find(p => isUser(p.user));
+    const team = player?.team && (match.teams || []).find(t => idOf(t._id) === idOf(player.team));
+    const winners = (match.winners || []).map(idOf);
+    return {
+      id: idOf(match._id),
+      game: idOf(match.game),
+      gameName: match.game?.name || null,
+      group: idOf(match.group),
+      groupName: match.group?.name || null,
+      status: match.status,
+      mode: match.mode,
+      scheduledDate: match.scheduledDate || null,
+      actualDate: match.actualDate || null,
+      location: match.location || '',
+      duration: match.duration?.value ? `${match.duration.value} ${match.duration.unit}` : null,
+      notes: match.notes || '',
+      players: match.players.length,
+      played: Boolean(player),
+      confirmed: player ? player.confirmed : null,
+      position: player?.position ?? null,
+      score: player?.score ?? null,
+      pointsEarned: player?.pointsEarned ?? null,
+      team: team?.name || null,
+      won: player ? winners.includes(userIdString) || isUser(match.winner) : null,
+      cooperativeResult: match.cooperativeResult || null,
+      createdByMe: isUser(match.createdBy),
+      createdAt: match.createdAt,
+    };
+  });
+
+  const correctionRows = matches.flatMap(match => (match.resultCorrections || [])
+    .filter(correction => isUser(correction.requestedBy) || isUser(correction.reviewedBy))
+    .map(correction => ({
+      id: idOf(correction._id),
+      match: idOf(match._id),
+      requestedByMe: isUser(correction.requestedBy),
+      reviewedByMe: isUser(correction.reviewedBy),
+      status: correction.status,
+      reason: correction.reason || '',
+      proposal: correction.proposal,
+      requestedAt: correction._id.getTimestamp(),
+      reviewedAt: correction.reviewedAt || null,
+      reviewNote: correction.reviewNote || '',
+    })));
+
+  const gameRows = games.map(game => ({
+    id: idOf(game._id),
+    name: game.name,
+    source: game.source,
+    bggId: game.bggId || null,
+    yearPublished: game.yearPublished || null,
+    group: idOf(game.group),
+    groupName: game.group?.name || null,
+    image: game.image || null,
+    thumbnail: game.thumbnail || null,
+    customNotes: game.customNotes || '',
+    timesPlayed: game.stats?.timesPlayed || 0,
+    active: game.isActive,
+    createdAt: game.createdAt,
+  }));
+
+  const ratingRows = ratings.map(rating => ({
+    scope: rating.scope,
+    group: idOf(rating.group),
+    groupName: rating.group?.name || null,
+    game: idOf(rating.game),
+    gameName: rating.game?.name || null,
+    rating: Number((rating.mu - 3 * rating.sigma).toFixed(2)),
+    mu: rating.mu,
+    sigma: rating.sigma,
+    matches: rating.matches,
+    lastPlayedAt: rating.lastPlayedAt || null,
+  }));
+
+  const importRows = imports.map(importJob => ({
+    id: idOf(importJob._id),
+    type: importJob.type,
+    group: idOf(importJob.group),
+    source: importJob.source,
+    sourceLabel: importJob.sourceLabel || '',
+    status: importJob.status,
+    total: importJob.total,
+    imported: importJob.imported,
+    skipped: importJob.skipped,
+    failed: (importJob.failures || []).length,
+    createdAt: importJob.createdAt,
+    finishedAt: importJob.finishedAt || null,
+  }));
+
+  const sessionRows = sessions.map(session => ({
+    ...sessionService.describeDevice(session.userAgent),
+    userAgent: session.userAgent || '',
+    ip: session.ip || '',
+    createdAt: session.createdAt,
+    lastUsedAt: session.lastUsedAt,
+    revokedAt: session.revokedAt || null,
+    revokedReason: session.revokedReason || null,
+  }));
+
+  const fileKeys = new Set([
+    ...imageService.getStoredKeys(user.avatar, 'avatar'),
+    ...games.flatMap(game => [
+      ...imageService.getStoredKeys(game.image, 'game'),
+      ...imageService.getStoredKeys(game.thumbnail, 'game'),
+    ]),
+  ]);
+
+  return {
+    datasets: {
+      profile,
+      groups: groupRows,
+      'join-requests': joinRequestRows,
+      'group-invitations': invitationRows,
+      matches: matchRows,
+      'match-corrections': correctionRows,
+      games: gameRows,
+      ratings: ratingRows,
+      imports: importRows,
+      sessions: sessionRows,
+    },
+    fileKeys: [...fileKeys],
+  };
+};
+
+/**
+ * Builds the ZIP of a user's data
+ * @param {string} userId - User ID
+ * @returns {object} { buffer, counts, files }
+ */
+const buildArchive = async (userId) => {
+  const { datasets, fileKeys } = await collectUserData(userId);
+  const zip = new JSZip();
+  const counts = {};
+
+  zip.file('README.txt', README);
+  for (const [name, rows] of Object.entries(datasets)) {
+    zip.file(`${name}.json`, JSON.stringify(rows, null, 2));
+    zip.file(`${name}.csv`, toCsv(rows));
+    counts[name] = rows.length;
+  }
+
+  let files = 0;
+  for (const key of fileKeys) {
+    try {
+      zip.file(`files/${key}`, await storage.get(key));
+      files++;
+    } catch (error) {
+      // Referenced but gone from storage: the archive is still useful
+      logger.warn(`Uploaded file ${key} missing from the export`, { message: error.message });
+    }
+  }
+
+  const buffer = await zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+  return { buffer, counts, files };
+};
+
+/**
+ * Public view of an export
+ * @param {object} dataExport - DataExport document
+ * @returns {object} Export without its storage key
+ */
+const formatExport = (dataExport) => ({
+  id: dataExport._id,
+  status: dataExport.status,
+  size: dataExport.size,
+  counts: dataExport.counts || {},
+  files: dataExport.files,
+  error: dataExport.error || null,
+  createdAt: dataExport.createdAt,
+  finishedAt: dataExport.finishedAt || null,
+  expiresAt: dataExport.expiresAt,
+});
+
+/**
+ * Queues a new export of the user's data
+ * @param {string} userId - User ID
+ * @returns {object} Export
+ */
+const requestExport = async (userId) => {
+  const running = await DataExport.exists({ user: userId, status: { $in: ['pending', 'running'] } });
+  if (running) {
+    throw { status: 409, message: 'Ya estamos preparando una exportación de tus datos; espera a que termine' };
+  }
+
+  const dataExport = await DataExport.create({ user: userId });
+
+  // The client polls getExport until it is ready
+  await jobQueue.enqueue('data-export', { exportId: dataExport._id.toString() }, { createdBy: userId });
+
+  return formatExport(dataExport);
+};
+
+/**
+ * Builds and stores the archive of an export (data-export job). A retry
+ * after a crash builds it again under a new key.
+ * @param {string} exportId - DataExport ID
+ * @returns {object} { exportId, size, files }
+ */
+const runExport = async (exportId) => {
+  const dataExport = await DataExport.findOneAndUpdate(
+    { _id: exportId, status: { $in: ['pending', 'running'] } },
+    { $set: { status: 'running', startedAt: new Date() } },
+    { new: true }
+  );
+  if (!dataExport) return null;
+
+  const { buffer, counts, files } = await buildArchive(dataExport.user);
+  const fileKey = `${EXPORT_PREFIX}${dataExport._id}-${crypto.randomBytes(16).toString('hex')}.zip`;
+  await privateStorage.put(fileKey, buffer, 'application/zip', { cacheControl: 'private, no-store' });
+
+  const now = new Date();
+  dataExport.set({
+    status: 'ready',
+    fileKey,
+    size: buffer.length,
+    counts,
+    files,
+    finishedAt: now,
+    expiresAt: new Date(now.getTime() + EXPORT_TTL_MS),
+  });
+  await dataExport.save();
+
+  logger.info(`Data export ${exportId} ready`, { size: buffer.length, files });
+  return { exportId, size: buffer.length, files };
+};
+
+/**
+ * Latest export of the user
+ * @param {string} userId - User ID
+ * @returns {object|null} Export, or null if they never requested one
+ */
+const getLatestExport = async (userId) => {
+  const dataExport = await DataExport.findOne({ user: userId }).sort({ createdAt: -1 }).lean();
+  return dataExport ? formatExport(dataExport) : null;
+};
+
+/**
+ * An export of the user
+ * @param {string} userId - User ID
+ * @param {string} exportId - DataExport ID
+ * @returns {object} Export
+ */
+const getExport = async (userId, exportId) => {
+  const dataExport = await DataExport.findOne({ _id: exportId, user: userId }).lean();
+  if (!dataExport) {
+    throw { status: 404, message: 'Exportación no encontrada' };
+  }
+  return formatExport(dataExport);
+};
+
+/**
+ * Signs a short-lived download link for a ready export of the user
+ * @param {string} userId - User ID
+ * @param {string} exportId - DataExport ID
+ * @param {string} baseUrl - API origin (protocol and host)
+ * @returns {object} { url, expiresAt }
+ */
+const createDownloadLink = async (userId, exportId, baseUrl) => {
+  const dataExport = await DataExport.findOne({ _id: exportId, user: userId }).lean();
+  if (!dataExport) {
+    throw { status: 404, message: 'Exportación no encontrada' };
+  }
+  if (dataExport.status !== 'ready' || dataExport.expiresAt <= new Date()) {
+    throw { status: 410, message: 'La exportación no está disponible; solicita una nueva' };
+  }
+
+  const token = jwt.sign({ eid: String(dataExport._id), purpose: 'data-export' }, process.env.JWT_SECRET, {
+    expiresIn: DOWNLOAD_LINK_TTL,
+  });
+  const { exp } = jwt.decode(token);
+
+  return {
+    url: `${baseUrl}/api/auth/export/${dataExport._id}/download?token=${encodeURIComponent(token)}`,
+    expiresAt: new Date(exp * 1000),
+  };
+};
+
+/**
+ * Archive of an export from a signed download link
+ * @param {string} exportId - DataExport ID
+ * @param {string} token - Token of the link
+ * @returns {object} { buffer, filename }
+ */
+const getDownload = async (exportId, token) => {
+  let payload;
+  try {
+    payload = jwt.verify(String(token || ''), process.env.JWT_SECRET);
+  } catch {
+    payload = null;
+  }
+  if (!payload || payload.purpose !== 'data-export' || payload.eid !== String(exportId)) {
+    throw { status: 403, message: 'El enlace de descarga no es válido o ha caducado' };
+  }
+
+  const dataExport = await DataExport.findById(exportId).lean();
+  if (!dataExport || dataExport.status !== 'ready' || dataExport.expiresAt <= new Date()) {
+    throw { status: 410, message: 'La exportación no está disponible; solicita una nueva' };
+  }
+
+  const date = dataExport.finishedAt.toISOString().slice(0, 10);
+  return {
+    buffer: await privateStorage.get(dataExport.fileKey),
+    filename: `tabletop-mastering-datos-${date}.zip`,
+  };
+};
+
+/**
+ * Deletes the archives of expired exports (data-export-cleanup job)
+ * @returns {object} { removed }
+ */
+const removeExpiredExports = async () => {
+  const expired = await DataExport.find({ status: 'ready', expiresAt: { $lte: new Date() } })
+    .select('fileKey')
+    .lean();
+
+  for (const { _id, fileKey } of expired) {
+    if (fileKey) await privateStorage.remove(fileKey);
+    await DataExport.updateOne({ _id }, { $set: { status: 'expired', fileKey: null } });
+  }
+
+  if (expired.length > 0) {
+    logger.info(`Removed ${expired.length} expired data exports`);
+  }
+  return { removed: expired.length };
+};
+
+/**
+ * Deletes every export of a user and its archive (account anonymization)
+ * @param {string} userId - User ID
+ * @returns {number} Exports deleted
+ */
+const deleteUserExports = async (userId) => {
+  const userExports = await DataExport.find({ user: userId }).select('fileKey').lean();
+  for (const { fileKey } of userExports) {
+    if (fileKey) await privateStorage.remove(fileKey);
+  }
+  const { deletedCount } = await DataExport.deleteMany({ user: userId });
+  return deletedCount;
+};
+
+module.exports = {
+  toCsv,
+  collectUserData,
+  requestExport,
+  runExport,
+  getLatestExport,
+  getExport,
+  createDownloadLink,
+  getDownload,
+  removeExpiredExports,
+  deleteUserExports,
+};
@@ -4,10 +4,14 @@
  * @module services/gameService
  * @requires ../models/Game
  * @requires ../models/Group
+ * @requires ./imageService
+ * @requires ../utils/groupHelpers
  */
 
 const Game = require('../models/Game');
 const Group = require('../models/Group');
+const imageService = require('./imageService');
+const { hasGroupPermission } = require('../utils/groupHelpers');
 
 /**
  * Projections for Game queries
@@ -247,10 +251,12 @@ exports.getGameById = async (gameId, userId = null) => {
 
 /**
  * Update a game (optimized)
+ * With imageUpload only image and thumbnail are set, whatever the source
+ * (the processed sizes of an uploaded image)
  */
-exports.updateGame = async (gameId, updates, userId) => {
+exports.updateGame = async (gameId, updates, userId, { imageUpload = false } = {}) => {
   let game = await Game.findOne({ _id: gameId, isActive: true })
-    .select('source group addedBy');
+    .select('source group addedBy image thumbnail');
 
   if (!game) {
     throw { status: 404, message: 'Juego no encontrado' };
@@ -259,7 +265,7 @@ exports.updateGame = async (gameId, updates, userId) => {
   // Verify permissions (only if it has a group)
   if (game.group) {
     const group = await Group.findById(game.group)
-      .select('members')
+      .select('admin members')
       .lean();
       
     const member = group.members.find(
@@ -273,11 +279,11 @@ exports.updateGame = async (gameId, updates, userId) => {
       };
     }
 
-    // Only admin can edit, or the user who added it
-    if (member.role !== 'admin' && game.addedBy.toString() !== userId.toString()) {
+    // Only admin or moderators can edit, or the user who added it
+    if (!hasGroupPermission(group, userId, 'manageGames') && game.addedBy.toString() !== userId.toString()) {
       throw { 
         status: 403, 
-        message: 'Solo el administrador o quien añadió el juego puede editarlo' 
+        message: 'Solo el administrador, los moderadores o quien añadió el juego puede editarlo' 
       };
     }
   }
@@ -285,7 +291,9 @@ exports.updateGame = async (gameId, updates, userId) => {
   // Allowed fields to edit based on source
   let allowedFields;
   
-  if (game.source === 'bgg') {
+  if (imageUpload) {
+    allowedFields = ['image', 'thumbnail'];
+  } else if (game.source === 'bgg') {
     // For BGG games, only allow editing custom fields
     allowedFields = ['customNotes', 'difficulty', 'image'];
   } else {
@@ -305,6 +313,13 @@ exports.updateGame = async (gameId, updates, userId) => {
     }
   });
 
+  // A thumbnail generated from the previous upload no longer matches a new image
+  const previous = { image: game.image, thumbnail: game.thumbnail };
+  const imageChanged = filteredUpdates.image !== undefined && filteredUpdates.image !== previous.image;
+  if (imageChanged && filteredUpdates.thumbnail === undefined && imageService.getUploadedFilename(previous.thumbnail)) {
+    filteredUpdates.thumbnail = '';
+  }
+
   game = await Game.findByIdAndUpdate(
     gameId,
     filteredUpdates,
@@ -318,6 +333,11 @@ exports.updateGame = async (gameId, updates, userId) => {
     throw new Error('Error al actualizar el juego en la base de datos');
   }
 
+  // Not awaited: deleting replaced files doesn't delay the response
+  imageService.removeUnreferencedImages(
+    [previous.image, previous.thumbnail].filter(url => url !== game.image && url !== game.thumbnail)
+  );
+
   return game;
 };
 
@@ -326,7 +346,7 @@ exports.updateGame = async (gameId, updates, userId) => {
  */
 exports.deleteGame = async (gameId, userId) => {
   const game = await Game.findOne({ _id: gameId, isActive: true })
-    .select('group addedBy');
+    .select('group addedBy image thumbnail');
 
   if (!game) {
     throw { status: 404, message: 'Juego no encontrado' };
@@ -335,7 +355,7 @@ exports.deleteGame = async (gameId, userId) => {
   // Verify permissions
   if (game.group) {
     const group = await Group.findById(game.group)
-      .select('members')
+      .select('admin members')
       .lean();
       
     const member = group.members.find(
@@ -349,11 +369,11 @@ exports.deleteGame = async (gameId, userId) => {
       };
     }
 
-    // Only admin can delete, or the user who added it
-    if (member.role !== 'admin' && game.addedBy.toString() !== userId.toString()) {
+    // Only admin or moderators can delete, or the user who added it
+    if (!hasGroupPermission(group, userId, 'manageGames') && game.addedBy.toString() !== userId.toString()) {
       throw { 
         status: 403, 
-        message: 'Solo el administrador o quien añadió el juego puede eliminarlo' 
+        message: 'Solo el administrador, los moderadores o quien añadió el juego puede eliminarlo' 
       };
     }
   }
@@ -361,6 +381,9 @@ exports.deleteGame = async (gameId, userId) => {
   // Soft delete using updateOne (more efficient)
   await Game.updateOne({ _id: gameId }, { isActive: false });
 
+  // Uploaded images of the game, unless another game uses the same file
+  imageService.removeUnreferencedImages([game.image, game.thumbnail]);
+
   return game;
 };
 
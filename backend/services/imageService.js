@@ -0,0 +1,315 @@
+/**
+ * @fileoverview Image Service
+ * @description Processing of uploaded images (validation, re-encoding, sizes) and cleanup of unused files
+ * @module services/imageService
+ * @requires sharp
+ * @requires ../models/Game
+ * @requires ../models/User
+ * @requires ../models/Group
+ * @requires ./storageService
+ */
+
+const crypto = require('crypto');
+const sharp = require('sharp');
+const Game = require('../models/Game');
+const User = require('../models/User');
+const Group = require('../models/Group');
+const storage = require('./storageService');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('ImageService');
+
+/**
+ * Uploads are never stored as sent: the content is checked by its magic
+ * bytes, decoded and re-encoded, which drops EXIF and any other metadata
+ * (after applying its orientation). Files are named after the hash of the
+ * upload, so the same image uploaded twice is stored once and a file may be
+ * shared by several games, users or groups: a file is only deleted when
+ * nothing references it. Reusing a file marks it as modified, and no
+ * cleanup deletes a file modified in the last ORPHAN_MIN_AGE_MS, so a new
+ * owner has time to be saved.
+ */
+
+const CONTENT_TYPES = {
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  webp: 'image/webp',
+};
+
+/**
+ * Kinds of uploaded image: storage key prefix and stored sizes. Game images
+ * keep their aspect ratio within the size and are never enlarged; avatars
+ * are cropped to a square of exactly the size. Only the largest avatar size
+ * is saved on the user or group: the others share its name with their size.
+ */
+const IMAGE_KINDS = {
+  game: {
+    prefix: 'games/',
+    sizes: { image: 800, thumbnail: 200 },
+    fit: 'inside',
+  },
+  avatar: {
+    prefix: 'avatars/',
+    sizes: { large: 256, medium: 128, small: 64 },
+    fit: 'cover',
+  },
+};
+
+// Decompression bomb guard: a 5MB file can declare a huge canvas
+const MAX_INPUT_PIXELS = 40 * 1000 * 1000;
+
+// Files younger than this are never swept: their owner may not be saved yet
+const ORPHAN_MIN_AGE_MS = 60 * 60 * 1000;
+
+/**
+ * Detects the image format from the first bytes of the file
+ * @param {Buffer} buffer - File content
+ * @returns {string|null} jpeg, png, gif, webp or null if it is none of them
+ */
+const detectImageType = (buffer) => {
+  if (!buffer || buffer.length < 12) return null;
+
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'jpeg';
+  if (buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return 'png';
+  const header = buffer.toString('ascii', 0, 6);
+  if (header === 'GIF87a' || header === 'GIF89a') return 'gif';
+  if (buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') return 'webp';
+  return null;
+};
+
+/**
+ * Format images are stored in: WebP when IMAGE_FORMAT=webp, otherwise the
+ * uploaded one (GIFs become PNG: only the first frame is kept)
+ * @param {string} type - Detected upload format
+ * @returns {string} jpeg, png or webp
+ */
+const getOutputFormat = (type) => {
+  if (process.env.IMAGE_FORMAT === 'webp') return 'webp';
+  return type === 'gif' ? 'png' : type;
+};
+
+/**
+ * Writes one size of an image, unless a previous upload already did
+ * (then it is only marked as modified, so the cleanups leave it alone)
+ * @param {Buffer} buffer - Upload content
+ * @param {string} key - Storage key
+ * @param {number} size - Side of the bounding square in pixels
+ * @param {object} options - { format, fit }
+ */
+const writeSize = async (buffer, key, size, { format, fit }) => {
+  if (await storage.touch(key)) return;
+
+  const output = await sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS })
+    .rotate()
+    .resize({ width: size, height: size, fit, position: 'attention', withoutEnlargement: fit === 'inside' })
+    .toFormat(format, format === 'png' ? {} : { quality: 82 })
+    .toBuffer();
+  await storage.put(key, output, CONTENT_TYPES[format]);
+};
+
+/**
+ * Validates and stores an uploaded image in every size of its kind
+ * @param {Buffer} buffer - Upload content
+ * @param {string} kind - game or avatar
+ * @returns {object} File name of each size (e.g. { image, thumbnail })
+ */
+const processImage = async (buffer, kind) => {
+  const { prefix, sizes, fit } = IMAGE_KINDS[kind];
+  const type = detectImageType(buffer);
+  if (!type) {
+    throw { status: 400, message: 'Tipo de archivo no válido. Solo se permiten imágenes (JPEG, PNG, GIF, WEBP)' };
+  }
+
+  const format = getOutputFormat(type);
+  const hash = crypto.createHash('sha256').update(buffer).digest('hex').slice(0, 32);
+  const extension = format === 'jpeg' ? 'jpg' : format;
+
+  const files = {};
+  try {
+    for (const [name, size] of Object.entries(sizes)) {
+      files[name] = `${hash}-${size}.${extension}`;
+      await writeSize(buffer, `${prefix}${files[name]}`, size, { format, fit });
+    }
+  } catch (error) {
+    logger.warn('Could not process uploaded image', { message: error.message });
+    throw { status: 400, message: 'La imagen está dañada o es demasiado grande' };
+  }
+  return files;
+};
+
+/**
+ * Validates and stores an uploaded game image in every size
+ * @param {Buffer} buffer - Upload content
+ * @returns {object} { image, thumbnail } file names
+ */
+const processGameImage = (buffer) => processImage(buffer, 'game');
+
+/**
+ * Validates, crops to a square and stores an uploaded avatar in every size
+ * @param {Buffer} buffer - Upload content
+ * @returns {object} { large, medium, small } file names
+ */
+const processAvatar = (buffer) => processImage(buffer, 'avatar');
+
+/**
+ * URL of a stored image
+ * @param {string} baseUrl - API origin (protocol and host)
+ * @param {string} filename - Stored file name
+ * @param {string} kind - game or avatar
+ * @returns {string} Image URL
+ */
+const getImageUrl = (baseUrl, filename, kind) => storage.getUrl(`${IMAGE_KINDS[kind].prefix}${filename}`, baseUrl);
+
+/**
+ * URL of a stored game image
+ * @param {string} baseUrl - API origin (protocol and host)
+ * @param {string} filename - Stored file name
+ * @returns {string} Image URL
+ */
+const getGameImageUrl = (baseUrl, filename) => getImageUrl(baseUrl, filename, 'game');
+
+/**
+ * File name of an uploaded image from its URL
+ * @param {string} url - Image URL
+ * @param {string} kind - game or avatar
+ * @returns {string|null} File name, or null for external images
+ */
+const getUploadedFilename = (url, kind = 'game') => {
+  const { prefix } = IMAGE_KINDS[kind];
+  const key = storage.keyFromUrl(url);
+  return key && key.startsWith(prefix) ? key.slice(prefix.length) : null;
+};
+
+/**
+ * Every size stored for an avatar, from the file name of one of them
+ * @param {string} filename - Avatar file name
+ * @returns {Array<string>} File names
+ */
+const avatarSizeFilenames = (filename) =>
+  Object.values(IMAGE_KINDS.avatar.sizes).map(size => filename.replace(/-\d+(\.\w+)$/, `-${size}$1`));
+
+/**
+ * Storage keys of every size stored for an uploaded image
+ * @param {string} url - Image URL
+ * @param {string} kind - game or avatar
+ * @returns {Array<string>} Keys, empty for external images
+ */
+const getStoredKeys = (url, kind) => {
+  const filename = getUploadedFilename(url, kind);
+  if (!filename) return [];
+
+  const names = kind === 'avatar' ? avatarSizeFilenames(filename) : [filename];
+  return names.map(name => `${IMAGE_KINDS[kind].prefix}${name}`);
+};
+
+/**
+ * URLs referenced by what uses each kind of image
+ * @param {string} kind - game or avatar
+ * @returns {Array<string>} URLs
+ */
+const getReferencedUrls = async (kind) => {
+  const set = { $nin: [null, ''] };
+
+  if (kind === 'game') {
+    const games = await Game.find({ isActive: true, $or: [{ image: set }, { thumbnail: set }] })
+      .select('image thumbnail')
+      .lean();
+    return games.flatMap(game => [game.image, game.thumbnail]);
+  }
+
+  const [users, groups] = await Promise.all([
+    User.find({ avatar: set }).select('avatar').lean(),
+    Group.find({ isActive: true, avatar: set }).select('avatar').lean(),
+  ]);
+  return [...users, ...groups].map(owner => owner.avatar);
+};
+
+/**
+ * File names in use of a kind of image
+ * @param {string} kind - game or avatar
+ * @returns {Set<string>} File names
+ */
+const getReferencedFilenames = async (kind) => {
+  const filenames = new Set();
+  for (const url of await getReferencedUrls(kind)) {
+    const filename = getUploadedFilename(url, kind);
+    if (!filename) continue;
+
+    const names = kind === 'avatar' ? avatarSizeFilenames(filename) : [filename];
+    names.forEach(name => filenames.add(name));
+  }
+  return filenames;
+};
+
+/**
+ * Deletes the uploaded files among these URLs that nothing uses anymore
+ * (after a game or group is deleted, or an image or avatar replaced). Never throws.
+ * Recent files are left to the uploads-cleanup job: someone may have just
+ * uploaded the same image and not be saved yet
+ * @param {Array<string>} urls - Image URLs no longer used by their owner
+ */
+const removeUnreferencedImages = async (urls) => {
+  const cutoff = Date.now() - ORPHAN_MIN_AGE_MS;
+  try {
+    for (const kind of Object.keys(IMAGE_KINDS)) {
+      const filenames = urls
+        .map(url => getUploadedFilename(url, kind))
+        .filter(Boolean)
+        .flatMap(filename => (kind === 'avatar' ? avatarSizeFilenames(filename) : [filename]));
+      if (filenames.length === 0) continue;
+
+      const referenced = await getReferencedFilenames(kind);
+      for (const filename of new Set(filenames)) {
+        if (referenced.has(filename)) continue;
+
+        const key = `${IMAGE_KINDS[kind].prefix}${filename}`;
+        const lastModified = await storage.lastModified(key);
+        if (lastModified && lastModified.getTime() < cutoff) {
+          await storage.remove(key);
+        }
+      }
+    }
+  } catch (error) {
+    logger.error('Error removing unused images', error);
+  }
+};
+
+/**
+ * Deletes every stored image nothing uses (the uploads-cleanup job): files
+ * left by failed requests or uploaded before cleanup existed
+ * @returns {object} { removed }
+ */
+const removeOrphanedImages = async () => {
+  const cutoff = Date.now() - ORPHAN_MIN_AGE_MS;
+  let removed = 0;
+
+  for (const [kind, { prefix }] of Object.entries(IMAGE_KINDS)) {
+    const referenced = await getReferencedFilenames(kind);
+
+    for (const { key, lastModified } of await storage.list(prefix)) {
+      const filename = key.slice(prefix.length);
+      if (referenced.has(filename) || lastModified.getTime() >= cutoff) continue;
+
+      await storage.remove(key);
+      removed++;
+    }
+  }
+
+  if (removed > 0) {
+    logger.info(`Removed ${removed} unused images`);
+  }
+  return { removed };
+};
+
+module.exports = {
+  IMAGE_KINDS,
+  detectImageType,
+  processGameImage,
+  processAvatar,
+  getImageUrl,
+  getGameImageUrl,
+  getUploadedFilename,
+  getStoredKeys,
+  removeUnreferencedImages,
+  removeOrphanedImages,
+};
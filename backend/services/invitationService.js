@@ -0,0 +1,435 @@
+/**
+ * @fileoverview Invitation Service
+ * @description Group invitations the invitee accepts or declines, and expiring invite links
+ * @module services/invitationService
+ * @requires ../models/GroupInvitation
+ * @requires ../models/InviteLink
+ * @requires ../models/Group
+ * @requires ../models/User
+ * @requires ./mailService
+ * @requires ../utils/groupHelpers
+ * @requires ../utils/emailTemplates
+ */
+
+const crypto = require('crypto');
+const GroupInvitation = require('../models/GroupInvitation');
+const InviteLink = require('../models/InviteLink');
+const Group = require('../models/Group');
+const User = require('../models/User');
+const mailService = require('./mailService');
+const {
+  MAX_GROUPS_PER_USER,
+  hasReachedGroupLimit,
+  addMemberToGroup,
+} = require('../utils/groupHelpers');
+const { clientLink, renderEmail } = require('../utils/emailTemplates');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('InvitationService');
+
+/**
+ * An admin invites a person by email. If the address has an account, the
+ * invitation waits for that user to accept or decline it; if not, it waits
+ * for someone to sign up with the address, and accepting it then needs the
+ * address verified, so an account created with someone else's email can't
+ * use it. Invite links have no invitee: whoever opens an active one joins
+ * with its role, without going through the approval queue.
+ * Capacity and the group limit are checked when someone joins, and the
+ * invitation (or a use of the link) is claimed atomically before adding them.
+ */
+
+const INVITATION_TTL_DAYS = 14;
+const INVITATION_TTL_MS = INVITATION_TTL_DAYS * 24 * 60 * 60 * 1000;
+
+const INVALID_LINK = 'Este enlace de invitación no es válido o ha caducado';
+
+const INVITEE_FIELDS = 'name nickname avatar';
+
+/**
+ * Checks that a user can join a group right now
+ * @param {object} group - Group document
+ * @param {string} userId - User who joins
+ */
+const checkCanJoin = async (group, userId) => {
+  if (!group || !group.isActive) {
+    throw { status: 404, message: 'Grupo no encontrado' };
+  }
+  if (group.isMember(userId)) {
+    throw { status: 400, message: 'Ya eres miembro de este grupo' };
+  }
+  if (!group.canAcceptMoreMembers()) {
+    throw { status: 400, message: 'El grupo ha alcanzado el límite de miembros' };
+  }
+  if (await hasReachedGroupLimit(userId)) {
+    throw { status: 400, message: `Has alcanzado el límite máximo de ${MAX_GROUPS_PER_USER} grupos` };
+  }
+};
+
+/**
+ * Emails an invitation, without making the admin wait for the mail server
+ * @param {object} invitation - Invitation document
+ * @param {object} group - Group document
+ * @param {object} inviter - Admin who sent it
+ * @param {object|null} invitee - User with the address, if any
+ */
+const sendInvitationEmail = (invitation, group, inviter, invitee) => {
+  const content = invitee
+    ? {
+      name: invitee.name,
+      intro: `${inviter.name} te ha invitado a unirte a su grupo "${group.name}" en Tabletop Mastering.`,
+      action: 'Ver la invitación',
+      link: clientLink('/groups'),
+      outro: `Puedes aceptarla o rechazarla desde tus grupos durante ${INVITATION_TTL_DAYS} días.`,
+    }
+    : {
+      name: invitation.email,
+      intro: `${inviter.name} te ha invitado a unirte a su grupo "${group.name}" en Tabletop Mastering, donde registra sus partidas y clasificaciones.`,
+      action: 'Crear mi cuenta',
+      link: clientLink('/register'),
+      outro: `Regístrate con esta dirección de email y verifícala para aceptar la invitación. Caduca en ${INVITATION_TTL_DAYS} días; si no te interesa, ignora este email.`,
+    };
+
+  mailService.send({
+    to: invitation.email,
+    subject: `${inviter.name} te ha invitado a ${group.name}`,
+    ...renderEmail(content),
+  }).catch(error => logger.error('Error sending group invitation email', error));
+};
+
+/**
+ * Invites a person to a group by email
+ * @param {object} group - Group document
+ * @param {object} inviter - Admin who invites
+ * @param {string} email - Address to invite
+ * @returns {object} Invitation with its invitee, if registered
+ */
+const createInvitation = async (group, inviter, email) => {
+  const address = String(email).toLowerCase().trim();
+
+  const invitee = await User.findOne({ email: address }).select('name isActive');
+  if (invitee && !invitee.isActive) {
+    throw { status: 400, message: 'La cuenta con ese email no está activa' };
+  }
+  if (invitee && group.isMember(invitee._id)) {
+    throw { status: 400, message: 'Este usuario ya es miembro del grupo' };
+  }
+  if (!group.canAcceptMoreMembers()) {
+    throw { status: 400, message: 'El grupo ha alcanzado el límite de miembros' };
+  }
+
+  const now = new Date();
+  // An expired invitation doesn't block a new one
+  await GroupInvitation.updateMany(
+    { group: group._id, email: address, status: 'pending', expiresAt: { $lte: now } },
+    { $set: { status: 'expired' } }
+  );
+
+  let invitation;
+  try {
+    invitation = await GroupInvitation.create({
+      group: group._id,
+      invitedBy: inviter._id,
+      email: address,
+      invitee: invitee ? invitee._id : null,
+      expiresAt: new Date(now.getTime() + INVITATION_TTL_MS),
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      throw { status: 409, message: 'Ya hay una invitación pendiente para este email' };
+    }
+    throw error;
+  }
+
+  sendInvitationEmail(invitation, group, inviter, invitee);
+
+  await invitation.populate('invitee', INVITEE_FIELDS);
+  return invitation;
+};
+
+/**
+ * Outstanding invitations of a group, newest first
+ * @param {string} groupId - Group ID
+ * @returns {Array} Invitations with their invitee and who sent them
+ */
+const getGroupInvitations = async (groupId) => {
+  return GroupInvitation.find({ group: groupId, status: 'pending', expiresAt: { $gt: new Date() } })
+    .populate('invitee', INVITEE_FIELDS)
+    .populate('invitedBy', 'name')
+    .sort({ createdAt: -1 })
+    .lean();
+};
+
+/**
+ * Revokes a pending invitation
+ * @param {object} group - Group document
+ * @param {string} invitationId - Invitation ID
+ */
+const revokeInvitation = async (group, invitationId) => {
+  const invitation = await GroupInvitation.findOneAndUpdate(
+    { _id: invitationId, group: group._id, status: 'pending' },
+    { $set: { status: 'revoked', respondedAt: new Date() } }
+  );
+  if (!invitation) {
+    throw { status: 404, message: 'Invitación pendiente no encontrada' };
+  }
+};
+
+/**
+ * Pending invitations of a user, newest first
+ * @param {string} userId - User ID
+ * @returns {Array} Invitations with their group and who sent them
+ */
+const getUserInvitations = async (userId) => {
+  const invitations = await GroupInvitation.find({
+    invitee: userId,
+    status: 'pending',
+    expiresAt: { $gt: new Date() },
+  })
+    .populate('group', 'name description avatar isActive')
+    .populate('invitedBy', 'name avatar')
+    .sort({ createdAt: -1 })
+    .lean();
+
+  return invitations.filter(invitation => invitation.group?.isActive);
+};
+
+/**
+ * Accepts an invitation and adds the user to its group
+ * @param {object} user - Invitee
+ * @param {string} invitationId - Invitation ID
+ * @returns {object} Group joined
+ */
+const acceptInvitation = async (user, invitationId) => {
+  const invitation = await GroupInvitation.findOne({
+    _id: invitationId,
+    invitee: user._id,
+    status: 'pending',
+    expiresAt: { $gt: new Date() },
+  });
+  if (!invitation) {
+    throw { status: 404, message: 'La invitación no existe o ha caducado' };
+  }
+  if (invitation.claimedAtSignup && !user.emailVerified) {
+    throw { status: 403, message: 'Verifica tu email para aceptar esta invitación' };
+  }
+
+  const group = await Group.findById(invitation.group);
+  await checkCanJoin(group, user._id);
+
+  // Claimed first, so it can't be accepted twice
+  const claimed = await GroupInvitation.findOneAndUpdate(
+    { _id: invitation._id, status: 'pending' },
+    { $set: { status: 'accepted', respondedAt: new Date() } }
+  );
+  if (!claimed) {
+    throw { status: 409, message: 'Ya has respondido a esta invitación' };
+  }
+
+  try {
+    await addMemberToGroup(group, user._id);
+  } catch (error) {
+    await GroupInvitation.updateOne(
+      { _id: invitation._id },
+      { $set: { status: 'pending' }, $unset: { respondedAt: '' } }
+    );
+    throw { status: 400, message: error.message };
+  }
+
+  return group;
+};
+
+/**
+ * Declines a pending invitation of the user
+ * @param {string} userId - Invitee
+ * @param {string} invitationId - Invitation ID
+ */
+const declineInvitation = async (userId, invitationId) => {
+  const invitation = await GroupInvitation.findOneAndUpdate(
+    { _id: invitationId, invitee: userId, status: 'pending' },
+    { $set: { status: 'declined', respondedAt: new Date() } }
+  );
+  if (!invitation) {
+    throw { status: 404, message: 'Invitación pendiente no encontrada' };
+  }
+};
+
+/**
+ * Turns the invitations sent to the email of a new account into its pending invitations
+ * @param {object} user - User who just signed up
+ * @returns {number} Invitations claimed
+ */
+const claimEmailInvitations = async (user) => {
+  const { modifiedCount } = await GroupInvitation.updateMany(
+    { email: user.email, invitee: null, status: 'pending', expiresAt: { $gt: new Date() } },
+    { $set: { invitee: user._id, claimedAtSignup: true } }
+  );
+  return modifiedCount;
+};
+
+/**
+ * Deletes the invitations of a user, sent to their account or their email (account anonymization)
+ * @param {object} user - User document, before its email is cleared
+ * @returns {number} Invitations deleted
+ */
+const deleteUserInvitations = async (user) => {
+  const { deletedCount } = await GroupInvitation.deleteMany({
+    $or: [{ invitee: user._id }, { email: user.email }],
+  });
+  return deletedCount;
+};
+
+/**
+ * Invite link as returned to admins
+ * @param {object} link - Invite link document
+ * @returns {object} Link with its URL and state
+ */
+const formatInviteLink = (link) => ({
+  id: link._id,
+  url: clientLink(`/invite/${link.token}`),
+  role: link.role,
+  maxUses: link.maxUses,
+  uses: link.uses,
+  expiresAt: link.expiresAt,
+  status: link.getStatus(),
+  createdBy: link.createdBy,
+  createdAt: link.createdAt,
+});
+
+/**
+ * Creates an invite link
+ * @param {object} group - Group document
+ * @param {string} creatorId - Admin
+ * @param {object} options - { expiresInDays, maxUses (null: no limit), role }
+ * @returns {object} Formatted link
+ */
+const createInviteLink = async (group, creatorId, { expiresInDays = 7, maxUses = null, role = 'member' } = {}) => {
+  const link = await InviteLink.create({
+    group: group._id,
+    createdBy: creatorId,
+    token: crypto.randomBytes(12).toString('base64url'),
+    role,
+    maxUses: maxUses || null,
+    expiresAt: new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000),
+  });
+
+  await link.populate('createdBy', 'name');
+  return formatInviteLink(link);
+};
+
+/**
+ * Links of a group that haven't expired or been revoked, newest first
+ * @param {string} groupId - Group ID
+ * @returns {Array} Formatted links (active or exhausted)
+ */
+const getGroupInviteLinks = async (groupId) => {
+  const links = await InviteLink.find({ group: groupId, revokedAt: null, expiresAt: { $gt: new Date() } })
+    .populate('createdBy', 'name')
+    .sort({ createdAt: -1 });
+
+  return links.map(formatInviteLink);
+};
+
+/**
+ * Revokes an invite link
+ * @param {object} group - Group document
+ * @param {string} linkId - Link ID
+ * @param {string} userId - Admin
+ */
+const revokeInviteLink = async (group, linkId, userId) => {
+  const link = await InviteLink.findOneAndUpdate(
+    { _id: linkId, group: group._id, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedBy: userId } }
+  );
+  if (!link) {
+    throw { status: 404, message: 'Enlace de invitación no encontrado' };
+  }
+};
+
+/**
+ * Gets an active link and its group
+ * @param {string} token - Token from the link URL
+ * @returns {object} { link, group }
+ */
+const findActiveLink = async (token) => {
+  const link = await InviteLink.findOne({ token: String(token) });
+  if (!link || link.getStatus() !== 'active') {
+    throw { status: 404, message: INVALID_LINK };
+  }
+
+  const group = await Group.findById(link.group);
+  if (!group || !group.isActive) {
+    throw { status: 404, message: INVALID_LINK };
+  }
+  return { link, group };
+};
+
+/**
+ * What an invite link joins, shown before joining (public)
+ * @param {string} token - Token from the link URL
+ * @returns {object} { group, role, expiresAt }
+ */
+const getInviteLinkPreview = async (token) => {
+  const { link, group } = await findActiveLink(token);
+
+  return {
+    group: {
+      id: group._id,
+      name: group.name,
+      description: group.description,
+      avatar: group.avatar,
+      memberCount: group.memberCount,
+    },
+    role: link.role,
+    expiresAt: link.expiresAt,
+  };
+};
+
+/**
+ * Joins a group with an invite link, with the link's role
+ * @param {string} token - Token from the link URL
+ * @param {string} userId - User who joins
+ * @returns {object} Group joined
+ */
+const joinWithInviteLink = async (token, userId) => {
+  const { link, group } = await findActiveLink(token);
+  await checkCanJoin(group, userId);
+
+  // Takes one use, unless the link ran out or was revoked meanwhile
+  const claimed = await InviteLink.findOneAndUpdate(
+    {
+      _id: link._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+      $or: [{ maxUses: null }, { $expr: { $lt: ['$uses', '$maxUses'] } }],
+    },
+    { $inc: { uses: 1 } }
+  );
+  if (!claimed) {
+    throw { status: 404, message: INVALID_LINK };
+  }
+
+  try {
+    await addMemberToGroup(group, userId, link.role);
+  } catch (error) {
+    await InviteLink.updateOne({ _id: link._id }, { $inc: { uses: -1 } });
+    throw { status: 400, message: error.message };
+  }
+
+  return group;
+};
+
+module.exports = {
+  createInvitation,
+  getGroupInvitations,
+  revokeInvitation,
+  getUserInvitations,
+  acceptInvitation,
+  declineInvitation,
+  claimEmailInvitations,
+  deleteUserInvitations,
+  createInviteLink,
+  getGroupInviteLinks,
+  revokeInviteLink,
+  getInviteLinkPreview,
+  joinWithInviteLink,
+};
@@ -0,0 +1,346 @@
+/**
+ * @fileoverview Job Queue Service
+ * @description MongoDB-backed queue for long tasks, with retries, backoff and recurring jobs
+ * @module services/jobQueue
+ * @requires ../models/Job
+ * @requires ../middlewares/metrics
+ */
+
+const Job = require('../models/Job');
+const {
+  jobQueueJobsTotal,
+  jobQueueFailuresTotal,
+  setJobQueueDepthReader,
+} = require('../middlewares/metrics');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('JobQueue');
+
+/**
+ * Jobs live in MongoDB, so they survive restarts and any API instance can
+ * run them: a worker claims the next due job atomically and runs one job at
+ * a time. While a job runs its worker refreshes lockedAt; a running job whose
+ * lock is older than LOCK_TIMEOUT_MS belonged to a worker that died and is
+ * queued again. Handlers must therefore be safe to run twice.
+ *
+ * Singleton job types (e.g. rebuilds that overwrite every rating) never run
+ * twice at the same time, even with several workers: a job is not claimed
+ * while another one with the same lock runs, and unique indexes keep one
+ * running job per lock and at most one queued job per type (queueing another
+ * returns that one).
+ */
+
+const POLL_INTERVAL_MS = 5000;
+const HEARTBEAT_MS = 60 * 1000;
+const LOCK_TIMEOUT_MS = 5 * 60 * 1000;
+
+// type => { handler, maxAttempts, backoffMs, onFailure, lock }
+const handlers = new Map();
+const schedules = [];
+
+let pollTimer = null;
+let scheduleTimers = [];
+let processing = false;
+let started = false;
+
+const DUPLICATE_KEY = 11000;
+
+/**
+ * Registers the handler of a job type
+ * @param {string} type - Job type
+ * @param {Function} handler - async (payload, job) => result
+ * @param {object} options - { maxAttempts, backoffMs, onFailure(payload, error) once given up,
+ *   singleton: true, or a lock name shared by types that must not run at the same time }
+ */
+const registerHandler = (
+  type,
+  handler,
+  { maxAttempts = 3, backoffMs = 30 * 1000, onFailure = null, singleton = false } = {}
+) => {
+  const lock = singleton === true ? type : singleton || null;
+  handlers.set(type, { handler, maxAttempts, backoffMs, onFailure, lock });
+};
+
+/**
+ * Runs a job every interval (and once when the queue starts); a new one is
+ * not queued while the previous one is still pending
+ * @param {string} type - Job type
+ * @param {number} intervalMs - Interval between runs
+ * @param {object} payload - Payload of each run
+ */
+const scheduleRecurring = (type, intervalMs, payload = {}) => {
+  schedules.push({ type, intervalMs, payload });
+};
+
+/**
+ * Checks the queue at once instead of waiting for the next poll
+ */
+const wake = () => {
+  if (started) setImmediate(processQueue);
+};
+
+/**
+ * Creates a job (fails with a duplicate key if a singleton type already has one queued)
+ * @returns {object} Created job
+ */
+const createJob = async (type, payload, { createdBy = null, runAt = new Date(), maxAttempts } = {}) => {
+  const lock = handlers.get(type)?.lock;
+  const job = await Job.create({
+    type,
+    payload,
+    createdBy,
+    runAt,
+    maxAttempts: maxAttempts || handlers.get(type)?.maxAttempts || 3,
+    ...(lock && { lock }),
+  });
+
+  wake();
+  return job.toObject();
+};
+
+/**
+ * Adds a job to the queue
+ * @param {string} type - Job type
+ * @param {object} payload - Input of the handler
+ * @param {object} options - { createdBy, runAt, maxAttempts }
+ * @returns {object} Created job, or the one already queued of a singleton type
+ */
+const enqueue = async (type, payload = {}, options = {}) => {
+  try {
+    return await createJob(type, payload, options);
+  } catch (error) {
+    if (error.code !== DUPLICATE_KEY) throw error;
+
+    const queued = await Job.findOne({ type, status: 'queued' }).lean();
+    // Claimed meanwhile: the new one can be queued now
+    return queued || createJob(type, payload, options);
+  }
+};
+
+/**
+ * Adds a job unless one of the same type is already queued or running
+ * @param {object} options - Options of enqueue, plus skipIfRunning (default: true);
+ *   false still queues one when the running job may have missed newer changes
+ * @returns {object|null} Created job, or null if one was pending
+ */
+const enqueueUnique = async (type, payload = {}, { skipIfRunning = true, ...options } = {}) => {
+  const statuses = skipIfRunning ? ['queued', 'running'] : ['queued'];
+  const pending = await Job.exists({ type, status: { $in: statuses } });
+  if (pending) return null;
+
+  try {
+    return await createJob(type, payload, options);
+  } catch (error) {
+    // Another one of a singleton type was queued in between
+    if (error.code === DUPLICATE_KEY) return null;
+    throw error;
+  }
+};
+
+/**
+ * Tells whether a job of any of the types is running now
+ * @param {Array} types - Job types
+ * @returns {boolean} True if one is running
+ */
+const isRunning = async (types) => Boolean(await Job.exists({ type: { $in: types }, status: 'running' }));
+
+/**
+ * Claims the next due job of a type this worker can run, skipping singleton
+ * types whose lock is held by a running job
+ * @returns {object|null} Claimed job
+ */
+const claimNext = async () => {
+  const heldLocks = await Job.distinct('lock', { status: 'running', lock: { $exists: true } });
+
+  try {
+    return await Job.findOneAndUpdate(
+      {
+        status: 'queued',
+        runAt: { $lte: new Date() },
+        type: { $in: [...handlers.keys()] },
+        lock: { $nin: heldLocks },
+      },
+      { $set: { status: 'running', lockedAt: new Date() }, $inc: { attempts: 1 } },
+      { sort: { runAt: 1 }, new: true }
+    ).lean();
+  } catch (error) {
+    // Another worker took the same lock in between; the job stays queued
+    if (error.code === DUPLICATE_KEY) return null;
+    throw error;
+  }
+};
+
+/**
+ * Runs a claimed job and records its outcome: completed, queued again with
+ * exponential backoff, or failed once it runs out of attempts
+ * @param {object} job - Claimed job
+ */
+const runJob = async (job) => {
+  const { handler, backoffMs, onFailure } = handlers.get(job.type);
+  const heartbeat = setInterval(() => {
+    Job.updateOne({ _id: job._id, status: 'running' }, { $set: { lockedAt: new Date() } })
+      .catch(error => logger.warn(`Heartbeat of job ${job._id} failed`, { message: error.message }));
+  }, HEARTBEAT_MS);
+
+  try {
+    const result = await handler(job.payload, job);
+    await Job.updateOne(
+      { _id: job._id },
+      { $set: { status: 'completed', result, finishedAt: new Date() }, $unset: { lockedAt: 1 } }
+    );
+    jobQueueJobsTotal.inc({ type: job.type, outcome: 'completed' });
+  } catch (error) {
+    jobQueueFailuresTotal.inc({ type: job.type });
+    const message = error.message || 'Error desconocido';
+
+    if (job.attempts < job.maxAttempts) {
+      const delay = backoffMs * 2 ** (job.attempts - 1);
+      logger.warn(`Job ${job.type} ${job._id} failed (attempt ${job.attempts}), retrying in ${delay}ms`, { message });
+      try {
+        await Job.updateOne(
+          { _id: job._id },
+          { $set: { status: 'queued', runAt: new Date(Date.now() + delay), lastError: message }, $unset: { lockedAt: 1 } }
+        );
+        return;
+      } catch (requeueError) {
+        // A singleton type with another job queued: that one does the work instead
+        if (requeueError.code !== DUPLICATE_KEY) throw requeueError;
+      }
+    }
+
+    logger.error(`Job ${job.type} ${job._id} failed after ${job.attempts} attempts`, { message });
+    await Job.updateOne(
+      { _id: job._id },
+      { $set: { status: 'failed', lastError: message, finishedAt: new Date() }, $unset: { lockedAt: 1 } }
+    );
+    jobQueueJobsTotal.inc({ type: job.type, outcome: 'failed' });
+
+    if (onFailure) {
+      await Promise.resolve(onFailure(job.payload, error))
+        .catch(hookError => logger.error(`Failure hook of job ${job._id} failed`, hookError));
+    }
+  } finally {
+    clearInterval(heartbeat);
+  }
+};
+
+/**
+ * Queues again the jobs left running by a worker that died; those that had
+ * used all their attempts, or of a singleton type that already has one
+ * queued, are given up
+ */
+const recoverStaleJobs = async () => {
+  const staleFilter = { status: 'running', lockedAt: { $lt: new Date(Date.now() - LOCK_TIMEOUT_MS) } };
+  const queuedSingletons = await Job.distinct('type', { status: 'queued', lock: { $exists: true } });
+
+  await Job.updateMany(
+    {
+      ...staleFilter,
+      $or: [
+        { $expr: { $gte: ['$attempts', '$maxAttempts'] } },
+        { type: { $in: queuedSingletons }, lock: { $exists: true } },
+      ],
+    },
+    { $set: { status: 'failed', lastError: 'El proceso que ejecutaba el trabajo se detuvo', finishedAt: new Date() } }
+  );
+  await Job.updateMany(
+    { ...staleFilter, $expr: { $lt: ['$attempts', '$maxAttempts'] } },
+    { $set: { status: 'queued', runAt: new Date(), lastError: 'El proceso que ejecutaba el trabajo se detuvo' } }
+  );
+};
+
+/**
+ * Runs due jobs one after another until none is left
+ */
+async function processQueue() {
+  if (processing || !started) return;
+  processing = true;
+
+  try {
+    let job;
+    while (started && (job = await claimNext())) {
+      await runJob(job);
+    }
+  } catch (error) {
+    logger.error('Error processing the job queue', error);
+  } finally {
+    processing = false;
+  }
+}
+
+/**
+ * Jobs queued or running, by type and status (for the metrics)
+ * @returns {Array} [{ type, status, count }]
+ */
+const getQueueDepth = async () => {
+  const groups = await Job.aggregate([
+    { $match: { status: { $in: ['queued', 'running'] } } },
+    { $group: { _id: { type: '$type', status: '$status' }, count: { $sum: 1 } } },
+  ]);
+  return groups.map(group => ({ ...group._id, count: group.count }));
+};
+
+/**
+ * Starts the worker of this process and the recurring jobs
+ * @param {object} options - { pollIntervalMs }
+ */
+const start = ({ pollIntervalMs = POLL_INTERVAL_MS } = {}) => {
+  if (started) return;
+  started = true;
+
+  setJobQueueDepthReader(getQueueDepth);
+
+  pollTimer = setInterval(() => {
+    recoverStaleJobs()
+      .catch(error => logger.error('Error recovering stale jobs', error))
+      .finally(processQueue);
+  }, pollIntervalMs);
+
+  scheduleTimers = schedules.map(({ type, intervalMs, payload }) => {
+    const queueRun = () => enqueueUnique(type, payload)
+      .catch(error => logger.error(`Error scheduling job ${type}`, error));
+    queueRun();
+    return setInterval(queueRun, intervalMs);
+  });
+
+  logger.info(`Job queue started (${handlers.size} job types, ${schedules.length} recurring)`);
+  wake();
+};
+
+/**
+ * Stops taking new jobs (the running one finishes)
+ */
+const stop = () => {
+  started = false;
+  clearInterval(pollTimer);
+  scheduleTimers.forEach(clearInterval);
+  scheduleTimers = [];
+};
+
+/**
+ * Gets a job, for the user who requested it or a platform admin
+ * @param {string} jobId - Job ID
+ * @param {object} user - Requesting user ({ _id, role })
+ * @returns {object} Job without its payload
+ */
+const getJob = async (jobId, user) => {
+  const job = await Job.findById(jobId).select('-payload').lean();
+
+  const canSee = job && (user.role === 'admin' || job.createdBy?.toString() === user._id.toString());
+  if (!canSee) {
+    throw { status: 404, message: 'Trabajo no encontrado' };
+  }
+  return job;
+};
+
+module.exports = {
+  registerHandler,
+  scheduleRecurring,
+  enqueue,
+  enqueueUnique,
+  isRunning,
+  getJob,
+  getQueueDepth,
+  start,
+  stop,
+};
@@ -0,0 +1,216 @@
+/**
+ * @fileoverview Join Request Service
+ * @description Approval queue for groups with settings.requireApproval
+ * @module services/joinRequestService
+ * @requires ../models/JoinRequest
+ * @requires ../models/User
+ * @requires ../utils/groupHelpers
+ */
+
+const JoinRequest = require('../models/JoinRequest');
+const User = require('../models/User');
+const {
+  MAX_GROUPS_PER_USER,
+  hasReachedGroupLimit,
+  addMemberToGroup,
+} = require('../utils/groupHelpers');
+
+/**
+ * Joining a group that requires approval with its invite code creates a
+ * pending request instead of a membership. Admins and moderators approve or
+ * reject it; the group's capacity and the requester's group limit are
+ * checked when it is approved, since both may change while it waits.
+ */
+
+// Reviewed requests stay visible to their requester for this long
+const REVIEWED_VISIBLE_MS = 30 * 24 * 60 * 60 * 1000;
+
+const REQUESTER_FIELDS = 'name nickname avatar stats';
+
+/**
+ * Creates a pending request to join a group
+ * @param {object} group - Group document
+ * @param {string} userId - Requester
+ * @param {string} message - Optional note for the admins
+ * @returns {object} Request with its group
+ */
+const createJoinRequest = async (group, userId, message = '') => {
+  const pending = await JoinRequest.exists({ group: group._id, user: userId, status: 'pending' });
+  if (pending) {
+    throw { status: 409, message: 'Ya has pedido unirte a este grupo; espera a que revisen tu solicitud' };
+  }
+
+  let request;
+  try {
+    request = await JoinRequest.create({ group: group._id, user: userId, message });
+  } catch (error) {
+    // Two requests sent at once: the unique index keeps one
+    if (error.code === 11000) {
+      throw { status: 409, message: 'Ya has pedido unirte a este grupo; espera a que revisen tu solicitud' };
+    }
+    throw error;
+  }
+
+  await request.populate('group', 'name avatar');
+  return request;
+};
+
+/**
+ * Requests of a group, oldest first (admins and moderators)
+ * @param {string} groupId - Group ID
+ * @param {string} status - pending, approved, rejected or all
+ * @returns {Array} Requests with their requester and reviewer
+ */
+const getGroupJoinRequests = async (groupId, status = 'pending') => {
+  const filter = { group: groupId };
+  filter.status = status === 'all' ? { $ne: 'cancelled' } : status;
+
+  return JoinRequest.find(filter)
+    .populate('user', REQUESTER_FIELDS)
+    .populate('reviewedBy', 'name')
+    .sort({ createdAt: status === 'pending' ? 1 : -1 })
+    .lean();
+};
+
+/**
+ * Pending requests of a user and the ones reviewed lately, newest first
+ * @param {string} userId - User ID
+ * @returns {Array} Requests with their group
+ */
+const getUserJoinRequests = async (userId) => {
+  const requests = await JoinRequest.find({
+    user: userId,
+    $or: [
+      { status: 'pending' },
+      { status: { $in: ['approved', 'rejected'] }, reviewedAt: { $gte: new Date(Date.now() - REVIEWED_VISIBLE_MS) } },
+    ],
+  })
+    .populate('group', 'name avatar isActive')
+    .sort({ createdAt: -1 })
+    .lean();
+
+  return requests.filter(request => request.group?.isActive);
+};
+
+/**
+ * Gets a pending request of the group
+ * @param {object} group - Group document
+ * @param {string} requestId - Request ID
+ * @returns {object} Request document
+ */
+const findPendingRequest = async (group, requestId) => {
+  const request = await JoinRequest.findOne({ _id: requestId, group: group._id });
+  if (!request) {
+    throw { status: 404, message: 'Solicitud no encontrada' };
+  }
+  if (request.status !== 'pending') {
+    throw { status: 409, message: 'Esta solicitud ya ha sido revisada' };
+  }
+  return request;
+};
+
+/**
+ * Approves a request and adds its requester to the group
+ * @param {object} group - Group document
+ * @param {string} requestId - Request ID
+ * @param {string} reviewerId - Admin or moderator
+ * @returns {object} Approved request
+ */
+const approveJoinRequest = async (group, requestId, reviewerId) => {
+  const request = await findPendingRequest(group, requestId);
+
+  const requester = await User.findById(request.user).select('isActive');
+  if (!requester || !requester.isActive) {
+    throw { status: 400, message: 'La cuenta de este usuario ya no está activa' };
+  }
+  if (group.isMember(request.user)) {
+    throw { status: 400, message: 'Este usuario ya es miembro del grupo' };
+  }
+  if (!group.canAcceptMoreMembers()) {
+    throw { status: 400, message: 'El grupo ha alcanzado el límite de miembros; amplía el límite antes de aprobar' };
+  }
+  if (await hasReachedGroupLimit(request.user)) {
+    throw { status: 400, message: `Este usuario ya está en ${MAX_GROUPS_PER_USER} grupos, el máximo permitido` };
+  }
+
+  // Claimed first, so two reviewers can't approve it twice
+  const claimed = await JoinRequest.findOneAndUpdate(
+    { _id: request._id, status: 'pending' },
+    { $set: { status: 'approved', reviewedBy: reviewerId, reviewedAt: new Date() } },
+    { new: true }
+  );
+  if (!claimed) {
+    throw { status: 409, message: 'Esta solicitud ya ha sido revisada' };
+  }
+
+  try {
+    await addMemberToGroup(group, request.user);
+  } catch (error) {
+    await JoinRequest.updateOne(
+      { _id: request._id },
+      { $set: { status: 'pending' }, $unset: { reviewedBy: '', reviewedAt: '' } }
+    );
+    throw { status: 400, message: error.message };
+  }
+
+  await claimed.populate('user', REQUESTER_FIELDS);
+  return claimed;
+};
+
+/**
+ * Rejects a request
+ * @param {object} group - Group document
+ * @param {string} requestId - Request ID
+ * @param {string} reviewerId - Admin or moderator
+ * @param {string} reason - Shown to the requester
+ * @returns {object} Rejected request
+ */
+const rejectJoinRequest = async (group, requestId, reviewerId, reason = '') => {
+  await findPendingRequest(group, requestId);
+
+  const rejected = await JoinRequest.findOneAndUpdate(
+    { _id: requestId, status: 'pending' },
+    { $set: { status: 'rejected', reviewedBy: reviewerId, reviewedAt: new Date(), rejectionReason: reason } },
+    { new: true, runValidators: true }
+  ).populate('user', REQUESTER_FIELDS);
+
+  if (!rejected) {
+    throw { status: 409, message: 'Esta solicitud ya ha sido revisada' };
+  }
+  return rejected;
+};
+
+/**
+ * Withdraws a pending request of the user
+ * @param {string} userId - Requester
+ * @param {string} requestId - Request ID
+ */
+const cancelJoinRequest = async (userId, requestId) => {
+  const request = await JoinRequest.findOneAndUpdate(
+    { _id: requestId, user: userId, status: 'pending' },
+    { $set: { status: 'cancelled' } }
+  );
+  if (!request) {
+    throw { status: 404, message: 'Solicitud pendiente no encontrada' };
+  }
+};
+
+/**
+ * Deletes every request of a user (account anonymization)
+ * @param {string} userId - User ID
+ * @returns {number} Requests deleted
+ */
+const deleteUserJoinRequests = async (userId) => {
+  const { deletedCount } = await JoinRequest.deleteMany({ user: userId });
+  return deletedCount;
+};
+
+module.exports = {
+  createJoinRequest,
+  getGroupJoinRequests,
+  getUserJoinRequests,
+  approveJoinRequest,
+  rejectJoinRequest,
+  cancelJoinRequest,
+  deleteUserJoinRequests,
+};
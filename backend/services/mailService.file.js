@@ -0,0 +1,47 @@
+/**
+ * Mail Service - File and console driver
+ * Same interface as mailService.smtp.js, for development and tests
+ *
+ * @description Every email is logged (recipient, subject and text, so links
+ * can be followed from the console). With a directory it is also written
+ * there as JSON, one file per email.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('MailService');
+
+class FileMailer {
+  /**
+   * @param {object} options - { from, dir: outbox directory (null: console only) }
+   */
+  constructor({ from, dir = null } = {}) {
+    this.name = dir ? 'file' : 'console';
+    this.from = from;
+    this.dir = dir;
+  }
+
+  /**
+   * "Sends" an email
+   * @param {object} message - { to, subject, text, html }
+   * @returns {Promise<object>} { id, file }
+   */
+  async send({ to, subject, text, html }) {
+    const date = new Date();
+    const id = `${date.getTime()}-${crypto.randomBytes(4).toString('hex')}`;
+    logger.info(`Email to ${to}: ${subject}\n${text}`);
+
+    if (!this.dir) return { id };
+
+    await fs.promises.mkdir(this.dir, { recursive: true });
+    const file = path.join(this.dir, `${id}.json`);
+    const content = { id, date, from: this.from, to, subject, text, html };
+    await fs.promises.writeFile(file, JSON.stringify(content, null, 2));
+    return { id, file };
+  }
+}
+
+module.exports = FileMailer;
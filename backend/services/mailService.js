@@ -0,0 +1,37 @@
+/**
+ * Mail Service - Chooses how emails are sent from configuration
+ * MAIL_DRIVER=smtp sends them through an SMTP server (mailService.smtp.js);
+ * file (default) writes them to MAIL_OUTBOX_DIR and console only logs them
+ * (mailService.file.js), for development and tests
+ */
+const path = require('path');
+const { createLogger } = require('../utils/logger');
+const logger = createLogger('MailService');
+
+const from = process.env.MAIL_FROM || 'Tabletop Mastering <no-reply@tabletopmastering.games>';
+const driver = process.env.MAIL_DRIVER || 'file';
+
+if (driver === 'smtp') {
+  const SmtpMailer = require('./mailService.smtp');
+
+  logger.info(`Sending emails through SMTP (${process.env.SMTP_HOST})`);
+  module.exports = new SmtpMailer({
+    from,
+    host: process.env.SMTP_HOST,
+    port: process.env.SMTP_PORT ? Number(process.env.SMTP_PORT) : undefined,
+    secure: process.env.SMTP_SECURE === 'true',
+    user: process.env.SMTP_USER || undefined,
+    pass: process.env.SMTP_PASS || undefined,
+  });
+} else {
+  const FileMailer = require('./mailService.file');
+  const dir = driver === 'console'
+    ? null
+    : process.env.MAIL_OUTBOX_DIR || path.join(__dirname, '../mail-outbox');
+
+  logger.info(dir ? `Writing emails to ${dir}` : 'Logging emails to the console');
+  if (process.env.NODE_ENV === 'production') {
+    logger.warn('MAIL_DRIVER is not smtp: emails will not reach their recipients');
+  }
+  module.exports = new FileMailer({ from, dir });
+}
@@ -0,0 +1,38 @@
+/**
+ * Mail Service - SMTP driver
+ * Same interface as mailService.file.js, backed by nodemailer
+ */
+
+const nodemailer = require('nodemailer');
+
+class SmtpMailer {
+  /**
+   * @param {object} options - { from, host, port, secure, user, pass }
+   */
+  constructor({ from, host, port = 587, secure = false, user, pass }) {
+    if (!host) {
+      throw new Error('SMTP mail needs a host (SMTP_HOST)');
+    }
+
+    this.name = 'smtp';
+    this.from = from;
+    this.transport = nodemailer.createTransport({
+      host,
+      port,
+      secure,
+      auth: user ? { user, pass } : undefined,
+    });
+  }
+
+  /**
+   * Sends an email
+   * @param {object} message - { to, subject, text, html }
+   * @returns {Promise<object>} { id }
+   */
+  async send({ to, subject, text, html }) {
+    const info = await this.transport.sendMail({ from: this.from, to, subject, text, html });
+    return { id: info.messageId };
+  }
+}
+
+module.exports = SmtpMailer;
@@ -0,0 +1,492 @@
+/**
+ * @fileoverview Match Import Service
+ * @description Bulk import of past plays (BG Stats / BGG) as finished matches of a group
+ * @module services/matchImportService
+ * @requires ../models/Match
+ * @requires ../models/Group
+ * @requires ../models/Game
+ * @requires ../models/User
+ * @requires ../models/ImportJob
+ * @requires ./matchService
+ * @requires ./jobQueue
+ * @requires ./privateStorageService
+ */
+
+const crypto = require('crypto');
+const Match = require('../models/Match');
+const Group = require('../models/Group');
+const Game = require('../models/Game');
+const User = require('../models/User');
+const ImportJob = require('../models/ImportJob');
+const matchService = require('./matchService');
+const jobQueue = require('./jobQueue');
+const privateStorage = require('./privateStorageService');
+const { parsePlaysFile, competitionRanks } = require('../utils/playsImportParser');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('MatchImport');
+
+/**
+ * Imports run on the job queue (match-import jobs). The parsed plays and the
+ * player mapping can be large, so they are kept in the private storage
+ * under imports/ with an unguessable name and the job only carries the
+ * import ID; the file is removed once the import
+ * ends or the queue gives it up. If the worker dies the queue runs the import again: plays already
+ * imported are recognised by importSource and skipped.
+ */
+
+const IMPORT_DATA_PREFIX = 'imports/';
+
+/**
+ * Reads the parsed plays and mapping of an import
+ * @param {string} dataKey - Storage key of the import data
+ * @returns {object|null} { provider, plays, mapping: [[externalKey, userId]] }, or null if gone
+ */
+const readImportData = async (dataKey) => {
+  if (!dataKey || !(await privateStorage.exists(dataKey))) return null;
+  return JSON.parse((await privateStorage.get(dataKey)).toString('utf8'));
+};
+
+/**
+ * Deletes the parsed plays of an import (when it ends or is given up)
+ * @param {string} jobId - Import job ID
+ */
+const removeImportData = async (jobId) => {
+  const job = await ImportJob.findById(jobId).select('dataKey').lean();
+  if (!job?.dataKey) return;
+
+  await privateStorage.remove(job.dataKey);
+  await ImportJob.updateOne({ _id: jobId }, { $set: { dataKey: null } });
+};
+
+const normalize = (text) => (text || '').toString().trim().toLowerCase();
+
+/**
+ * Loads the group with what an import needs: members and scoring profile
+ * @param {string} groupId - Group ID
+ * @returns {object} Group (lean)
+ */
+const loadGroup = async (groupId) => {
+  const group = await Group.findById(groupId).select('admin members settings.scoring').lean();
+  if (!group) {
+    throw { status: 404, message: 'Grupo no encontrado' };
+  }
+  return group;
+};
+
+/**
+ * Games a play may be matched to: the group's and its members' personal
+ * libraries, indexed by BGG ID and by name (group games win on a clash)
+ * @param {object} group - Group (lean)
+ * @returns {Function} play game ({ bggId, name }) => Game or null
+ */
+const buildGameMatcher = async (group) => {
+  const games = await Game.find({
+    isActive: true,
+    $or: [
+      { group: group._id },
+      { group: null, addedBy: { $in: group.members.map(m => m.user) } },
+    ],
+  })
+    .select('name bggId group')
+    .lean();
+
+  const byBggId = new Map();
+  const byName = new Map();
+  const personalFirst = [...games].sort((a, b) => Number(Boolean(a.group)) - Number(Boolean(b.group)));
+  for (const game of personalFirst) {
+    if (game.bggId) byBggId.set(game.bggId, game);
+    byName.set(normalize(game.name), game);
+  }
+
+  return ({ bggId, name }) => (bggId && byBggId.get(bggId)) || byName.get(normalize(name)) || null;
+};
+
+/**
+ * Group members with the fields used to suggest who an external player is
+ * @param {object} group - Group (lean)
+ * @returns {Array} [{ _id, name, nickname }]
+ */
+const loadMembers = (group) =>
+  User.find({ _id: { $in: group.members.map(m => m.user) } })
+    .select('name nickname')
+    .lean();
+
+/**
+ * External players of the plays, with how many plays each appears in
+ * @param {Array} plays - Normalized plays
+ * @returns {Array} [{ key, name, bggUsername, plays }]
+ */
+const collectPlayers = (plays) => {
+  const players = new Map();
+  for (const play of plays) {
+    for (const player of play.players) {
+      const entry = players.get(player.key) || { key: player.key, name: player.name, bggUsername: player.bggUsername, plays: 0 };
+      entry.plays += 1;
+      players.set(player.key, entry);
+    }
+  }
+  return [...players.values()].sort((a, b) => b.plays - a.plays);
+};
+
+/**
+ * Suggests the member an external player most likely is (same nickname or name)
+ * @param {object} player - { name, bggUsername }
+ * @param {Array} members - Group members
+ * @returns {string|null} Member user ID
+ */
+const suggestMember = (player, members) => {
+  const candidates = [normalize(player.bggUsername), normalize(player.name)].filter(Boolean);
+  const member = members.find(m => candidates.includes(normalize(m.nickname)))
+    || members.find(m => candidates.includes(normalize(m.name)));
+  return member ? member._id.toString() : null;
+};
+
+/**
+ * Checks the mapping of external players to group members
+ * @param {object} playerMap - { externalKey: userId } (unmapped players are left out)
+ * @param {object} group - Group (lean)
+ * @returns {Map} externalKey => userId
+ */
+const validatePlayerMap = (playerMap, group) => {
+  const memberIds = new Set(group.members.map(m => m.user.toString()));
+  const mapping = new Map();
+  const used = new Set();
+
+  for (const [key, userId] of Object.entries(playerMap || {})) {
+    if (!userId) continue;
+    const id = userId.toString();
+    if (!memberIds.has(id)) {
+      throw { status: 400, message: 'Solo se pueden asignar jugadores a miembros del grupo' };
+    }
+    if (used.has(id)) {
+      throw { status: 400, message: 'Un miembro no puede corresponder a más de un jugador' };
+    }
+    used.add(id);
+    mapping.set(key, id);
+  }
+
+  if (mapping.size < 2) {
+    throw { status: 400, message: 'Asigna al menos 2 jugadores a miembros del grupo' };
+  }
+  return mapping;
+};
+
+/**
+ * External IDs of the plays already imported into the group
+ * @param {string} groupId - Group ID
+ * @param {string} provider - bgstats or bgg
+ * @param {Array} plays - Normalized plays
+ * @returns {Set<string>} External IDs
+ */
+const getImportedIds = async (groupId, provider, plays) => {
+  const matches = await Match.find({
+    group: groupId,
+    'importSource.provider': provider,
+    'importSource.externalId': { $in: plays.map(play => play.externalId) },
+  })
+    .select('importSource.externalId')
+    .lean();
+  return new Set(matches.map(match => match.importSource.externalId));
+};
+
+/**
+ * Turns a play into the data for matchService.createFinishedMatch, keeping
+ * only the mapped players. Positions are re-ranked among them, so a dropped
+ * guest in 1st place leaves the best member as the winner.
+ * @param {object} play - Normalized play
+ * @param {Map} mapping - externalKey => userId
+ * @returns {object} { playerIds, results, mode, teams, cooperativeResult }
+ */
+const toMatchResults = (play, mapping) => {
+  const players = play.players
+    .filter(player => mapping.has(player.key))
+    .map(player => ({ ...player, userId: mapping.get(player.key) }));
+
+  if (players.length < 2) {
+    throw { status: 400, message: 'Menos de 2 jugadores son miembros del grupo' };
+  }
+
+  const results = players.map(player => ({
+    userId: player.userId,
+    ...(player.score !== null && { score: player.score }),
+  }));
+
+  if (play.mode === 'teams') {
+    const teams = play.teams
+      .map(team => ({
+        ...team,
+        userIds: players.filter(player => player.team === team.name).map(player => player.userId),
+      }))
+      .filter(team => team.userIds.length > 0);
+    const positions = competitionRanks(teams, team => team.position);
+
+    return {
+      playerIds: players.map(player => player.userId),
+      results,
+      mode: 'teams',
+      teams: teams.map((team, index) => ({ ...team, position: positions[index] })),
+    };
+  }
+
+  if (play.mode === 'cooperative') {
+    return {
+      playerIds: players.map(player => player.userId),
+      results,
+      mode: 'cooperative',
+      cooperativeResult: play.cooperativeResult,
+    };
+  }
+
+  const ranked = players.filter(player => player.position !== undefined);
+  const positions = competitionRanks(ranked, player => player.position);
+  ranked.forEach((player, index) => {
+    results.find(result => result.userId === player.userId).position = positions[index];
+  });
+
+  return {
+    playerIds: players.map(player => player.userId),
+    results,
+    mode: 'individual',
+  };
+};
+
+const describePlay = (play) =>
+  `${play.game.name || `BGG #${play.game.bggId}`} (${play.playedAt.toISOString().slice(0, 10)})`;
+
+/**
+ * Previews an import: players to map (with a suggested member), games found
+ * in the libraries and plays already imported
+ * @param {string} groupId - Target group
+ * @param {object} file - Uploaded history (as given by multer)
+ * @returns {object} { source, sourceLabel, total, alreadyImported, players, games, members }
+ */
+const previewImport = async (groupId, file) => {
+  if (!file) {
+    throw { status: 400, message: 'Sube la exportación de BG Stats (JSON) o el historial de partidas de BGG (XML)' };
+  }
+
+  const group = await loadGroup(groupId);
+  const { source, provider, plays } = parsePlaysFile(file.buffer, file.originalname);
+  if (plays.length === 0) {
+    throw { status: 400, message: 'El archivo no contiene partidas que importar' };
+  }
+
+  const [matchGame, members, imported] = await Promise.all([
+    buildGameMatcher(group),
+    loadMembers(group),
+    getImportedIds(group._id, provider, plays),
+  ]);
+
+  const games = new Map();
+  for (const play of plays) {
+    const key = play.game.bggId ? `bgg_${play.game.bggId}` : normalize(play.game.name);
+    const entry = games.get(key) || { ...play.game, plays: 0, match: matchGame(play.game) };
+    entry.plays += 1;
+    games.set(key, entry);
+  }
+
+  return {
+    source,
+    sourceLabel: file.originalname,
+    total: plays.length,
+    alreadyImported: plays.filter(play => imported.has(play.externalId)).length,
+    players: collectPlayers(plays).map(player => ({
+      ...player,
+      suggestedUserId: suggestMember(player, members),
+    })),
+    games: [...games.values()]
+      .map(game => ({
+        bggId: game.bggId,
+        name: game.name,
+        plays: game.plays,
+        gameId: game.match?._id || null,
+        gameName: game.match?.name || null,
+      }))
+      .sort((a, b) => b.plays - a.plays),
+    members: members.map(member => ({ _id: member._id, name: member.name, nickname: member.nickname })),
+  };
+};
+
+/**
+ * Records the outcome of one play of the job
+ */
+const recordProgress = (jobId, outcome, failure = null) =>
+  ImportJob.updateOne(
+    { _id: jobId },
+    {
+      $inc: { processed: 1, ...(outcome !== 'failed' && { [outcome]: 1 }) },
+      ...(failure && { $push: { failures: failure } }),
+    }
+  );
+
+/**
+ * Runs an import job: creates a finished match for each play not imported yet,
+ * oldest first so ratings evolve in the order the games were played
+ * Counters start over, so a retried import reports the whole run
+ * @param {string} jobId - Import job ID
+ */
+const runImport = async (jobId) => {
+  const job = await ImportJob.findByIdAndUpdate(
+    jobId,
+    { $set: { status: 'running', startedAt: new Date(), processed: 0, imported: 0, skipped: 0, failures: [] } },
+    { new: true }
+  ).lean();
+  if (!job) return;
+
+  const data = await readImportData(job.dataKey);
+  if (!data) {
+    await ImportJob.updateOne(
+      { _id: job._id },
+      { $set: { status: 'failed', error: 'Los datos de la importación ya no están disponibles', finishedAt: new Date() } }
+    );
+    return;
+  }
+  const { provider, plays } = data;
+  const mapping = new Map(data.mapping);
+
+  try {
+    const group = await loadGroup(job.group);
+    const [matchGame, imported] = await Promise.all([
+      buildGameMatcher(group),
+      getImportedIds(group._id, provider, plays),
+    ]);
+
+    const ordered = plays
+      .map(play => ({ ...play, playedAt: new Date(play.playedAt) }))
+      .sort((a, b) => a.playedAt - b.playedAt);
+    for (const play of ordered) {
+      if (imported.has(play.externalId)) {
+        await recordProgress(job._id, 'skipped');
+        continue;
+      }
+
+      try {
+        const game = matchGame(play.game);
+        if (!game) {
+          throw { message: 'El juego no está en la biblioteca del grupo ni de sus miembros' };
+        }
+
+        await matchService.createFinishedMatch(
+          {
+            ...toMatchResults(play, mapping),
+            gameId: game._id,
+            playedAt: play.playedAt,
+            createdBy: job.user,
+            duration: play.durationMin > 0 ? { value: Math.min(Math.round(play.durationMin), 1440), unit: 'minutos' } : null,
+            location: play.location.slice(0, 200),
+            notes: play.notes.slice(0, 1000),
+            importSource: { provider, externalId: play.externalId },
+          },
+          group
+        );
+        imported.add(play.externalId);
+        await recordProgress(job._id, 'imported');
+      } catch (error) {
+        // Imported meanwhile by another job of the group
+        if (error.status === 409) {
+          await recordProgress(job._id, 'skipped');
+          continue;
+        }
+        logger.warn(`Could not import play ${play.externalId}`, { message: error.message });
+        await recordProgress(job._id, 'failed', {
+          bggId: play.game.bggId || undefined,
+          name: describePlay(play),
+          message: error.name === 'ValidationError' ? 'Datos de la partida incompletos' : error.message,
+        });
+      }
+    }
+
+    await ImportJob.updateOne(
+      { _id: job._id },
+      { $set: { status: 'completed', finishedAt: new Date() } }
+    );
+    await removeImportData(job._id);
+  } catch (error) {
+    // The queue retries the job and marks the import failed once it gives up
+    logger.error(`Import job ${job._id} failed`, error);
+    throw error;
+  }
+};
+
+/**
+ * Starts importing the plays of a history file into the group
+ * @param {string} groupId - Target group
+ * @param {string} userId - Admin importing (creator of the matches)
+ * @param {object} options - { file, playerMap: { externalKey: userId } }
+ * @returns {object} Created import job
+ */
+const startImport = async (groupId, userId, { file, playerMap }) => {
+  if (!file) {
+    throw { status: 400, message: 'Sube la exportación de BG Stats (JSON) o el historial de partidas de BGG (XML)' };
+  }
+
+  const group = await loadGroup(groupId);
+  const mapping = validatePlayerMap(playerMap, group);
+  const { source, provider, plays } = parsePlaysFile(file.buffer, file.originalname);
+
+  const running = await ImportJob.exists({
+    type: 'matches',
+    group: group._id,
+    status: { $in: ['pending', 'running'] },
+  });
+  if (running) {
+    throw { status: 409, message: 'Ya hay una importación de partidas en curso en este grupo; espera a que termine' };
+  }
+
+  const dataKey = `${IMPORT_DATA_PREFIX}matches-${crypto.randomBytes(16).toString('hex')}.json`;
+  const job = await ImportJob.create({
+    type: 'matches',
+    user: userId,
+    group: group._id,
+    source,
+    sourceLabel: file.originalname,
+    total: plays.length,
+    dataKey,
+  });
+
+  // The client polls getImportJob for progress. The mapping goes as pairs,
+  // as Map entries are not kept by JSON
+  try {
+    await privateStorage.put(
+      dataKey,
+      Buffer.from(JSON.stringify({ provider, plays, mapping: [...mapping] })),
+      'application/json',
+      { cacheControl: 'private, no-store' }
+    );
+    await jobQueue.enqueue('match-import', { importJobId: job._id.toString() }, { createdBy: userId });
+  } catch (error) {
+    // A pending import would block the next ones of the group
+    await privateStorage.remove(dataKey)
+      .catch(removeError => logger.warn(`Could not remove import data ${dataKey}`, { message: removeError.message }));
+    await ImportJob.deleteOne({ _id: job._id });
+    throw error;
+  }
+
+  return getImportJob(groupId, job._id);
+};
+
+/**
+ * Gets the progress of a match import job of the group
+ * @param {string} groupId - Group ID
+ * @param {string} jobId - Import job ID
+ * @returns {object} Job
+ */
+const getImportJob = async (groupId, jobId) => {
+  const job = await ImportJob.findOne({ _id: jobId, type: 'matches', group: groupId })
+    .select('-games -dataKey')
+    .lean();
+
+  if (!job) {
+    throw { status: 404, message: 'Importación no encontrada' };
+  }
+  return job;
+};
+
+module.exports = {
+  previewImport,
+  startImport,
+  getImportJob,
+  runImport,
+  removeImportData,
+};
@@ -8,6 +8,11 @@
  * @requires ../models/User
  * @requires ./pointsCalculator
  * @requires ./rankingService
+ * @requires ./seasonService
+ * @requires ./jobQueue
+ * @requires ../utils/groupHelpers
+ * @requires ../utils/transaction
+ * @requires ../utils/logger
  */
 
 const Match = require('../models/Match');
@@ -16,6 +21,13 @@ const Game = require('../models/Game');
 const User = require('../models/User');
 const pointsCalculator = require('./pointsCalculator');
 const rankingService = require('./rankingService');
+const seasonService = require('./seasonService');
+const jobQueue = require('./jobQueue');
+const { hasGroupPermission } = require('../utils/groupHelpers');
+const { withTransaction } = require('../utils/transaction');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('MatchService');
 
 /**
  * Optimized populate constants with minimal projections
@@ -27,6 +39,7 @@ const MATCH_POPULATE_OPTIONS = [
   { path: 'players.user', select: 'name avatar', options: { lean: true } },
   { path: 'createdBy', select: 'name email avatar', options: { lean: true } },
   { path: 'winner', select: 'name avatar', options: { lean: true } },
+  { path: 'winners', select: 'name avatar', options: { lean: true } },
 ];
 
 const MATCH_POPULATE_LIST = [
@@ -42,6 +55,7 @@ const MATCH_POPULATE_DETAILED = [
   { path: 'players.user', select: 'name email avatar stats', options: { lean: true } },
   { path: 'createdBy', select: 'name email avatar', options: { lean: true } },
   { path: 'winner', select: 'name email avatar', options: { lean: true } },
+  { path: 'winners', select: 'name email avatar', options: { lean: true } },
 ];
 
 /**
@@ -53,18 +67,261 @@ const MATCH_LIST_PROJECTION = {
   scheduledDate: 1,
   status: 1,
   location: 1,
+  mode: 1,
   players: 1,
+  teams: 1,
+  cooperativeResult: 1,
   winner: 1,
+  winners: 1,
   createdBy: 1,
   createdAt: 1,
 };
 
+/**
+ * Supported match modes
+ */
+const MATCH_MODES = ['individual', 'teams', 'cooperative'];
+
+/**
+ * Apply team results: each player takes the position and score of their team
+ * @param {Object} match - Match document
+ * @param {Array} teams - Array of { name, userIds, position, score }
+ */
+const applyTeamResults = (match, teams) => {
+  if (!Array.isArray(teams) || teams.length < 2) {
+    throw { status: 400, message: 'Una partida por equipos debe tener al menos 2 equipos' };
+  }
+
+  const playerIds = new Set(match.players.map(p => p.user.toString()));
+  const assignedIds = new Set();
+
+  for (const team of teams) {
+    if (!team.name || !team.name.trim()) {
+      throw { status: 400, message: 'Cada equipo debe tener un nombre' };
+    }
+    if (!Array.isArray(team.userIds) || team.userIds.length === 0) {
+      throw { status: 400, message: `El equipo ${team.name} no tiene jugadores` };
+    }
+    if (!Number.isInteger(team.position) || team.position < 1) {
+      throw { status: 400, message: `El equipo ${team.name} debe tener una posición válida` };
+    }
+
+    for (const teamUserId of team.userIds) {
+      const id = teamUserId.toString();
+      if (!playerIds.has(id)) {
+        throw { status: 400, message: 'Todos los miembros de un equipo deben ser jugadores de la partida' };
+      }
+      if (assignedIds.has(id)) {
+        throw { status: 400, message: 'Un jugador no puede estar en más de un equipo' };
+      }
+      assignedIds.add(id);
+    }
+  }
+
+  if (!pointsCalculator.validatePositions(teams)) {
+    throw { status: 400, message: 'Posiciones no válidas: los empatados comparten posición y la siguiente salta los puestos ocupados (p. ej. 1, 1, 3)' };
+  }
+
+  match.teams = teams.map(team => ({
+    name: team.name.trim(),
+    position: team.position,
+    score: team.score ?? 0,
+  }));
+
+  match.teams.forEach((team, index) => {
+    const memberIds = new Set(teams[index].userIds.map(id => id.toString()));
+    match.players.forEach(player => {
+      if (memberIds.has(player.user.toString())) {
+        player.team = team._id;
+        player.position = team.position;
+        player.score = team.score;
+      }
+    });
+  });
+};
+
+/**
+ * Apply a cooperative result: all participants share 1st place on a win and no position on a loss
+ * @param {Object} match - Match document
+ * @param {string} cooperativeResult - win/loss
+ * @param {Array} participantIds - Players who took part (all players if empty)
+ */
+const applyCooperativeResult = (match, cooperativeResult, participantIds = []) => {
+  if (!['win', 'loss'].includes(cooperativeResult)) {
+    throw { status: 400, message: 'Indica si la partida cooperativa se ganó (win) o se perdió (loss)' };
+  }
+
+  const participants = new Set(participantIds.map(id => id.toString()));
+
+  match.cooperativeResult = cooperativeResult;
+  match.players.forEach(player => {
+    const tookPart = participants.size === 0 || participants.has(player.user.toString());
+    player.position = cooperativeResult === 'win' && tookPart ? 1 : undefined;
+  });
+};
+
+/**
+ * Apply results to a match: positions, scores, teams or cooperative result,
+ * winners and the points earned by each player
+ * @param {Object} match - Match document
+ * @param {Object} resultData - { winnerId, results, mode, teams, cooperativeResult }
+ * @param {Object} scoringProfile - Scoring profile used to calculate points
+ */
+const applyMatchResults = (
+  match,
+  { winnerId = null, results = [], mode = 'individual', teams = [], cooperativeResult = null },
+  scoringProfile
+) => {
+  if (!MATCH_MODES.includes(mode)) {
+    throw { status: 400, message: `Modo de partida inválido. Usa: ${MATCH_MODES.join(', ')}` };
+  }
+  match.mode = mode;
+
+  // Validate winner if provided (individual only; 1st place positions take precedence)
+  if (winnerId && mode === 'individual') {
+    const winnerExists = match.players.some(p => p.user.toString() === winnerId);
+    if (!winnerExists) {
+      throw { status: 400, message: 'El ganador debe ser uno de los jugadores de la partida' };
+    }
+    match.winner = winnerId;
+  }
+
+  // Update results if provided
+  if (results && Array.isArray(results)) {
+    for (const result of results) {
+      const playerIndex = match.players.findIndex(
+        p => p.user.toString() === result.userId
+      );
+
+      if (playerIndex !== -1) {
+        if (result.score !== undefined) {
+          match.players[playerIndex].score = result.score;
+        }
+        if (result.position !== undefined && mode === 'individual') {
+          match.players[playerIndex].position = result.position;
+        }
+      }
+    }
+  }
+
+  if (mode === 'teams') {
+    applyTeamResults(match, teams);
+  } else if (mode === 'cooperative') {
+    const participantIds = Array.isArray(results) ? results.map(r => r.userId) : [];
+    applyCooperativeResult(match, cooperativeResult, participantIds);
+  } else {
+    // Validate positions if they exist
+    const positionsToValidate = match.players.filter(p => p.position !== undefined && p.position !== null);
+    if (positionsToValidate.length > 0 && !pointsCalculator.validatePositions(match.players)) {
+      throw { status: 400, message: 'Posiciones no válidas: los empatados comparten posición y la siguiente salta los puestos ocupados (p. ej. 1, 1, 3)' };
+    }
+  }
+
+  // Everyone in 1st place wins; a single winner is also kept in `winner`
+  match.winners = pointsCalculator.getWinnerIds(match);
+  match.winner = match.winners.length === 1 ? match.winners[0] : undefined;
+
+  // Calculate points automatically based on positions and profile bonuses
+  const pointsData = pointsCalculator.calculatePointsForAllPlayers(
+    match.players,
+    scoringProfile,
+    match.winners,
+    match.mode
+  );
+  pointsData.forEach(data => {
+    const playerIndex = match.players.findIndex(
+      p => p.user.toString() === data.userId.toString()
+    );
+    if (playerIndex !== -1) {
+      match.players[playerIndex].pointsEarned = data.points;
+    }
+  });
+};
+
+/**
+ * Clear the results of a match so new ones can be applied
+ * @param {Object} match - Match document
+ */
+const resetMatchResults = (match) => {
+  match.players.forEach(player => {
+    player.position = undefined;
+    player.score = 0;
+    player.pointsEarned = 0;
+    player.team = undefined;
+  });
+  match.teams = [];
+  match.cooperativeResult = undefined;
+  match.winners = [];
+  match.winner = undefined;
+};
+
+/**
+ * Take a snapshot of the current results of a match (for the correction audit trail)
+ * @param {Object} match - Match document
+ * @returns {Object} { mode, players, teams, winners, cooperativeResult }
+ */
+const snapshotResults = (match) => ({
+  mode: match.mode,
+  players: match.players.map(p => ({
+    user: p.user,
+    position: p.position,
+    score: p.score,
+    pointsEarned: p.pointsEarned,
+    team: p.team,
+  })),
+  teams: match.teams.map(t => ({ _id: t._id, name: t.name, position: t.position, score: t.score })),
+  winners: [...pointsCalculator.getWinnerIds(match)],
+  cooperativeResult: match.cooperativeResult,
+});
+
+// Jobs that replay every rating and then write them over the stored ones
+const RATING_REPLAY_JOBS = ['rating-rebuild', 'stats-rebuild'];
+
+/**
+ * Save a finished match with everything it updates: player stats, ratings,
+ * game play count and group stats are written as one unit, either all of
+ * them are saved or none is
+ * @param {Object} match - Finished match document (results already applied)
+ * @returns {Object} Ranking report of rankingService.updateMatchStatistics
+ */
+const persistFinishedMatch = async (match) => {
+  const rankingReport = await withTransaction(async (session) => {
+    await match.save({ session });
+
+    // Update ranking automatically
+    const report = await rankingService.updateMatchStatistics(match, session);
+
+    // Update group statistics
+    if (match.group) {
+      await Group.findByIdAndUpdate(
+        match.group,
+        { $inc: { 'stats.totalMatches': 1 } },
+        { session }
+      );
+    }
+
+    return report;
+  });
+
+  // A rebuild running now may have read the finished matches before this one
+  // and would overwrite its rating update, so another one is queued after it
+  try {
+    if (await jobQueue.isRunning(RATING_REPLAY_JOBS)) {
+      await jobQueue.enqueueUnique('rating-rebuild', {}, { createdBy: match.createdBy, skipIfRunning: false });
+    }
+  } catch (error) {
+    logger.error(`Could not queue the rating rebuild after finishing match ${match._id}:`, error.message);
+  }
+
+  return rankingReport;
+};
+
 /**
  * Validate that user is a member of the group (optimized with projection)
  */
 exports.validateGroupMembership = async (groupId, userId) => {
   const group = await Group.findById(groupId)
-    .select('members')
+    .select('members admin')
     .lean();
     
   if (!group) {
@@ -263,19 +520,19 @@ exports.updateMatch = async (matchId, updates, userId) => {
     throw { status: 404, message: 'Partida no encontrada' };
   }
 
-  // Only creator or group admin can edit
+  // Only creator, group admin or moderator can edit
   const isCreator = match.createdBy.toString() === userId.toString();
   
   // Only query group if not the creator
-  let isGroupAdmin = false;
+  let canManage = false;
   if (!isCreator) {
     const group = await Group.findById(match.group)
-      .select('admin')
+      .select('admin members')
       .lean();
-    isGroupAdmin = group.admin.toString() === userId.toString();
+    canManage = hasGroupPermission(group, userId, 'manageMatches');
   }
 
-  if (!isCreator && !isGroupAdmin) {
+  if (!isCreator && !canManage) {
     throw { status: 403, message: 'No tienes permiso para editar esta partida' };
   }
 
@@ -318,25 +575,30 @@ exports.updateMatch = async (matchId, updates, userId) => {
 /**
  * Finish a match and register results (optimized)
  */
-exports.finishMatch = async (matchId, userId, winnerId = null, results = [], duration = null, notes = null) => {
+exports.finishMatch = async (
+  matchId,
+  userId,
+  winnerId = null,
+  results = [],
+  duration = null,
+  notes = null,
+  { mode = 'individual', teams = [], cooperativeResult = null } = {}
+) => {
   const match = await Match.findById(matchId);
   if (!match) {
     throw { status: 404, message: 'Partida no encontrada' };
   }
 
-  // Only creator or group admin can finish
+  // Group is always needed for its scoring profile
+  const group = await Group.findById(match.group)
+    .select('admin members settings.scoring')
+    .lean();
+
+  // Only creator, group admin or moderator can finish
   const isCreator = match.createdBy.toString() === userId.toString();
-  
-  // Only query group if not the creator
-  let isGroupAdmin = false;
-  if (!isCreator) {
-    const group = await Group.findById(match.group)
-      .select('admin')
-      .lean();
-    isGroupAdmin = group.admin.toString() === userId.toString();
-  }
+  const canManage = hasGroupPermission(group, userId, 'manageMatches');
 
-  if (!isCreator && !isGroupAdmin) {
+  if (!isCreator && !canManage) {
     throw { status: 403, message: 'No tienes permiso para terminar esta partida' };
   }
 
@@ -345,51 +607,15 @@ exports.finishMatch = async (matchId, userId, winnerId = null, results = [], dur
     throw new Error('Esta partida ya ha sido finalizada');
   }
 
-  // Validate winner if provided
-  if (winnerId) {
-    const winnerExists = match.players.some(p => p.user.toString() === winnerId);
-    if (!winnerExists) {
-      throw new Error('El ganador debe ser uno de los jugadores de la partida');
-    }
-    match.winner = winnerId;
-  }
+  // Record the scoring profile that applies (per-game override > group profile > default)
+  const scoringProfile = pointsCalculator.resolveScoringProfile(group, match.game);
+  match.scoringProfile = scoringProfile;
 
-  // Update results if provided
-  if (results && Array.isArray(results)) {
-    for (const result of results) {
-      const playerIndex = match.players.findIndex(
-        p => p.user.toString() === result.userId
-      );
-
-      if (playerIndex !== -1) {
-        if (result.score !== undefined) {
-          match.players[playerIndex].score = result.score;
-        }
-        if (result.position !== undefined) {
-          match.players[playerIndex].position = result.position;
-        }
-      }
-    }
-  }
-
-  // Validate positions if they exist
-  const positionsToValidate = match.players.filter(p => p.position !== undefined && p.position !== null);
-  if (positionsToValidate.length > 0) {
-    if (!pointsCalculator.validatePositions(match.players)) {
-      throw new Error('No puede haber posiciones duplicadas');
-    }
-
-    // Calculate points automatically based on positions
-    const pointsData = pointsCalculator.calculatePointsForAllPlayers(match.players);
-    pointsData.forEach(data => {
-      const playerIndex = match.players.findIndex(
-        p => p.user.toString() === data.userId.toString()
-      );
-      if (playerIndex !== -1) {
-        match.players[playerIndex].pointsEarned = data.points;
-      }
-    });
-  }
+  applyMatchResults(
+    match,
+    { winnerId, results, mode, teams, cooperativeResult },
+    scoringProfile
+  );
 
   // Update duration and status
   if (duration) {
@@ -404,24 +630,351 @@ exports.finishMatch = async (matchId, userId, winnerId = null, results = [], dur
   match.status = 'finalizada';
   match.actualDate = new Date();
 
-  await match.save();
+  let rankingReport;
+  try {
+    rankingReport = await persistFinishedMatch(match);
+  } catch (error) {
+    if (error.name === 'ValidationError') throw error;
+    logger.error(`Error finishing match ${matchId}:`, error.message);
+    throw { status: 500, message: 'No se pudo finalizar la partida; no se ha guardado ningún cambio' };
+  }
 
-  // Update ranking automatically
-  const rankingReport = await rankingService.updateMatchStatistics(match);
+  await match.populate(MATCH_POPULATE_OPTIONS);
 
-  // Update group statistics
-  if (match.group) {
-    await Group.findByIdAndUpdate(
-      match.group,
-      { $inc: { 'stats.totalMatches': 1 } }
-    );
+  return { match, rankingReport };
+};
+
+/**
+ * Create a match that was already played, with its results, in one step
+ * (e.g. imported from another app). Points, stats and ratings are applied
+ * as when finishing a match.
+ * @param {Object} data - { gameId, playedAt, createdBy, playerIds, winnerId, results, mode, teams,
+ *   cooperativeResult, duration, location, notes, importSource }
+ * @param {Object} group - Group with members and settings.scoring
+ * @returns {Object} { match, rankingReport }
+ */
+exports.createFinishedMatch = async (
+  {
+    gameId,
+    playedAt,
+    createdBy,
+    playerIds = [],
+    winnerId = null,
+    results = [],
+    mode = 'individual',
+    teams = [],
+    cooperativeResult = null,
+    duration = null,
+    location = '',
+    notes = '',
+    importSource = undefined,
+  },
+  group
+) => {
+  const memberUserIds = new Set(group.members.map(m => m.user.toString()));
+  const uniquePlayerIds = [...new Set(playerIds.map(id => id.toString()))];
+
+  if (uniquePlayerIds.length < 2) {
+    throw { status: 400, message: 'Una partida debe tener al menos 2 jugadores' };
+  }
+  if (uniquePlayerIds.some(id => !memberUserIds.has(id))) {
+    throw { status: 403, message: 'Todos los jugadores deben ser miembros del grupo' };
+  }
+
+  await seasonService.assertNotArchived(group._id, playedAt);
+
+  const match = new Match({
+    game: gameId,
+    group: group._id,
+    scheduledDate: playedAt,
+    actualDate: playedAt,
+    status: 'finalizada',
+    location,
+    notes,
+    players: uniquePlayerIds.map(id => ({ user: id, confirmed: true })),
+    createdBy,
+    ...(duration && { duration }),
+    ...(importSource && { importSource }),
+  });
+
+  const scoringProfile = pointsCalculator.resolveScoringProfile(group, gameId);
+  match.scoringProfile = scoringProfile;
+
+  try {
+    applyMatchResults(match, { winnerId, results, mode, teams, cooperativeResult }, scoringProfile);
+  } catch (error) {
+    throw { status: 400, message: error.message };
+  }
+
+  let rankingReport;
+  try {
+    rankingReport = await persistFinishedMatch(match);
+  } catch (error) {
+    if (error.name === 'ValidationError') throw error;
+    if (error.code === 11000) {
+      throw { status: 409, message: 'Esta partida ya se había importado' };
+    }
+    logger.error('Error creating finished match:', error.message);
+    throw { status: 500, message: 'No se pudo guardar la partida; no se ha guardado ningún cambio' };
+  }
+
+  return { match, rankingReport };
+};
+
+/**
+ * Log a match that was already played: created finished, with a past date
+ * and its results, in one step
+ */
+exports.logPlayedMatch = async (
+  userId,
+  {
+    gameId,
+    groupId,
+    playedDate,
+    playerIds = [],
+    location = '',
+    notes = '',
+    duration = null,
+    winnerId = null,
+    results = [],
+    mode = 'individual',
+    teams = [],
+    cooperativeResult = null,
+  }
+) => {
+  if (!gameId || !groupId || !playedDate) {
+    throw new Error('gameId, groupId y playedDate son obligatorios');
+  }
+
+  const game = await Game.findById(gameId).select('_id').lean();
+  if (!game) {
+    throw { status: 404, message: 'Juego no encontrado' };
   }
 
+  const group = await Group.findById(groupId)
+    .select('admin members settings.scoring')
+    .lean();
+  if (!group) {
+    throw { status: 404, message: 'Grupo no encontrado' };
+  }
+
+  if (!group.members.some(m => m.user.toString() === userId.toString())) {
+    throw { status: 403, message: 'No eres miembro de este grupo' };
+  }
+
+  const playedAt = new Date(playedDate);
+  if (Number.isNaN(playedAt.getTime())) {
+    throw new Error('La fecha de la partida no es válida');
+  }
+  if (playedAt > new Date()) {
+    throw new Error('La fecha de una partida jugada no puede ser en el futuro');
+  }
+
+  // As when creating a match, the creator is one of the players
+  const uniquePlayerIds = new Set((Array.isArray(playerIds) ? playerIds : []).map(id => id.toString()));
+  uniquePlayerIds.add(userId.toString());
+
+  const { match, rankingReport } = await exports.createFinishedMatch(
+    {
+      gameId,
+      playedAt,
+      createdBy: userId,
+      playerIds: [...uniquePlayerIds],
+      winnerId,
+      results,
+      mode,
+      teams,
+      cooperativeResult,
+      duration,
+      location,
+      notes,
+    },
+    group
+  );
+
   await match.populate(MATCH_POPULATE_OPTIONS);
 
   return { match, rankingReport };
 };
 
+/**
+ * Apply an approved correction: replace the results and move the stats deltas
+ * @param {Object} match - Finished match document
+ * @param {Object} correction - Pending correction subdocument
+ * @param {string} reviewerId - User approving the correction
+ * @param {string} reviewNote - Optional note of the reviewer
+ * @returns {Object} Stats update report
+ */
+const applyResultCorrection = async (match, correction, reviewerId, reviewNote = '') => {
+  const original = snapshotResults(match);
+
+  resetMatchResults(match);
+  applyMatchResults(match, correction.proposal, match.scoringProfile);
+
+  correction.original = original;
+  correction.amended = snapshotResults(match);
+  correction.status = 'approved';
+  correction.reviewedBy = reviewerId;
+  correction.reviewedAt = new Date();
+  correction.reviewNote = reviewNote;
+
+  // Force a version check so two concurrent reviews cannot both apply the deltas
+  match.increment();
+
+  let report;
+  try {
+    report = await withTransaction(async (session) => {
+      await match.save({ session });
+      return rankingService.applyResultsDelta(correction.original, correction.amended, session);
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') throw error;
+    if (error.name === 'VersionError') {
+      throw { status: 409, message: 'La partida ha cambiado durante la revisión; vuelve a intentarlo' };
+    }
+    logger.error(`Error applying correction to match ${match._id}:`, error.message);
+    throw { status: 500, message: 'No se pudo aplicar la corrección; no se ha guardado ningún cambio' };
+  }
+
+  // Every rating computed after this match used the old result, so they are
+  // replayed in the background (a rebuild already running may have read it)
+  try {
+    await jobQueue.enqueueUnique('rating-rebuild', {}, { createdBy: reviewerId, skipIfRunning: false });
+    report.ratingsRebuildQueued = true;
+  } catch (error) {
+    logger.error(`Could not queue the rating rebuild after correcting match ${match._id}:`, error.message);
+    report.ratingsRebuildQueued = false;
+  }
+
+  return report;
+};
+
+/**
+ * Request a correction of a finished match's results
+ * Corrections of those who can review them (group admin and moderators) are
+ * applied at once; the rest wait for their approval
+ */
+exports.requestResultCorrection = async (matchId, userId, proposal, reason = '') => {
+  const match = await Match.findById(matchId);
+  if (!match) {
+    throw { status: 404, message: 'Partida no encontrada' };
+  }
+
+  if (match.status !== 'finalizada') {
+    throw { status: 400, message: 'Solo se pueden corregir los resultados de partidas finalizadas' };
+  }
+
+  const group = await Group.findById(match.group).select('admin members').lean();
+  const isCreator = match.createdBy.toString() === userId.toString();
+  const canManage = hasGroupPermission(group, userId, 'manageMatches');
+  const canReview = hasGroupPermission(group, userId, 'reviewCorrections');
+
+  if (!isCreator && !canManage) {
+    throw { status: 403, message: 'No tienes permiso para corregir esta partida' };
+  }
+
+  if (match.resultCorrections.some(c => c.status === 'pending')) {
+    throw { status: 409, message: 'Ya hay una corrección pendiente de aprobación para esta partida' };
+  }
+
+  await seasonService.assertNotArchived(match.group, match.actualDate);
+
+  const { winnerId = null, results = [], mode = 'individual', teams = [], cooperativeResult = null } = proposal;
+  const correctionProposal = { winnerId, results, mode, teams, cooperativeResult };
+
+  // Validate the proposal on a copy so invalid results are rejected before review
+  const preview = Match.hydrate(match.toObject());
+  resetMatchResults(preview);
+  try {
+    applyMatchResults(preview, correctionProposal, match.scoringProfile);
+  } catch (error) {
+    throw { status: 400, message: error.message };
+  }
+
+  match.resultCorrections.push({
+    requestedBy: userId,
+    reason,
+    proposal: correctionProposal,
+    original: snapshotResults(match),
+  });
+  const correction = match.resultCorrections[match.resultCorrections.length - 1];
+
+  let rankingReport = null;
+  if (canReview) {
+    rankingReport = await applyResultCorrection(match, correction, userId);
+  } else {
+    await match.save();
+  }
+
+  await match.populate(MATCH_POPULATE_OPTIONS);
+
+  return { match, correction, rankingReport };
+};
+
+/**
+ * Approve or reject a pending result correction (group admin or moderator)
+ */
+exports.reviewResultCorrection = async (matchId, correctionId, userId, approve, reviewNote = '') => {
+  const match = await Match.findById(matchId);
+  if (!match) {
+    throw { status: 404, message: 'Partida no encontrada' };
+  }
+
+  const group = await Group.findById(match.group).select('admin members').lean();
+  if (!hasGroupPermission(group, userId, 'reviewCorrections')) {
+    throw { status: 403, message: 'Solo el administrador o los moderadores del grupo pueden revisar correcciones' };
+  }
+
+  const correction = match.resultCorrections.id(correctionId);
+  if (!correction) {
+    throw { status: 404, message: 'Corrección no encontrada' };
+  }
+
+  if (correction.status !== 'pending') {
+    throw { status: 409, message: 'Esta corrección ya ha sido revisada' };
+  }
+
+  let rankingReport = null;
+  if (approve) {
+    // The season may have been archived while the correction was pending
+    await seasonService.assertNotArchived(match.group, match.actualDate);
+    rankingReport = await applyResultCorrection(match, correction, userId, reviewNote);
+  } else {
+    correction.status = 'rejected';
+    correction.reviewedBy = userId;
+    correction.reviewedAt = new Date();
+    correction.reviewNote = reviewNote;
+    await match.save();
+  }
+
+  await match.populate(MATCH_POPULATE_OPTIONS);
+
+  return { match, correction, rankingReport };
+};
+
+/**
+ * Get the result corrections of a match (audit trail)
+ * Also tells whether the user can review pending corrections (group admin or moderator)
+ */
+exports.getResultCorrections = async (matchId, userId) => {
+  const match = await Match.findById(matchId)
+    .select('group resultCorrections')
+    .populate('resultCorrections.requestedBy', 'name avatar')
+    .populate('resultCorrections.reviewedBy', 'name avatar')
+    .lean();
+
+  if (!match) {
+    throw { status: 404, message: 'Partida no encontrada' };
+  }
+
+  const group = await this.validateGroupMembership(match.group, userId);
+
+  return {
+    corrections: match.resultCorrections,
+    canReview: hasGroupPermission(group, userId, 'reviewCorrections'),
+  };
+};
+
 /**
  * Confirm match attendance (optimized)
  */
@@ -515,19 +1068,19 @@ exports.deleteMatch = async (matchId, userId) => {
     throw { status: 404, message: 'Partida no encontrada' };
   }
 
-  // Only creator or group admin can delete
+  // Only creator, group admin or moderator can delete
   const isCreator = match.createdBy.toString() === userId.toString();
   
   // Only query group if not the creator
-  let isGroupAdmin = false;
+  let canManage = false;
   if (!isCreator) {
     const group = await Group.findById(match.group)
-      .select('admin')
+      .select('admin members')
       .lean();
-    isGroupAdmin = group.admin.toString() === userId.toString();
+    canManage = hasGroupPermission(group, userId, 'manageMatches');
   }
 
-  if (!isCreator && !isGroupAdmin) {
+  if (!isCreator && !canManage) {
     throw { status: 403, message: 'No tienes permiso para eliminar esta partida' };
   }
 
@@ -541,17 +1094,35 @@ exports.deleteMatch = async (matchId, userId) => {
   return match;
 };
 
+/**
+ * Validate ranking order criterion
+ */
+const validateRankingSort = (sortBy) => {
+  if (!rankingService.RANKING_SORT_OPTIONS.includes(sortBy)) {
+    throw {
+      status: 400,
+      message: `Orden de ranking inválido. Usa: ${rankingService.RANKING_SORT_OPTIONS.join(', ')}`,
+    };
+  }
+};
+
 /**
  * Get global ranking
  */
-exports.getGlobalRanking = async () => {
-  return await rankingService.getGlobalRanking();
+exports.getGlobalRanking = async (sortBy = 'points') => {
+  validateRankingSort(sortBy);
+  return await rankingService.getGlobalRanking(sortBy);
 };
 
 /**
  * Get group ranking (optimized)
+ * season: 'current' (default: the running season, all-time if there is none),
+ * 'all' (all-time) or a season ID
+ * @returns {Object} { ranking, season } where season is null for the all-time ranking
  */
-exports.getGroupRanking = async (groupId, userId) => {
+exports.getGroupRanking = async (groupId, userId, sortBy = 'points', season = 'current') => {
+  validateRankingSort(sortBy);
+
   // Verify group exists and user is a member in a single query
   const group = await Group.findById(groupId)
     .select('members')
@@ -570,5 +1141,60 @@ exports.getGroupRanking = async (groupId, userId) => {
     throw { status: 403, message: 'No eres miembro de este grupo' };
   }
 
-  return await rankingService.getGroupRanking(groupId);
+  if (season === 'current') {
+    const currentSeason = await seasonService.getCurrentSeason(groupId);
+    if (currentSeason) {
+      const ranking = await rankingService.getPeriodRanking(
+        groupId,
+        currentSeason.startDate,
+        currentSeason.endDate,
+        sortBy
+      );
+      return { ranking, season: currentSeason };
+    }
+  } else if (season !== 'all') {
+    const { standings, ...seasonData } = await seasonService.getSeasonStandings(groupId, season, sortBy);
+    return { ranking: standings, season: seasonData };
+  }
+
+  const ranking = await rankingService.getGroupRanking(groupId, sortBy);
+  return { ranking, season: null };
+};
+
+/**
+ * Get the leaderboard of a game inside a group
+ */
+exports.getGameLeaderboard = async (groupId, gameId, userId, sortBy = 'points') => {
+  validateRankingSort(sortBy);
+  await exports.validateGroupMembership(groupId, userId);
+
+  const gameExists = await Game.exists({ _id: gameId });
+  if (!gameExists) {
+    throw { status: 404, message: 'Juego no encontrado' };
+  }
+
+  return await rankingService.getGameLeaderboard(groupId, gameId, sortBy);
+};
+
+/**
+ * Get the head-to-head record between two members of a group
+ * Player A defaults to the requesting user
+ */
+exports.getHeadToHead = async (groupId, userId, playerA, playerB, gameId = null) => {
+  const group = await exports.validateGroupMembership(groupId, userId);
+  const userA = (playerA || userId).toString();
+
+  if (!playerB) {
+    throw { status: 400, message: 'Indica el jugador con el que comparar' };
+  }
+  if (userA === playerB.toString()) {
+    throw { status: 400, message: 'Elige dos jugadores distintos' };
+  }
+
+  const memberIds = new Set(group.members.map(m => m.user.toString()));
+  if (!memberIds.has(userA) || !memberIds.has(playerB.toString())) {
+    throw { status: 400, message: 'Ambos jugadores deben ser miembros del grupo' };
+  }
+
+  return await rankingService.getHeadToHead(groupId, userA, playerB.toString(), gameId);
 };
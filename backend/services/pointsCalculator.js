@@ -18,31 +18,238 @@ const POSITION_POINTS = {
 
 const PARTICIPATION_POINTS = 1;
 
+/**
+ * Perfil de puntuación por defecto (equivalente a POSITION_POINTS y PARTICIPATION_POINTS)
+ * - positionPoints: puntos por posición (índice 0 = 1º puesto)
+ * - participationPoints: puntos para posiciones fuera de la tabla o sin posición
+ * - bonuses.winner: puntos extra para el ganador de la partida
+ * - bonuses.highestScore: puntos extra para quien(es) tengan la mayor puntuación
+ */
+const DEFAULT_SCORING_PROFILE = Object.freeze({
+  name: 'Estándar',
+  version: 0,
+  positionPoints: Object.values(POSITION_POINTS),
+  participationPoints: PARTICIPATION_POINTS,
+  bonuses: Object.freeze({
+    winner: 0,
+    highestScore: 0,
+  }),
+});
+
+const MAX_SCORED_POSITIONS = 20;
+
+/**
+ * Normaliza un perfil de puntuación rellenando los campos ausentes con los valores por defecto
+ * @param {object} profile - Perfil (puede ser parcial o null)
+ * @returns {object} Perfil completo
+ */
+const normalizeScoringProfile = (profile) => {
+  if (!profile) return DEFAULT_SCORING_PROFILE;
+
+  return {
+    name: profile.name || DEFAULT_SCORING_PROFILE.name,
+    version: profile.version ?? DEFAULT_SCORING_PROFILE.version,
+    positionPoints: Array.isArray(profile.positionPoints)
+      ? [...profile.positionPoints]
+      : DEFAULT_SCORING_PROFILE.positionPoints,
+    participationPoints: profile.participationPoints ?? DEFAULT_SCORING_PROFILE.participationPoints,
+    bonuses: {
+      winner: profile.bonuses?.winner ?? 0,
+      highestScore: profile.bonuses?.highestScore ?? 0,
+    },
+  };
+};
+
+/**
+ * Obtiene el perfil de puntuación que aplica a una partida
+ * Prioridad: perfil específico del juego > perfil del grupo > perfil por defecto
+ * Los campos que el perfil del juego no define se heredan del perfil del grupo
+ * @param {object} group - Grupo (documento o lean) con settings.scoring
+ * @param {string|ObjectId} gameId - Juego de la partida
+ * @returns {object} Perfil completo, con `game` si viene de un perfil específico del juego
+ */
+const resolveScoringProfile = (group, gameId = null) => {
+  const scoring = group?.settings?.scoring;
+  const groupProfile = normalizeScoringProfile(scoring);
+  if (!scoring || !gameId) return groupProfile;
+
+  const override = scoring.gameOverrides?.find(
+    o => o.game && o.game.toString() === gameId.toString()
+  );
+  if (!override) return groupProfile;
+
+  return {
+    ...groupProfile,
+    positionPoints: Array.isArray(override.positionPoints)
+      ? [...override.positionPoints]
+      : groupProfile.positionPoints,
+    participationPoints: override.participationPoints ?? groupProfile.participationPoints,
+    bonuses: {
+      winner: override.bonuses?.winner ?? groupProfile.bonuses.winner,
+      highestScore: override.bonuses?.highestScore ?? groupProfile.bonuses.highestScore,
+    },
+    game: override.game,
+  };
+};
+
+/**
+ * Valida un perfil de puntuación enviado por un administrador
+ * @param {object} profile - Perfil a validar
+ * @returns {string|null} Mensaje de error o null si es válido
+ */
+const validateScoringProfile = (profile) => {
+  const { positionPoints, participationPoints, bonuses } = profile;
+  const isValidPoints = (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+
+  if (positionPoints !== undefined) {
+    if (!Array.isArray(positionPoints) || positionPoints.length > MAX_SCORED_POSITIONS) {
+      return `La tabla de puntos debe ser una lista de hasta ${MAX_SCORED_POSITIONS} posiciones`;
+    }
+    if (!positionPoints.every(isValidPoints)) {
+      return 'Los puntos por posición deben ser números no negativos';
+    }
+    const isNonIncreasing = positionPoints.every(
+      (points, i) => i === 0 || points <= positionPoints[i - 1]
+    );
+    if (!isNonIncreasing) {
+      return 'Una posición no puede dar más puntos que la anterior';
+    }
+  }
+
+  if (participationPoints !== undefined && !isValidPoints(participationPoints)) {
+    return 'Los puntos de participación deben ser un número no negativo';
+  }
+
+  if (bonuses !== undefined) {
+    const invalidBonus = ['winner', 'highestScore'].some(
+      key => bonuses[key] !== undefined && !isValidPoints(bonuses[key])
+    );
+    if (invalidBonus) {
+      return 'Las bonificaciones deben ser números no negativos';
+    }
+  }
+
+  return null;
+};
+
 /**
  * Calcula puntos basado en la posición final
+ * Regla de empates: los empatados ocupan los puestos position..position+tiedCount-1
+ * y cada uno recibe la media de los puntos de esos puestos, redondeada hacia arriba
+ * (p. ej. dos empatados en 1º con [10, 5, 2, 1]: (10 + 5) / 2 = 7.5 -> 8 puntos cada uno)
  * @param {number} position - Posición del jugador (1, 2, 3, etc)
+ * @param {object} profile - Perfil de puntuación (por defecto el estándar)
+ * @param {number} tiedCount - Jugadores (o equipos) que comparten la posición
  * @returns {number} Puntos ganados
  */
-const calculatePointsByPosition = (position) => {
-  if (!position || position < 1) return PARTICIPATION_POINTS;
-  return POSITION_POINTS[position] || PARTICIPATION_POINTS;
+const calculatePointsByPosition = (position, profile = DEFAULT_SCORING_PROFILE, tiedCount = 1) => {
+  const { positionPoints, participationPoints } = normalizeScoringProfile(profile);
+  if (!position || position < 1) return participationPoints;
+
+  let total = 0;
+  for (let place = position; place < position + tiedCount; place++) {
+    total += positionPoints[place - 1] ?? participationPoints;
+  }
+  return Math.ceil(total / tiedCount);
+};
+
+/**
+ * Cuenta cuántos jugadores (o equipos) comparten cada posición
+ * Los miembros de un mismo equipo cuentan como uno solo
+ * @param {Array} players - Array de jugadores con posición y equipo
+ * @returns {Map} Mapa posición -> número de empatados
+ */
+const countTiedPositions = (players) => {
+  const unitsByPosition = new Map();
+
+  players
+    .filter(p => p.position !== null && p.position !== undefined)
+    .forEach(p => {
+      const unit = p.team ? `team_${p.team}` : `player_${p.user}`;
+      if (!unitsByPosition.has(p.position)) {
+        unitsByPosition.set(p.position, new Set());
+      }
+      unitsByPosition.get(p.position).add(unit);
+    });
+
+  return new Map(
+    [...unitsByPosition].map(([position, units]) => [position, units.size])
+  );
+};
+
+/**
+ * Obtiene los ganadores de una partida según su modo
+ * - individual: los jugadores en 1ª posición (varios si hay empate) o, sin posiciones, match.winner
+ * - teams: los jugadores del equipo (o equipos empatados) en 1ª posición
+ * - cooperative: los participantes si ganaron juntos (todos en 1ª posición), ninguno si perdieron
+ * @param {object} match - Partida con mode, players y winner
+ * @returns {Array} IDs de los usuarios ganadores
+ */
+const getWinnerIds = (match) => {
+  const firstPlaceIds = match.players.filter(p => p.position === 1).map(p => p.user);
+
+  if (match.mode === 'teams' || match.mode === 'cooperative' || firstPlaceIds.length > 0) {
+    return firstPlaceIds;
+  }
+
+  return match.winner ? [match.winner._id || match.winner] : [];
 };
 
 /**
  * Calcula puntos para todos los jugadores de una partida
- * @param {Array} players - Array de jugadores con posición
+ * En partidas por equipos cada jugador tiene la posición y puntuación de su equipo,
+ * y en cooperativas todos tienen la 1ª posición si ganan o ninguna si pierden.
+ * Las posiciones empatadas reparten sus puntos (ver calculatePointsByPosition), salvo
+ * en cooperativas, donde la 1ª posición compartida no es un empate entre rivales
+ * @param {Array} players - Array de jugadores con posición y puntuación
+ * @param {object} profile - Perfil de puntuación (por defecto el estándar)
+ * @param {Array} winnerIds - Ganadores de la partida (para la bonificación de ganador)
+ * @param {string} mode - Modo de la partida (individual, teams, cooperative)
  * @returns {Array} Array con {userId, points}
  */
-const calculatePointsForAllPlayers = (players) => {
-  return players.map(player => ({
-    userId: player.user,
-    points: calculatePointsByPosition(player.position),
-  }));
+const calculatePointsForAllPlayers = (
+  players,
+  profile = DEFAULT_SCORING_PROFILE,
+  winnerIds = [],
+  mode = 'individual'
+) => {
+  const { bonuses } = normalizeScoringProfile(profile);
+  const winners = new Set(winnerIds.map(id => id.toString()));
+  const tiedPositions = mode === 'cooperative' ? new Map() : countTiedPositions(players);
+
+  const scores = players
+    .map(p => p.score)
+    .filter(score => typeof score === 'number');
+  const highestScore = scores.length > 0 ? Math.max(...scores) : null;
+  // Sin puntuaciones distintas no hay "mayor puntuación" que premiar
+  const awardHighestScore = bonuses.highestScore > 0 && new Set(scores).size > 1;
+
+  return players.map(player => {
+    let points = calculatePointsByPosition(
+      player.position,
+      profile,
+      tiedPositions.get(player.position) || 1
+    );
+
+    if (bonuses.winner > 0 && winners.has(player.user.toString())) {
+      points += bonuses.winner;
+    }
+    if (awardHighestScore && player.score === highestScore) {
+      points += bonuses.highestScore;
+    }
+
+    return {
+      userId: player.user,
+      points,
+    };
+  });
 };
 
 /**
- * Valida que no haya posiciones duplicadas (excepto null)
- * @param {Array} players - Array de jugadores
+ * Valida que las posiciones sean coherentes (se ignoran las null)
+ * Se permiten empates: los empatados comparten posición y la siguiente salta
+ * los puestos que ocupan (1, 1, 3 es válido; 1, 1, 2 no)
+ * @param {Array} players - Array de jugadores (o equipos)
  * @returns {boolean} True si es válido
  */
 const validatePositions = (players) => {
@@ -50,14 +257,27 @@ const validatePositions = (players) => {
     .filter(p => p.position !== null && p.position !== undefined)
     .map(p => p.position);
   
-  const uniquePositions = new Set(positions);
-  return positions.length === uniquePositions.size;
+  const counts = new Map();
+  positions.forEach(position => counts.set(position, (counts.get(position) || 0) + 1));
+
+  // Ningún otro jugador puede ocupar los puestos cubiertos por un empate
+  return [...counts].every(([position, count]) => {
+    for (let place = position + 1; place < position + count; place++) {
+      if (counts.has(place)) return false;
+    }
+    return true;
+  });
 };
 
 module.exports = {
   calculatePointsByPosition,
   calculatePointsForAllPlayers,
   validatePositions,
+  getWinnerIds,
+  normalizeScoringProfile,
+  resolveScoringProfile,
+  validateScoringProfile,
   POSITION_POINTS,
   PARTICIPATION_POINTS,
+  DEFAULT_SCORING_PROFILE,
 };
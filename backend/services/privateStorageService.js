@@ -0,0 +1,34 @@
+/**
+ * Private Storage Service - Storage for files that are never served
+ * (data export archives, parsed match imports), with the same interface as
+ * storageService.js. Nothing mounts a handler() on it, so no URL reaches them.
+ *
+ * STORAGE_DRIVER=s3 keeps them in S3_PRIVATE_BUCKET, a bucket that must not be
+ * public. Without it they share S3_BUCKET, which is only safe while
+ * S3_PUBLIC_URL is empty; otherwise they stay on the local disk under private/
+ */
+const path = require('path');
+const { createLogger } = require('../utils/logger');
+const logger = createLogger('PrivateStorageService');
+
+if (process.env.STORAGE_DRIVER === 's3') {
+  const S3Storage = require('./storageService.s3');
+  const bucket = process.env.S3_PRIVATE_BUCKET || process.env.S3_BUCKET;
+
+  if (!process.env.S3_PRIVATE_BUCKET && process.env.S3_PUBLIC_URL) {
+    logger.warn(`S3_PUBLIC_URL is set but S3_PRIVATE_BUCKET is not: private files share the public bucket ${bucket}`);
+  }
+
+  module.exports = new S3Storage({
+    bucket,
+    region: process.env.S3_REGION || undefined,
+    endpoint: process.env.S3_ENDPOINT || undefined,
+    accessKeyId: process.env.S3_ACCESS_KEY_ID || undefined,
+    secretAccessKey: process.env.S3_SECRET_ACCESS_KEY || undefined,
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+  });
+} else {
+  const LocalStorage = require('./storageService.local');
+
+  module.exports = new LocalStorage({ root: path.join(__dirname, '../private') });
+}
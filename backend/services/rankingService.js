@@ -2,12 +2,20 @@
  * @fileoverview Ranking Service
  * @description Logic for rankings, statistics and user scores
  * @module services/rankingService
+ * @requires mongoose
  * @requires ../models/User
+ * @requires ../models/Game
+ * @requires ../models/Match
  * @requires ./pointsCalculator
+ * @requires ./ratingService
  */
 
+const mongoose = require('mongoose');
 const User = require('../models/User');
+const Game = require('../models/Game');
+const Match = require('../models/Match');
 const pointsCalculator = require('./pointsCalculator');
+const ratingService = require('./ratingService');
 
 /**
  * Service for handling user ranking and statistics
@@ -24,14 +32,84 @@ const RANKING_USER_PROJECTION = {
   stats: 1,
 };
 
+/**
+ * Allowed ranking orders
+ * points: accumulated points board, wins: total wins, rating: skill rating
+ */
+const RANKING_SORT_OPTIONS = ['points', 'wins', 'rating'];
+
+/**
+ * Comparators for each ranking order (0 means tied)
+ */
+const RANKING_COMPARATORS = {
+  points: (a, b) => b.totalPoints - a.totalPoints,
+  wins: (a, b) => b.totalWins - a.totalWins || b.totalPoints - a.totalPoints,
+  rating: (a, b) => b.skillRating - a.skillRating || b.skillMu - a.skillMu,
+};
+
+/**
+ * Sorts ranking entries by the requested criterion and assigns their positions
+ * Tied entries share a position and the next one skips the places they take (1, 1, 3)
+ * @param {Array} entries - Ranking entries (totalPoints, totalWins, skillRating...)
+ * @param {string} sortBy - points/wins/rating
+ * @returns {Array} Sorted entries with position and tied flag
+ */
+const rankEntries = (entries, sortBy = 'points') => {
+  const compare = RANKING_COMPARATORS[sortBy] || RANKING_COMPARATORS.points;
+  const sorted = [...entries].sort(compare);
+
+  let position = 0;
+  return sorted.map((entry, index) => {
+    const previous = sorted[index - 1];
+    const next = sorted[index + 1];
+    if (!previous || compare(previous, entry) !== 0) {
+      position = index + 1;
+    }
+
+    return {
+      ...entry,
+      position,
+      tied: Boolean(
+        (previous && compare(previous, entry) === 0) || (next && compare(entry, next) === 0)
+      ),
+    };
+  });
+};
+
+/**
+ * Builds ranking entries sorted by the requested criterion
+ * @param {Array} users - Users with ranking projection
+ * @param {Map} ratingsMap - Map userId -> rating in the ranking scope
+ * @param {string} sortBy - points/wins/rating
+ * @returns {Array} Ranking entries with position and tied flag
+ */
+const buildRanking = (users, ratingsMap, sortBy = 'points') => {
+  const entries = users.map((user) => ({
+    userId: user._id,
+    nickname: user.nickname,
+    name: user.name,
+    avatar: user.avatar,
+    totalPoints: user.stats.totalPoints,
+    totalMatches: user.stats.totalMatches,
+    totalWins: user.stats.totalWins,
+    winRate: user.stats.totalMatches > 0 
+      ? ((user.stats.totalWins / user.stats.totalMatches) * 100).toFixed(2) 
+      : 0,
+    ...ratingService.formatRating(ratingsMap.get(user._id.toString())),
+  }));
+
+  return rankEntries(entries, sortBy);
+};
+
 /**
  * Updates a user's points (using atomic findByIdAndUpdate)
  * @param {string} userId - User ID
  * @param {number} pointsEarned - Points earned
  * @param {boolean} isWinner - If was winner
+ * @param {ClientSession} session - MongoDB session of the running transaction (optional)
  * @returns {object} Updated user
  */
-const updateUserPoints = async (userId, pointsEarned, isWinner = false) => {
+const updateUserPoints = async (userId, pointsEarned, isWinner = false, session = null) => {
   const updateOps = {
     $inc: {
       'stats.totalPoints': pointsEarned,
@@ -46,7 +124,7 @@ const updateUserPoints = async (userId, pointsEarned, isWinner = false) => {
   const user = await User.findByIdAndUpdate(
     userId,
     updateOps,
-    { new: true, select: 'stats' }
+    { new: true, select: 'stats', session }
   ).lean();
   
   if (!user) {
@@ -57,99 +135,378 @@ const updateUserPoints = async (userId, pointsEarned, isWinner = false) => {
 };
 
 /**
- * Updates statistics for all players in a match
- * @param {object} match - Match document with players and winner
+ * Updates statistics for all players in a match, the game play count and skill ratings
+ * Any failure is thrown so the caller's transaction rolls everything back
+ * @param {object} match - Match document with mode, players and winner
+ * @param {ClientSession} session - MongoDB session of the running transaction (optional)
  * @returns {object} Update report
  */
-const updateMatchStatistics = async (match) => {
+const updateMatchStatistics = async (match, session = null) => {
   const report = {
     success: true,
     updatedPlayers: [],
-    errors: [],
   };
 
-  // Calculate points for each player
-  const pointsData = pointsCalculator.calculatePointsForAllPlayers(match.players);
+  // Winners depend on the match mode (1st place, winning team or cooperative win); ties give several
+  const winnerIds = new Set(
+    pointsCalculator.getWinnerIds(match).map(id => id.toString())
+  );
+
+  // Calculate points for each player with the profile recorded when finishing
+  const pointsData = pointsCalculator.calculatePointsForAllPlayers(
+    match.players,
+    match.scoringProfile,
+    [...winnerIds],
+    match.mode
+  );
 
   // Update each player
   for (const data of pointsData) {
-    try {
-      const isWinner = match.winner && match.winner.toString() === data.userId.toString();
-      const updatedUser = await updateUserPoints(data.userId, data.points, isWinner);
-      
-      report.updatedPlayers.push({
-        userId: data.userId,
-        points: data.points,
-        isWinner,
-        stats: updatedUser.stats,
-      });
-    } catch (error) {
-      report.errors.push({
-        userId: data.userId,
-        error: error.message,
-      });
-    }
+    const isWinner = winnerIds.has(data.userId.toString());
+    const updatedUser = await updateUserPoints(data.userId, data.points, isWinner, session);
+
+    report.updatedPlayers.push({
+      userId: data.userId,
+      points: data.points,
+      isWinner,
+      stats: updatedUser.stats,
+    });
   }
 
+  // Count the match for its game
+  await Game.findByIdAndUpdate(
+    match.game?._id || match.game,
+    {
+      $inc: { 'stats.timesPlayed': 1 },
+      $max: { 'stats.lastPlayed': match.actualDate || new Date() },
+    },
+    { session }
+  );
+
+  // Update skill ratings using opponents' current ratings
+  report.ratingChanges = await ratingService.updateMatchRatings(match, session);
+
   return report;
 };
 
 /**
- * Gets the ranking of a group (optimized with lean and projection)
- * @param {string} groupId - Group ID
- * @returns {Array} Array of users sorted by points
+ * Moves user stats from one set of results of a match to another
+ * Used when a finished match is corrected: the old points and wins are reversed
+ * and the new ones applied as a single net $inc per user
+ * @param {object} before - Results snapshot with players (pointsEarned) and winners
+ * @param {object} after - Results snapshot with players (pointsEarned) and winners
+ * @param {ClientSession} session - MongoDB session of the running transaction (optional)
+ * @returns {object} Update report with the applied deltas
  */
-const getGroupRanking = async (groupId) => {
-  const users = await User.find({
-    groups: groupId,
-  })
+const applyResultsDelta = async (before, after, session = null) => {
+  const deltas = new Map();
+  const getDelta = (userId) => {
+    const key = userId.toString();
+    if (!deltas.has(key)) {
+      deltas.set(key, { userId, points: 0, wins: 0 });
+    }
+    return deltas.get(key);
+  };
+
+  before.players.forEach(p => { getDelta(p.user).points -= p.pointsEarned || 0; });
+  after.players.forEach(p => { getDelta(p.user).points += p.pointsEarned || 0; });
+  before.winners.forEach(id => { getDelta(id).wins -= 1; });
+  after.winners.forEach(id => { getDelta(id).wins += 1; });
+
+  const changed = [...deltas.values()].filter(d => d.points !== 0 || d.wins !== 0);
+
+  if (changed.length > 0) {
+    await User.bulkWrite(
+      changed.map(d => ({
+        updateOne: {
+          filter: { _id: d.userId },
+          update: { $inc: { 'stats.totalPoints': d.points, 'stats.totalWins': d.wins } },
+        },
+      })),
+      { session }
+    );
+  }
+
+  return {
+    success: true,
+    deltas: changed,
+  };
+};
+
+/**
+ * Aggregates the points, wins and matches of every player in a set of finished matches
+ * Only the fields needed are projected before unwinding, so large groups stay cheap
+ * @param {object} matchFilter - Aggregation $match filter (ObjectIds already cast)
+ * @returns {Map} Map userId -> { totalMatches, totalPoints, totalWins }
+ */
+const aggregatePlayerStats = async (matchFilter) => {
+  const playerStats = await Match.aggregate([
+    { $match: { ...matchFilter, status: 'finalizada' } },
+    { $project: { 'players.user': 1, 'players.pointsEarned': 1, winner: 1, winners: 1 } },
+    { $unwind: '$players' },
+    {
+      $group: {
+        _id: '$players.user',
+        totalMatches: { $sum: 1 },
+        totalPoints: { $sum: { $ifNull: ['$players.pointsEarned', 0] } },
+        // Older matches only have `winner`; newer ones list every winner in `winners`
+        totalWins: {
+          $sum: {
+            $cond: [
+              {
+                $or: [
+                  { $in: ['$players.user', { $ifNull: ['$winners', []] }] },
+                  { $eq: ['$players.user', '$winner'] },
+                ],
+              },
+              1,
+              0,
+            ],
+          },
+        },
+      },
+    },
+  ]);
+
+  return new Map(playerStats.map(({ _id, totalMatches, totalPoints, totalWins }) => [
+    _id.toString(),
+    { totalMatches, totalPoints, totalWins },
+  ]));
+};
+
+/**
+ * Replaces the cumulative User.stats of each user with the aggregated ones
+ * Users without matches in the aggregation get empty stats
+ * @param {Array} users - Users with ranking projection
+ * @param {Map} statsMap - Map userId -> { totalMatches, totalPoints, totalWins }
+ * @returns {Array} Users with the aggregated stats
+ */
+const withAggregatedStats = (users, statsMap) => users.map((user) => ({
+  ...user,
+  stats: statsMap.get(user._id.toString()) || { totalMatches: 0, totalPoints: 0, totalWins: 0 },
+}));
+
+/**
+ * Builds a ranking from the points and wins earned in a set of finished matches
+ * instead of the cumulative User.stats
+ * @param {object} matchFilter - Aggregation $match filter (ObjectIds already cast)
+ * @param {string} ratingScope - Rating scope shown in the entries (group/game)
+ * @param {string} scopeId - Group or game ID of the rating scope
+ * @param {string} sortBy - points/wins/rating (default: points)
+ * @returns {Array} Array of sorted players who played those matches
+ */
+const buildMatchesRanking = async (matchFilter, ratingScope, scopeId, sortBy = 'points') => {
+  const statsMap = await aggregatePlayerStats(matchFilter);
+  const users = await User.find({ _id: { $in: [...statsMap.keys()] } })
     .select(RANKING_USER_PROJECTION)
-    .sort({ 'stats.totalPoints': -1 })
     .lean();
 
-  return users.map((user, index) => ({
-    position: index + 1,
-    userId: user._id,
-    nickname: user.nickname,
-    name: user.name,
-    avatar: user.avatar,
-    totalPoints: user.stats.totalPoints,
-    totalMatches: user.stats.totalMatches,
-    totalWins: user.stats.totalWins,
-    winRate: user.stats.totalMatches > 0 
-      ? ((user.stats.totalWins / user.stats.totalMatches) * 100).toFixed(2) 
-      : 0,
-  }));
+  const ratingsMap = await ratingService.getRatingsMap(
+    users.map(u => u._id),
+    ratingScope,
+    scopeId
+  );
+
+  return buildRanking(withAggregatedStats(users, statsMap), ratingsMap, sortBy);
+};
+
+/**
+ * Gets the all-time ranking of a group's members
+ * Points, wins and matches only count the group's own finished matches,
+ * so what a member earned in other groups does not change their position here
+ * @param {string} groupId - Group ID
+ * @param {string} sortBy - points/wins/rating (default: points)
+ * @returns {Array} Array of sorted users
+ */
+const getGroupRanking = async (groupId, sortBy = 'points') => {
+  const [users, statsMap] = await Promise.all([
+    User.find({ groups: groupId })
+      .select(RANKING_USER_PROJECTION)
+      .lean(),
+    aggregatePlayerStats({ group: new mongoose.Types.ObjectId(groupId) }),
+  ]);
+
+  const ratingsMap = await ratingService.getRatingsMap(
+    users.map(u => u._id),
+    'group',
+    groupId
+  );
+
+  return buildRanking(withAggregatedStats(users, statsMap), ratingsMap, sortBy);
 };
 
 /**
  * Gets the global ranking of all users (optimized with lean and projection)
- * @returns {Array} Array of users sorted by points
+ * @param {string} sortBy - points/wins/rating (default: points)
+ * @returns {Array} Array of sorted users
  */
-const getGlobalRanking = async () => {
+const getGlobalRanking = async (sortBy = 'points') => {
   const users = await User.find({ isActive: true })
     .select(RANKING_USER_PROJECTION)
     .sort({ 'stats.totalPoints': -1 })
     .lean();
 
-  return users.map((user, index) => ({
-    position: index + 1,
-    userId: user._id,
-    nickname: user.nickname,
-    name: user.name,
-    avatar: user.avatar,
-    totalPoints: user.stats.totalPoints,
-    totalMatches: user.stats.totalMatches,
-    totalWins: user.stats.totalWins,
-    winRate: user.stats.totalMatches > 0 
-      ? ((user.stats.totalWins / user.stats.totalMatches) * 100).toFixed(2) 
-      : 0,
-  }));
+  const ratingsMap = await ratingService.getRatingsMap(
+    users.map(u => u._id),
+    'global'
+  );
+
+  return buildRanking(users, ratingsMap, sortBy);
+};
+
+/**
+ * Gets the leaderboard of one game inside a group, computed from its finished matches
+ * Points are the ones earned in those matches; rating is the player's rating for the game
+ * @param {string} groupId - Group ID
+ * @param {string} gameId - Game ID
+ * @param {string} sortBy - points/wins/rating (default: points)
+ * @returns {Array} Array of sorted players who played the game in the group
+ */
+const getGameLeaderboard = async (groupId, gameId, sortBy = 'points') => {
+  return buildMatchesRanking(
+    {
+      group: new mongoose.Types.ObjectId(groupId),
+      game: new mongoose.Types.ObjectId(gameId),
+    },
+    'game',
+    gameId,
+    sortBy
+  );
+};
+
+/**
+ * Gets the ranking of a group for a period (a season), computed from the
+ * matches finished in it. Rating is the player's group rating
+ * @param {string} groupId - Group ID
+ * @param {Date} startDate - Start of the period
+ * @param {Date} endDate - End of the period (exclusive)
+ * @param {string} sortBy - points/wins/rating (default: points)
+ * @returns {Array} Array of sorted players who played in the period
+ */
+const getPeriodRanking = async (groupId, startDate, endDate, sortBy = 'points') => {
+  return buildMatchesRanking(
+    {
+      group: new mongoose.Types.ObjectId(groupId),
+      actualDate: { $gte: startDate, $lt: endDate },
+    },
+    'group',
+    groupId,
+    sortBy
+  );
+};
+
+/**
+ * Gets the result of a finished match for player A against player B
+ * Positions are compared when both have one, otherwise who won.
+ * Teammates and cooperative matches are not a head-to-head result
+ * @param {object} match - Finished match with mode, players, winner and winners
+ * @param {string} userA - Player A ID
+ * @param {string} userB - Player B ID
+ * @returns {string|null} win/loss/tie or null if the match does not count
+ */
+const getHeadToHeadResult = (match, userA, userB) => {
+  if (match.mode === 'cooperative') return null;
+
+  const playerA = match.players.find(p => p.user.toString() === userA);
+  const playerB = match.players.find(p => p.user.toString() === userB);
+  if (!playerA || !playerB) return null;
+
+  if (playerA.team && playerB.team && playerA.team.toString() === playerB.team.toString()) {
+    return null;
+  }
+
+  const hasPosition = p => p.position !== null && p.position !== undefined;
+  if (hasPosition(playerA) && hasPosition(playerB)) {
+    if (playerA.position === playerB.position) return 'tie';
+    return playerA.position < playerB.position ? 'win' : 'loss';
+  }
+  // Only one of them has a position (e.g. the other did not attend)
+  if (hasPosition(playerA) || hasPosition(playerB)) return null;
+
+  const winners = new Set(pointsCalculator.getWinnerIds(match).map(id => id.toString()));
+  const wonA = winners.has(userA);
+  const wonB = winners.has(userB);
+  if (wonA === wonB) return wonA ? 'tie' : null;
+  return wonA ? 'win' : 'loss';
+};
+
+/**
+ * Gets the head-to-head record of player A against player B in a group
+ * @param {string} groupId - Group ID
+ * @param {string} userA - Player A ID
+ * @param {string} userB - Player B ID
+ * @param {string} gameId - Only count matches of this game (optional)
+ * @returns {object} { players, totalMatches, wins, losses, ties, byGame, recentMatches }
+ */
+const getHeadToHead = async (groupId, userA, userB, gameId = null) => {
+  const filter = {
+    group: groupId,
+    status: 'finalizada',
+    'players.user': { $all: [userA, userB] },
+  };
+  if (gameId) {
+    filter.game = gameId;
+  }
+
+  const [matches, users] = await Promise.all([
+    Match.find(filter)
+      .select('game mode players winner winners actualDate scheduledDate')
+      .populate('game', 'name image')
+      .sort({ actualDate: -1 })
+      .lean(),
+    User.find({ _id: { $in: [userA, userB] } })
+      .select('nickname name avatar')
+      .lean(),
+  ]);
+
+  const record = { wins: 0, losses: 0, ties: 0 };
+  const byGame = new Map();
+  const recentMatches = [];
+  const resultKeys = { win: 'wins', loss: 'losses', tie: 'ties' };
+
+  for (const match of matches) {
+    const result = getHeadToHeadResult(match, userA.toString(), userB.toString());
+    if (!result) continue;
+
+    record[resultKeys[result]] += 1;
+
+    const gameKey = match.game?._id?.toString() || 'unknown';
+    if (!byGame.has(gameKey)) {
+      byGame.set(gameKey, { game: match.game, wins: 0, losses: 0, ties: 0 });
+    }
+    byGame.get(gameKey)[resultKeys[result]] += 1;
+
+    if (recentMatches.length < 10) {
+      recentMatches.push({
+        matchId: match._id,
+        game: match.game,
+        date: match.actualDate || match.scheduledDate,
+        result,
+      });
+    }
+  }
+
+  const findUser = id => users.find(u => u._id.toString() === id.toString()) || null;
+  const played = r => r.wins + r.losses + r.ties;
+
+  return {
+    players: { a: findUser(userA), b: findUser(userB) },
+    totalMatches: played(record),
+    ...record,
+    byGame: [...byGame.values()].sort((x, y) => played(y) - played(x)),
+    recentMatches,
+  };
 };
 
 module.exports = {
   updateUserPoints,
   updateMatchStatistics,
+  applyResultsDelta,
   getGroupRanking,
   getGlobalRanking,
+  getGameLeaderboard,
+  getPeriodRanking,
+  getHeadToHead,
+  rankEntries,
+  RANKING_SORT_OPTIONS,
 };
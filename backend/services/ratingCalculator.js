@@ -0,0 +1,151 @@
+/**
+ * @fileoverview Rating Calculator
+ * @description Pure skill rating logic (Weng-Lin Bradley-Terry, a TrueSkill-style model)
+ * @module services/ratingCalculator
+ */
+
+/**
+ * Service to calculate skill ratings in matches
+ * Each rating is a normal distribution (mu, sigma): mu is the estimated skill
+ * and sigma the uncertainty, which shrinks with every rated match.
+ * Defines the rating logic without side effects
+ */
+
+const DEFAULT_MU = 25;
+const DEFAULT_SIGMA = DEFAULT_MU / 3;
+const BETA = DEFAULT_SIGMA / 2;
+const KAPPA = 0.0001;
+
+/**
+ * Creates the rating of a player without rated matches
+ * @returns {object} { mu, sigma }
+ */
+const createDefaultRating = () => ({
+  mu: DEFAULT_MU,
+  sigma: DEFAULT_SIGMA,
+});
+
+/**
+ * Conservative rating used for leaderboards (mu - 3 * sigma)
+ * @param {object} rating - { mu, sigma }
+ * @returns {number} Conservative rating
+ */
+const getConservativeRating = (rating) => {
+  return rating.mu - 3 * rating.sigma;
+};
+
+/**
+ * Groups players into rating units: a team, or the player alone when not in a team
+ * A unit's skill is the sum of its players' skills (and variances)
+ * @param {Array} players - Array of { userId, rank, team, rating }
+ * @returns {Array} Array of { rank, mu, sigmaSq, players }
+ */
+const buildRatingUnits = (players) => {
+  const units = new Map();
+
+  players.forEach((player, index) => {
+    const key = player.team ? `team_${player.team}` : `player_${index}`;
+    if (!units.has(key)) {
+      units.set(key, { rank: player.rank, mu: 0, sigmaSq: 0, players: [] });
+    }
+    const unit = units.get(key);
+    unit.mu += player.rating.mu;
+    unit.sigmaSq += player.rating.sigma * player.rating.sigma;
+    unit.players.push(player);
+  });
+
+  return [...units.values()];
+};
+
+/**
+ * Calculates the new ratings of all players of a match
+ * A lower rank is a better result; equal ranks are a tie. Players sharing a
+ * `team` are rated as one unit and the update is split by their uncertainty
+ * @param {Array} players - Array of { userId, rank, team, rating: { mu, sigma } }
+ * @returns {Array} Array with { userId, before, after }
+ */
+const calculateNewRatings = (players) => {
+  const units = buildRatingUnits(players);
+
+  return units.flatMap((unit) => {
+    let omega = 0;
+    let delta = 0;
+
+    for (const opponent of units) {
+      if (opponent === unit) continue;
+
+      const c = Math.sqrt(unit.sigmaSq + opponent.sigmaSq + 2 * BETA * BETA);
+      const expected = 1 / (1 + Math.exp((opponent.mu - unit.mu) / c));
+
+      let score = 0.5;
+      if (unit.rank < opponent.rank) score = 1;
+      else if (unit.rank > opponent.rank) score = 0;
+
+      const gamma = Math.sqrt(unit.sigmaSq) / c;
+      omega += (unit.sigmaSq / c) * (score - expected);
+      delta += gamma * (unit.sigmaSq / (c * c)) * expected * (1 - expected);
+    }
+
+    return unit.players.map((player) => {
+      const { mu, sigma } = player.rating;
+      const share = (sigma * sigma) / unit.sigmaSq;
+
+      return {
+        userId: player.userId,
+        before: { mu, sigma },
+        after: {
+          mu: mu + share * omega,
+          sigma: sigma * Math.sqrt(Math.max(1 - share * delta, KAPPA)),
+        },
+      };
+    });
+  });
+};
+
+/**
+ * Gets the rank of each player of a finished match
+ * Uses positions when available, otherwise winner (rank 1) vs the rest (rank 2).
+ * Cooperative matches are not rated: players do not compete against each other
+ * @param {object} match - Finished match with mode, players and winner
+ * @returns {Array|null} Array with { userId, rank, team } or null if there is no result to rate
+ */
+const getMatchRanks = (match) => {
+  const { players, winner } = match;
+
+  if (match.mode === 'cooperative') {
+    return null;
+  }
+
+  // Players without a position (e.g. they did not attend) are not rated
+  const rankedPlayers = players.filter(
+    p => p.position !== null && p.position !== undefined
+  );
+
+  if (rankedPlayers.length >= 2) {
+    return rankedPlayers.map(p => ({
+      userId: p.user,
+      rank: p.position,
+      team: match.mode === 'teams' && p.team ? p.team.toString() : null,
+    }));
+  }
+
+  if (winner) {
+    const winnerId = (winner._id || winner).toString();
+    return players.map(p => ({
+      userId: p.user,
+      rank: p.user.toString() === winnerId ? 1 : 2,
+      team: null,
+    }));
+  }
+
+  return null;
+};
+
+module.exports = {
+  createDefaultRating,
+  getConservativeRating,
+  calculateNewRatings,
+  getMatchRanks,
+  DEFAULT_MU,
+  DEFAULT_SIGMA,
+};
@@ -0,0 +1,291 @@
+/**
+ * @fileoverview Rating Service
+ * @description Persistence of skill ratings (overall, per group and per game)
+ * @module services/ratingService
+ * @requires ../models/PlayerRating
+ * @requires ../models/Match
+ * @requires ./ratingCalculator
+ */
+
+const PlayerRating = require('../models/PlayerRating');
+const Match = require('../models/Match');
+const ratingCalculator = require('./ratingCalculator');
+
+// Stored and replayed ratings closer than this are the same rating
+const RATING_TOLERANCE = 1e-9;
+
+/**
+ * Builds the filter that identifies a rating scope
+ * @param {string} scope - global/group/game
+ * @param {string} scopeId - Group or game ID (not used for global)
+ * @returns {object} Filter without user
+ */
+const buildScopeFilter = (scope, scopeId = null) => ({
+  scope,
+  group: scope === 'group' ? scopeId : null,
+  game: scope === 'game' ? scopeId : null,
+});
+
+/**
+ * Gets the current ratings of several users in a scope
+ * Users without a stored rating get the default one
+ * @param {Array} userIds - User IDs
+ * @param {string} scope - global/group/game
+ * @param {string} scopeId - Group or game ID
+ * @param {ClientSession} session - MongoDB session of the running transaction (optional)
+ * @returns {Map} Map userId -> { mu, sigma, matches }
+ */
+const getRatingsMap = async (userIds, scope, scopeId = null, session = null) => {
+  const ratings = await PlayerRating.find({
+    ...buildScopeFilter(scope, scopeId),
+    user: { $in: userIds },
+  })
+    .select('user mu sigma matches')
+    .session(session)
+    .lean();
+
+  const ratingsMap = new Map();
+  for (const userId of userIds) {
+    ratingsMap.set(userId.toString(), { ...ratingCalculator.createDefaultRating(), matches: 0 });
+  }
+  for (const rating of ratings) {
+    ratingsMap.set(rating.user.toString(), {
+      mu: rating.mu,
+      sigma: rating.sigma,
+      matches: rating.matches,
+    });
+  }
+
+  return ratingsMap;
+};
+
+/**
+ * Updates the ratings of all players of a finished match in one scope
+ * @param {Array} ranks - Array of { userId, rank, team }
+ * @param {string} scope - global/group/game
+ * @param {string} scopeId - Group or game ID
+ * @param {Date} playedAt - Match date
+ * @param {ClientSession} session - MongoDB session of the running transaction (optional)
+ * @returns {Array} Array with { userId, before, after }
+ */
+const updateScopeRatings = async (ranks, scope, scopeId, playedAt, session = null) => {
+  const userIds = ranks.map(r => r.userId);
+  const ratingsMap = await getRatingsMap(userIds, scope, scopeId, session);
+
+  const changes = ratingCalculator.calculateNewRatings(
+    ranks.map(r => ({
+      userId: r.userId,
+      rank: r.rank,
+      team: r.team,
+      rating: ratingsMap.get(r.userId.toString()),
+    }))
+  );
+
+  await PlayerRating.bulkWrite(
+    changes.map(change => ({
+      updateOne: {
+        filter: { ...buildScopeFilter(scope, scopeId), user: change.userId },
+        update: {
+          $set: {
+            mu: change.after.mu,
+            sigma: change.after.sigma,
+            lastPlayedAt: playedAt,
+          },
+          $inc: { matches: 1 },
+        },
+        upsert: true,
+      },
+    })),
+    { session }
+  );
+
+  return changes;
+};
+
+/**
+ * Updates overall, group and game ratings of the players of a finished match
+ * Ratings are read before writing, so opponents' current ratings are used.
+ * Scopes are updated one after another: a transaction session can't run operations in parallel
+ * @param {object} match - Finished match document
+ * @param {ClientSession} session - MongoDB session of the running transaction (optional)
+ * @returns {Array|null} Overall rating changes or null if the match has no result to rate
+ */
+const updateMatchRatings = async (match, session = null) => {
+  const ranks = ratingCalculator.getMatchRanks(match);
+  if (!ranks || ranks.length < 2) {
+    return null;
+  }
+
+  const playedAt = match.actualDate || new Date();
+  const groupId = match.group?._id || match.group;
+  const gameId = match.game?._id || match.game;
+
+  const globalChanges = await updateScopeRatings(ranks, 'global', null, playedAt, session);
+  await updateScopeRatings(ranks, 'group', groupId, playedAt, session);
+  await updateScopeRatings(ranks, 'game', gameId, playedAt, session);
+
+  return globalChanges;
+};
+
+/**
+ * Builds the key of a user's rating in a scope
+ * @param {string} scope - global/group/game
+ * @param {string} scopeId - Group or game ID (null for global)
+ * @param {string} userId - User ID
+ * @returns {string} Rating key
+ */
+const getRatingKey = (scope, scopeId, userId) => `${scope}:${scopeId || ''}:${userId}`;
+
+/**
+ * Replays the ratings of a sequence of finished matches, starting everyone
+ * from the default rating, with the same rules as updateMatchRatings
+ * @param {Iterable|AsyncIterable} matches - Finished matches in the order they were played
+ * @returns {Map} Map rating key -> { scope, group, game, user, mu, sigma, matches, lastPlayedAt }
+ */
+const replayRatings = async (matches) => {
+  const ratings = new Map();
+  const getRating = (scope, scopeId, userId) => {
+    const key = getRatingKey(scope, scopeId, userId);
+    if (!ratings.has(key)) {
+      ratings.set(key, {
+        ...buildScopeFilter(scope, scopeId),
+        user: userId,
+        ...ratingCalculator.createDefaultRating(),
+        matches: 0,
+        lastPlayedAt: null,
+      });
+    }
+    return ratings.get(key);
+  };
+
+  for await (const match of matches) {
+    const ranks = ratingCalculator.getMatchRanks(match);
+    if (!ranks || ranks.length < 2) continue;
+
+    const scopes = [
+      ['global', null],
+      ['group', (match.group?._id || match.group).toString()],
+      ['game', (match.game?._id || match.game).toString()],
+    ];
+
+    for (const [scope, scopeId] of scopes) {
+      const changes = ratingCalculator.calculateNewRatings(
+        ranks.map(r => ({
+          userId: r.userId,
+          rank: r.rank,
+          team: r.team,
+          rating: getRating(scope, scopeId, r.userId.toString()),
+        }))
+      );
+
+      for (const change of changes) {
+        const rating = getRating(scope, scopeId, change.userId.toString());
+        rating.mu = change.after.mu;
+        rating.sigma = change.after.sigma;
+        rating.matches += 1;
+        rating.lastPlayedAt = match.actualDate || rating.lastPlayedAt;
+      }
+    }
+  }
+
+  return ratings;
+};
+
+/**
+ * Rebuilds every PlayerRating by replaying all finished matches in the order
+ * they were played. Ratings depend on the order of matches, so a corrected
+ * result can only be fixed by replaying what came after it. A match finished
+ * while the rebuild runs queues another one (see matchService), as this one
+ * may overwrite its rating update
+ * Differences are always counted; they are only written when apply is true
+ * @param {object} options - { apply: write the replayed ratings (default: false) }
+ * @returns {object} { checked, changed, removed }
+ */
+const rebuildRatings = async ({ apply = false } = {}) => {
+  const cursor = Match.find({ status: 'finalizada' })
+    .select('group game mode players winner actualDate')
+    .sort({ actualDate: 1, _id: 1 })
+    .lean()
+    .cursor();
+
+  const expected = await replayRatings(cursor);
+  const stored = await PlayerRating.find()
+    .select('user scope group game mu sigma matches')
+    .lean();
+
+  const storedKeys = new Set();
+  const changed = [];
+  const removed = [];
+
+  for (const rating of stored) {
+    const scopeId = rating.scope === 'group' ? rating.group : rating.game;
+    const key = getRatingKey(rating.scope, scopeId, rating.user);
+    storedKeys.add(key);
+
+    const target = expected.get(key);
+    if (!target) {
+      removed.push(rating._id);
+    } else if (
+      Math.abs(rating.mu - target.mu) > RATING_TOLERANCE
+      || Math.abs(rating.sigma - target.sigma) > RATING_TOLERANCE
+      || rating.matches !== target.matches
+    ) {
+      changed.push(target);
+    }
+  }
+
+  for (const [key, target] of expected) {
+    if (!storedKeys.has(key)) changed.push(target);
+  }
+
+  if (apply) {
+    if (changed.length > 0) {
+      await PlayerRating.bulkWrite(
+        changed.map(rating => ({
+          updateOne: {
+            filter: { ...buildScopeFilter(rating.scope, rating.group || rating.game), user: rating.user },
+            update: {
+              $set: {
+                mu: rating.mu,
+                sigma: rating.sigma,
+                matches: rating.matches,
+                ...(rating.lastPlayedAt && { lastPlayedAt: rating.lastPlayedAt }),
+              },
+            },
+            upsert: true,
+          },
+        }))
+      );
+    }
+
+    if (removed.length > 0) {
+      await PlayerRating.deleteMany({ _id: { $in: removed } });
+    }
+  }
+
+  return {
+    checked: stored.length,
+    changed: changed.length,
+    removed: removed.length,
+  };
+};
+
+/**
+ * Formats a stored rating for ranking responses
+ * @param {object} rating - { mu, sigma, matches }
+ * @returns {object} Rating fields for a ranking entry
+ */
+const formatRating = (rating) => ({
+  skillRating: Number(ratingCalculator.getConservativeRating(rating).toFixed(2)),
+  skillMu: Number(rating.mu.toFixed(2)),
+  skillSigma: Number(rating.sigma.toFixed(2)),
+  ratedMatches: rating.matches,
+});
+
+module.exports = {
+  getRatingsMap,
+  updateMatchRatings,
+  replayRatings,
+  rebuildRatings,
+  formatRating,
+};
@@ -0,0 +1,299 @@
+/**
+ * @fileoverview Season Service
+ * @description Group seasons: date ranges with their own ranking, archived when they end
+ * @module services/seasonService
+ * @requires ../models/Season
+ * @requires ./rankingService
+ */
+
+const Season = require('../models/Season');
+const rankingService = require('./rankingService');
+
+/**
+ * Seasons whose endDate has passed are archived by the recurring
+ * season-archive job, so reading seasons or rankings never writes.
+ * Until then (and while it is running) its standings are computed live.
+ * Once archived, matches dated inside the season can no longer be logged,
+ * imported or corrected (assertNotArchived), so the frozen standings always
+ * agree with the season's matches.
+ */
+
+/**
+ * Projection for season lists (without standings)
+ */
+const SEASON_LIST_PROJECTION = {
+  standings: 0,
+};
+
+/**
+ * Freezes the final standings of an ended season
+ * The status filter makes concurrent archives of the same season write once
+ * @param {object} season - Season (lean) with group, startDate and endDate
+ * @returns {object} Archived season
+ */
+const archiveSeason = async (season) => {
+  const standings = await rankingService.getPeriodRanking(
+    season.group,
+    season.startDate,
+    season.endDate
+  );
+
+  const archived = await Season.findOneAndUpdate(
+    { _id: season._id, status: 'open' },
+    { $set: { status: 'closed', standings, closedAt: new Date() } },
+    { new: true }
+  ).lean();
+
+  return archived || Season.findById(season._id).lean();
+};
+
+/**
+ * Archives the seasons that have already ended, of every group
+ * @returns {object} { archived }
+ */
+const archiveEndedSeasons = async () => {
+  const ended = await Season.find({
+    status: 'open',
+    endDate: { $lte: new Date() },
+  })
+    .select('group startDate endDate')
+    .lean();
+
+  for (const season of ended) {
+    await archiveSeason(season);
+  }
+
+  return { archived: ended.length };
+};
+
+/**
+ * Gets the season running now in a group
+ * @param {string} groupId - Group ID
+ * @returns {object|null} Current season or null
+ */
+const getCurrentSeason = async (groupId) => {
+  const now = new Date();
+  return Season.findOne({
+    group: groupId,
+    startDate: { $lte: now },
+    endDate: { $gt: now },
+  })
+    .select(SEASON_LIST_PROJECTION)
+    .lean();
+};
+
+/**
+ * Gets a season of a group
+ * @param {string} groupId - Group ID
+ * @param {string} seasonId - Season ID
+ * @returns {object} Season document
+ */
+const findGroupSeason = async (groupId, seasonId) => {
+  const season = await Season.findOne({ _id: seasonId, group: groupId });
+  if (!season) {
+    throw { status: 404, message: 'Temporada no encontrada' };
+  }
+  return season;
+};
+
+/**
+ * Rejects a write that would change the results of an archived season
+ * @param {string} groupId - Group ID
+ * @param {Date} date - Date the match was played (actualDate)
+ */
+const assertNotArchived = async (groupId, date) => {
+  const closed = await Season.findOne({
+    group: groupId,
+    status: 'closed',
+    startDate: { $lte: date },
+    endDate: { $gt: date },
+  })
+    .select('name')
+    .lean();
+
+  if (closed) {
+    throw {
+      status: 400,
+      message: `La partida es de la temporada cerrada "${closed.name}"; su clasificación final ya está archivada`,
+    };
+  }
+};
+
+/**
+ * Validates the dates of a season and that it does not overlap another one of the group
+ * @param {string} groupId - Group ID
+ * @param {Date} startDate - Start date
+ * @param {Date} endDate - End date (exclusive)
+ * @param {string} excludeId - Season being edited (not checked against itself)
+ */
+const validateSeasonDates = async (groupId, startDate, endDate, excludeId = null) => {
+  if (Number.isNaN(startDate.getTime()) || Number.isNaN(endDate.getTime())) {
+    throw { status: 400, message: 'Fechas de temporada no válidas' };
+  }
+  if (endDate <= startDate) {
+    throw { status: 400, message: 'La fecha de fin debe ser posterior a la de inicio' };
+  }
+
+  const overlapping = await Season.findOne({
+    group: groupId,
+    ...(excludeId && { _id: { $ne: excludeId } }),
+    startDate: { $lt: endDate },
+    endDate: { $gt: startDate },
+  })
+    .select('name')
+    .lean();
+
+  if (overlapping) {
+    throw { status: 409, message: `Las fechas se solapan con la temporada "${overlapping.name}"` };
+  }
+};
+
+/**
+ * Lists the seasons of a group, newest first
+ * @param {string} groupId - Group ID
+ * @returns {object} { seasons, currentSeasonId }
+ */
+const listSeasons = async (groupId) => {
+  const [seasons, current] = await Promise.all([
+    Season.find({ group: groupId })
+      .select(SEASON_LIST_PROJECTION)
+      .sort({ startDate: -1 })
+      .lean(),
+    getCurrentSeason(groupId),
+  ]);
+
+  return { seasons, currentSeasonId: current?._id || null };
+};
+
+/**
+ * Gets a season with its standings: frozen for closed seasons, live for open ones
+ * @param {string} groupId - Group ID
+ * @param {string} seasonId - Season ID
+ * @param {string} sortBy - points/wins/rating (default: points)
+ * @returns {object} Season with standings
+ */
+const getSeasonStandings = async (groupId, seasonId, sortBy = 'points') => {
+  const season = (await findGroupSeason(groupId, seasonId)).toObject();
+
+  if (season.status === 'closed') {
+    return { ...season, standings: rankingService.rankEntries(season.standings, sortBy) };
+  }
+
+  // Not started yet: no standings
+  if (season.startDate > new Date()) {
+    return { ...season, standings: [] };
+  }
+
+  const standings = await rankingService.getPeriodRanking(
+    groupId,
+    season.startDate,
+    season.endDate,
+    sortBy
+  );
+  return { ...season, standings };
+};
+
+/**
+ * Creates a season in a group
+ * @param {string} groupId - Group ID
+ * @param {string} userId - Admin creating it
+ * @param {object} data - { name, startDate, endDate }
+ * @returns {object} Created season
+ */
+const createSeason = async (groupId, userId, { name, startDate, endDate }) => {
+  const start = new Date(startDate);
+  const end = new Date(endDate);
+  await validateSeasonDates(groupId, start, end);
+
+  const season = await Season.create({
+    group: groupId,
+    name,
+    startDate: start,
+    endDate: end,
+    createdBy: userId,
+  });
+
+  // A season created entirely in the past is archived at once
+  if (end <= new Date()) {
+    return archiveSeason(season.toObject());
+  }
+  return season;
+};
+
+/**
+ * Updates the name or dates of an open season
+ * @param {string} groupId - Group ID
+ * @param {string} seasonId - Season ID
+ * @param {object} data - { name, startDate, endDate }
+ * @returns {object} Updated season
+ */
+const updateSeason = async (groupId, seasonId, { name, startDate, endDate }) => {
+  const season = await findGroupSeason(groupId, seasonId);
+  if (season.status === 'closed') {
+    throw { status: 400, message: 'No se puede modificar una temporada cerrada' };
+  }
+
+  const start = startDate !== undefined ? new Date(startDate) : season.startDate;
+  const end = endDate !== undefined ? new Date(endDate) : season.endDate;
+  await validateSeasonDates(groupId, start, end, season._id);
+
+  if (name !== undefined) season.name = name;
+  season.startDate = start;
+  season.endDate = end;
+  await season.save();
+
+  if (end <= new Date()) {
+    return archiveSeason(season.toObject());
+  }
+  return season;
+};
+
+/**
+ * Deletes an open season (closed seasons are kept as history)
+ * @param {string} groupId - Group ID
+ * @param {string} seasonId - Season ID
+ */
+const deleteSeason = async (groupId, seasonId) => {
+  const season = await findGroupSeason(groupId, seasonId);
+  if (season.status === 'closed') {
+    throw { status: 400, message: 'No se puede eliminar una temporada cerrada' };
+  }
+  await season.deleteOne();
+};
+
+/**
+ * Closes a season now (or at its end date if it has already passed) and archives its standings
+ * @param {string} groupId - Group ID
+ * @param {string} seasonId - Season ID
+ * @returns {object} Archived season
+ */
+const closeSeason = async (groupId, seasonId) => {
+  const season = await findGroupSeason(groupId, seasonId);
+  if (season.status === 'closed') {
+    throw { status: 400, message: 'La temporada ya está cerrada' };
+  }
+
+  const now = new Date();
+  if (season.startDate > now) {
+    throw { status: 400, message: 'La temporada aún no ha empezado' };
+  }
+
+  if (season.endDate > now) {
+    season.endDate = now;
+    await season.save();
+  }
+
+  return archiveSeason(season.toObject());
+};
+
+module.exports = {
+  archiveEndedSeasons,
+  getCurrentSeason,
+  assertNotArchived,
+  listSeasons,
+  getSeasonStandings,
+  createSeason,
+  updateSeason,
+  deleteSeason,
+  closeSeason,
+};
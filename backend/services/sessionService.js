@@ -0,0 +1,294 @@
+/**
+ * @fileoverview Session Service
+ * @description Login sessions: access and refresh tokens, rotation and revocation
+ * @module services/sessionService
+ * @requires ../models/Session
+ * @requires ../models/User
+ * @requires ../utils/generateToken
+ */
+
+const crypto = require('crypto');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const generateToken = require('../utils/generateToken');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('SessionService');
+
+/**
+ * Each login creates a session. The client gets a short-lived access token
+ * (JWT, JWT_EXPIRE) and a refresh token that is only stored hashed. Every
+ * refresh replaces the refresh token; presenting a replaced one means it was
+ * copied, so the whole session is revoked. Access tokens carry the session
+ * id and protect rejects them as soon as their session is revoked.
+ */
+
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS, 10) || 30;
+
+// lastUsedAt is written at most this often by authenticated requests
+const TOUCH_INTERVAL_MS = 5 * 60 * 1000;
+
+const INVALID_SESSION = { status: 401, message: 'Sesión no válida o expirada. Inicia sesión de nuevo' };
+
+/**
+ * @param {string} token - Refresh token
+ * @returns {string} SHA-256 hex digest
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Refresh tokens are <sessionId>.<random>: the id finds the session, the
+ * random part is checked against its hash
+ * @param {string} refreshToken - Refresh token
+ * @returns {object|null} { sessionId, hash }
+ */
+const parseRefreshToken = (refreshToken) => {
+  const [sessionId, secret] = String(refreshToken || '').split('.');
+  if (!secret || !/^[a-f0-9]{24}$/.test(sessionId)) return null;
+  return { sessionId, hash: hashToken(refreshToken) };
+};
+
+const newRefreshToken = (sessionId) => `${sessionId}.${crypto.randomBytes(32).toString('base64url')}`;
+
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000);
+
+/**
+ * Device data of the request
+ * @param {object} req - Express request
+ * @returns {object} { userAgent, ip }
+ */
+const getClientInfo = (req) => ({
+  userAgent: (req.get('user-agent') || '').slice(0, 500),
+  ip: req.ip || '',
+});
+
+/**
+ * Browser and operating system from a User-Agent, for the session list
+ * @param {string} userAgent - User-Agent header
+ * @returns {object} { browser, os }
+ */
+const describeDevice = (userAgent = '') => {
+  const browsers = [
+    [/Edg\//, 'Edge'],
+    [/OPR\/|Opera/, 'Opera'],
+    [/Firefox\//, 'Firefox'],
+    [/Chrome\//, 'Chrome'],
+    [/Safari\//, 'Safari'],
+  ];
+  const systems = [
+    [/Android/, 'Android'],
+    [/iPhone|iPad|iPod/, 'iOS'],
+    [/Windows/, 'Windows'],
+    [/Mac OS X|Macintosh/, 'macOS'],
+    [/CrOS/, 'ChromeOS'],
+    [/Linux/, 'Linux'],
+  ];
+  const find = (list) => (list.find(([pattern]) => pattern.test(userAgent)) || [null, null])[1];
+
+  return { browser: find(browsers), os: find(systems) };
+};
+
+/**
+ * Starts a session (login or register)
+ * @param {string} userId - User ID
+ * @param {object} req - Express request
+ * @returns {object} { token, refreshToken, sessionId }
+ */
+const createSession = async (userId, req) => {
+  const session = new Session({
+    user: userId,
+    ...getClientInfo(req),
+    expiresAt: refreshExpiry(),
+  });
+  const refreshToken = newRefreshToken(session._id);
+  session.refreshTokenHash = hashToken(refreshToken);
+  await session.save();
+
+  return {
+    token: generateToken(userId, session._id),
+    refreshToken,
+    sessionId: session._id,
+  };
+};
+
+/**
+ * Revokes a session whose replaced refresh token was presented again
+ * @param {string} sessionId - Session ID
+ * @param {string} hash - Hash of the presented token
+ */
+const handleTokenReuse = async (sessionId, hash) => {
+  const session = await Session.findById(sessionId).select('+previousTokenHash');
+  if (session && !session.revokedAt && session.previousTokenHash === hash) {
+    session.revokedAt = new Date();
+    session.revokedReason = 'token-reuse';
+    await session.save();
+    logger.warn('Replaced refresh token reused, session revoked', {
+      sessionId: String(sessionId),
+      userId: String(session.user),
+    });
+  }
+};
+
+/**
+ * Exchanges a refresh token for a new access token and refresh token
+ * @param {string} refreshToken - Current refresh token
+ * @param {object} req - Express request
+ * @returns {object} { token, refreshToken, sessionId }
+ */
+const refreshSession = async (refreshToken, req) => {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) throw INVALID_SESSION;
+
+  const nextToken = newRefreshToken(parsed.sessionId);
+  // Atomic: of two refreshes with the same token only one wins
+  const session = await Session.findOneAndUpdate(
+    {
+      _id: parsed.sessionId,
+      refreshTokenHash: parsed.hash,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    },
+    {
+      $set: {
+        refreshTokenHash: hashToken(nextToken),
+        previousTokenHash: parsed.hash,
+        ...getClientInfo(req),
+        lastUsedAt: new Date(),
+        expiresAt: refreshExpiry(),
+      },
+    },
+    { new: true }
+  );
+
+  if (!session) {
+    await handleTokenReuse(parsed.sessionId, parsed.hash);
+    throw INVALID_SESSION;
+  }
+
+  const user = await User.findById(session.user).select('isActive');
+  if (!user || !user.isActive) {
+    await revokeSession(session.user, session._id);
+    throw INVALID_SESSION;
+  }
+
+  return {
+    token: generateToken(session.user, session._id),
+    refreshToken: nextToken,
+    sessionId: session._id,
+  };
+};
+
+/**
+ * Active session of an access token (used by protect). Also records its use.
+ * @param {string} sessionId - Session ID from the token
+ * @param {string} userId - User ID from the token
+ * @returns {object|null} Session, or null if it was revoked or expired
+ */
+const getActiveSession = async (sessionId, userId) => {
+  if (!sessionId) return null;
+
+  const session = await Session.findOne({
+    _id: sessionId,
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  }).select('lastUsedAt');
+  if (!session) return null;
+
+  if (Date.now() - session.lastUsedAt.getTime() > TOUCH_INTERVAL_MS) {
+    Session.updateOne({ _id: session._id }, { $set: { lastUsedAt: new Date() } })
+      .catch(error => logger.error('Error updating session last use', error));
+  }
+  return session;
+};
+
+/**
+ * Closes the session of a refresh token (logout). Unknown tokens are ignored.
+ * @param {string} refreshToken - Refresh token
+ */
+const revokeByRefreshToken = async (refreshToken) => {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) return;
+
+  await Session.updateOne(
+    { _id: parsed.sessionId, refreshTokenHash: parsed.hash, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: 'logout' } }
+  );
+};
+
+/**
+ * Closes one session of a user
+ * @param {string} userId - Owner of the session
+ * @param {string} sessionId - Session ID
+ * @param {string} reason - Revocation reason
+ */
+const revokeSession = async (userId, sessionId, reason = 'revoked') => {
+  const result = await Session.updateOne(
+    { _id: sessionId, user: userId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  if (result.matchedCount === 0) {
+    throw { status: 404, message: 'Sesión no encontrada' };
+  }
+};
+
+/**
+ * Closes every session of a user
+ * @param {string} userId - User ID
+ * @param {object} options - { except: session to keep open, reason }
+ * @returns {number} Sessions closed
+ */
+const revokeAllSessions = async (userId, { except = null, reason = 'revoked' } = {}) => {
+  const filter = { user: userId, revokedAt: null };
+  if (except) filter._id = { $ne: except };
+
+  const result = await Session.updateMany(filter, { $set: { revokedAt: new Date(), revokedReason: reason } });
+  return result.modifiedCount;
+};
+
+/**
+ * Active sessions of a user, most recently used first
+ * @param {string} userId - User ID
+ * @param {string} currentSessionId - Session of the request, flagged as current
+ * @returns {Array} Sessions with their device
+ */
+const listSessions = async (userId, currentSessionId) => {
+  const sessions = await Session.find({
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  })
+    .sort({ lastUsedAt: -1 })
+    .lean();
+
+  return sessions.map(session => ({
+    id: session._id,
+    ...describeDevice(session.userAgent),
+    userAgent: session.userAgent,
+    ip: session.ip,
+    createdAt: session.createdAt,
+    lastUsedAt: session.lastUsedAt,
+    expiresAt: session.expiresAt,
+    current: String(session._id) === String(currentSessionId),
+  }));
+};
+
+/**
+ * Deletes every session of a user (account deletion)
+ * @param {string} userId - User ID
+ */
+const deleteUserSessions = async (userId) => {
+  await Session.deleteMany({ user: userId });
+};
+
+module.exports = {
+  describeDevice,
+  createSession,
+  refreshSession,
+  getActiveSession,
+  revokeByRefreshToken,
+  revokeSession,
+  revokeAllSessions,
+  listSessions,
+  deleteUserSessions,
+};
@@ -0,0 +1,220 @@
+/**
+ * @fileoverview Stats Rebuild Service
+ * @description Recomputes user and game statistics and skill ratings from finished matches
+ * @module services/statsRebuildService
+ * @requires ../models/Match
+ * @requires ../models/User
+ * @requires ../models/Game
+ * @requires ./pointsCalculator
+ * @requires ./ratingService
+ */
+
+const Match = require('../models/Match');
+const User = require('../models/User');
+const Game = require('../models/Game');
+const pointsCalculator = require('./pointsCalculator');
+const ratingService = require('./ratingService');
+
+/**
+ * User and game counters are only ever changed with $inc when a match is
+ * finished, so they drift if a match is deleted, fixed by hand or was
+ * finished before finishing was transactional. This service rebuilds them
+ * from the finished matches, which are the source of truth, using the same
+ * rules as updateMatchStatistics. Skill ratings are replayed as well, since
+ * a corrected result changes every rating computed after it.
+ */
+
+const MATCH_REBUILD_PROJECTION = {
+  game: 1,
+  mode: 1,
+  players: 1,
+  winner: 1,
+  scoringProfile: 1,
+  actualDate: 1,
+};
+
+/**
+ * Gets the empty stats of a user
+ * @returns {object} Stats with all counters at 0
+ */
+const createEmptyUserStats = () => ({
+  totalMatches: 0,
+  totalWins: 0,
+  totalPoints: 0,
+});
+
+/**
+ * Computes the expected stats of every user and game from finished matches
+ * @returns {object} { matchesScanned, userStats: Map, gameStats: Map }
+ */
+const computeExpectedStats = async () => {
+  const userStats = new Map();
+  const gameStats = new Map();
+  let matchesScanned = 0;
+
+  const cursor = Match.find({ status: 'finalizada' })
+    .select(MATCH_REBUILD_PROJECTION)
+    .lean()
+    .cursor();
+
+  for await (const match of cursor) {
+    matchesScanned++;
+
+    const winnerIds = pointsCalculator.getWinnerIds(match);
+    const winners = new Set(winnerIds.map(id => id.toString()));
+    const pointsData = pointsCalculator.calculatePointsForAllPlayers(
+      match.players,
+      match.scoringProfile,
+      winnerIds,
+      match.mode
+    );
+
+    for (const { userId, points } of pointsData) {
+      const key = userId.toString();
+      if (!userStats.has(key)) {
+        userStats.set(key, createEmptyUserStats());
+      }
+      const stats = userStats.get(key);
+      stats.totalMatches += 1;
+      stats.totalPoints += points;
+      if (winners.has(key)) {
+        stats.totalWins += 1;
+      }
+    }
+
+    if (match.game) {
+      const key = match.game.toString();
+      const stats = gameStats.get(key) || { timesPlayed: 0, lastPlayed: null };
+      stats.timesPlayed += 1;
+      if (match.actualDate && (!stats.lastPlayed || match.actualDate > stats.lastPlayed)) {
+        stats.lastPlayed = match.actualDate;
+      }
+      gameStats.set(key, stats);
+    }
+  }
+
+  return { matchesScanned, userStats, gameStats };
+};
+
+/**
+ * Compares current user stats with the expected ones
+ * @param {Map} expectedStats - Map userId -> expected stats
+ * @returns {object} { checked, differences: [{ userId, name, current, expected }] }
+ */
+const diffUserStats = async (expectedStats) => {
+  const users = await User.find().select('name nickname stats').lean();
+
+  const differences = users
+    .map(user => {
+      const current = {
+        totalMatches: user.stats?.totalMatches || 0,
+        totalWins: user.stats?.totalWins || 0,
+        totalPoints: user.stats?.totalPoints || 0,
+      };
+      const expected = expectedStats.get(user._id.toString()) || createEmptyUserStats();
+      const changed = Object.keys(current).some(field => current[field] !== expected[field]);
+
+      return changed
+        ? { userId: user._id, name: user.nickname || user.name, current, expected }
+        : null;
+    })
+    .filter(Boolean);
+
+  return { checked: users.length, differences };
+};
+
+/**
+ * Compares current game stats with the expected ones
+ * @param {Map} expectedStats - Map gameId -> expected stats
+ * @returns {object} { checked, differences: [{ gameId, name, current, expected }] }
+ */
+const diffGameStats = async (expectedStats) => {
+  const games = await Game.find().select('name stats').lean();
+
+  const differences = games
+    .map(game => {
+      const current = {
+        timesPlayed: game.stats?.timesPlayed || 0,
+        lastPlayed: game.stats?.lastPlayed || null,
+      };
+      const expected = expectedStats.get(game._id.toString()) || { timesPlayed: 0, lastPlayed: null };
+      const changed = current.timesPlayed !== expected.timesPlayed
+        || current.lastPlayed?.getTime() !== expected.lastPlayed?.getTime();
+
+      return changed
+        ? { gameId: game._id, name: game.name, current, expected }
+        : null;
+    })
+    .filter(Boolean);
+
+  return { checked: games.length, differences };
+};
+
+/**
+ * Rebuilds user stats, Game.stats and skill ratings from finished matches
+ * Differences are always reported; they are only written when apply is true
+ * @param {object} options - { apply: write the expected stats (default: false) }
+ * @returns {object} Report with scanned matches, differences and whether they were applied
+ */
+const rebuildStats = async ({ apply = false } = {}) => {
+  const { matchesScanned, userStats, gameStats } = await computeExpectedStats();
+  const [users, games] = await Promise.all([
+    diffUserStats(userStats),
+    diffGameStats(gameStats),
+  ]);
+
+  if (apply) {
+    if (users.differences.length > 0) {
+      await User.bulkWrite(
+        users.differences.map(diff => ({
+          updateOne: {
+            filter: { _id: diff.userId },
+            update: {
+              $set: {
+                'stats.totalMatches': diff.expected.totalMatches,
+                'stats.totalWins': diff.expected.totalWins,
+                'stats.totalPoints': diff.expected.totalPoints,
+              },
+            },
+          },
+        }))
+      );
+    }
+
+    if (games.differences.length > 0) {
+      await Game.bulkWrite(
+        games.differences.map(diff => ({
+          updateOne: {
+            filter: { _id: diff.gameId },
+            update: diff.expected.lastPlayed
+              ? {
+                $set: {
+                  'stats.timesPlayed': diff.expected.timesPlayed,
+                  'stats.lastPlayed': diff.expected.lastPlayed,
+                },
+              }
+              : {
+                $set: { 'stats.timesPlayed': diff.expected.timesPlayed },
+                $unset: { 'stats.lastPlayed': '' },
+              },
+          },
+        }))
+      );
+    }
+  }
+
+  // Ratings are replayed match by match, so they need their own ordered pass
+  const ratings = await ratingService.rebuildRatings({ apply });
+
+  return {
+    applied: apply,
+    matchesScanned,
+    users,
+    games,
+    ratings,
+  };
+};
+
+module.exports = {
+  rebuildStats,
+};
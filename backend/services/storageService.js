@@ -0,0 +1,28 @@
+/**
+ * Storage Service - Chooses where uploaded files are stored from configuration
+ * STORAGE_DRIVER=s3 stores them in an S3-compatible bucket (storageService.s3.js);
+ * otherwise they stay on the local disk under uploads/ (storageService.local.js)
+ */
+const { createLogger } = require('../utils/logger');
+const logger = createLogger('StorageService');
+
+if (process.env.STORAGE_DRIVER === 's3') {
+  const S3Storage = require('./storageService.s3');
+
+  logger.info(`Using S3 storage (bucket ${process.env.S3_BUCKET})`);
+  module.exports = new S3Storage({
+    bucket: process.env.S3_BUCKET,
+    region: process.env.S3_REGION || undefined,
+    endpoint: process.env.S3_ENDPOINT || undefined,
+    accessKeyId: process.env.S3_ACCESS_KEY_ID || undefined,
+    secretAccessKey: process.env.S3_SECRET_ACCESS_KEY || undefined,
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+    publicUrl: process.env.S3_PUBLIC_URL || '',
+    signedUrlExpires: process.env.S3_SIGNED_URL_EXPIRES ? Number(process.env.S3_SIGNED_URL_EXPIRES) : undefined,
+  });
+} else {
+  const LocalStorage = require('./storageService.local');
+
+  logger.info('Using local disk storage');
+  module.exports = new LocalStorage();
+}
@@ -0,0 +1,179 @@
+/**
+ * Storage Service - Local disk driver
+ * Same interface as storageService.s3.js, backed by the uploads directory
+ *
+ * @description Files are served by the API itself under /uploads, so this
+ * driver only works with a single backend instance (or a shared volume).
+ */
+
+const express = require('express');
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_ROOT = path.join(__dirname, '../uploads');
+
+/**
+ * File key a request asks for, decoded and normalized as express.static does
+ * @param {object} req - Express request (path relative to /uploads)
+ * @returns {string|null} Key, or null if the path cannot be decoded
+ */
+const requestKey = (req) => {
+  try {
+    return path.posix.normalize(decodeURIComponent(req.path)).replace(/^\/+/, '');
+  } catch {
+    return null;
+  }
+};
+
+class LocalStorage {
+  /**
+   * @param {object} options - { root: directory the keys are relative to }
+   */
+  constructor({ root = DEFAULT_ROOT } = {}) {
+    this.name = 'local';
+    this.root = root;
+  }
+
+  /**
+   * Absolute path of a key, refusing keys that escape the root
+   * @param {string} key - Object key (e.g. games/abc-800.jpg)
+   * @returns {string} File path
+   */
+  pathOf(key) {
+    const file = path.resolve(this.root, key);
+    if (!file.startsWith(path.resolve(this.root) + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return file;
+  }
+
+  /**
+   * Stores a file (written aside and renamed, so a half-written file is never served)
+   * @param {string} key - Object key
+   * @param {Buffer} body - Content
+   * Content type and cache options of the S3 driver are not needed: handler() sets the headers
+   */
+  async put(key, body) {
+    const file = this.pathOf(key);
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+
+    const temp = `${file}.${process.pid}.tmp`;
+    try {
+      await fs.promises.writeFile(temp, body);
+      await fs.promises.rename(temp, file);
+    } catch (error) {
+      await fs.promises.rm(temp, { force: true });
+      throw error;
+    }
+  }
+
+  /**
+   * Reads a file
+   * @param {string} key - Object key
+   * @returns {Buffer} Content
+   */
+  async get(key) {
+    return fs.promises.readFile(this.pathOf(key));
+  }
+
+  /**
+   * @param {string} key - Object key
+   * @returns {boolean} Whether the file exists
+   */
+  async exists(key) {
+    return fs.existsSync(this.pathOf(key));
+  }
+
+  /**
+   * Marks a file as modified now
+   * @param {string} key - Object key
+   * @returns {boolean} Whether the file exists (nothing is done otherwise)
+   */
+  async touch(key) {
+    const now = new Date();
+    try {
+      await fs.promises.utimes(this.pathOf(key), now, now);
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') return false;
+      throw error;
+    }
+  }
+
+  /**
+   * @param {string} key - Object key
+   * @returns {Date|null} When the file was last modified, or null if it does not exist
+   */
+  async lastModified(key) {
+    try {
+      return (await fs.promises.stat(this.pathOf(key))).mtime;
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Deletes a file (no error if it does not exist)
+   * @param {string} key - Object key
+   */
+  async remove(key) {
+    await fs.promises.rm(this.pathOf(key), { force: true });
+  }
+
+  /**
+   * Files under a prefix
+   * @param {string} prefix - Key prefix ending in / (e.g. games/)
+   * @returns {Array} [{ key, lastModified }]
+   */
+  async list(prefix) {
+    const dir = this.pathOf(prefix);
+    if (!fs.existsSync(dir)) return [];
+
+    const files = [];
+    for (const name of await fs.promises.readdir(dir)) {
+      const stats = await fs.promises.stat(path.join(dir, name));
+      if (stats.isFile()) {
+        files.push({ key: `${prefix}${name}`, lastModified: stats.mtime });
+      }
+    }
+    return files;
+  }
+
+  /**
+   * URL a file is served from
+   * @param {string} key - Object key
+   * @param {string} baseUrl - API origin (protocol and host)
+   * @returns {string} File URL
+   */
+  getUrl(key, baseUrl) {
+    return `${baseUrl}/uploads/${key}`;
+  }
+
+  /**
+   * Key of a file from its URL
+   * @param {string} url - File URL
+   * @returns {string|null} Object key, or null if it is not a stored file
+   */
+  keyFromUrl(url) {
+    const match = /\/uploads\/([^?#]+)$/.exec(url || '');
+    return match ? match[1] : null;
+  }
+
+  /**
+   * Express middleware serving /uploads
+   * @param {object} options - { hiddenPrefixes: key prefixes never served (e.g. exports/) }
+   */
+  handler({ hiddenPrefixes = [] } = {}) {
+    const serve = express.static(this.root, { maxAge: '7d', immutable: true });
+    return (req, res, next) => {
+      const key = requestKey(req);
+      if (key === null || hiddenPrefixes.some(prefix => key.startsWith(prefix))) {
+        return next();
+      }
+      serve(req, res, next);
+    };
+  }
+}
+
+module.exports = LocalStorage;
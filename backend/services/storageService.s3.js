@@ -0,0 +1,245 @@
+/**
+ * Storage Service - S3-compatible driver (AWS S3, MinIO, Cloudflare R2...)
+ * Same interface as storageService.local.js, backed by a bucket
+ *
+ * @description With a publicUrl (public bucket or CDN in front of it) the
+ * stored URLs point there directly. Without it the bucket stays private:
+ * stored URLs point to /uploads on the API, which redirects each request to
+ * a short-lived signed URL. Either way any backend instance can serve them.
+ */
+
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  CopyObjectCommand,
+  DeleteObjectCommand,
+  ListObjectsV2Command,
+} = require('@aws-sdk/client-s3');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+const path = require('path');
+
+const DEFAULT_SIGNED_URL_EXPIRES = 60 * 60;
+
+// Names are content hashes: a key never changes content
+const DEFAULT_CACHE_CONTROL = 'public, max-age=31536000, immutable';
+
+/**
+ * Object key a request asks for, decoded and normalized as the storage sees it
+ * @param {object} req - Express request (path relative to /uploads)
+ * @returns {string|null} Key, or null if the path cannot be decoded
+ */
+const requestKey = (req) => {
+  try {
+    return path.posix.normalize(decodeURIComponent(req.path)).replace(/^\/+/, '');
+  } catch {
+    return null;
+  }
+};
+
+class S3Storage {
+  /**
+   * @param {object} options - { bucket, region, endpoint, accessKeyId,
+   *   secretAccessKey, forcePathStyle, publicUrl, signedUrlExpires (seconds) }
+   */
+  constructor({
+    bucket,
+    region = 'us-east-1',
+    endpoint,
+    accessKeyId,
+    secretAccessKey,
+    forcePathStyle = false,
+    publicUrl = '',
+    signedUrlExpires = DEFAULT_SIGNED_URL_EXPIRES,
+  }) {
+    if (!bucket) {
+      throw new Error('S3 storage needs a bucket (S3_BUCKET)');
+    }
+
+    this.name = 's3';
+    this.bucket = bucket;
+    this.publicUrl = publicUrl.replace(/\/+$/, '');
+    this.signedUrlExpires = signedUrlExpires;
+    this.client = new S3Client({
+      region,
+      endpoint,
+      forcePathStyle,
+      // Without explicit keys the SDK uses the default chain (env, instance role...)
+      ...(accessKeyId && { credentials: { accessKeyId, secretAccessKey } }),
+    });
+  }
+
+  /**
+   * Stores a file
+   * @param {string} key - Object key (e.g. games/abc-800.jpg)
+   * @param {Buffer} body - Content
+   * @param {string} contentType - MIME type
+   * @param {object} options - { cacheControl (default: cached for a year as immutable) }
+   */
+  async put(key, body, contentType, { cacheControl = DEFAULT_CACHE_CONTROL } = {}) {
+    await this.client.send(new PutObjectCommand({
+      Bucket: this.bucket,
+      Key: key,
+      Body: body,
+      ContentType: contentType,
+      CacheControl: cacheControl,
+    }));
+  }
+
+  /**
+   * Reads a file
+   * @param {string} key - Object key
+   * @returns {Buffer} Content
+   */
+  async get(key) {
+    const response = await this.client.send(new GetObjectCommand({ Bucket: this.bucket, Key: key }));
+    return Buffer.from(await response.Body.transformToByteArray());
+  }
+
+  /**
+   * @param {string} key - Object key
+   * @returns {boolean} Whether the object exists
+   */
+  async exists(key) {
+    try {
+      await this.client.send(new HeadObjectCommand({ Bucket: this.bucket, Key: key }));
+      return true;
+    } catch (error) {
+      if (error.$metadata?.httpStatusCode === 404) return false;
+      throw error;
+    }
+  }
+
+  /**
+   * Marks an object as modified now: S3 has no touch, so it is copied onto
+   * itself keeping its headers
+   * @param {string} key - Object key
+   * @returns {boolean} Whether the object exists (nothing is done otherwise)
+   */
+  async touch(key) {
+    try {
+      const head = await this.client.send(new HeadObjectCommand({ Bucket: this.bucket, Key: key }));
+      await this.client.send(new CopyObjectCommand({
+        Bucket: this.bucket,
+        Key: key,
+        CopySource: `${this.bucket}/${encodeURIComponent(key)}`,
+        MetadataDirective: 'REPLACE',
+        ContentType: head.ContentType,
+        CacheControl: head.CacheControl,
+        Metadata: head.Metadata,
+      }));
+      return true;
+    } catch (error) {
+      if (error.$metadata?.httpStatusCode === 404) return false;
+      throw error;
+    }
+  }
+
+  /**
+   * @param {string} key - Object key
+   * @returns {Date|null} When the object was last modified, or null if it does not exist
+   */
+  async lastModified(key) {
+    try {
+      const head = await this.client.send(new HeadObjectCommand({ Bucket: this.bucket, Key: key }));
+      return head.LastModified;
+    } catch (error) {
+      if (error.$metadata?.httpStatusCode === 404) return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Deletes an object (no error if it does not exist)
+   * @param {string} key - Object key
+   */
+  async remove(key) {
+    await this.client.send(new DeleteObjectCommand({ Bucket: this.bucket, Key: key }));
+  }
+
+  /**
+   * Objects under a prefix
+   * @param {string} prefix - Key prefix ending in / (e.g. games/)
+   * @returns {Array} [{ key, lastModified }]
+   */
+  async list(prefix) {
+    const files = [];
+    let ContinuationToken;
+    do {
+      const page = await this.client.send(new ListObjectsV2Command({
+        Bucket: this.bucket,
+        Prefix: prefix,
+        ContinuationToken,
+      }));
+      (page.Contents || []).forEach(object => files.push({ key: object.Key, lastModified: object.LastModified }));
+      ContinuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+    } while (ContinuationToken);
+    return files;
+  }
+
+  /**
+   * URL a file is served from: the public URL, or /uploads on the API for
+   * private buckets
+   * @param {string} key - Object key
+   * @param {string} baseUrl - API origin (protocol and host)
+   * @returns {string} File URL
+   */
+  getUrl(key, baseUrl) {
+    return this.publicUrl ? `${this.publicUrl}/${key}` : `${baseUrl}/uploads/${key}`;
+  }
+
+  /**
+   * Key of a file from its URL (public or /uploads)
+   * @param {string} url - File URL
+   * @returns {string|null} Object key, or null if it is not a stored file
+   */
+  keyFromUrl(url) {
+    if (!url) return null;
+    if (this.publicUrl && url.startsWith(`${this.publicUrl}/`)) {
+      return url.slice(this.publicUrl.length + 1);
+    }
+    const match = /\/uploads\/([^?#]+)$/.exec(url);
+    return match ? match[1] : null;
+  }
+
+  /**
+   * Signed URL to read a private object
+   * @param {string} key - Object key
+   * @returns {string} URL valid for signedUrlExpires seconds
+   */
+  getSignedUrl(key) {
+    return getSignedUrl(
+      this.client,
+      new GetObjectCommand({ Bucket: this.bucket, Key: key }),
+      { expiresIn: this.signedUrlExpires }
+    );
+  }
+
+  /**
+   * Express middleware serving /uploads: redirects to the object
+   * (also keeps URLs stored before moving to S3 working)
+   * @param {object} options - { hiddenPrefixes: key prefixes never served (e.g. exports/) }
+   */
+  handler({ hiddenPrefixes = [] } = {}) {
+    return async (req, res, next) => {
+      try {
+        const key = requestKey(req);
+        if (!key || key.includes('..') || hiddenPrefixes.some(prefix => key.startsWith(prefix))) {
+          return next();
+        }
+
+        if (this.publicUrl) {
+          return res.redirect(301, `${this.publicUrl}/${key}`);
+        }
+        // Cached for less than the signature lasts
+        res.set('Cache-Control', `private, max-age=${Math.floor(this.signedUrlExpires / 2)}`);
+        res.redirect(302, await this.getSignedUrl(key));
+      } catch (error) {
+        next(error);
+      }
+    };
+  }
+}
+
+module.exports = S3Storage;
@@ -0,0 +1,197 @@
+/**
+ * Pruebas del cliente XML API2 de BoardGameGeek (services/bggService.api.js)
+ * Levanta un servidor HTTP local que sirve respuestas XML grabadas de BGG
+ * (tests/fixtures/bgg), así que no necesita red ni base de datos.
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const BGGApiService = require('../services/bggService.api');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures', 'bgg');
+const fixture = (name) => fs.readFileSync(path.join(FIXTURES_DIR, name), 'utf8');
+
+/**
+ * Stub state: requests received and pending "queued" answers per collection
+ */
+const requests = [];
+let queuedCollectionAnswers = 0;
+
+const routes = {
+  '/search': () => [200, fixture('search-wingspan.xml')],
+  '/thing': (params) => {
+    if (params.get('id') === '266192' && params.get('stats') === '1') return [200, fixture('thing-266192.xml')];
+    if (params.get('id') === '266192,366161,290448') return [200, fixture('thing-search-images.xml')];
+    return [200, fixture('thing-empty.xml')];
+  },
+  '/hot': () => [200, fixture('hot.xml')],
+  '/collection': (params) => {
+    if (params.get('username') !== 'tabletop') return [200, fixture('collection-invalid-user.xml')];
+    if (queuedCollectionAnswers > 0) {
+      queuedCollectionAnswers--;
+      return [202, fixture('collection-queued.xml')];
+    }
+    return [200, fixture('collection-tabletop.xml')];
+  },
+};
+
+const server = http.createServer((req, res) => {
+  const url = new URL(req.url, 'http://localhost');
+  requests.push({ path: url.pathname, params: url.searchParams, at: Date.now() });
+
+  const route = routes[url.pathname];
+  const [status, body] = route ? route(url.searchParams) : [404, ''];
+  res.writeHead(status, { 'Content-Type': 'text/xml; charset=utf-8' });
+  res.end(body);
+});
+
+const tests = [];
+const test = (name, fn) => tests.push({ name, fn });
+
+let client;
+const createClient = (options = {}) => new BGGApiService({
+  baseUrl: `http://127.0.0.1:${server.address().port}`,
+  minInterval: 0,
+  retryDelay: 10,
+  useCache: false,
+  ...options,
+});
+
+test('searchGames devuelve los resultados con sus imágenes', async () => {
+  const results = await client.searchGames('wingspan');
+
+  assert.strictEqual(results.length, 3);
+  assert.deepStrictEqual(results[0], {
+    bggId: 266192,
+    name: 'Wingspan',
+    yearPublished: 2019,
+    image: 'https://cf.geekdo-images.com/yLZJCVLlIx4c7eJEWUNJ7w__original/img/cI782Zis9cT66j2MjSHKJGnFPNw=/0x0/filters:format(jpeg)/pic4458123.jpg',
+    thumbnail: 'https://cf.geekdo-images.com/yLZJCVLlIx4c7eJEWUNJ7w__thumb/img/VNToqgS2-pOGU6MuvIkMPKn_y-s=/fit-in/200x150/filters:strip_icc()/pic4458123.jpg',
+  });
+  // Protocol-relative URLs are made absolute
+  assert.ok(results[1].thumbnail.startsWith('https://cf.geekdo-images.com/'));
+  // Alternate names are used when there is no primary one; year 0 means unknown
+  assert.strictEqual(results[2].name, 'Wingspan: Swift-Start Promo Pack');
+  assert.strictEqual(results[2].yearPublished, null);
+  assert.strictEqual(results[2].thumbnail, null);
+});
+
+test('searchGames pide coincidencia exacta a BGG', async () => {
+  requests.length = 0;
+  await client.searchGames('Wingspan', true);
+
+  const search = requests.find(r => r.path === '/search');
+  assert.strictEqual(search.params.get('exact'), '1');
+  assert.strictEqual(search.params.get('type'), 'boardgame');
+});
+
+test('getGameDetails convierte el XML al formato de Game', async () => {
+  const game = await client.getGameDetails(266192);
+
+  assert.strictEqual(game.bggId, 266192);
+  assert.strictEqual(game.name, 'Wingspan');
+  assert.strictEqual(game.yearPublished, 2019);
+  assert.strictEqual(game.minPlayers, 1);
+  assert.strictEqual(game.maxPlayers, 5);
+  assert.strictEqual(game.playingTime, 70);
+  assert.strictEqual(game.minPlayTime, 40);
+  assert.strictEqual(game.maxPlayTime, 70);
+  assert.strictEqual(game.minAge, 10);
+  assert.deepStrictEqual(game.categories, ['Animals', 'Card Game', 'Educational']);
+  assert.deepStrictEqual(game.mechanics, ['Card Drafting', 'Dice Rolling', 'Hand Management']);
+  assert.deepStrictEqual(game.designer, ['Elizabeth Hargrave']);
+  assert.deepStrictEqual(game.publisher, ['Stonemaier Games', 'Feuerland Spiele']);
+  assert.deepStrictEqual(game.rating, { average: 8.0327, usersRated: 104250, bayesAverage: 7.91271 });
+  assert.strictEqual(game.weight, 2.4544);
+  assert.strictEqual(game.source, 'bgg');
+  assert.ok(game.bggLastSync instanceof Date);
+  assert.ok(game.description.includes('Stonemaier Games.\n\nYou are bird enthusiasts—researchers, bird watchers & collectors—seeking'));
+});
+
+test('getGameDetails falla si BGG no conoce el juego', async () => {
+  await assert.rejects(client.getGameDetails(99999999), { message: 'Juego no encontrado en BGG' });
+  assert.strictEqual(await client.validateBGGId(99999999), false);
+});
+
+test('getHotGames respeta el límite', async () => {
+  const hot = await client.getHotGames(2);
+
+  assert.deepStrictEqual(hot, [
+    { bggId: 342942, rank: 1, name: 'Ark Nova', yearPublished: 2021, thumbnail: 'https://cf.geekdo-images.com/CzwSm6aWSpzQIJ1sMMvNnA__thumb/img/pic6293412.png' },
+    { bggId: 266192, rank: 2, name: 'Wingspan', yearPublished: 2019, thumbnail: 'https://cf.geekdo-images.com/yLZJCVLlIx4c7eJEWUNJ7w__thumb/img/pic4458123.jpg' },
+  ]);
+});
+
+test('getUserCollection reintenta mientras BGG responde 202', async () => {
+  requests.length = 0;
+  queuedCollectionAnswers = 2;
+
+  const collection = await client.getUserCollection('tabletop');
+
+  assert.strictEqual(requests.filter(r => r.path === '/collection').length, 3);
+  assert.strictEqual(requests[0].params.get('own'), '1');
+  assert.deepStrictEqual(collection[0], {
+    bggId: 13,
+    name: 'CATAN',
+    yearPublished: 1995,
+    image: 'https://cf.geekdo-images.com/W3Bsga_uLP9kO91gZ7H8yw__original/img/pic2419375.jpg',
+    thumbnail: 'https://cf.geekdo-images.com/W3Bsga_uLP9kO91gZ7H8yw__thumb/img/pic2419375.jpg',
+    numPlays: 12,
+  });
+  assert.strictEqual(collection[1].bggId, 230802);
+});
+
+test('getUserCollection se rinde tras agotar los reintentos', async () => {
+  queuedCollectionAnswers = 10;
+  const impatient = createClient({ maxRetries: 2 });
+
+  await assert.rejects(impatient.getUserCollection('tabletop'), /BGG está procesando la petición/);
+  queuedCollectionAnswers = 0;
+});
+
+test('getUserCollection devuelve 404 si el usuario no existe', async () => {
+  await assert.rejects(client.getUserCollection('nadie'), { status: 404, message: 'Usuario de BGG no encontrado' });
+});
+
+test('las peticiones se espacian al menos minInterval', async () => {
+  requests.length = 0;
+  const throttled = createClient({ minInterval: 150 });
+
+  await Promise.all([
+    throttled.getHotGames(1),
+    throttled.getHotGames(1),
+    throttled.getHotGames(1),
+  ]);
+
+  assert.strictEqual(requests.length, 3);
+  for (let i = 1; i < requests.length; i++) {
+    // A few ms of slack for timer granularity
+    assert.ok(requests[i].at - requests[i - 1].at >= 140, `Peticiones separadas solo ${requests[i].at - requests[i - 1].at}ms`);
+  }
+});
+
+const run = async () => {
+  console.log('🎲 Probando el cliente de BGG contra el servidor local...\n');
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  client = createClient();
+
+  let failed = 0;
+  for (const { name, fn } of tests) {
+    try {
+      await fn();
+      console.log(`   ✅ ${name}`);
+    } catch (error) {
+      failed++;
+      console.log(`   ❌ ${name}`);
+      console.log(`      ${error.message}`);
+    }
+  }
+
+  server.close();
+  console.log(`\n${failed === 0 ? '✅' : '❌'} ${tests.length - failed}/${tests.length} pruebas superadas`);
+  process.exit(failed === 0 ? 0 : 1);
+};
+
+run();
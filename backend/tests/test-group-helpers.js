@@ -0,0 +1,148 @@
+/**
+ * Pruebas de la gestión de miembros de los grupos (utils/groupHelpers.js)
+ * sin base de datos: User.exists y User.find se sustituyen por dobles que
+ * buscan en una lista de cuentas y el grupo no se guarda.
+ */
+
+const assert = require('assert');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Group = require('../models/Group');
+const { transferGroupOwnership, findSuccessorAdmin, getGroupRole } = require('../utils/groupHelpers');
+
+const tests = [];
+const test = (name, fn) => tests.push({ name, fn });
+
+const [ana, bea, carlos, dani] = [1, 2, 3, 4].map(() => new mongoose.Types.ObjectId());
+
+// Cuentas: Carlos está desactivado y Dani pidió borrar la suya
+const accounts = [
+  { _id: ana, isActive: true },
+  { _id: bea, isActive: true },
+  { _id: carlos, isActive: false },
+  { _id: dani, isActive: false, deletion: { requestedAt: new Date(), scheduledFor: new Date() } },
+];
+
+const joined = (day) => new Date(2024, 0, day);
+
+/**
+ * Grupo de Ana con los demás como miembros (Bea es la última en unirse); save no escribe
+ */
+const buildGroup = (members = [bea, carlos, dani]) => {
+  const group = new Group({
+    name: 'Los del jueves',
+    admin: ana,
+    members: [
+      { user: ana, role: 'admin', joinedAt: joined(1) },
+      ...members.map(user => ({
+        user,
+        role: user === dani ? 'moderator' : 'member',
+        joinedAt: joined(user === bea ? 9 : 2 + members.indexOf(user)),
+      })),
+    ],
+  });
+  group.save = async () => group;
+  return group;
+};
+
+/**
+ * Cuenta que cumple el filtro de cuentas activas
+ */
+const canOwn = (account, filter) => account.isActive === filter.isActive && !account.deletion?.requestedAt;
+
+/**
+ * Ejecuta fn con User.exists y User.find respondiendo desde la lista de cuentas
+ */
+const withAccounts = async (fn) => {
+  const original = { exists: User.exists, find: User.find };
+  User.exists = async (filter) => {
+    const account = accounts.find(a => a._id.equals(filter._id));
+    return account && canOwn(account, filter) ? { _id: account._id } : null;
+  };
+  User.find = (filter) => {
+    const ids = filter._id.$in.map(String);
+    const found = accounts.filter(a => ids.includes(String(a._id)) && canOwn(a, filter));
+    return { select: () => ({ lean: async () => found.map(a => ({ _id: a._id })) }) };
+  };
+  try {
+    return await fn();
+  } finally {
+    Object.assign(User, original);
+  }
+};
+
+test('la administración pasa a un miembro activo y el anterior queda de moderador', async () => {
+  const group = buildGroup();
+  await withAccounts(() => transferGroupOwnership(group, bea));
+
+  assert.ok(group.admin.equals(bea));
+  assert.strictEqual(getGroupRole(group, bea), 'admin');
+  assert.strictEqual(getGroupRole(group, ana), 'moderator');
+});
+
+test('no se transfiere a quien no es miembro', async () => {
+  const group = buildGroup();
+  const stranger = new mongoose.Types.ObjectId();
+
+  await assert.rejects(
+    withAccounts(() => transferGroupOwnership(group, stranger)),
+    /debe ser miembro del grupo/
+  );
+  assert.ok(group.admin.equals(ana));
+});
+
+test('no se transfiere a una cuenta desactivada', async () => {
+  const group = buildGroup();
+
+  await assert.rejects(
+    withAccounts(() => transferGroupOwnership(group, carlos)),
+    /debe tener una cuenta activa/
+  );
+  assert.ok(group.admin.equals(ana));
+  assert.strictEqual(getGroupRole(group, carlos), 'member');
+});
+
+test('no se transfiere a una cuenta pendiente de borrado', async () => {
+  const group = buildGroup();
+
+  await assert.rejects(
+    withAccounts(() => transferGroupOwnership(group, dani)),
+    /debe tener una cuenta activa/
+  );
+  assert.ok(group.admin.equals(ana));
+  assert.strictEqual(getGroupRole(group, dani), 'moderator');
+});
+
+test('al salir el administrador, el grupo pasa al miembro más antiguo que puede administrarlo', async () => {
+  // Carlos y Dani se unieron antes que Bea, pero no tienen la cuenta activa
+  const group = buildGroup();
+  const successor = await withAccounts(() => findSuccessorAdmin(group));
+  assert.ok(successor.equals(bea));
+});
+
+test('sin miembros con la cuenta activa no hay sucesor', async () => {
+  const group = buildGroup([carlos, dani]);
+  assert.strictEqual(await withAccounts(() => findSuccessorAdmin(group)), null);
+  assert.strictEqual(await withAccounts(() => findSuccessorAdmin(buildGroup([]))), null);
+});
+
+const run = async () => {
+  console.log('👥 Probando la gestión de miembros de los grupos...\n');
+
+  let failed = 0;
+  for (const { name, fn } of tests) {
+    try {
+      await fn();
+      console.log(`   ✅ ${name}`);
+    } catch (error) {
+      failed++;
+      console.log(`   ❌ ${name}`);
+      console.log(`      ${error.message}`);
+    }
+  }
+
+  console.log(`\n${failed === 0 ? '✅' : '❌'} ${tests.length - failed}/${tests.length} pruebas superadas`);
+  process.exit(failed === 0 ? 0 : 1);
+};
+
+run();
@@ -0,0 +1,94 @@
+/**
+ * Pruebas de los drivers de email (services/mailService.*.js)
+ * El driver de archivos se prueba en una carpeta temporal. El de SMTP envía un
+ * email real si se define SMTP_HOST y MAIL_TEST_TO, por ejemplo con MailHog:
+ *   SMTP_HOST=localhost SMTP_PORT=1025 MAIL_TEST_TO=prueba@gmail.com node tests/test-mail.js
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const FileMailer = require('../services/mailService.file');
+const SmtpMailer = require('../services/mailService.smtp');
+
+const tests = [];
+const test = (name, fn) => tests.push({ name, fn });
+
+const FROM = 'Tabletop Mastering <no-reply@tabletopmastering.games>';
+const message = {
+  to: 'jugador@gmail.com',
+  subject: 'Email de prueba',
+  text: 'Enlace: http://localhost:5173/verify-email?token=abc',
+  html: '<p><a href="http://localhost:5173/verify-email?token=abc">Enlace</a></p>',
+};
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tabletop-mail-'));
+
+test('archivo: guarda cada email como JSON en la carpeta', async () => {
+  const mailer = new FileMailer({ from: FROM, dir: path.join(tempDir, 'outbox') });
+  const first = await mailer.send(message);
+  const second = await mailer.send({ ...message, subject: 'Otro email' });
+
+  assert.notStrictEqual(first.id, second.id);
+  assert.strictEqual(fs.readdirSync(path.join(tempDir, 'outbox')).length, 2);
+
+  const saved = JSON.parse(fs.readFileSync(first.file, 'utf8'));
+  assert.strictEqual(saved.from, FROM);
+  assert.strictEqual(saved.to, message.to);
+  assert.strictEqual(saved.subject, message.subject);
+  assert.strictEqual(saved.text, message.text);
+  assert.strictEqual(saved.html, message.html);
+});
+
+test('consola: sin carpeta no escribe archivos', async () => {
+  const mailer = new FileMailer({ from: FROM });
+  const result = await mailer.send(message);
+
+  assert.strictEqual(mailer.name, 'console');
+  assert.ok(result.id);
+  assert.strictEqual(result.file, undefined);
+});
+
+test('smtp: exige un servidor', () => {
+  assert.throws(() => new SmtpMailer({ from: FROM }), /SMTP_HOST/);
+});
+
+if (process.env.SMTP_HOST && process.env.MAIL_TEST_TO) {
+  test('smtp: envía un email', async () => {
+    const mailer = new SmtpMailer({
+      from: FROM,
+      host: process.env.SMTP_HOST,
+      port: process.env.SMTP_PORT ? Number(process.env.SMTP_PORT) : undefined,
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASS,
+    });
+    const result = await mailer.send({ ...message, to: process.env.MAIL_TEST_TO });
+    assert.ok(result.id);
+  });
+}
+
+const run = async () => {
+  console.log('✉️  Probando los drivers de email...\n');
+  if (!process.env.SMTP_HOST || !process.env.MAIL_TEST_TO) {
+    console.log('   ℹ️  Sin SMTP_HOST y MAIL_TEST_TO: el driver de SMTP solo se prueba sin red\n');
+  }
+
+  let failed = 0;
+  for (const { name, fn } of tests) {
+    try {
+      await fn();
+      console.log(`   ✅ ${name}`);
+    } catch (error) {
+      failed++;
+      console.log(`   ❌ ${name}`);
+      console.log(`      ${error.message}`);
+    }
+  }
+
+  fs.rmSync(tempDir, { recursive: true, force: true });
+  console.log(`\n${failed === 0 ? '✅' : '❌'} ${tests.length - failed}/${tests.length} pruebas superadas`);
+  process.exit(failed === 0 ? 0 : 1);
+};
+
+run();
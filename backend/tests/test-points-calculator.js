@@ -0,0 +1,183 @@
+/**
+ * Pruebas del cálculo de puntos de las partidas (services/pointsCalculator.js)
+ * Es lógica pura, así que no necesita red ni base de datos.
+ */
+
+const assert = require('assert');
+const pointsCalculator = require('../services/pointsCalculator');
+
+const tests = [];
+const test = (name, fn) => tests.push({ name, fn });
+
+const pointsOf = (results) => Object.fromEntries(results.map(r => [r.userId, r.points]));
+
+test('el perfil estándar da 10, 5, 2 y 1 puntos, y 1 por participar', () => {
+  const points = [1, 2, 3, 4, 5, null].map(position => pointsCalculator.calculatePointsByPosition(position));
+  assert.deepStrictEqual(points, [10, 5, 2, 1, 1, 1]);
+});
+
+test('un perfil parcial hereda los valores por defecto', () => {
+  const profile = pointsCalculator.normalizeScoringProfile({ positionPoints: [3, 2] });
+
+  assert.deepStrictEqual(profile.positionPoints, [3, 2]);
+  assert.strictEqual(profile.participationPoints, pointsCalculator.PARTICIPATION_POINTS);
+  assert.deepStrictEqual(profile.bonuses, { winner: 0, highestScore: 0 });
+  assert.strictEqual(pointsCalculator.calculatePointsByPosition(3, profile), 1);
+});
+
+test('el perfil de un juego tiene prioridad sobre el del grupo', () => {
+  const group = {
+    settings: {
+      scoring: {
+        positionPoints: [6, 3],
+        participationPoints: 0,
+        bonuses: { winner: 2 },
+        gameOverrides: [{ game: 'catan', positionPoints: [20, 10] }],
+      },
+    },
+  };
+
+  const forCatan = pointsCalculator.resolveScoringProfile(group, 'catan');
+  assert.deepStrictEqual(forCatan.positionPoints, [20, 10]);
+  assert.strictEqual(forCatan.participationPoints, 0);
+  assert.strictEqual(forCatan.bonuses.winner, 2);
+  assert.strictEqual(forCatan.game, 'catan');
+
+  const forOther = pointsCalculator.resolveScoringProfile(group, 'azul');
+  assert.deepStrictEqual(forOther.positionPoints, [6, 3]);
+  assert.strictEqual(forOther.game, undefined);
+
+  assert.strictEqual(pointsCalculator.resolveScoringProfile({}, 'catan'), pointsCalculator.DEFAULT_SCORING_PROFILE);
+});
+
+test('las bonificaciones premian al ganador y a la mayor puntuación', () => {
+  const profile = { positionPoints: [10, 5, 2], bonuses: { winner: 3, highestScore: 1 } };
+  const players = [
+    { user: 'a', position: 1, score: 40 },
+    { user: 'b', position: 2, score: 52 },
+    { user: 'c', position: 3, score: 30 },
+  ];
+
+  const results = pointsCalculator.calculatePointsForAllPlayers(players, profile, ['a']);
+  assert.deepStrictEqual(pointsOf(results), { a: 13, b: 6, c: 2 });
+});
+
+test('sin puntuaciones distintas no se da la bonificación de mayor puntuación', () => {
+  const profile = { positionPoints: [10, 5], bonuses: { highestScore: 4 } };
+  const players = [
+    { user: 'a', position: 1, score: 20 },
+    { user: 'b', position: 2, score: 20 },
+  ];
+
+  const results = pointsCalculator.calculatePointsForAllPlayers(players, profile);
+  assert.deepStrictEqual(pointsOf(results), { a: 10, b: 5 });
+});
+
+test('se rechazan los perfiles no válidos', () => {
+  const { validateScoringProfile } = pointsCalculator;
+
+  assert.strictEqual(validateScoringProfile({ positionPoints: [10, 5, 2], participationPoints: 1 }), null);
+  assert.ok(validateScoringProfile({ positionPoints: [5, 10] }));
+  assert.ok(validateScoringProfile({ positionPoints: [10, -1] }));
+  assert.ok(validateScoringProfile({ positionPoints: new Array(21).fill(1) }));
+  assert.ok(validateScoringProfile({ participationPoints: -1 }));
+  assert.ok(validateScoringProfile({ bonuses: { winner: 'dos' } }));
+});
+
+test('en equipos, los miembros reciben los puntos de la posición de su equipo', () => {
+  const players = [
+    { user: 'a', team: 'rojo', position: 1 },
+    { user: 'b', team: 'rojo', position: 1 },
+    { user: 'c', team: 'azul', position: 2 },
+    { user: 'd', team: 'azul', position: 2 },
+  ];
+  const match = { mode: 'teams', players };
+
+  assert.deepStrictEqual(pointsCalculator.getWinnerIds(match), ['a', 'b']);
+
+  // Un equipo cuenta como uno solo: los dos miembros del 1º no son un empate
+  const results = pointsCalculator.calculatePointsForAllPlayers(players, undefined, ['a', 'b'], 'teams');
+  assert.deepStrictEqual(pointsOf(results), { a: 10, b: 10, c: 5, d: 5 });
+});
+
+test('en cooperativas, todos ganan juntos los puntos del 1º o nadie gana', () => {
+  const won = [
+    { user: 'a', position: 1 },
+    { user: 'b', position: 1 },
+    { user: 'c', position: 1 },
+  ];
+  assert.deepStrictEqual(pointsCalculator.getWinnerIds({ mode: 'cooperative', players: won }), ['a', 'b', 'c']);
+  const wonResults = pointsCalculator.calculatePointsForAllPlayers(won, undefined, ['a', 'b', 'c'], 'cooperative');
+  assert.deepStrictEqual(pointsOf(wonResults), { a: 10, b: 10, c: 10 });
+
+  const lost = won.map(p => ({ ...p, position: null }));
+  assert.deepStrictEqual(pointsCalculator.getWinnerIds({ mode: 'cooperative', players: lost, winner: 'a' }), []);
+  const lostResults = pointsCalculator.calculatePointsForAllPlayers(lost, undefined, [], 'cooperative');
+  assert.deepStrictEqual(pointsOf(lostResults), { a: 1, b: 1, c: 1 });
+});
+
+test('los empatados reparten los puntos de sus puestos redondeando hacia arriba', () => {
+  const { calculatePointsByPosition } = pointsCalculator;
+
+  // Dos en 1º: (10 + 5) / 2 = 7.5 -> 8
+  assert.strictEqual(calculatePointsByPosition(1, undefined, 2), 8);
+  // Tres en 2º: (5 + 2 + 1) / 3 = 2.67 -> 3
+  assert.strictEqual(calculatePointsByPosition(2, undefined, 3), 3);
+  // Dos en 4º: el 5º puesto no está en la tabla y cuenta como participación, (1 + 1) / 2 = 1
+  assert.strictEqual(calculatePointsByPosition(4, undefined, 2), 1);
+});
+
+test('con posiciones 1, 1, 3 los dos primeros comparten puntos y el tercero no', () => {
+  const players = [
+    { user: 'a', position: 1 },
+    { user: 'b', position: 1 },
+    { user: 'c', position: 3 },
+  ];
+
+  assert.deepStrictEqual(pointsCalculator.getWinnerIds({ mode: 'individual', players }), ['a', 'b']);
+  const results = pointsCalculator.calculatePointsForAllPlayers(players, undefined, ['a', 'b']);
+  assert.deepStrictEqual(pointsOf(results), { a: 8, b: 8, c: 2 });
+});
+
+test('los equipos empatados también reparten los puntos', () => {
+  const players = [
+    { user: 'a', team: 'rojo', position: 1 },
+    { user: 'b', team: 'rojo', position: 1 },
+    { user: 'c', team: 'azul', position: 1 },
+    { user: 'd', team: 'verde', position: 3 },
+  ];
+
+  const results = pointsCalculator.calculatePointsForAllPlayers(players, undefined, ['a', 'b', 'c'], 'teams');
+  assert.deepStrictEqual(pointsOf(results), { a: 8, b: 8, c: 8, d: 2 });
+});
+
+test('un empate debe saltar los puestos que ocupa', () => {
+  const withPositions = (...positions) => positions.map(position => ({ position }));
+
+  assert.strictEqual(pointsCalculator.validatePositions(withPositions(1, 1, 3)), true);
+  assert.strictEqual(pointsCalculator.validatePositions(withPositions(1, 2, 2, 4)), true);
+  assert.strictEqual(pointsCalculator.validatePositions(withPositions(1, null, 2)), true);
+  assert.strictEqual(pointsCalculator.validatePositions(withPositions(1, 1, 2)), false);
+  assert.strictEqual(pointsCalculator.validatePositions(withPositions(1, 1, 1, 3)), false);
+});
+
+const run = async () => {
+  console.log('🎲 Probando el cálculo de puntos de las partidas...\n');
+
+  let failed = 0;
+  for (const { name, fn } of tests) {
+    try {
+      await fn();
+      console.log(`   ✅ ${name}`);
+    } catch (error) {
+      failed++;
+      console.log(`   ❌ ${name}`);
+      console.log(`      ${error.message}`);
+    }
+  }
+
+  console.log(`\n${failed === 0 ? '✅' : '❌'} ${tests.length - failed}/${tests.length} pruebas superadas`);
+  process.exit(failed === 0 ? 0 : 1);
+};
+
+run();
@@ -0,0 +1,219 @@
+/**
+ * Pruebas de las clasificaciones y de las correcciones de resultados
+ * (services/rankingService.js y services/ratingService.js) sin base de datos: User.bulkWrite se sustituye
+ * por un doble que guarda las escrituras, y la repetición de puntuaciones
+ * recibe las partidas en una lista en lugar de un cursor.
+ */
+
+const assert = require('assert');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const rankingService = require('../services/rankingService');
+const ratingService = require('../services/ratingService');
+const pointsCalculator = require('../services/pointsCalculator');
+const ratingCalculator = require('../services/ratingCalculator');
+
+const tests = [];
+const test = (name, fn) => tests.push({ name, fn });
+
+const [ana, bea, carlos] = [1, 2, 3].map(() => new mongoose.Types.ObjectId());
+const group = new mongoose.Types.ObjectId();
+const game = new mongoose.Types.ObjectId();
+
+/**
+ * Resultados de una partida individual con los puntos del perfil estándar,
+ * con la misma forma que las instantáneas de las correcciones
+ */
+const snapshot = (positions) => {
+  const players = positions.map(([user, position]) => ({ user, position }));
+  const winners = pointsCalculator.getWinnerIds({ mode: 'individual', players });
+  const points = pointsCalculator.calculatePointsForAllPlayers(players, undefined, winners);
+
+  return {
+    mode: 'individual',
+    players: players.map((p, i) => ({ ...p, pointsEarned: points[i].points })),
+    winners,
+  };
+};
+
+/**
+ * Ejecuta fn guardando las llamadas a User.bulkWrite en vez de escribir
+ */
+const withBulkWriteDouble = async (fn) => {
+  const calls = [];
+  const original = User.bulkWrite;
+  User.bulkWrite = async (ops, options) => {
+    calls.push({ ops, options });
+    return { modifiedCount: ops.length };
+  };
+  try {
+    return { result: await fn(), calls };
+  } finally {
+    User.bulkWrite = original;
+  }
+};
+
+const incOf = (calls) => Object.fromEntries(
+  calls.flatMap(call => call.ops).map(op => [
+    op.updateOne.filter._id.toString(),
+    op.updateOne.update.$inc,
+  ])
+);
+
+/**
+ * Puntuación repetida de un usuario en un ámbito (global, group o game)
+ */
+const ratingOf = (ratings, scope, user) => [...ratings.values()].find(
+  rating => rating.scope === scope && rating.user.toString() === user.toString()
+);
+
+test('la clasificación ordena por puntos y los empatados comparten posición (1, 1, 3)', () => {
+  const ranking = rankingService.rankEntries([
+    { userId: 'carlos', totalPoints: 12, totalWins: 1 },
+    { userId: 'ana', totalPoints: 20, totalWins: 2 },
+    { userId: 'bea', totalPoints: 20, totalWins: 1 },
+  ]);
+
+  assert.deepStrictEqual(
+    ranking.map(({ userId, position, tied }) => [userId, position, tied]),
+    [['ana', 1, true], ['bea', 1, true], ['carlos', 3, false]]
+  );
+});
+
+test('por victorias, los puntos deshacen el empate', () => {
+  const ranking = rankingService.rankEntries([
+    { userId: 'ana', totalPoints: 15, totalWins: 3 },
+    { userId: 'bea', totalPoints: 25, totalWins: 3 },
+    { userId: 'carlos', totalPoints: 40, totalWins: 1 },
+  ], 'wins');
+
+  assert.deepStrictEqual(ranking.map(e => e.userId), ['bea', 'ana', 'carlos']);
+  assert.deepStrictEqual(ranking.map(e => e.position), [1, 2, 3]);
+  assert.ok(ranking.every(e => !e.tied));
+});
+
+test('por puntuación de habilidad, empata quien tiene la misma puntuación y mu', () => {
+  const ranking = rankingService.rankEntries([
+    { userId: 'ana', skillRating: 5, skillMu: 26 },
+    { userId: 'bea', skillRating: 5, skillMu: 28 },
+    { userId: 'carlos', skillRating: 5, skillMu: 28 },
+  ], 'rating');
+
+  assert.deepStrictEqual(
+    ranking.map(({ userId, position }) => [userId, position]),
+    [['bea', 1], ['carlos', 1], ['ana', 3]]
+  );
+});
+
+test('una corrección mueve los puntos y victorias del resultado original al corregido', async () => {
+  const original = snapshot([[ana, 1], [bea, 2], [carlos, 3]]);
+  const amended = snapshot([[bea, 1], [ana, 2], [carlos, 3]]);
+  const session = { id: 'sesion' };
+
+  const { result, calls } = await withBulkWriteDouble(
+    () => rankingService.applyResultsDelta(original, amended, session)
+  );
+
+  assert.strictEqual(calls.length, 1);
+  assert.strictEqual(calls[0].options.session, session);
+  // Carlos no cambia, así que no se escribe
+  assert.deepStrictEqual(incOf(calls), {
+    [ana]: { 'stats.totalPoints': -5, 'stats.totalWins': -1 },
+    [bea]: { 'stats.totalPoints': 5, 'stats.totalWins': 1 },
+  });
+  assert.strictEqual(result.deltas.length, 2);
+});
+
+test('deshacer un empate en el 1º devuelve los puntos repartidos', async () => {
+  const original = snapshot([[ana, 1], [bea, 1], [carlos, 3]]);
+  const amended = snapshot([[ana, 1], [bea, 2], [carlos, 3]]);
+
+  const { calls } = await withBulkWriteDouble(() => rankingService.applyResultsDelta(original, amended));
+
+  // Empatados: (10 + 5) / 2 = 7.5 -> 8 cada uno
+  assert.deepStrictEqual(incOf(calls), {
+    [ana]: { 'stats.totalPoints': 2, 'stats.totalWins': 0 },
+    [bea]: { 'stats.totalPoints': -3, 'stats.totalWins': -1 },
+  });
+});
+
+test('un jugador que sale de la partida pierde lo que había ganado', async () => {
+  const original = snapshot([[ana, 1], [bea, 2], [carlos, 3]]);
+  const amended = snapshot([[ana, 1], [bea, 2]]);
+
+  const { calls } = await withBulkWriteDouble(() => rankingService.applyResultsDelta(original, amended));
+
+  assert.deepStrictEqual(incOf(calls), {
+    [carlos]: { 'stats.totalPoints': -2, 'stats.totalWins': 0 },
+  });
+});
+
+test('una corrección sin cambios no escribe nada', async () => {
+  const original = snapshot([[ana, 1], [bea, 2]]);
+  const amended = snapshot([[ana, 1], [bea, 2]]);
+
+  const { result, calls } = await withBulkWriteDouble(() => rankingService.applyResultsDelta(original, amended));
+
+  assert.strictEqual(calls.length, 0);
+  assert.deepStrictEqual(result.deltas, []);
+});
+
+test('repetir las partidas da la puntuación de cada ámbito', async () => {
+  const match = { group, game, mode: 'individual', players: [{ user: ana, position: 1 }, { user: bea, position: 2 }] };
+  const ratings = await ratingService.replayRatings([match]);
+
+  const expected = new Map(
+    ratingCalculator.calculateNewRatings([
+      { userId: 'ana', rank: 1, rating: ratingCalculator.createDefaultRating() },
+      { userId: 'bea', rank: 2, rating: ratingCalculator.createDefaultRating() },
+    ]).map(change => [change.userId, change.after])
+  );
+
+  assert.strictEqual(ratings.size, 6);
+  for (const scope of ['global', 'group', 'game']) {
+    const rating = ratingOf(ratings, scope, ana);
+    assert.strictEqual(rating.matches, 1);
+    assert.strictEqual(rating.mu, expected.get('ana').mu);
+    assert.strictEqual(ratingOf(ratings, scope, bea).mu, expected.get('bea').mu);
+  }
+  assert.strictEqual(ratingOf(ratings, 'group', ana).group.toString(), group.toString());
+  assert.strictEqual(ratingOf(ratings, 'game', ana).game.toString(), game.toString());
+});
+
+test('al repetir las partidas cuenta el resultado corregido en su lugar', async () => {
+  const played = (first, second) => ({
+    group,
+    game,
+    mode: 'individual',
+    players: [{ user: first, position: 1 }, { user: second, position: 2 }],
+  });
+  const coop = { group, game, mode: 'cooperative', players: [{ user: ana, position: 1 }, { user: bea, position: 1 }] };
+
+  const corrected = await ratingService.replayRatings([played(bea, ana), coop, played(ana, bea)]);
+  const original = await ratingService.replayRatings([played(ana, bea), coop, played(ana, bea)]);
+
+  // Las cooperativas no se puntúan; Bea ganó la primera tras la corrección
+  assert.strictEqual(ratingOf(corrected, 'group', bea).matches, 2);
+  assert.ok(ratingOf(corrected, 'group', bea).mu > ratingOf(original, 'group', bea).mu);
+});
+
+const run = async () => {
+  console.log('🏆 Probando las clasificaciones y las correcciones de resultados...\n');
+
+  let failed = 0;
+  for (const { name, fn } of tests) {
+    try {
+      await fn();
+      console.log(`   ✅ ${name}`);
+    } catch (error) {
+      failed++;
+      console.log(`   ❌ ${name}`);
+      console.log(`      ${error.message}`);
+    }
+  }
+
+  console.log(`\n${failed === 0 ? '✅' : '❌'} ${tests.length - failed}/${tests.length} pruebas superadas`);
+  process.exit(failed === 0 ? 0 : 1);
+};
+
+run();
@@ -0,0 +1,150 @@
+/**
+ * Pruebas del cálculo de puntuaciones de habilidad (services/ratingCalculator.js)
+ * Es lógica pura, así que no necesita red ni base de datos.
+ */
+
+const assert = require('assert');
+const ratingCalculator = require('../services/ratingCalculator');
+
+const { DEFAULT_MU, DEFAULT_SIGMA } = ratingCalculator;
+
+const tests = [];
+const test = (name, fn) => tests.push({ name, fn });
+
+const newPlayer = (userId, rank, rating = ratingCalculator.createDefaultRating()) => ({
+  userId,
+  rank,
+  team: null,
+  rating,
+});
+
+const byUser = (changes) => new Map(changes.map(change => [change.userId, change]));
+
+test('un jugador nuevo empieza con la puntuación por defecto', () => {
+  const rating = ratingCalculator.createDefaultRating();
+  assert.deepStrictEqual(rating, { mu: DEFAULT_MU, sigma: DEFAULT_SIGMA });
+  assert.strictEqual(ratingCalculator.getConservativeRating(rating), DEFAULT_MU - 3 * DEFAULT_SIGMA);
+});
+
+test('el ganador sube, el perdedor baja y ambos reducen su incertidumbre', () => {
+  const changes = byUser(ratingCalculator.calculateNewRatings([newPlayer('a', 1), newPlayer('b', 2)]));
+  const winner = changes.get('a');
+  const loser = changes.get('b');
+
+  assert.deepStrictEqual(winner.before, { mu: DEFAULT_MU, sigma: DEFAULT_SIGMA });
+  assert.ok(winner.after.mu > DEFAULT_MU);
+  assert.ok(loser.after.mu < DEFAULT_MU);
+  assert.ok(Math.abs((winner.after.mu - DEFAULT_MU) + (loser.after.mu - DEFAULT_MU)) < 1e-9);
+  assert.ok(winner.after.sigma < DEFAULT_SIGMA);
+  assert.ok(loser.after.sigma < DEFAULT_SIGMA);
+});
+
+test('un empate entre iguales no cambia mu', () => {
+  const changes = ratingCalculator.calculateNewRatings([newPlayer('a', 1), newPlayer('b', 1)]);
+  changes.forEach(change => {
+    assert.ok(Math.abs(change.after.mu - DEFAULT_MU) < 1e-9);
+    assert.ok(change.after.sigma < DEFAULT_SIGMA);
+  });
+});
+
+test('ganar a un favorito da más que ganar a un rival más débil', () => {
+  const strong = { mu: 35, sigma: 3 };
+  const weak = { mu: 15, sigma: 3 };
+  const upset = byUser(ratingCalculator.calculateNewRatings([newPlayer('a', 1), newPlayer('b', 2, strong)]));
+  const expected = byUser(ratingCalculator.calculateNewRatings([newPlayer('a', 1), newPlayer('b', 2, weak)]));
+
+  assert.ok(upset.get('a').after.mu - DEFAULT_MU > expected.get('a').after.mu - DEFAULT_MU);
+});
+
+test('en una partida de varios jugadores cada puesto queda por encima del siguiente', () => {
+  const changes = byUser(ratingCalculator.calculateNewRatings([
+    newPlayer('a', 1),
+    newPlayer('b', 2),
+    newPlayer('c', 3),
+  ]));
+
+  assert.ok(changes.get('a').after.mu > changes.get('b').after.mu);
+  assert.ok(changes.get('b').after.mu > changes.get('c').after.mu);
+});
+
+test('los puestos salen de las posiciones de la partida', () => {
+  const ranks = ratingCalculator.getMatchRanks({
+    mode: 'individual',
+    players: [
+      { user: 'a', position: 2 },
+      { user: 'b', position: 1 },
+      { user: 'c', position: null },
+    ],
+  });
+
+  assert.deepStrictEqual(ranks, [
+    { userId: 'a', rank: 2, team: null },
+    { userId: 'b', rank: 1, team: null },
+  ]);
+});
+
+test('sin posiciones, el ganador queda 1º y el resto 2º', () => {
+  const ranks = ratingCalculator.getMatchRanks({
+    mode: 'individual',
+    winner: 'b',
+    players: [{ user: 'a' }, { user: 'b' }, { user: 'c' }],
+  });
+
+  assert.deepStrictEqual(ranks.map(r => r.rank), [2, 1, 2]);
+});
+
+test('una partida sin resultado no se puntúa', () => {
+  const ranks = ratingCalculator.getMatchRanks({
+    mode: 'individual',
+    players: [{ user: 'a' }, { user: 'b' }],
+  });
+
+  assert.strictEqual(ranks, null);
+});
+
+test('un equipo se puntúa como una unidad y reparte el cambio por incertidumbre', () => {
+  const veteran = { mu: 25, sigma: 2 };
+  const changes = byUser(ratingCalculator.calculateNewRatings([
+    { ...newPlayer('a', 1, veteran), team: 'rojo' },
+    { ...newPlayer('b', 1), team: 'rojo' },
+    { ...newPlayer('c', 2), team: 'azul' },
+    { ...newPlayer('d', 2), team: 'azul' },
+  ]));
+
+  assert.ok(changes.get('a').after.mu > veteran.mu);
+  assert.ok(changes.get('b').after.mu - DEFAULT_MU > changes.get('a').after.mu - veteran.mu);
+  assert.ok(changes.get('c').after.mu < DEFAULT_MU);
+  assert.ok(Math.abs(changes.get('c').after.mu - changes.get('d').after.mu) < 1e-9);
+});
+
+test('en equipos cada jugador lleva su equipo y las cooperativas no se puntúan', () => {
+  const players = [
+    { user: 'a', team: 'rojo', position: 1 },
+    { user: 'b', team: 'azul', position: 2 },
+  ];
+
+  const ranks = ratingCalculator.getMatchRanks({ mode: 'teams', players });
+  assert.deepStrictEqual(ranks.map(r => r.team), ['rojo', 'azul']);
+  assert.strictEqual(ratingCalculator.getMatchRanks({ mode: 'cooperative', players }), null);
+});
+
+const run = async () => {
+  console.log('📈 Probando el cálculo de puntuaciones de habilidad...\n');
+
+  let failed = 0;
+  for (const { name, fn } of tests) {
+    try {
+      await fn();
+      console.log(`   ✅ ${name}`);
+    } catch (error) {
+      failed++;
+      console.log(`   ❌ ${name}`);
+      console.log(`      ${error.message}`);
+    }
+  }
+
+  console.log(`\n${failed === 0 ? '✅' : '❌'} ${tests.length - failed}/${tests.length} pruebas superadas`);
+  process.exit(failed === 0 ? 0 : 1);
+};
+
+run();
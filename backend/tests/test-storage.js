@@ -0,0 +1,196 @@
+/**
+ * Pruebas de los drivers de almacenamiento (services/storageService.*.js)
+ * El driver local se prueba en una carpeta temporal. El de S3 se prueba contra
+ * un servicio compatible si se define S3_ENDPOINT, por ejemplo el MinIO de
+ * docker compose --profile s3:
+ *   S3_ENDPOINT=http://localhost:9000 S3_BUCKET=tabletop-uploads \
+ *   S3_ACCESS_KEY_ID=minioadmin S3_SECRET_ACCESS_KEY=minioadmin node tests/test-storage.js
+ */
+
+const assert = require('assert');
+const express = require('express');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const LocalStorage = require('../services/storageService.local');
+const S3Storage = require('../services/storageService.s3');
+
+const tests = [];
+const test = (name, fn) => tests.push({ name, fn });
+
+/**
+ * Pruebas que todo driver debe pasar
+ */
+const contract = (label, createStorage) => {
+  const prefix = `test-${Date.now()}/`;
+  const key = `${prefix}imagen.png`;
+  const body = Buffer.from('contenido de prueba');
+
+  test(`${label}: guarda, comprueba y lee un archivo`, async () => {
+    const storage = createStorage();
+    assert.strictEqual(await storage.exists(key), false);
+    await storage.put(key, body, 'image/png');
+    assert.strictEqual(await storage.exists(key), true);
+    assert.ok((await storage.get(key)).equals(body));
+  });
+
+  test(`${label}: lista los archivos de un prefijo`, async () => {
+    const files = await createStorage().list(prefix);
+    assert.deepStrictEqual(files.map(file => file.key), [key]);
+    assert.ok(files[0].lastModified instanceof Date);
+  });
+
+  test(`${label}: marca un archivo como modificado ahora`, async () => {
+    const storage = createStorage();
+    const before = await storage.lastModified(key);
+    assert.ok(before instanceof Date);
+
+    await new Promise(resolve => setTimeout(resolve, 1100));
+    assert.strictEqual(await storage.touch(key), true);
+    assert.ok((await storage.lastModified(key)) > before);
+    assert.ok((await storage.get(key)).equals(body));
+
+    assert.strictEqual(await storage.touch(`${prefix}no-existe.png`), false);
+    assert.strictEqual(await storage.lastModified(`${prefix}no-existe.png`), null);
+  });
+
+  test(`${label}: la URL de un archivo devuelve su clave`, () => {
+    const storage = createStorage();
+    const url = storage.getUrl(key, 'http://localhost:5000');
+    assert.strictEqual(storage.keyFromUrl(url), key);
+    assert.strictEqual(storage.keyFromUrl('https://cf.geekdo-images.com/pic.jpg'), null);
+  });
+
+  test(`${label}: borra un archivo (también si ya no existe)`, async () => {
+    const storage = createStorage();
+    await storage.remove(key);
+    await storage.remove(key);
+    assert.strictEqual(await storage.exists(key), false);
+    assert.deepStrictEqual(await storage.list(prefix), []);
+  });
+};
+
+const tempRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'tabletop-storage-'));
+contract('local', () => new LocalStorage({ root: tempRoot }));
+
+test('local: rechaza claves fuera de la carpeta de uploads', async () => {
+  const storage = new LocalStorage({ root: tempRoot });
+  await assert.rejects(() => storage.put('../fuera.txt', Buffer.from('x')), /Invalid storage key/);
+});
+
+test('s3: con URL pública las URLs apuntan al bucket', () => {
+  const storage = new S3Storage({ bucket: 'uploads', publicUrl: 'https://cdn.example.com/' });
+  assert.strictEqual(storage.getUrl('games/a.jpg', 'http://api'), 'https://cdn.example.com/games/a.jpg');
+  assert.strictEqual(storage.keyFromUrl('https://cdn.example.com/games/a.jpg'), 'games/a.jpg');
+  // URLs guardadas antes de migrar
+  assert.strictEqual(storage.keyFromUrl('http://api/uploads/games/a.jpg'), 'games/a.jpg');
+});
+
+test('s3: con bucket privado las URLs pasan por la API y se firman', async () => {
+  const storage = new S3Storage({
+    bucket: 'uploads',
+    endpoint: 'http://127.0.0.1:9000',
+    forcePathStyle: true,
+    accessKeyId: 'minioadmin',
+    secretAccessKey: 'minioadmin',
+    signedUrlExpires: 60,
+  });
+  assert.strictEqual(storage.getUrl('games/a.jpg', 'http://api'), 'http://api/uploads/games/a.jpg');
+
+  const signed = new URL(await storage.getSignedUrl('games/a.jpg'));
+  assert.strictEqual(signed.pathname, '/uploads/games/a.jpg');
+  assert.strictEqual(signed.searchParams.get('X-Amz-Expires'), '60');
+});
+
+/**
+ * Sirve root con el handler del driver local y pide path
+ * @returns {number} Código de estado de la respuesta
+ */
+const requestLocal = async (root, requestPath) => {
+  const app = express();
+  app.use('/uploads', new LocalStorage({ root }).handler({ hiddenPrefixes: ['exports/'] }));
+  app.use((req, res) => res.status(404).end());
+
+  const server = app.listen(0);
+  try {
+    const response = await fetch(`http://127.0.0.1:${server.address().port}${requestPath}`);
+    return response.status;
+  } finally {
+    server.close();
+  }
+};
+
+test('local: no sirve los prefijos ocultos, tampoco con la ruta codificada', async () => {
+  const storage = new LocalStorage({ root: tempRoot });
+  await storage.put('games/a.png', Buffer.from('imagen'));
+  await storage.put('exports/a.zip', Buffer.from('datos'));
+
+  assert.strictEqual(await requestLocal(tempRoot, '/uploads/games/a.png'), 200);
+  assert.strictEqual(await requestLocal(tempRoot, '/uploads/exports/a.zip'), 404);
+  assert.strictEqual(await requestLocal(tempRoot, '/uploads/%65xports/a.zip'), 404);
+  assert.strictEqual(await requestLocal(tempRoot, '/uploads/games/..%2Fexports/a.zip'), 404);
+});
+
+test('s3: no redirige a los prefijos ocultos, tampoco con la ruta codificada', async () => {
+  const handler = new S3Storage({ bucket: 'uploads', publicUrl: 'https://cdn.example.com' })
+    .handler({ hiddenPrefixes: ['exports/'] });
+  const request = async (requestPath) => {
+    let redirect = null;
+    let skipped = false;
+    await handler({ path: requestPath }, { redirect: (status, url) => { redirect = url; } }, () => { skipped = true; });
+    return skipped ? null : redirect;
+  };
+
+  assert.strictEqual(await request('/games/a.jpg'), 'https://cdn.example.com/games/a.jpg');
+  assert.strictEqual(await request('/exports/a.zip'), null);
+  assert.strictEqual(await request('/%65xports/a.zip'), null);
+  assert.strictEqual(await request('/.%2Fexports/a.zip'), null);
+});
+
+test('s3: guarda con la caché indicada o, por defecto, inmutable', async () => {
+  const storage = new S3Storage({ bucket: 'uploads' });
+  const sent = [];
+  storage.client.send = async (command) => { sent.push(command.input); };
+
+  await storage.put('games/a.jpg', Buffer.from('x'), 'image/jpeg');
+  await storage.put('exports/a.zip', Buffer.from('x'), 'application/zip', { cacheControl: 'private, no-store' });
+
+  assert.strictEqual(sent[0].CacheControl, 'public, max-age=31536000, immutable');
+  assert.strictEqual(sent[1].CacheControl, 'private, no-store');
+});
+
+if (process.env.S3_ENDPOINT) {
+  contract('s3', () => new S3Storage({
+    bucket: process.env.S3_BUCKET || 'tabletop-uploads',
+    region: process.env.S3_REGION || 'us-east-1',
+    endpoint: process.env.S3_ENDPOINT,
+    forcePathStyle: true,
+    accessKeyId: process.env.S3_ACCESS_KEY_ID,
+    secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+  }));
+}
+
+const run = async () => {
+  console.log('🗄️  Probando los drivers de almacenamiento...\n');
+  if (!process.env.S3_ENDPOINT) {
+    console.log('   ℹ️  Sin S3_ENDPOINT: el driver de S3 solo se prueba sin red\n');
+  }
+
+  let failed = 0;
+  for (const { name, fn } of tests) {
+    try {
+      await fn();
+      console.log(`   ✅ ${name}`);
+    } catch (error) {
+      failed++;
+      console.log(`   ❌ ${name}`);
+      console.log(`      ${error.message}`);
+    }
+  }
+
+  fs.rmSync(tempRoot, { recursive: true, force: true });
+  console.log(`\n${failed === 0 ? '✅' : '❌'} ${tests.length - failed}/${tests.length} pruebas superadas`);
+  process.exit(failed === 0 ? 0 : 1);
+};
+
+run();
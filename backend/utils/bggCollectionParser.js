@@ -0,0 +1,151 @@
+/**
+ * @fileoverview BGG Collection Utilities
+ * @description Reads BoardGameGeek collections from the XML API2 and from exported files
+ * @module utils/bggCollectionParser
+ * @requires ./xmlParser
+ */
+
+const { parseXml, childrenNamed, childNamed } = require('./xmlParser');
+
+/**
+ * Maximum collection file size accepted (BGG exports of big collections stay well below)
+ */
+const MAX_COLLECTION_FILE_SIZE = 2 * 1024 * 1024;
+
+const textOf = (node, name) => childNamed(node, name)?.text.trim() || '';
+
+const absoluteUrl = (url) => {
+  if (!url) return null;
+  return url.startsWith('//') ? `https:${url}` : url;
+};
+
+/**
+ * Maps the <item> elements of a parsed collection document
+ * Items not owned (<status own="0">) and expansions are left out
+ * @param {object} root - Parsed <items> element
+ * @returns {Array} [{ bggId, name, yearPublished, image, thumbnail, numPlays }]
+ */
+const collectionFromXml = (root) =>
+  childrenNamed(root, 'item')
+    .filter(item => item.attributes.subtype !== 'boardgameexpansion')
+    .filter(item => childNamed(item, 'status')?.attributes.own !== '0')
+    .map(item => ({
+      bggId: parseInt(item.attributes.objectid, 10),
+      name: textOf(item, 'name'),
+      yearPublished: parseInt(textOf(item, 'yearpublished'), 10) || null,
+      image: absoluteUrl(textOf(item, 'image')),
+      thumbnail: absoluteUrl(textOf(item, 'thumbnail')),
+      numPlays: parseInt(textOf(item, 'numplays'), 10) || 0,
+    }))
+    .filter(game => game.bggId > 0);
+
+/**
+ * Splits CSV text into rows of fields (RFC 4180: quoted fields, "" escapes, CRLF)
+ * @param {string} text - CSV document
+ * @returns {Array<Array<string>>} Rows
+ */
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(fields => fields.some(value => value.trim() !== ''));
+};
+
+/**
+ * Reads the CSV exported from a BGG collection page
+ * Uses the objectid, objectname, yearpublished, numplays, own and itemtype columns
+ * @param {string} text - CSV document
+ * @returns {Array} Same shape as collectionFromXml
+ */
+const collectionFromCsv = (text) => {
+  const [header, ...rows] = parseCsv(text);
+  const columns = (header || []).map(name => name.trim().toLowerCase());
+  const column = (name) => columns.indexOf(name);
+
+  if (column('objectid') === -1) {
+    throw { status: 400, message: 'El CSV no parece una exportación de colección de BGG (falta la columna objectid)' };
+  }
+
+  const value = (fields, name) => (column(name) === -1 ? '' : (fields[column(name)] || '').trim());
+
+  return rows
+    .filter(fields => value(fields, 'own') !== '0')
+    .filter(fields => value(fields, 'itemtype') !== 'expansion')
+    .map(fields => ({
+      bggId: parseInt(value(fields, 'objectid'), 10),
+      name: value(fields, 'objectname') || value(fields, 'originalname'),
+      yearPublished: parseInt(value(fields, 'yearpublished'), 10) || null,
+      image: null,
+      thumbnail: null,
+      numPlays: parseInt(value(fields, 'numplays'), 10) || 0,
+    }))
+    .filter(game => game.bggId > 0);
+};
+
+/**
+ * Reads an uploaded collection export, XML or CSV
+ * @param {Buffer} buffer - File contents
+ * @param {string} filename - Original file name (used to tell the format)
+ * @returns {Array} Owned games of the collection
+ */
+const parseCollectionFile = (buffer, filename = '') => {
+  const text = buffer.toString('utf8').replace(/^\uFEFF/, '');
+  const isXml = /\.xml$/i.test(filename) || text.trimStart().startsWith('<');
+
+  if (!isXml) {
+    return collectionFromCsv(text);
+  }
+
+  let root;
+  try {
+    root = parseXml(text);
+  } catch {
+    throw { status: 400, message: 'El archivo XML no es válido' };
+  }
+  if (root.name !== 'items') {
+    throw { status: 400, message: 'El XML no parece una colección de BGG' };
+  }
+  return collectionFromXml(root);
+};
+
+module.exports = {
+  MAX_COLLECTION_FILE_SIZE,
+  collectionFromXml,
+  collectionFromCsv,
+  parseCollectionFile,
+};
@@ -0,0 +1,38 @@
+/**
+ * @fileoverview Email Templates
+ * @description Links to the frontend and the layout shared by every email
+ * @module utils/emailTemplates
+ */
+
+/**
+ * Frontend URL for the links (first of CLIENT_URL)
+ * @param {string} route - Frontend route
+ * @param {object} params - Query string parameters (optional)
+ * @returns {string} Link
+ */
+const clientLink = (route, params = {}) => {
+  const clientUrl = (process.env.CLIENT_URL || 'http://localhost:5173').split(',')[0].trim();
+  const query = new URLSearchParams(params).toString();
+  return `${clientUrl.replace(/\/$/, '')}${route}${query ? `?${query}` : ''}`;
+};
+
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+
+/**
+ * Email with a single call-to-action link
+ * @param {object} content - { name, intro, action, link, outro }
+ * @returns {object} { text, html }
+ */
+const renderEmail = ({ name, intro, action, link, outro }) => ({
+  text: `Hola ${name},\n\n${intro}\n\n${action}: ${link}\n\n${outro}\n\nTabletop Mastering`,
+  html: `<p>Hola ${escapeHtml(name)},</p>
+<p>${escapeHtml(intro)}</p>
+<p><a href="${escapeHtml(link)}">${escapeHtml(action)}</a></p>
+<p>${escapeHtml(outro)}</p>
+<p>Tabletop Mastering</p>`,
+});
+
+module.exports = {
+  clientLink,
+  renderEmail,
+};
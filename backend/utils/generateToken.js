@@ -1,6 +1,6 @@
 /**
  * @fileoverview JWT Token Generator
- * @description Creates signed authentication tokens
+ * @description Creates signed, short-lived access tokens bound to a session
  * @module utils/generateToken
  * @requires jsonwebtoken
  */
@@ -8,13 +8,14 @@
 const jwt = require('jsonwebtoken');
 
 /**
- * Generates a JWT token
+ * Generates a JWT access token
  * @param {string} id - User ID
+ * @param {string} sessionId - Session the token belongs to (checked by protect)
  * @returns {string} JWT Token
  */
-const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE,
+const generateToken = (id, sessionId) => {
+  return jwt.sign({ id, sid: sessionId }, process.env.JWT_SECRET, {
+    expiresIn: process.env.JWT_EXPIRE || '15m',
   });
 };
 
@@ -9,6 +9,71 @@
 const Group = require('../models/Group');
 const User = require('../models/User');
 
+// Maximum number of groups per user
+const MAX_GROUPS_PER_USER = 7;
+
+// Accounts that can own a group: active and not pending deletion
+const ACTIVE_ACCOUNT_FILTER = {
+  isActive: true,
+  'deletion.requestedAt': null,
+};
+
+/**
+ * Permissions the admin shares with moderators (the admin can do everything)
+ * Anything not listed (settings, seasons, invitations, roles, removing members,
+ * deleting the group) is admin only and protected with isGroupAdmin
+ */
+const GROUP_PERMISSIONS = {
+  // Approve or reject join requests
+  reviewJoinRequests: ['admin', 'moderator'],
+  // Edit, finish, delete and correct matches created by other members
+  manageMatches: ['admin', 'moderator'],
+  // Approve or reject the result corrections requested by members
+  reviewCorrections: ['admin', 'moderator'],
+  // Edit and delete group games added by other members
+  manageGames: ['admin', 'moderator'],
+};
+
+/**
+ * Role of a user in a group (document or lean)
+ * The group admin is always 'admin', even if their member role differs
+ * @param {Object} group - Group with admin and members
+ * @param {ObjectId|string} userId - User ID
+ * @returns {string|null} admin, moderator, member or null if not a member
+ */
+const getGroupRole = (group, userId) => {
+  if (!group || !userId) return null;
+  if (String(group.admin?._id || group.admin) === String(userId)) return 'admin';
+
+  const member = (group.members || []).find(m => String(m.user?._id || m.user) === String(userId));
+  return member ? member.role : null;
+};
+
+/**
+ * Whether a user has a permission in a group
+ * @param {Object} group - Group with admin and members
+ * @param {ObjectId|string} userId - User ID
+ * @param {string} permission - Key of GROUP_PERMISSIONS
+ * @returns {boolean}
+ */
+const hasGroupPermission = (group, userId, permission) => {
+  const role = getGroupRole(group, userId);
+  return Boolean(role && GROUP_PERMISSIONS[permission]?.includes(role));
+};
+
+/**
+ * Whether a user already belongs to the maximum number of active groups
+ * @param {ObjectId} userId - User ID
+ * @returns {Promise<boolean>}
+ */
+const hasReachedGroupLimit = async (userId) => {
+  const userGroupCount = await Group.countDocuments({
+    'members.user': userId,
+    isActive: true,
+  });
+  return userGroupCount >= MAX_GROUPS_PER_USER;
+};
+
 /**
  * Generates a unique invitation code (optimized with exists)
  * @returns {Promise<string>} Unique invitation code
@@ -121,6 +186,83 @@ const removeMemberFromGroup = async (group, userId) => {
   return group;
 };
 
+/**
+ * Changes the role of a member other than the admin
+ * @param {Object} group - Group instance
+ * @param {ObjectId} userId - Member
+ * @param {string} role - moderator or member
+ * @returns {Object} Updated member entry
+ */
+const setMemberRole = async (group, userId, role) => {
+  if (group.isAdmin(userId)) {
+    throw new Error('El administrador solo deja de serlo al transferir la administración');
+  }
+
+  const member = group.members.find((m) => m.user.equals(userId));
+  if (!member) {
+    throw new Error('El usuario no es miembro del grupo');
+  }
+
+  member.role = role;
+  await group.save();
+
+  return member;
+};
+
+/**
+ * Hands the group over to another member; the previous admin stays as moderator
+ * The new admin must have an active account: deleting an account requires
+ * handing its groups over first, so they cannot go to one about to be anonymized
+ * @param {Object} group - Group instance
+ * @param {ObjectId} userId - Member who becomes admin
+ */
+const transferGroupOwnership = async (group, userId) => {
+  if (group.isAdmin(userId)) {
+    throw new Error('Este usuario ya es el administrador del grupo');
+  }
+
+  const newAdmin = group.members.find((m) => m.user.equals(userId));
+  if (!newAdmin) {
+    throw new Error('El nuevo administrador debe ser miembro del grupo');
+  }
+
+  const isActiveAccount = await User.exists({ _id: newAdmin.user._id || newAdmin.user, ...ACTIVE_ACCOUNT_FILTER });
+  if (!isActiveAccount) {
+    throw new Error('El nuevo administrador debe tener una cuenta activa');
+  }
+
+  const previousAdmin = group.members.find((m) => m.user.equals(group.admin));
+  if (previousAdmin) {
+    previousAdmin.role = 'moderator';
+  }
+  newAdmin.role = 'admin';
+  group.admin = newAdmin.user;
+  await group.save();
+
+  return group;
+};
+
+/**
+ * Member who takes over the group when the admin leaves: the one who joined
+ * first among those whose account can own it
+ * @param {Object} group - Group instance
+ * @returns {Promise<ObjectId|null>} User ID, or null if no other member can
+ */
+const findSuccessorAdmin = async (group) => {
+  const candidates = group.members
+    .filter((m) => !group.isAdmin(m.user._id || m.user))
+    .sort((a, b) => new Date(a.joinedAt) - new Date(b.joinedAt))
+    .map((m) => m.user._id || m.user);
+  if (candidates.length === 0) return null;
+
+  const eligible = await User.find({ _id: { $in: candidates }, ...ACTIVE_ACCOUNT_FILTER })
+    .select('_id')
+    .lean();
+  const eligibleIds = new Set(eligible.map((u) => u._id.toString()));
+
+  return candidates.find((id) => eligibleIds.has(id.toString())) || null;
+};
+
 /**
  * Standard populate options for groups (includes complete member data)
  */
@@ -145,12 +287,20 @@ const groupPopulateOptionsList = [
 ];
 
 module.exports = {
+  GROUP_PERMISSIONS,
+  getGroupRole,
+  hasGroupPermission,
+  MAX_GROUPS_PER_USER,
+  hasReachedGroupLimit,
   generateUniqueInviteCode,
   addGroupToUser,
   removeGroupFromUser,
   removeGroupFromAllMembers,
   addMemberToGroup,
   removeMemberFromGroup,
+  setMemberRole,
+  transferGroupOwnership,
+  findSuccessorAdmin,
   groupPopulateOptions,
   groupPopulateOptionsSimple,
   groupPopulateOptionsList,
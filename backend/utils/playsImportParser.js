@@ -0,0 +1,272 @@
+/**
+ * @fileoverview Play History Import Utilities
+ * @description Reads logged plays from BG Stats JSON exports and BGG plays XML
+ * @module utils/playsImportParser
+ * @requires ./xmlParser
+ */
+
+const { parseXml, childrenNamed, childNamed } = require('./xmlParser');
+
+/**
+ * Maximum play history file size accepted (years of BG Stats plays stay well below)
+ */
+const MAX_PLAYS_FILE_SIZE = 10 * 1024 * 1024;
+
+/**
+ * Plays are normalized to one shape whatever the source:
+ * {
+ *   externalId,                 // id of the play in the source app
+ *   playedAt, durationMin, location, notes,
+ *   game: { bggId, name },
+ *   mode,                       // individual, teams or cooperative
+ *   cooperativeResult,          // win/loss (cooperative)
+ *   players: [{ key, name, bggUsername, score, position, team }],
+ *   teams: [{ name, position, score }]   // teams mode
+ * }
+ * `key` identifies the same external player across plays.
+ */
+
+const toNumber = (value) => {
+  if (value === null || value === undefined || String(value).trim() === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+const toDate = (value) => {
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Competition ranking ("1, 1, 3"): entries with the same value share a position
+ * @param {Array} entries - Entries to rank
+ * @param {Function} valueOf - Value to rank by
+ * @param {boolean} ascending - Lower value ranks first
+ * @returns {Array<number>} Position of each entry, in input order
+ */
+const competitionRanks = (entries, valueOf, ascending = true) =>
+  entries.map(entry =>
+    1 + entries.filter(other =>
+      (ascending ? valueOf(other) < valueOf(entry) : valueOf(other) > valueOf(entry))
+    ).length
+  );
+
+/**
+ * Works out positions from what the source recorded, in order of preference:
+ * explicit ranks, then scores (if they agree with the winners), then winners
+ * in 1st place and no position for the rest
+ * @param {Array} entries - [{ rank, score, winner }]
+ * @param {boolean} [highestWins] - Scoring direction, when the source knows it
+ * @returns {Array<number|undefined>} Position of each entry, in input order
+ */
+const derivePositions = (entries, highestWins) => {
+  if (entries.every(entry => entry.rank > 0)) {
+    return competitionRanks(entries, entry => entry.rank);
+  }
+
+  const winners = entries.filter(entry => entry.winner);
+  const scores = entries.map(entry => entry.score);
+
+  if (scores.every(score => score !== null) && new Set(scores).size > 1) {
+    const lowest = Math.min(...scores);
+    const ascending = highestWins !== undefined
+      ? !highestWins
+      : winners.length > 0 && winners.every(entry => entry.score === lowest);
+    const positions = competitionRanks(entries, entry => entry.score, ascending);
+
+    const agrees = winners.length === 0
+      || entries.every((entry, index) => (positions[index] === 1) === Boolean(entry.winner));
+    if (agrees) return positions;
+  }
+
+  return entries.map(entry => (winners.length > 0 && entry.winner ? 1 : undefined));
+};
+
+/**
+ * Groups the players of a play by team; losing teams without a position
+ * share the place after the ranked ones (teams always need a position)
+ * @param {Array} players - [{ team, rank, score, winner }]
+ * @param {boolean} [highestWins] - Scoring direction
+ * @returns {Array} [{ name, position, score }]
+ */
+const teamsOf = (players, highestWins) => {
+  const byName = new Map();
+  for (const player of players) {
+    const team = byName.get(player.team) || { name: player.team, rank: 0, score: null, winner: false };
+    if (player.rank > 0) team.rank = team.rank > 0 ? Math.min(team.rank, player.rank) : player.rank;
+    if (player.score !== null) team.score = Math.max(team.score ?? player.score, player.score);
+    team.winner = team.winner || player.winner;
+    byName.set(player.team, team);
+  }
+
+  const teams = [...byName.values()];
+  const positions = derivePositions(teams, highestWins);
+  const ranked = positions.filter(position => position !== undefined).length;
+
+  return teams.map((team, index) => ({
+    name: team.name,
+    position: positions[index] ?? ranked + 1,
+    score: team.score ?? 0,
+  }));
+};
+
+/**
+ * Reads a BG Stats JSON export (Settings > Export data)
+ * Ignored plays are left out; cooperative games and team plays keep their mode
+ * @param {object} data - Parsed export: { players, locations, games, plays }
+ * @returns {Array} Normalized plays
+ */
+const playsFromBgStats = (data) => {
+  const players = new Map((data.players || []).map(player => [player.id, player]));
+  const locations = new Map((data.locations || []).map(location => [location.id, location]));
+  const games = new Map((data.games || []).map(game => [game.id, game]));
+
+  return data.plays
+    .filter(play => !play.ignored)
+    .map(play => {
+      const game = games.get(play.gameRefId);
+      const playedAt = toDate(String(play.playDate || '').replace(' ', 'T'));
+      if (!game || !playedAt || !play.uuid) return null;
+
+      const highestWins = typeof game.highestWins === 'boolean' ? game.highestWins : undefined;
+      const scores = (play.playerScores || []).map(entry => {
+        const player = players.get(entry.playerRefId) || {};
+        return {
+          key: `bgstats-${entry.playerRefId}`,
+          name: player.name || `Jugador ${entry.playerRefId}`,
+          bggUsername: player.bggUsername || null,
+          score: toNumber(entry.score),
+          rank: toNumber(entry.rank) || 0,
+          winner: Boolean(entry.winner),
+          team: entry.team ? String(entry.team).trim() : '',
+        };
+      });
+
+      let mode = 'individual';
+      if (game.cooperative) mode = 'cooperative';
+      else if (play.usesTeams && scores.every(entry => entry.team)) mode = 'teams';
+
+      const positions = mode === 'individual' ? derivePositions(scores, highestWins) : [];
+
+      return {
+        externalId: String(play.uuid),
+        playedAt,
+        durationMin: toNumber(play.durationMin),
+        location: locations.get(play.locationRefId)?.name || '',
+        notes: play.comments || '',
+        game: { bggId: toNumber(game.bggId) || null, name: game.name || '' },
+        mode,
+        cooperativeResult: mode === 'cooperative'
+          ? (scores.some(entry => entry.winner) ? 'win' : 'loss')
+          : undefined,
+        players: scores.map((entry, index) => ({
+          key: entry.key,
+          name: entry.name,
+          bggUsername: entry.bggUsername,
+          score: entry.score,
+          position: positions[index],
+          team: mode === 'teams' ? entry.team : undefined,
+        })),
+        teams: mode === 'teams' ? teamsOf(scores, highestWins) : [],
+      };
+    })
+    .filter(Boolean);
+};
+
+/**
+ * Reads a BGG plays document (XML API2 /plays or a saved copy of it)
+ * Incomplete plays are left out; a play logged with quantity > 1 counts as
+ * that many plays. BGG does not record modes, so plays are individual.
+ * @param {object} root - Parsed <plays> element
+ * @returns {Array} Normalized plays
+ */
+const playsFromBggXml = (root) =>
+  childrenNamed(root, 'play')
+    .filter(play => play.attributes.incomplete !== '1')
+    .flatMap(play => {
+      const item = childNamed(play, 'item');
+      // Dates have no time: noon keeps the day in any server time zone
+      const playedAt = toDate(`${play.attributes.date}T12:00:00`);
+      if (!item || !playedAt || !play.attributes.id) return [];
+
+      const entries = childrenNamed(childNamed(play, 'players'), 'player').map(player => {
+        const username = (player.attributes.username || '').trim();
+        const name = (player.attributes.name || '').trim();
+        return {
+          key: username ? `bgg-user-${username.toLowerCase()}` : `bgg-name-${name.toLowerCase()}`,
+          name: name || username,
+          bggUsername: username || null,
+          score: toNumber(player.attributes.score),
+          rank: 0,
+          winner: player.attributes.win === '1',
+        };
+      }).filter(entry => entry.name);
+      const positions = derivePositions(entries);
+
+      const base = {
+        playedAt,
+        durationMin: toNumber(play.attributes.length) || null,
+        location: play.attributes.location || '',
+        notes: childNamed(play, 'comments')?.text.trim() || '',
+        game: { bggId: toNumber(item.attributes.objectid), name: item.attributes.name || '' },
+        mode: 'individual',
+        cooperativeResult: undefined,
+        players: entries.map((entry, index) => ({
+          key: entry.key,
+          name: entry.name,
+          bggUsername: entry.bggUsername,
+          score: entry.score,
+          position: positions[index],
+        })),
+        teams: [],
+      };
+
+      const quantity = Math.max(1, parseInt(play.attributes.quantity, 10) || 1);
+      return Array.from({ length: quantity }, (_, index) => ({
+        ...base,
+        externalId: quantity > 1 ? `${play.attributes.id}-${index + 1}` : play.attributes.id,
+      }));
+    });
+
+/**
+ * Reads an uploaded play history, BG Stats JSON or BGG plays XML
+ * @param {Buffer} buffer - File contents
+ * @param {string} filename - Original file name (used to tell the format)
+ * @returns {object} { source: bgstats|bgg-plays, provider: bgstats|bgg, plays }
+ */
+const parsePlaysFile = (buffer, filename = '') => {
+  const text = buffer.toString('utf8').replace(/^\uFEFF/, '');
+  const isXml = /\.xml$/i.test(filename) || text.trimStart().startsWith('<');
+
+  if (!isXml) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch {
+      throw { status: 400, message: 'El archivo JSON no es válido' };
+    }
+    if (!data || !Array.isArray(data.plays)) {
+      throw { status: 400, message: 'El JSON no parece una exportación de BG Stats (falta la lista de partidas)' };
+    }
+    return { source: 'bgstats', provider: 'bgstats', plays: playsFromBgStats(data) };
+  }
+
+  let root;
+  try {
+    root = parseXml(text);
+  } catch {
+    throw { status: 400, message: 'El archivo XML no es válido' };
+  }
+  if (root.name !== 'plays') {
+    throw { status: 400, message: 'El XML no parece un historial de partidas de BGG' };
+  }
+  return { source: 'bgg-plays', provider: 'bgg', plays: playsFromBggXml(root) };
+};
+
+module.exports = {
+  MAX_PLAYS_FILE_SIZE,
+  competitionRanks,
+  playsFromBgStats,
+  playsFromBggXml,
+  parsePlaysFile,
+};
@@ -0,0 +1,24 @@
+/**
+ * @fileoverview Transaction Utilities
+ * @description Helper to run several writes as one MongoDB transaction
+ * @module utils/transaction
+ * @requires mongoose
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Runs work inside a MongoDB transaction
+ * All writes done with the given session are committed together or rolled back
+ * if work throws. Transient errors are retried (Mongoose resets the state of the
+ * documents saved in the session between attempts), so work must not have side
+ * effects outside the database.
+ * Transactions need MongoDB running as a replica set (see docker-compose.yml)
+ * @param {Function} work - async (session) => result
+ * @returns {Promise<*>} Value returned by work
+ */
+const withTransaction = (work) => mongoose.connection.transaction(work);
+
+module.exports = {
+  withTransaction,
+};
@@ -0,0 +1,138 @@
+/**
+ * @fileoverview XML Utilities
+ * @description Minimal XML parser for the BoardGameGeek XML API2 responses
+ * @module utils/xmlParser
+ */
+
+/**
+ * Named entities understood by the decoder: the XML ones plus the HTML ones
+ * found in BGG descriptions, which come entity-encoded twice
+ */
+const NAMED_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: '\'',
+  nbsp: '\u00a0',
+  ndash: '\u2013',
+  mdash: '\u2014',
+  lsquo: '\u2018',
+  rsquo: '\u2019',
+  ldquo: '\u201c',
+  rdquo: '\u201d',
+  hellip: '\u2026',
+};
+
+/**
+ * Decodes XML character references (&amp; &#10; &#x27; ...)
+ * @param {string} text - Raw text
+ * @returns {string} Decoded text
+ */
+const decodeEntities = (text) =>
+  text.replace(/&(#x[0-9a-f]+|#[0-9]+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1] === 'x' || entity[1] === 'X'
+        ? parseInt(entity.slice(2), 16)
+        : parseInt(entity.slice(1), 10);
+      return Number.isNaN(code) ? match : String.fromCodePoint(code);
+    }
+    return NAMED_ENTITIES[entity.toLowerCase()] ?? match;
+  });
+
+/**
+ * Parses the attributes of an opening tag
+ * @param {string} source - Attribute part of the tag
+ * @returns {object} Attribute map
+ */
+const parseAttributes = (source) => {
+  const attributes = {};
+  const pattern = /([^\s=]+)\s*=\s*("([^"]*)"|'([^']*)')/g;
+  let match;
+  while ((match = pattern.exec(source)) !== null) {
+    attributes[match[1]] = decodeEntities(match[3] ?? match[4]);
+  }
+  return attributes;
+};
+
+/**
+ * Parses an XML document into a tree of { name, attributes, children, text } nodes
+ * Supports elements, attributes, text, CDATA, comments and the XML declaration,
+ * which is all the BGG API returns. Namespaces and DTDs are not interpreted.
+ * @param {string} xml - XML document
+ * @returns {object} Root element
+ * @throws {Error} If the document is not well formed
+ */
+const parseXml = (xml) => {
+  const root = { name: '#document', attributes: {}, children: [], text: '' };
+  const stack = [root];
+  const tagPattern = /<!\[CDATA\[([\s\S]*?)\]\]>|<!--[\s\S]*?-->|<[?!][\s\S]*?>|<\/\s*([^\s>]+)\s*>|<([^\s/>]+)([^>]*?)(\/?)>/g;
+  let lastIndex = 0;
+  let match;
+
+  const appendText = (text) => {
+    stack[stack.length - 1].text += text;
+  };
+
+  while ((match = tagPattern.exec(xml)) !== null) {
+    if (match.index > lastIndex) {
+      appendText(decodeEntities(xml.slice(lastIndex, match.index)));
+    }
+    lastIndex = tagPattern.lastIndex;
+
+    const [, cdata, closingName, openingName, attributeSource, selfClosing] = match;
+
+    if (cdata !== undefined) {
+      appendText(cdata);
+    } else if (closingName) {
+      const current = stack.pop();
+      if (!current || current.name !== closingName) {
+        throw new Error(`XML mal formado: cierre inesperado de <${closingName}>`);
+      }
+    } else if (openingName) {
+      const node = {
+        name: openingName,
+        attributes: parseAttributes(attributeSource),
+        children: [],
+        text: '',
+      };
+      stack[stack.length - 1].children.push(node);
+      if (!selfClosing) stack.push(node);
+    }
+  }
+
+  if (stack.length !== 1) {
+    throw new Error(`XML mal formado: <${stack[stack.length - 1].name}> sin cerrar`);
+  }
+
+  const [documentElement] = root.children;
+  if (!documentElement) {
+    throw new Error('XML mal formado: documento vacío');
+  }
+  return documentElement;
+};
+
+/**
+ * Gets the direct children of a node with the given name
+ * @param {object} node - Parsed node
+ * @param {string} name - Element name
+ * @returns {Array} Matching children
+ */
+const childrenNamed = (node, name) =>
+  node ? node.children.filter(child => child.name === name) : [];
+
+/**
+ * Gets the first direct child of a node with the given name
+ * @param {object} node - Parsed node
+ * @param {string} name - Element name
+ * @returns {object|null} Matching child
+ */
+const childNamed = (node, name) =>
+  (node && node.children.find(child => child.name === name)) || null;
+
+module.exports = {
+  parseXml,
+  decodeEntities,
+  childrenNamed,
+  childNamed,
+};
@@ -12,7 +12,7 @@ import { ToastContainer } from './components/common/Toast';
 import ProtectedRoute from './components/routes/ProtectedRoute';
 import PublicRoute from './components/routes/PublicRoute';
 import Navbar from './components/layout/Navbar';
-import { Home, Login, Register, Dashboard, Profile, Games, Rankings, Groups, CreateGroup, GroupDetail, Calendar, History, NotFound, PrivacyPolicy, TermsOfService, CookiePolicy, Accessibility, Licenses } from './pages';
+import { Home, Login, Register, Dashboard, Profile, Games, Rankings, Groups, CreateGroup, GroupDetail, Calendar, History, NotFound, InviteLink, ForgotPassword, ResetPassword, VerifyEmail, PrivacyPolicy, TermsOfService, CookiePolicy, Accessibility, Licenses } from './pages';
 import './styles/variables.css';
 import './styles/components.css';
 import './styles/layout.css';
@@ -38,6 +38,9 @@ function AppContent() {
   const location = useLocation();
   const showLogin = location.pathname === '/login';
   const showRegister = location.pathname === '/register';
+  const showForgotPassword = location.pathname === '/forgot-password';
+  const showResetPassword = location.pathname === '/reset-password';
+  const showVerifyEmail = location.pathname === '/verify-email';
 
   return (
     <>
@@ -49,6 +52,11 @@ function AppContent() {
             <Route path="/" element={<Home />} />
             <Route path="/login" element={<Home />} />
             <Route path="/register" element={<Home />} />
+            <Route path="/forgot-password" element={<Home />} />
+            <Route path="/reset-password" element={<Home />} />
+            <Route path="/verify-email" element={<Home />} />
+            {/* Enlaces de invitación a grupos: se ven sin sesión, para unirse hay que iniciarla */}
+            <Route path="/invite/:token" element={<InviteLink />} />
             
             {/* Rutas legales (públicas) */}
             <Route path="/privacy" element={<PrivacyPolicy />} />
@@ -87,6 +95,14 @@ function AppContent() {
           <Register />
         </PublicRoute>
       )}
+      {showForgotPassword && (
+        <PublicRoute>
+          <ForgotPassword />
+        </PublicRoute>
+      )}
+      {/* Enlaces de los emails: funcionan con o sin sesión iniciada */}
+      {showResetPassword && <ResetPassword />}
+      {showVerifyEmail && <VerifyEmail />}
 
       <ToastContainer />
     </>
@@ -1,6 +1,6 @@
 import { useState, useEffect, useCallback } from 'react';
 import PropTypes from 'prop-types';
-import { MdSave, MdClose } from 'react-icons/md';
+import { MdSave, MdClose, MdArrowForward } from 'react-icons/md';
 import Modal from '../common/Modal';
 import Input from '../common/Input';
 import Button from '../common/Button';
@@ -11,10 +11,14 @@ import styles from './CreateEditMatchModal.module.css';
 
 /**
  * Modal for creating or editing a match
+ * A new match can also be logged as already played: the form then collects
+ * the match and hands it to onLogPlayed so its results are entered next
  */
-const CreateEditMatchModal = ({ isOpen, onClose, onSave, match = null }) => {
+const CreateEditMatchModal = ({ isOpen, onClose, onSave, onLogPlayed = null, match = null }) => {
   const { user } = useAuth();
   const isEditing = Boolean(match);
+  const [alreadyPlayed, setAlreadyPlayed] = useState(false);
+  const isLoggingPlayed = alreadyPlayed && !isEditing;
 
   // Form state
   const [formData, setFormData] = useState({
@@ -111,10 +115,21 @@ const CreateEditMatchModal = ({ isOpen, onClose, onSave, match = null }) => {
         notes: '',
         playerIds: []
       });
+      setAlreadyPlayed(false);
       setErrors({});
     }
   }, [match, isOpen]);
 
+  // A played match defaults to earlier today; a scheduled one to 18:00
+  const handleAlreadyPlayedChange = (played) => {
+    setAlreadyPlayed(played);
+    setFormData(prev => ({
+      ...prev,
+      scheduledTime: played ? new Date().toTimeString().slice(0, 5) : '18:00'
+    }));
+    setErrors({});
+  };
+
   const handleChange = (e) => {
     const { name, value } = e.target;
     setFormData(prev => ({
@@ -153,6 +168,8 @@ const CreateEditMatchModal = ({ isOpen, onClose, onSave, match = null }) => {
 
     if (!formData.scheduledDate) {
       newErrors.scheduledDate = 'La fecha es obligatoria';
+    } else if (isLoggingPlayed && new Date(`${formData.scheduledDate}T${formData.scheduledTime}`) > new Date()) {
+      newErrors.scheduledDate = 'Una partida ya jugada no puede tener fecha futura';
     }
 
     // Ensure current user is included in players
@@ -172,12 +189,33 @@ const CreateEditMatchModal = ({ isOpen, onClose, onSave, match = null }) => {
       return;
     }
 
+    // Combine date and time
+    const scheduledDateTime = new Date(`${formData.scheduledDate}T${formData.scheduledTime}`);
+
+    if (isLoggingPlayed) {
+      // Draft shaped like a match so the results modal can show it
+      const game = games.find(g => g._id === formData.gameId);
+      onLogPlayed({
+        game: { _id: formData.gameId, name: game?.name, image: game?.image },
+        group: { _id: formData.groupId },
+        scheduledDate: scheduledDateTime.toISOString(),
+        location: formData.location,
+        notes: formData.notes,
+        players: finalPlayerIds.map(playerId => {
+          const member = groupMembers.find(m => (m.user?._id || m.user) === playerId);
+          return {
+            user: { _id: playerId, name: member?.user?.name || (playerId === user?._id ? user?.name : undefined) },
+            confirmed: true
+          };
+        })
+      });
+      return;
+    }
+
     setLoading(true);
     setErrors({}); // Clear previous errors
 
     try {
-      // Combine date and time
-      const scheduledDateTime = new Date(`${formData.scheduledDate}T${formData.scheduledTime}`);
 
       const matchData = {
         gameId: formData.gameId,
@@ -205,14 +243,20 @@ const CreateEditMatchModal = ({ isOpen, onClose, onSave, match = null }) => {
       <Button variant="outline" onClick={onClose} disabled={loading}>
         <MdClose /> Cancelar
       </Button>
-      <Button 
-        variant="primary" 
-        onClick={handleSubmit} 
-        disabled={loading}
-        type="button"
-      >
-        <MdSave /> {loading ? 'Guardando...' : isEditing ? 'Actualizar' : 'Crear Partida'}
-      </Button>
+      {isLoggingPlayed ? (
+        <Button variant="primary" onClick={handleSubmit} type="button">
+          Resultados <MdArrowForward />
+        </Button>
+      ) : (
+        <Button 
+          variant="primary" 
+          onClick={handleSubmit} 
+          disabled={loading}
+          type="button"
+        >
+          <MdSave /> {loading ? 'Guardando...' : isEditing ? 'Actualizar' : 'Crear Partida'}
+        </Button>
+      )}
     </>
   );
 
@@ -220,12 +264,32 @@ const CreateEditMatchModal = ({ isOpen, onClose, onSave, match = null }) => {
     <Modal
       isOpen={isOpen}
       onClose={onClose}
-      title={isEditing ? 'Editar Partida' : 'Nueva Partida'}
+      title={isEditing ? 'Editar Partida' : isLoggingPlayed ? 'Registrar Partida Jugada' : 'Nueva Partida'}
       footer={footer}
       size="medium"
       closeOnBackdrop={false}
     >
       <div className={styles.form}>
+        {/* Programar o registrar una ya jugada */}
+        {!isEditing && onLogPlayed && (
+          <div className={styles.modeSelector}>
+            <button
+              type="button"
+              className={`${styles.modeButton} ${!alreadyPlayed ? styles.modeButtonActive : ''}`}
+              onClick={() => handleAlreadyPlayedChange(false)}
+            >
+              Programar
+            </button>
+            <button
+              type="button"
+              className={`${styles.modeButton} ${alreadyPlayed ? styles.modeButtonActive : ''}`}
+              onClick={() => handleAlreadyPlayedChange(true)}
+            >
+              Ya jugada
+            </button>
+          </div>
+        )}
+
         {/* Grupo */}
         <div className={styles.formGroup}>
           <label htmlFor="groupId">Grupo *</label>
@@ -311,7 +375,9 @@ const CreateEditMatchModal = ({ isOpen, onClose, onSave, match = null }) => {
         {/* Jugadores */}
         {formData.groupId && groupMembers.length > 0 && (
           <div className={styles.formGroup}>
-            <label>Jugadores Invitados * (mínimo 1 adicional, tú ya estás incluido)</label>
+            <label>
+              {isLoggingPlayed ? 'Jugadores' : 'Jugadores Invitados'} * (mínimo 1 adicional, tú ya estás incluido)
+            </label>
             <div className={styles.playersList}>
               {groupMembers.map(member => {
                 const userId = member.user?._id || member.user;
@@ -365,6 +431,7 @@ CreateEditMatchModal.propTypes = {
   isOpen: PropTypes.bool.isRequired,
   onClose: PropTypes.func.isRequired,
   onSave: PropTypes.func.isRequired,
+  onLogPlayed: PropTypes.func, // Without it, only scheduling is offered
   match: PropTypes.object
 };
 
@@ -1,4 +1,4 @@
-import { useState } from 'react';
+import { useState, useEffect, useCallback } from 'react';
 import PropTypes from 'prop-types';
 import { 
   MdClose, 
@@ -12,14 +12,25 @@ import {
   MdNotes,
   MdEmojiEvents,
   MdTimer,
-  MdLeaderboard
+  MdLeaderboard,
+  MdHistory
 } from 'react-icons/md';
 import { GiCardPlay, GiTrophy } from 'react-icons/gi';
 import Modal from '../common/Modal';
 import Button from '../common/Button';
 import { useAuth } from '../../context/AuthContext';
+import { useGroup } from '../../context/GroupContext';
+import { useToast } from '../../context/ToastContext';
+import matchService from '../../services/matchService';
+import { getWinnerIds } from '../../utils/matchUtils';
 import styles from './MatchDetailsModal.module.css';
 
+const CORRECTION_STATUS_LABELS = {
+  pending: 'Pendiente de aprobación',
+  approved: 'Aprobada',
+  rejected: 'Rechazada'
+};
+
 /**
  * Obtiene el estado de confirmación del usuario actual
  */
@@ -42,10 +53,36 @@ const MatchDetailsModal = ({
   onDelete, 
   onConfirm,
   onCancelConfirmation,
-  onRegisterResults
+  onRegisterResults,
+  onCorrectResults,
+  onMatchUpdated
 }) => {
-  const { user } = useAuth();
+  const { user, refreshUser } = useAuth();
+  const { groups } = useGroup();
+  const toast = useToast();
   const [loading, setLoading] = useState(false);
+  const [corrections, setCorrections] = useState([]);
+  const [canReviewCorrections, setCanReviewCorrections] = useState(false);
+
+  const matchId = match?._id;
+  const isFinished = match?.status === 'finalizada';
+
+  // Cargar el historial de correcciones de las partidas finalizadas
+  const loadCorrections = useCallback(async () => {
+    if (!isOpen || !matchId || !isFinished) {
+      setCorrections([]);
+      return;
+    }
+    try {
+      const response = await matchService.getResultCorrections(matchId);
+      setCorrections(response.data || []);
+      setCanReviewCorrections(!!response.canReview);
+    } catch {
+      setCorrections([]);
+    }
+  }, [isOpen, matchId, isFinished]);
+
+  useEffect(() => { loadCorrections(); }, [loadCorrections]);
 
   if (!match) return null;
 
@@ -58,8 +95,17 @@ const MatchDetailsModal = ({
   const isUserConfirmed = getUserConfirmationStatus(match, currentUserId);
   const isCreator = !!(currentUserId && creatorId && creatorId === currentUserId);
   
-  const canEdit = isCreator;
-  const canDelete = isCreator;
+  // El admin y los moderadores del grupo gestionan todas sus partidas
+  const matchGroupId = match.group?._id || match.group;
+  const matchGroup = groups.find(g => g._id === matchGroupId);
+  const isGroupManager = !!matchGroup && (
+    matchGroup.admin?._id === currentUserId ||
+    matchGroup.members?.some(m => m.user?._id === currentUserId && m.role === 'moderator')
+  );
+  const canManage = isCreator || isGroupManager;
+
+  const canEdit = canManage;
+  const canDelete = canManage;
 
   // Verificar si la partida está próxima (en las próximas 24h)
   const isUpcoming = () => {
@@ -106,6 +152,25 @@ const MatchDetailsModal = ({
     }
   };
 
+  const handleReviewCorrection = async (correctionId, approve) => {
+    setLoading(true);
+    try {
+      const response = approve
+        ? await matchService.approveResultCorrection(match._id, correctionId)
+        : await matchService.rejectResultCorrection(match._id, correctionId);
+      if (approve) {
+        await refreshUser();
+      }
+      onMatchUpdated?.(response.data);
+      toast.success(approve ? 'Corrección aprobada. El ranking se ha actualizado.' : 'Corrección rechazada');
+      await loadCorrections();
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Error al revisar la corrección');
+    } finally {
+      setLoading(false);
+    }
+  };
+
   const getStatusBadge = (status) => {
     const badges = {
       programada: { text: 'Programada', className: styles.statusProgramada },
@@ -118,9 +183,13 @@ const MatchDetailsModal = ({
 
   const statusBadge = getStatusBadge(match.status);
 
-  // Verificar si se puede registrar resultados (creador/admin y partida programada o en_curso)
-  const canRegisterResults = isCreator && (match.status === 'programada' || match.status === 'en_curso');
+  // Verificar si se puede registrar resultados (creador/admin/moderador y partida programada o en_curso)
+  const canRegisterResults = canManage && (match.status === 'programada' || match.status === 'en_curso');
   
+  // Solo se puede pedir una corrección si no hay otra pendiente
+  const hasPendingCorrection = corrections.some(c => c.status === 'pending');
+  const canCorrectResults = canManage && isFinished && !!onCorrectResults;
+
   // Verificar si TODOS los jugadores han confirmado asistencia
   const allPlayersConfirmed = match.players?.length > 0 && match.players.every(p => p.confirmed);
 
@@ -155,6 +224,16 @@ const MatchDetailsModal = ({
             <MdEmojiEvents /> Registrar Resultados
           </Button>
         )}
+        {canCorrectResults && (
+          <Button 
+            variant="outline" 
+            onClick={() => onCorrectResults(match)} 
+            disabled={loading || hasPendingCorrection}
+            title={hasPendingCorrection ? 'Ya hay una corrección pendiente de aprobación' : undefined}
+          >
+            <MdEdit /> Corregir Resultados
+          </Button>
+        )}
         {match.status === 'programada' && (
           isUserConfirmed ? (
             <Button 
@@ -287,8 +366,9 @@ const MatchDetailsModal = ({
                 .map((player, index) => {
                   const playerName = player.user?.name || player.user?.email || 'Usuario';
                   const isWinner = player.position === 1;
-                  const winnerId = match.winner?._id || match.winner;
-                  const isMatchWinner = winnerId && (player.user?._id || player.user) === winnerId;
+                  const isMatchWinner = getWinnerIds(match).includes(
+                    (player.user?._id || player.user)?.toString()
+                  );
                   
                   return (
                     <div 
@@ -328,6 +408,40 @@ const MatchDetailsModal = ({
           </div>
         )}
 
+        {/* Historial de correcciones */}
+        {corrections.length > 0 && (
+          <div className={styles.section}>
+            <h4 className={styles.sectionTitle}>
+              <MdHistory className={styles.titleIcon} /> Correcciones
+            </h4>
+            <div className={styles.correctionsList}>
+              {corrections.map(correction => (
+                <div key={correction._id} className={styles.correctionItem}>
+                  <div className={styles.correctionInfo}>
+                    <span className={`${styles.correctionStatus} ${styles[`correction_${correction.status}`]}`}>
+                      {CORRECTION_STATUS_LABELS[correction.status]}
+                    </span>
+                    <span className={styles.correctionMeta}>
+                      {correction.requestedBy?.name || 'Usuario'} · {new Date(correction.createdAt).toLocaleDateString('es-ES')}
+                    </span>
+                  </div>
+                  {correction.reason && <p className={styles.correctionReason}>{correction.reason}</p>}
+                  {correction.status === 'pending' && canReviewCorrections && (
+                    <div className={styles.correctionActions}>
+                      <Button variant="primary" size="small" onClick={() => handleReviewCorrection(correction._id, true)} disabled={loading}>
+                        <MdCheckCircle /> Aprobar
+                      </Button>
+                      <Button variant="outline" size="small" onClick={() => handleReviewCorrection(correction._id, false)} disabled={loading}>
+                        <MdCancel /> Rechazar
+                      </Button>
+                    </div>
+                  )}
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+
         {/* Lista de jugadores */}
         <div className={styles.section}>
           <h4 className={styles.sectionTitle}>
@@ -391,7 +505,9 @@ MatchDetailsModal.propTypes = {
   onDelete: PropTypes.func.isRequired,
   onConfirm: PropTypes.func.isRequired,
   onCancelConfirmation: PropTypes.func.isRequired,
-  onRegisterResults: PropTypes.func.isRequired
+  onRegisterResults: PropTypes.func.isRequired,
+  onCorrectResults: PropTypes.func,
+  onMatchUpdated: PropTypes.func
 };
 
 export default MatchDetailsModal;
@@ -5,25 +5,59 @@ import {
   MdClose, 
   MdTimer,
   MdNotes,
-  MdEmojiEvents
+  MdEmojiEvents,
+  MdAdd,
+  MdDelete,
+  MdGroups
 } from 'react-icons/md';
 import { GiPodium, GiTrophy } from 'react-icons/gi';
 import Modal from '../common/Modal';
 import Button from '../common/Button';
 import styles from './RegisterResultsModal.module.css';
 
+const MATCH_MODES = [
+  { value: 'individual', label: 'Individual' },
+  { value: 'teams', label: 'Equipos' },
+  { value: 'cooperative', label: 'Cooperativo' }
+];
+
+/**
+ * Checks tied positions: tied players share a position and the next one
+ * skips the places they take (1, 1, 3 is valid; 1, 1, 2 is not)
+ */
+const hasValidTies = (positions) => {
+  const counts = positions.reduce((acc, pos) => ({ ...acc, [pos]: (acc[pos] || 0) + 1 }), {});
+  return Object.entries(counts).every(([pos, count]) => {
+    for (let place = Number(pos) + 1; place < Number(pos) + count; place++) {
+      if (counts[place]) return false;
+    }
+    return true;
+  });
+};
+
+const createDefaultTeams = () => [
+  { name: 'Equipo 1', position: 1, score: '' },
+  { name: 'Equipo 2', position: 2, score: '' }
+];
+
 /**
  * Modal para registrar resultados de una partida finalizada
  * Solo muestra jugadores que confirmaron asistencia
+ * Admite partidas individuales, por equipos y cooperativas
+ * Con isCorrection parte de los resultados ya registrados y envía una corrección
  */
 const RegisterResultsModal = ({ 
   isOpen, 
   onClose, 
   match, 
-  onSave 
+  onSave,
+  isCorrection = false
 }) => {
   // Form state
   const [playerResults, setPlayerResults] = useState([]);
+  const [mode, setMode] = useState('individual');
+  const [teams, setTeams] = useState(createDefaultTeams);
+  const [cooperativeResult, setCooperativeResult] = useState(null);
   const [duration, setDuration] = useState('');
   const [notes, setNotes] = useState('');
   const [loading, setLoading] = useState(false);
@@ -32,22 +66,32 @@ const RegisterResultsModal = ({
   // Initialize player results when modal opens
   useEffect(() => {
     if (match && isOpen) {
-      // Only include players who confirmed attendance
-      const confirmedPlayers = match.players?.filter(p => p.confirmed) || [];
+      // Only include players who confirmed attendance (or already have a result when correcting)
+      const confirmedPlayers = match.players?.filter(p => p.confirmed || (isCorrection && p.position)) || [];
+      const matchTeams = isCorrection ? match.teams || [] : [];
       
-      const initialResults = confirmedPlayers.map(player => ({
-        userId: player.user?._id || player.user,
-        name: player.user?.name || player.user?.email || 'Jugador',
-        position: null,
-        score: ''
-      }));
+      const initialResults = confirmedPlayers.map(player => {
+        const teamIndex = matchTeams.findIndex(t => t._id === player.team);
+        return {
+          userId: player.user?._id || player.user,
+          name: player.user?.name || player.user?.email || 'Jugador',
+          position: isCorrection ? player.position || null : null,
+          score: isCorrection && player.score ? player.score.toString() : '',
+          team: teamIndex === -1 ? null : teamIndex
+        };
+      });
       
       setPlayerResults(initialResults);
+      setMode(match.mode || 'individual');
+      setTeams(matchTeams.length >= 2
+        ? matchTeams.map(t => ({ name: t.name, position: t.position || null, score: t.score ? t.score.toString() : '' }))
+        : createDefaultTeams());
+      setCooperativeResult(isCorrection ? match.cooperativeResult || null : null);
       setDuration(match.duration?.value?.toString() || '');
-      setNotes(match.notes || '');
+      setNotes(isCorrection ? '' : match.notes || '');
       setErrors({});
     }
-  }, [match, isOpen]);
+  }, [match, isOpen, isCorrection]);
 
   // Handle position change
   const handlePositionChange = (userId, position) => {
@@ -75,6 +119,58 @@ const RegisterResultsModal = ({
     );
   };
 
+  // Handle team assignment (teams mode)
+  const handleTeamAssign = (userId, teamIndex) => {
+    setPlayerResults(prev => 
+      prev.map(p => 
+        p.userId === userId 
+          ? { ...p, team: teamIndex === '' ? null : parseInt(teamIndex) }
+          : p
+      )
+    );
+    if (errors.positions) {
+      setErrors(prev => ({ ...prev, positions: '' }));
+    }
+  };
+
+  // Handle team field change (name, position, score)
+  const handleTeamChange = (index, field, value) => {
+    setTeams(prev => 
+      prev.map((team, i) => 
+        i === index 
+          ? { ...team, [field]: field === 'position' ? (value ? parseInt(value) : null) : value }
+          : team
+      )
+    );
+    if (errors.teams) {
+      setErrors(prev => ({ ...prev, teams: '' }));
+    }
+  };
+
+  const handleAddTeam = () => {
+    setTeams(prev => [
+      ...prev,
+      { name: `Equipo ${prev.length + 1}`, position: null, score: '' }
+    ]);
+  };
+
+  // Remove a team and unassign (or reindex) its players
+  const handleRemoveTeam = (index) => {
+    setTeams(prev => prev.filter((_, i) => i !== index));
+    setPlayerResults(prev => 
+      prev.map(p => {
+        if (p.team === index) return { ...p, team: null };
+        if (p.team !== null && p.team > index) return { ...p, team: p.team - 1 };
+        return p;
+      })
+    );
+  };
+
+  const handleModeChange = (newMode) => {
+    setMode(newMode);
+    setErrors({});
+  };
+
   // Format duration to show hours/minutes
   const formatDurationDisplay = (minutes) => {
     if (!minutes || isNaN(minutes)) return '';
@@ -91,16 +187,40 @@ const RegisterResultsModal = ({
   const validateForm = () => {
     const newErrors = {};
 
-    // Check that all have assigned position
-    const playersWithPosition = playerResults.filter(p => p.position !== null);
-    if (playersWithPosition.length === 0) {
-      newErrors.positions = 'Debes asignar al menos una posición';
-    }
+    if (mode === 'teams') {
+      // Every player must be in a team and at least 2 teams must have players
+      if (playerResults.some(p => p.team === null)) {
+        newErrors.positions = 'Todos los jugadores deben estar en un equipo';
+      }
+
+      const usedTeams = teams.filter((_, i) => playerResults.some(p => p.team === i));
+      if (usedTeams.length < 2) {
+        newErrors.teams = 'Debe haber al menos 2 equipos con jugadores';
+      } else if (usedTeams.some(t => !t.name.trim())) {
+        newErrors.teams = 'Todos los equipos deben tener nombre';
+      } else if (usedTeams.some(t => !t.position)) {
+        newErrors.teams = 'Todos los equipos deben tener una posición asignada';
+      } else if (!hasValidTies(usedTeams.map(t => t.position))) {
+        newErrors.teams = 'Tras un empate, la siguiente posición salta los puestos ocupados (p. ej. 1º, 1º, 3º)';
+      }
+    } else if (mode === 'cooperative') {
+      if (!cooperativeResult) {
+        newErrors.positions = 'Indica si el grupo ganó o perdió la partida';
+      }
+    } else {
+      // Check that all have assigned position
+      const playersWithPosition = playerResults.filter(p => p.position !== null);
+      if (playersWithPosition.length === 0) {
+        newErrors.positions = 'Debes asignar al menos una posición';
+      }
 
-    // Check that no positions are empty for any player
-    const playersWithoutPosition = playerResults.filter(p => p.position === null);
-    if (playersWithoutPosition.length > 0 && playersWithPosition.length > 0) {
-      newErrors.positions = 'Todos los jugadores deben tener una posición asignada';
+      // Check that no positions are empty for any player
+      const playersWithoutPosition = playerResults.filter(p => p.position === null);
+      if (playersWithoutPosition.length > 0 && playersWithPosition.length > 0) {
+        newErrors.positions = 'Todos los jugadores deben tener una posición asignada';
+      } else if (!hasValidTies(playersWithPosition.map(p => p.position))) {
+        newErrors.positions = 'Tras un empate, la siguiente posición salta los puestos ocupados (p. ej. 1º, 1º, 3º)';
+      }
     }
 
     // Validate duration if provided
@@ -123,23 +243,45 @@ const RegisterResultsModal = ({
     setLoading(true);
 
     try {
-      // Determine winner (position 1)
-      const winner = playerResults.find(p => p.position === 1);
-      
-      // Prepare data to send
-      const resultData = {
-        winnerId: winner?.userId || null,
-        results: playerResults.map(p => ({
+      // Prepare data to send (a correction only changes results and carries its reason)
+      const resultData = isCorrection
+        ? { mode, reason: notes.trim() || undefined }
+        : {
+          mode,
+          duration: duration ? {
+            value: parseInt(duration),
+            unit: 'minutos'
+          } : null,
+          notes: notes.trim() || undefined
+        };
+
+      if (mode === 'teams') {
+        // Players take the position and score of their team
+        resultData.teams = teams
+          .map((team, index) => ({
+            name: team.name.trim(),
+            position: team.position,
+            score: team.score ? parseInt(team.score) : 0,
+            userIds: playerResults.filter(p => p.team === index).map(p => p.userId)
+          }))
+          .filter(team => team.userIds.length > 0);
+      } else if (mode === 'cooperative') {
+        resultData.cooperativeResult = cooperativeResult;
+        resultData.results = playerResults.map(p => ({
+          userId: p.userId,
+          score: p.score ? parseInt(p.score) : 0
+        }));
+      } else {
+        // Determine winner (position 1); on a tie for 1st the backend records all of them
+        const firstPlace = playerResults.filter(p => p.position === 1);
+
+        resultData.winnerId = firstPlace.length === 1 ? firstPlace[0].userId : null;
+        resultData.results = playerResults.map(p => ({
           userId: p.userId,
           position: p.position,
           score: p.score ? parseInt(p.score) : 0
-        })),
-        duration: duration ? {
-          value: parseInt(duration),
-          unit: 'minutos'
-        } : null,
-        notes: notes.trim() || undefined
-      };
+        }));
+      }
 
       await onSave(match._id, resultData);
     } catch (error) {
@@ -158,13 +300,35 @@ const RegisterResultsModal = ({
     (_, i) => i + 1
   );
 
+  const teamPositions = Array.from(
+    { length: teams.length }, 
+    (_, i) => i + 1
+  );
+
+  // Whether a player is among the winners in the current mode
+  const isPlayerWinner = (player) => {
+    if (mode === 'teams') {
+      return player.team !== null && teams[player.team]?.position === 1;
+    }
+    if (mode === 'cooperative') {
+      return cooperativeResult === 'win';
+    }
+    return player.position === 1;
+  };
+
+  const playersHint = {
+    individual: 'Asigna la posición final de cada jugador (1º = Ganador). En caso de empate, repite la posición',
+    teams: 'Asigna cada jugador a su equipo; todos comparten el resultado del equipo',
+    cooperative: 'Todos los jugadores comparten el resultado de la partida'
+  };
+
   const footer = (
     <div className={styles.footerActions}>
       <Button variant="outline" onClick={onClose} disabled={loading}>
         <MdClose /> Cancelar
       </Button>
       <Button variant="primary" onClick={handleSubmit} disabled={loading}>
-        <MdSave /> {loading ? 'Guardando...' : 'Guardar Resultados'}
+        <MdSave /> {loading ? 'Guardando...' : isCorrection ? 'Enviar Corrección' : 'Guardar Resultados'}
       </Button>
     </div>
   );
@@ -173,7 +337,7 @@ const RegisterResultsModal = ({
     <Modal
       isOpen={isOpen}
       onClose={onClose}
-      title="Registrar Resultados"
+      title={isCorrection ? 'Corregir Resultados' : 'Registrar Resultados'}
       footer={footer}
       size="medium"
       closeOnBackdrop={false}
@@ -206,14 +370,129 @@ const RegisterResultsModal = ({
           </div>
         </div>
 
-        {/* Sección de posiciones */}
+        {/* Tipo de partida */}
+        <div className={styles.section}>
+          <h4 className={styles.sectionTitle}>
+            <MdGroups className={styles.sectionIcon} />
+            Tipo de partida
+          </h4>
+          <div className={styles.modeSelector}>
+            {MATCH_MODES.map(({ value, label }) => (
+              <button
+                key={value}
+                type="button"
+                className={`${styles.modeButton} ${mode === value ? styles.modeButtonActive : ''}`}
+                onClick={() => handleModeChange(value)}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        {/* Equipos */}
+        {mode === 'teams' && (
+          <div className={styles.section}>
+            <h4 className={styles.sectionTitle}>
+              <GiPodium className={styles.sectionIcon} />
+              Equipos
+            </h4>
+            <p className={styles.sectionHint}>
+              Indica la posición final de cada equipo (1º = Ganador)
+            </p>
+
+            <div className={styles.teamsList}>
+              {teams.map((team, index) => (
+                <div key={index} className={styles.teamRow}>
+                  <input
+                    type="text"
+                    value={team.name}
+                    onChange={(e) => handleTeamChange(index, 'name', e.target.value)}
+                    className={`${styles.input} ${styles.teamName}`}
+                    maxLength={50}
+                  />
+                  <select
+                    value={team.position || ''}
+                    onChange={(e) => handleTeamChange(index, 'position', e.target.value)}
+                    className={`${styles.select} ${team.position === 1 ? styles.winner : ''}`}
+                  >
+                    <option value="">--</option>
+                    {teamPositions.map(pos => (
+                      <option key={pos} value={pos}>
+                        {pos}º {pos === 1 && '🏆'}
+                      </option>
+                    ))}
+                  </select>
+                  <input
+                    type="number"
+                    value={team.score}
+                    onChange={(e) => handleTeamChange(index, 'score', e.target.value)}
+                    placeholder="Puntos"
+                    className={`${styles.input} ${styles.teamScore}`}
+                    min="0"
+                  />
+                  {teams.length > 2 && (
+                    <button
+                      type="button"
+                      className={styles.removeTeamButton}
+                      onClick={() => handleRemoveTeam(index)}
+                      aria-label={`Eliminar ${team.name}`}
+                    >
+                      <MdDelete />
+                    </button>
+                  )}
+                </div>
+              ))}
+            </div>
+
+            {teams.length < playerResults.length && (
+              <Button variant="outline" size="small" onClick={handleAddTeam}>
+                <MdAdd /> Añadir equipo
+              </Button>
+            )}
+
+            {errors.teams && (
+              <div className={styles.error}>
+                <span>⚠️ {errors.teams}</span>
+              </div>
+            )}
+          </div>
+        )}
+
+        {/* Resultado cooperativo */}
+        {mode === 'cooperative' && (
+          <div className={styles.section}>
+            <h4 className={styles.sectionTitle}>
+              <GiTrophy className={styles.sectionIcon} />
+              Resultado
+            </h4>
+            <div className={styles.modeSelector}>
+              <button
+                type="button"
+                className={`${styles.modeButton} ${cooperativeResult === 'win' ? styles.modeButtonActive : ''}`}
+                onClick={() => setCooperativeResult('win')}
+              >
+                Victoria
+              </button>
+              <button
+                type="button"
+                className={`${styles.modeButton} ${cooperativeResult === 'loss' ? styles.modeButtonActive : ''}`}
+                onClick={() => setCooperativeResult('loss')}
+              >
+                Derrota
+              </button>
+            </div>
+          </div>
+        )}
+
+        {/* Sección de jugadores */}
         <div className={styles.section}>
           <h4 className={styles.sectionTitle}>
             <GiPodium className={styles.sectionIcon} />
-            Posiciones Finales
+            {mode === 'individual' ? 'Posiciones Finales' : 'Jugadores'}
           </h4>
           <p className={styles.sectionHint}>
-            Asigna la posición final de cada jugador (1º = Ganador)
+            {playersHint[mode]}
           </p>
 
           <div className={styles.playersList}>
@@ -227,36 +506,58 @@ const RegisterResultsModal = ({
                 </div>
 
                 <div className={styles.playerInputs}>
-                  <div className={styles.positionSelect}>
-                    <label className={styles.inputLabel}>Posición</label>
-                    <select
-                      value={player.position || ''}
-                      onChange={(e) => handlePositionChange(player.userId, e.target.value)}
-                      className={`${styles.select} ${player.position === 1 ? styles.winner : ''}`}
-                    >
-                      <option value="">--</option>
-                      {availablePositions.map(pos => (
-                        <option key={pos} value={pos}>
-                          {pos}º {pos === 1 && '🏆'}
-                        </option>
-                      ))}
-                    </select>
-                  </div>
+                  {mode === 'individual' && (
+                    <div className={styles.positionSelect}>
+                      <label className={styles.inputLabel}>Posición</label>
+                      <select
+                        value={player.position || ''}
+                        onChange={(e) => handlePositionChange(player.userId, e.target.value)}
+                        className={`${styles.select} ${player.position === 1 ? styles.winner : ''}`}
+                      >
+                        <option value="">--</option>
+                        {availablePositions.map(pos => (
+                          <option key={pos} value={pos}>
+                            {pos}º {pos === 1 && '🏆'}
+                          </option>
+                        ))}
+                      </select>
+                    </div>
+                  )}
 
-                  <div className={styles.scoreInput}>
-                    <label className={styles.inputLabel}>Puntos (opcional)</label>
-                    <input
-                      type="number"
-                      value={player.score}
-                      onChange={(e) => handleScoreChange(player.userId, e.target.value)}
-                      placeholder="0"
-                      className={styles.input}
-                      min="0"
-                    />
-                  </div>
+                  {mode === 'teams' && (
+                    <div className={styles.positionSelect}>
+                      <label className={styles.inputLabel}>Equipo</label>
+                      <select
+                        value={player.team ?? ''}
+                        onChange={(e) => handleTeamAssign(player.userId, e.target.value)}
+                        className={styles.select}
+                      >
+                        <option value="">--</option>
+                        {teams.map((team, index) => (
+                          <option key={index} value={index}>
+                            {team.name || `Equipo ${index + 1}`}
+                          </option>
+                        ))}
+                      </select>
+                    </div>
+                  )}
+
+                  {mode !== 'teams' && (
+                    <div className={styles.scoreInput}>
+                      <label className={styles.inputLabel}>Puntos (opcional)</label>
+                      <input
+                        type="number"
+                        value={player.score}
+                        onChange={(e) => handleScoreChange(player.userId, e.target.value)}
+                        placeholder="0"
+                        className={styles.input}
+                        min="0"
+                      />
+                    </div>
+                  )}
                 </div>
 
-                {player.position === 1 && (
+                {isPlayerWinner(player) && (
                   <div className={styles.winnerBadge}>
                     <MdEmojiEvents /> Ganador
                   </div>
@@ -273,50 +574,52 @@ const RegisterResultsModal = ({
         </div>
 
         {/* Duración */}
-        <div className={styles.section}>
-          <h4 className={styles.sectionTitle}>
-            <MdTimer className={styles.sectionIcon} />
-            Duración (opcional)
-          </h4>
+        {!isCorrection && (
+          <div className={styles.section}>
+            <h4 className={styles.sectionTitle}>
+              <MdTimer className={styles.sectionIcon} />
+              Duración (opcional)
+            </h4>
           
-          <div className={styles.durationInput}>
-            <input
-              type="number"
-              value={duration}
-              onChange={(e) => setDuration(e.target.value)}
-              placeholder="Duración en minutos"
-              className={styles.input}
-              min="1"
-              max="1440"
-            />
-            <span className={styles.durationHint}>
-              {formatDurationDisplay(duration)}
-            </span>
-          </div>
-
-          {errors.duration && (
-            <div className={styles.error}>
-              <span>⚠️ {errors.duration}</span>
+            <div className={styles.durationInput}>
+              <input
+                type="number"
+                value={duration}
+                onChange={(e) => setDuration(e.target.value)}
+                placeholder="Duración en minutos"
+                className={styles.input}
+                min="1"
+                max="1440"
+              />
+              <span className={styles.durationHint}>
+                {formatDurationDisplay(duration)}
+              </span>
             </div>
-          )}
-        </div>
+
+            {errors.duration && (
+              <div className={styles.error}>
+                <span>⚠️ {errors.duration}</span>
+              </div>
+            )}
+          </div>
+        )}
 
         {/* Notas */}
         <div className={styles.section}>
           <h4 className={styles.sectionTitle}>
             <MdNotes className={styles.sectionIcon} />
-            Notas (opcional)
+            {isCorrection ? 'Motivo de la corrección' : 'Notas (opcional)'}
           </h4>
           
           <textarea
             value={notes}
             onChange={(e) => setNotes(e.target.value)}
-            placeholder="Añade comentarios sobre la partida..."
+            placeholder={isCorrection ? 'Explica qué se corrige...' : 'Añade comentarios sobre la partida...'}
             className={styles.textarea}
-            maxLength={1000}
+            maxLength={isCorrection ? 500 : 1000}
             rows={3}
           />
-          <span className={styles.charCount}>{notes.length}/1000</span>
+          <span className={styles.charCount}>{notes.length}/{isCorrection ? 500 : 1000}</span>
         </div>
 
         {/* Error general */}
@@ -334,7 +637,8 @@ RegisterResultsModal.propTypes = {
   isOpen: PropTypes.bool.isRequired,
   onClose: PropTypes.func.isRequired,
   match: PropTypes.object,
-  onSave: PropTypes.func.isRequired
+  onSave: PropTypes.func.isRequired,
+  isCorrection: PropTypes.bool
 };
 
 export default RegisterResultsModal;
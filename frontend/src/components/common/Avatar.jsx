@@ -0,0 +1,80 @@
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import { isValidAvatar } from '../../utils/validators';
+import styles from './Avatar.module.css';
+
+// Sizes the backend stores for each uploaded avatar (file <hash>-<size>.<ext>)
+const UPLOADED_SIZES = [64, 128, 256];
+const UPLOADED_AVATAR = /\/avatars\/[0-9a-f]+-\d+\.\w+$/;
+
+/**
+ * Iniciales de un nombre (máximo dos letras)
+ */
+const getInitials = (name = '') => {
+  const words = name.trim().split(/[\s_-]+/).filter(Boolean);
+  if (words.length === 0) return '?';
+  const letters = words.length > 1 ? words[0][0] + words[1][0] : words[0].slice(0, 2);
+  return letters.toUpperCase();
+};
+
+/**
+ * Color de fondo estable para un nombre
+ */
+const getColor = (name = '') => {
+  let hash = 0;
+  for (const char of name) {
+    hash = (hash * 31 + char.charCodeAt(0)) % 360;
+  }
+  return `hsl(${hash}, 45%, 42%)`;
+};
+
+/**
+ * Componente Avatar - Imagen del usuario o grupo, o sus iniciales si no tiene
+ * @param {Object} props
+ * @param {string} props.src - URL del avatar
+ * @param {string} props.name - Nombre para el texto alternativo y las iniciales
+ * @param {number} props.size - Tamaño mostrado en píxeles (elige la imagen a descargar)
+ * @param {string} props.className - Clases CSS (tamaño, borde...)
+ */
+const Avatar = ({ src, name = '', size = 64, className = '' }) => {
+  const [failedSrc, setFailedSrc] = useState(null);
+
+  if (isValidAvatar(src) && failedSrc !== src) {
+    const srcSet = UPLOADED_AVATAR.test(src)
+      ? UPLOADED_SIZES.map(width => `${src.replace(/-\d+(\.\w+)$/, `-${width}$1`)} ${width}w`).join(', ')
+      : undefined;
+
+    return (
+      <img
+        src={src}
+        srcSet={srcSet}
+        sizes={srcSet && `${size}px`}
+        alt={name}
+        className={`${styles.image} ${className}`}
+        onError={() => setFailedSrc(src)}
+      />
+    );
+  }
+
+  return (
+    <span
+      className={`${styles.initials} ${className}`}
+      style={{ backgroundColor: getColor(name) }}
+      role="img"
+      aria-label={name}
+    >
+      <svg viewBox="0 0 100 100" aria-hidden="true">
+        <text x="50" y="50" dy="0.35em" textAnchor="middle">{getInitials(name)}</text>
+      </svg>
+    </span>
+  );
+};
+
+Avatar.propTypes = {
+  src: PropTypes.string,
+  name: PropTypes.string,
+  size: PropTypes.number,
+  className: PropTypes.string
+};
+
+export default Avatar;
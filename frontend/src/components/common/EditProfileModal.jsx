@@ -1,42 +1,18 @@
-import { useState, useRef, useEffect } from 'react';
+import { useState, useEffect } from 'react';
 import PropTypes from 'prop-types';
-import { FiCamera, FiSave, FiUser, FiMail, FiAlertCircle, FiAtSign } from 'react-icons/fi';
-import { FaUserCircle } from 'react-icons/fa';
+import { FiSave, FiUser, FiMail, FiAlertCircle, FiAtSign } from 'react-icons/fi';
 import Modal from './Modal';
 import Button from './Button';
+import Avatar from './Avatar';
+import ImageUploader from './ImageUploader';
 import { isValidAvatar } from '../../utils/validators';
 import authService from '../../services/authService';
 import styles from './EditProfileModal.module.css';
 
-const compressImage = (file, maxSize = 400, quality = 0.8) => new Promise((resolve, reject) => {
-  const reader = new FileReader();
-  reader.readAsDataURL(file);
-  reader.onload = (e) => {
-    const img = new Image();
-    img.src = e.target.result;
-    img.onload = () => {
-      const canvas = document.createElement('canvas');
-      let { width, height } = img;
-      if (width > height) {
-        if (width > maxSize) { height = Math.round((height * maxSize) / width); width = maxSize; }
-      } else {
-        if (height > maxSize) { width = Math.round((width * maxSize) / height); height = maxSize; }
-      }
-      canvas.width = width;
-      canvas.height = height;
-      canvas.getContext('2d').drawImage(img, 0, 0, width, height);
-      resolve(canvas.toDataURL('image/jpeg', quality));
-    };
-    img.onerror = reject;
-  };
-  reader.onerror = reject;
-});
-
 /**
  * Modal para editar perfil de usuario
  */
 const EditProfileModal = ({ isOpen, onClose, user, onSave }) => {
-  const fileInputRef = useRef(null);
   const [loading, setLoading] = useState(false);
   const [errors, setErrors] = useState({});
   const [nicknameSuggestions, setNicknameSuggestions] = useState([]);
@@ -50,6 +26,10 @@ const EditProfileModal = ({ isOpen, onClose, user, onSave }) => {
     email: '',
     avatar: ''
   });
+  // The avatar is uploaded on save: chosen file, or removal of the current one
+  const [avatarFile, setAvatarFile] = useState(null);
+  const [removeAvatar, setRemoveAvatar] = useState(false);
+  const [uploaderKey, setUploaderKey] = useState(0);
 
   useEffect(() => {
     if (user && isOpen) {
@@ -57,8 +37,10 @@ const EditProfileModal = ({ isOpen, onClose, user, onSave }) => {
         nickname: user.nickname || '',
         name: user.name || '',
         email: user.email || '',
-        avatar: user.avatar || ''
+        avatar: isValidAvatar(user.avatar) ? user.avatar : ''
       });
+      setAvatarFile(null);
+      setRemoveAvatar(false);
       setErrors({});
       setNicknameSuggestions([]);
       setNicknameAvailable(null);
@@ -179,16 +161,17 @@ const EditProfileModal = ({ isOpen, onClose, user, onSave }) => {
     setNicknameAvailable(true);
   };
 
-  const handleFileChange = async (e) => {
-    const file = e.target.files?.[0];
-    if (file) {
-      try {
-        const compressed = await compressImage(file);
-        setFormData(prev => ({ ...prev, avatar: compressed }));
-      } catch {
-        setErrors(prev => ({ ...prev, avatar: 'Failed to process image' }));
-      }
-    }
+  const handleAvatarSelected = (file) => {
+    setAvatarFile(file);
+    setRemoveAvatar(false);
+  };
+
+  const handleRemoveAvatar = () => {
+    setAvatarFile(null);
+    setRemoveAvatar(isValidAvatar(user?.avatar));
+    setFormData(prev => ({ ...prev, avatar: '' }));
+    // Remount the uploader to clear its preview
+    setUploaderKey(key => key + 1);
   };
 
   const validate = () => {
@@ -237,7 +220,8 @@ const EditProfileModal = ({ isOpen, onClose, user, onSave }) => {
         nickname: formData.nickname.trim().toLowerCase(),
         name: formData.name.trim(),
         email: formData.email.trim(),
-        avatar: formData.avatar
+        avatarFile,
+        removeAvatar
       });
       onClose();
     } catch (error) {
@@ -265,8 +249,10 @@ const EditProfileModal = ({ isOpen, onClose, user, onSave }) => {
       nickname: user?.nickname || '',
       name: user?.name || '',
       email: user?.email || '',
-      avatar: user?.avatar || ''
+      avatar: isValidAvatar(user?.avatar) ? user.avatar : ''
     });
+    setAvatarFile(null);
+    setRemoveAvatar(false);
     setErrors({});
     onClose();
   };
@@ -282,15 +268,18 @@ const EditProfileModal = ({ isOpen, onClose, user, onSave }) => {
       <form onSubmit={handleSubmit} className={styles.form}>
         {/* Avatar compacto */}
         <div className={styles.avatarSection}>
-          <div className={styles.avatarWrapper} onClick={() => fileInputRef.current?.click()}>
-            {isValidAvatar(formData.avatar) ? (
-              <img src={formData.avatar} alt="Avatar" className={styles.avatar} />
-            ) : (
-              <FaUserCircle className={styles.avatarIcon} />
-            )}
-            <div className={styles.avatarOverlay}><FiCamera /></div>
-          </div>
-          <input ref={fileInputRef} type="file" accept="image/*" onChange={handleFileChange} className={styles.fileInput} />
+          <ImageUploader
+            key={uploaderKey}
+            currentImage={formData.avatar}
+            onFileSelected={handleAvatarSelected}
+            shape="round"
+            fallback={<Avatar name={formData.name || formData.nickname} size={80} />}
+          />
+          {(formData.avatar || avatarFile) && (
+            <button type="button" className={styles.removeAvatarBtn} onClick={handleRemoveAvatar}>
+              Quitar foto
+            </button>
+          )}
         </div>
 
         {errors.general && (
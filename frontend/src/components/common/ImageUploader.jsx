@@ -1,14 +1,37 @@
-import { useState, useRef } from 'react';
+import { useState, useRef, useEffect } from 'react';
 import PropTypes from 'prop-types';
 import styles from './ImageUploader.module.css';
 import gameService from '../../services/gameService';
 import { useToast } from '../../context/ToastContext';
 
-const ImageUploader = ({ gameId, currentImage, onImageUploaded }) => {
+/**
+ * Componente ImageUploader - Selección y subida de una imagen con vista previa
+ * @param {Object} props
+ * @param {string} props.gameId - Juego al que se sube la imagen (si no se pasa upload)
+ * @param {string} props.currentImage - Imagen actual
+ * @param {Function} props.onImageUploaded - Recibe la URL de la imagen subida
+ * @param {Function} props.upload - Sube el archivo y devuelve la URL (por defecto, imagen de juego)
+ * @param {Function} props.onFileSelected - Si se pasa, no se sube nada: recibe el archivo para subirlo después
+ * @param {'portrait' | 'round'} props.shape - Forma de la vista previa (round para avatares)
+ * @param {React.ReactNode} props.fallback - Contenido cuando no hay imagen
+ */
+const ImageUploader = ({
+  gameId,
+  currentImage,
+  onImageUploaded,
+  upload,
+  onFileSelected,
+  shape = 'portrait',
+  fallback,
+}) => {
   const [uploading, setUploading] = useState(false);
   const [preview, setPreview] = useState(currentImage);
   const fileInputRef = useRef(null);
-  const { showToast } = useToast();
+  const toast = useToast();
+
+  useEffect(() => {
+    setPreview(currentImage);
+  }, [currentImage]);
 
   const handleFileChange = async (event) => {
     const file = event.target.files[0];
@@ -18,14 +41,14 @@ const ImageUploader = ({ gameId, currentImage, onImageUploaded }) => {
     // Validate file type
     const validTypes = ['image/jpeg', 'image/jpg', 'image/png', 'image/gif', 'image/webp'];
     if (!validTypes.includes(file.type)) {
-      showToast('Solo se permiten imágenes (JPEG, PNG, GIF, WEBP)', 'error');
+      toast.error('Solo se permiten imágenes (JPEG, PNG, GIF, WEBP)');
       return;
     }
 
     // Validate size (5MB max)
     const maxSize = 5 * 1024 * 1024; // 5MB
     if (file.size > maxSize) {
-      showToast('La imagen no puede superar los 5MB', 'error');
+      toast.error('La imagen no puede superar los 5MB');
       return;
     }
 
@@ -36,22 +59,27 @@ const ImageUploader = ({ gameId, currentImage, onImageUploaded }) => {
     };
     reader.readAsDataURL(file);
 
+    // Uploaded later by the parent
+    if (onFileSelected) {
+      onFileSelected(file);
+      return;
+    }
+
     // Upload image
     try {
       setUploading(true);
-      const response = await gameService.uploadGameImage(gameId, file);
+      const imageUrl = upload
+        ? await upload(file)
+        : (await gameService.uploadGameImage(gameId, file)).data.imageUrl;
       
-      showToast('Imagen subida exitosamente', 'success');
+      toast.success('Imagen subida exitosamente');
       
       if (onImageUploaded) {
-        onImageUploaded(response.data.imageUrl);
+        onImageUploaded(imageUrl);
       }
     } catch (error) {
       console.error('Error uploading image:', error);
-      showToast(
-        error.response?.data?.message || 'Error al subir la imagen',
-        'error'
-      );
+      toast.error(error.response?.data?.message || 'Error al subir la imagen');
       // Restore previous preview
       setPreview(currentImage);
     } finally {
@@ -64,11 +92,11 @@ const ImageUploader = ({ gameId, currentImage, onImageUploaded }) => {
   };
 
   return (
-    <div className={styles.imageUploader}>
+    <div className={`${styles.imageUploader} ${shape === 'round' ? styles.round : ''}`}>
       <div className={styles.imagePreview} onClick={handleClick}>
         {preview ? (
           <img src={preview} alt="Preview" className={styles.image} />
-        ) : (
+        ) : fallback || (
           <div className={styles.placeholder}>
             <svg
               className={styles.uploadIcon}
@@ -113,9 +141,13 @@ const ImageUploader = ({ gameId, currentImage, onImageUploaded }) => {
 };
 
 ImageUploader.propTypes = {
-  gameId: PropTypes.string.isRequired,
+  gameId: PropTypes.string,
   currentImage: PropTypes.string,
   onImageUploaded: PropTypes.func,
+  upload: PropTypes.func,
+  onFileSelected: PropTypes.func,
+  shape: PropTypes.oneOf(['portrait', 'round']),
+  fallback: PropTypes.node,
 };
 
 export default ImageUploader;
@@ -0,0 +1,68 @@
+import PropTypes from 'prop-types';
+import styles from './ImportProgress.module.css';
+
+/**
+ * Progreso de una importación en segundo plano: barra, contadores y errores
+ */
+const ImportProgress = ({
+  job,
+  isRunning,
+  runningLabel,
+  importedLabel,
+  skippedLabel,
+  describeFailure = failure => failure.name,
+}) => {
+  const percent = job.total > 0 ? Math.round((job.processed / job.total) * 100) : 100;
+
+  return (
+    <div className={styles.progress}>
+      <p className={styles.summary}>
+        {isRunning
+          ? `${runningLabel} (${job.processed}/${job.total})`
+          : job.status === 'completed' ? 'Importación terminada' : 'La importación se interrumpió'}
+      </p>
+      <div className={styles.progressBar}>
+        <div className={styles.progressFill} style={{ width: `${percent}%` }} />
+      </div>
+      <div className={styles.counters}>
+        <span>✅ {job.imported} {importedLabel}</span>
+        <span>⏭️ {job.skipped} {skippedLabel}</span>
+        <span>⚠️ {job.failures?.length || 0} con errores</span>
+      </div>
+      {isRunning && (
+        <p className={styles.hint}>
+          Puedes cerrar esta ventana: la importación seguirá en segundo plano.
+        </p>
+      )}
+      {job.failures?.length > 0 && (
+        <ul className={styles.failures}>
+          {job.failures.map((failure, index) => (
+            <li key={index}>{describeFailure(failure)}: {failure.message}</li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+ImportProgress.propTypes = {
+  job: PropTypes.shape({
+    status: PropTypes.string.isRequired,
+    total: PropTypes.number,
+    processed: PropTypes.number,
+    imported: PropTypes.number,
+    skipped: PropTypes.number,
+    failures: PropTypes.arrayOf(PropTypes.shape({
+      bggId: PropTypes.number,
+      name: PropTypes.string,
+      message: PropTypes.string,
+    })),
+  }).isRequired,
+  isRunning: PropTypes.bool.isRequired,
+  runningLabel: PropTypes.string.isRequired, // p. ej. "Importando partidas…"
+  importedLabel: PropTypes.string.isRequired,
+  skippedLabel: PropTypes.string.isRequired,
+  describeFailure: PropTypes.func, // failure → nombre mostrado
+};
+
+export default ImportProgress;
@@ -3,5 +3,8 @@ export { default as Input } from './Input';
 export { default as Card } from './Card';
 export { default as Loading } from './Loading';
 export { default as Modal } from './Modal';
+export { default as Avatar } from './Avatar';
+export { default as ImageUploader } from './ImageUploader';
+export { default as ImportProgress } from './ImportProgress';
 export { Toast, ToastContainer } from './Toast';
 
@@ -0,0 +1,335 @@
+import { useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import { MdArrowBack, MdCloudDownload, MdUploadFile, MdPerson } from 'react-icons/md';
+import { useToast } from '../../context/ToastContext';
+import Modal from '../common/Modal';
+import Input from '../common/Input';
+import Button from '../common/Button';
+import Loading from '../common/Loading';
+import ImportProgress from '../common/ImportProgress';
+import useImportJobPolling from '../../hooks/useImportJobPolling';
+import gameService from '../../services/gameService';
+import styles from './ImportCollectionModal.module.css';
+
+/**
+ * Modal para importar en bloque la colección de BGG de un usuario
+ * Pasos: origen (usuario de BGG o exportación XML/CSV) → vista previa → progreso
+ */
+const ImportCollectionModal = ({ isOpen, onClose, onImported, groups = [], defaultGroupId = '' }) => {
+  const toast = useToast();
+  const [step, setStep] = useState('source'); // 'source', 'preview', 'progress'
+  const [sourceType, setSourceType] = useState('username'); // 'username', 'file'
+  const [username, setUsername] = useState('');
+  const [file, setFile] = useState(null);
+  const [groupId, setGroupId] = useState(defaultGroupId);
+  const [preview, setPreview] = useState(null);
+  const [selected, setSelected] = useState(new Set());
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (isOpen) setGroupId(defaultGroupId);
+  }, [isOpen, defaultGroupId]);
+
+  // Notify once when the import ends
+  const { job, isRunning, error: pollError, follow, reset } = useImportJobPolling(
+    (jobId) => gameService.getCollectionImport(jobId),
+    {
+      onFinish: (finished) => {
+        if (finished.status === 'completed') {
+          toast.success(`${finished.imported} juego${finished.imported !== 1 ? 's' : ''} importado${finished.imported !== 1 ? 's' : ''}`, {
+            title: 'Importación terminada'
+          });
+        } else {
+          toast.error(finished.error || 'La importación se interrumpió', { title: 'Error al importar' });
+        }
+        onImported();
+      },
+    }
+  );
+
+  const resetModal = () => {
+    setStep('source');
+    setUsername('');
+    setFile(null);
+    setPreview(null);
+    setSelected(new Set());
+    reset();
+    setError('');
+  };
+
+  // The import keeps running on the server if the modal is closed
+  const handleClose = () => {
+    if (isRunning) {
+      toast.info('La importación sigue en segundo plano');
+    }
+    resetModal();
+    onClose();
+  };
+
+  const handlePreview = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError('');
+
+    try {
+      const response = await gameService.previewCollectionImport({
+        username: sourceType === 'username' ? username.trim() : undefined,
+        file: sourceType === 'file' ? file : undefined,
+        groupId: groupId || undefined,
+      });
+      setPreview(response.data);
+      setSelected(new Set(
+        response.data.games.filter(g => !g.alreadyInLibrary).map(g => g.bggId)
+      ));
+      setStep('preview');
+    } catch (err) {
+      setError(err.response?.data?.message || 'No se pudo leer la colección');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const toggleGame = (bggId) => {
+    setSelected(prev => {
+      const next = new Set(prev);
+      if (next.has(bggId)) next.delete(bggId);
+      else next.add(bggId);
+      return next;
+    });
+  };
+
+  const toggleAll = () => {
+    const importable = preview.games.filter(g => !g.alreadyInLibrary).map(g => g.bggId);
+    setSelected(selected.size === importable.length ? new Set() : new Set(importable));
+  };
+
+  const handleImport = async () => {
+    setLoading(true);
+    setError('');
+
+    try {
+      const response = await gameService.startCollectionImport({
+        games: preview.games
+          .filter(g => selected.has(g.bggId))
+          .map(g => ({ bggId: g.bggId, name: g.name })),
+        groupId: groupId || undefined,
+        source: preview.source,
+        sourceLabel: preview.sourceLabel,
+      });
+      follow(response.data);
+      setStep('progress');
+    } catch (err) {
+      setError(err.response?.data?.message || 'No se pudo iniciar la importación');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const targetName = groupId
+    ? groups.find(g => g._id === groupId)?.name || 'el grupo'
+    : 'tu biblioteca personal';
+
+  const renderContent = () => {
+    if (step === 'source') {
+      return (
+        <form id="import-source-form" onSubmit={handlePreview} className={styles.sourceForm}>
+          <div className={styles.modeSelector}>
+            <Button
+              variant={sourceType === 'username' ? 'primary' : 'outline'}
+              size="small"
+              fullWidth
+              onClick={() => setSourceType('username')}
+            >
+              <MdPerson /> Usuario de BGG
+            </Button>
+            <Button
+              variant={sourceType === 'file' ? 'primary' : 'outline'}
+              size="small"
+              fullWidth
+              onClick={() => setSourceType('file')}
+            >
+              <MdUploadFile /> Archivo exportado
+            </Button>
+          </div>
+
+          {sourceType === 'username' ? (
+            <Input
+              name="bggUsername"
+              label="Usuario de BoardGameGeek"
+              placeholder="Tu nombre de usuario en BGG"
+              value={username}
+              onChange={(e) => setUsername(e.target.value)}
+            />
+          ) : (
+            <label className={styles.fileField}>
+              <span>Exportación de la colección (XML o CSV)</span>
+              <input
+                type="file"
+                accept=".xml,.csv"
+                onChange={(e) => setFile(e.target.files[0] || null)}
+              />
+            </label>
+          )}
+
+          <label className={styles.targetField}>
+            <span>Importar a</span>
+            <select value={groupId} onChange={(e) => setGroupId(e.target.value)}>
+              <option value="">Mi biblioteca personal</option>
+              {groups.map(group => (
+                <option key={group._id} value={group._id}>{group.name}</option>
+              ))}
+            </select>
+          </label>
+
+          <p className={styles.hint}>
+            Solo se importan los juegos que tienes marcados como &quot;Own&quot; en BGG. Las expansiones se ignoran.
+          </p>
+
+          {loading && (
+            <div className={styles.loadingState}>
+              <Loading size="medium" />
+              <p>Leyendo la colección… BGG puede tardar unos segundos en prepararla.</p>
+            </div>
+          )}
+        </form>
+      );
+    }
+
+    if (step === 'preview' && preview) {
+      const importableCount = preview.games.filter(g => !g.alreadyInLibrary).length;
+
+      return (
+        <>
+          <Button
+            variant="outline"
+            size="small"
+            onClick={() => setStep('source')}
+            className={styles.backButton}
+          >
+            <MdArrowBack /> Cambiar origen
+          </Button>
+
+          <p className={styles.summary}>
+            <strong>{preview.total}</strong> juegos en la colección de <strong>{preview.sourceLabel}</strong>
+            {' · '}{preview.total - preview.newCount} ya están en {targetName}
+          </p>
+
+          {importableCount > 0 && (
+            <label className={styles.selectAll}>
+              <input
+                type="checkbox"
+                checked={selected.size === importableCount}
+                onChange={toggleAll}
+              />
+              Seleccionar todos los nuevos ({importableCount})
+            </label>
+          )}
+
+          <ul className={styles.gameList}>
+            {preview.games.map(game => (
+              <li
+                key={game.bggId}
+                className={`${styles.gameItem} ${game.alreadyInLibrary ? styles.present : ''}`}
+              >
+                <input
+                  type="checkbox"
+                  checked={selected.has(game.bggId)}
+                  disabled={game.alreadyInLibrary}
+                  onChange={() => toggleGame(game.bggId)}
+                  aria-label={game.name}
+                />
+                {game.thumbnail
+                  ? <img src={game.thumbnail} alt="" className={styles.thumbnail} />
+                  : <div className={styles.thumbnail} />}
+                <span className={styles.gameName}>
+                  {game.name}
+                  {game.yearPublished && <span className={styles.year}> ({game.yearPublished})</span>}
+                </span>
+                {game.alreadyInLibrary && <span className={styles.badge}>Ya en la biblioteca</span>}
+              </li>
+            ))}
+          </ul>
+        </>
+      );
+    }
+
+    if (step === 'progress' && job) {
+      return (
+        <ImportProgress
+          job={job}
+          isRunning={isRunning}
+          runningLabel={`Importando en ${targetName}…`}
+          importedLabel="importados"
+          skippedLabel="omitidos"
+          describeFailure={failure => failure.name || `BGG #${failure.bggId}`}
+        />
+      );
+    }
+
+    return null;
+  };
+
+  const renderFooter = () => {
+    if (step === 'source') {
+      const canPreview = sourceType === 'username' ? username.trim().length > 0 : !!file;
+      return (
+        <>
+          <Button variant="outline" onClick={handleClose}>
+            Cancelar
+          </Button>
+          <Button type="submit" form="import-source-form" disabled={loading || !canPreview}>
+            {loading ? 'Leyendo...' : 'Ver juegos'}
+          </Button>
+        </>
+      );
+    }
+
+    if (step === 'preview') {
+      return (
+        <>
+          <Button variant="outline" onClick={handleClose}>
+            Cancelar
+          </Button>
+          <Button onClick={handleImport} disabled={loading || selected.size === 0}>
+            <MdCloudDownload /> {loading ? 'Iniciando...' : `Importar ${selected.size} juego${selected.size !== 1 ? 's' : ''}`}
+          </Button>
+        </>
+      );
+    }
+
+    return (
+      <Button variant={isRunning ? 'outline' : 'primary'} onClick={handleClose}>
+        {isRunning ? 'Seguir en segundo plano' : 'Cerrar'}
+      </Button>
+    );
+  };
+
+  return (
+    <Modal
+      isOpen={isOpen}
+      onClose={handleClose}
+      title="Importar colección de BGG"
+      size="large"
+      footer={renderFooter()}
+    >
+      <div className={styles.modalContent}>
+        {(error || pollError) && <div className={styles.error}>⚠️ {error || pollError}</div>}
+        {renderContent()}
+      </div>
+    </Modal>
+  );
+};
+
+ImportCollectionModal.propTypes = {
+  isOpen: PropTypes.bool.isRequired,
+  onClose: PropTypes.func.isRequired,
+  onImported: PropTypes.func.isRequired,
+  groups: PropTypes.arrayOf(PropTypes.shape({
+    _id: PropTypes.string.isRequired,
+    name: PropTypes.string,
+  })),
+  defaultGroupId: PropTypes.string, // '' = biblioteca personal
+};
+
+export default ImportCollectionModal;
@@ -1,2 +1,3 @@
 export { default as GameCard } from './GameCard';
 export { default as AddGameModal } from './AddGameModal';
+export { default as ImportCollectionModal } from './ImportCollectionModal';
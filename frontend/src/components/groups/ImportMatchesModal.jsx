@@ -0,0 +1,266 @@
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import { MdArrowBack, MdCloudDownload } from 'react-icons/md';
+import { useToast } from '../../context/ToastContext';
+import Modal from '../common/Modal';
+import Button from '../common/Button';
+import Loading from '../common/Loading';
+import ImportProgress from '../common/ImportProgress';
+import useImportJobPolling from '../../hooks/useImportJobPolling';
+import groupService from '../../services/groupService';
+import styles from './ImportMatchesModal.module.css';
+
+/**
+ * Modal para importar el historial de partidas de BG Stats o BGG a un grupo
+ * Pasos: archivo → asignar jugadores a miembros → progreso
+ */
+const ImportMatchesModal = ({ isOpen, onClose, onImported, groupId }) => {
+  const toast = useToast();
+  const [step, setStep] = useState('source'); // 'source', 'mapping', 'progress'
+  const [file, setFile] = useState(null);
+  const [preview, setPreview] = useState(null);
+  const [playerMap, setPlayerMap] = useState({});
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  // Notify once when the import ends
+  const { job, isRunning, error: pollError, follow, reset } = useImportJobPolling(
+    (jobId) => groupService.getMatchImport(groupId, jobId),
+    {
+      onFinish: (finished) => {
+        if (finished.status === 'completed') {
+          toast.success(`${finished.imported} partida${finished.imported !== 1 ? 's' : ''} importada${finished.imported !== 1 ? 's' : ''}`, {
+            title: 'Importación terminada'
+          });
+        } else {
+          toast.error(finished.error || 'La importación se interrumpió', { title: 'Error al importar' });
+        }
+        onImported();
+      },
+    }
+  );
+
+  const resetModal = () => {
+    setStep('source');
+    setFile(null);
+    setPreview(null);
+    setPlayerMap({});
+    reset();
+    setError('');
+  };
+
+  // The import keeps running on the server if the modal is closed
+  const handleClose = () => {
+    if (isRunning) {
+      toast.info('La importación sigue en segundo plano');
+    }
+    resetModal();
+    onClose();
+  };
+
+  const handlePreview = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError('');
+
+    try {
+      const response = await groupService.previewMatchImport(groupId, file);
+      setPreview(response.data);
+      setPlayerMap(Object.fromEntries(
+        response.data.players.map(player => [player.key, player.suggestedUserId || ''])
+      ));
+      setStep('mapping');
+    } catch (err) {
+      setError(err.response?.data?.message || 'No se pudo leer el historial');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleImport = async () => {
+    setLoading(true);
+    setError('');
+
+    try {
+      const mapped = Object.fromEntries(Object.entries(playerMap).filter(([, userId]) => userId));
+      const response = await groupService.startMatchImport(groupId, file, mapped);
+      follow(response.data);
+      setStep('progress');
+    } catch (err) {
+      setError(err.response?.data?.message || 'No se pudo iniciar la importación');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const memberLabel = (member) => member.nickname ? `${member.name} (@${member.nickname})` : member.name;
+  const assignedIds = Object.values(playerMap).filter(Boolean);
+  const hasDuplicates = new Set(assignedIds).size !== assignedIds.length;
+
+  const renderContent = () => {
+    if (step === 'source') {
+      return (
+        <form id="import-matches-form" onSubmit={handlePreview} className={styles.sourceForm}>
+          <label className={styles.fileField}>
+            <span>Historial de partidas</span>
+            <input
+              type="file"
+              accept=".json,.xml"
+              onChange={(e) => setFile(e.target.files[0] || null)}
+            />
+          </label>
+
+          <p className={styles.hint}>
+            Sube la exportación de BG Stats (JSON) o tu historial de partidas de BGG (XML).
+            Las partidas ya importadas se omiten, así que puedes repetir la importación con un archivo más reciente.
+          </p>
+
+          {loading && (
+            <div className={styles.loadingState}>
+              <Loading size="medium" />
+              <p>Leyendo el historial…</p>
+            </div>
+          )}
+        </form>
+      );
+    }
+
+    if (step === 'mapping' && preview) {
+      const missingGames = preview.games.filter(game => !game.gameId);
+
+      return (
+        <>
+          <Button
+            variant="outline"
+            size="small"
+            onClick={() => setStep('source')}
+            className={styles.backButton}
+          >
+            <MdArrowBack /> Cambiar archivo
+          </Button>
+
+          <p className={styles.summary}>
+            <strong>{preview.total}</strong> partidas en <strong>{preview.sourceLabel}</strong>
+            {' · '}{preview.alreadyImported} ya importadas
+          </p>
+
+          <h3 className={styles.subtitle}>¿Quién es quién?</h3>
+          <p className={styles.hint}>
+            Solo se importan los jugadores asignados a un miembro; en cada partida deben quedar al menos 2.
+          </p>
+          <ul className={styles.playerList}>
+            {preview.players.map(player => (
+              <li key={player.key} className={styles.playerItem}>
+                <span className={styles.playerName}>
+                  {player.name}
+                  <span className={styles.playCount}> · {player.plays} partida{player.plays !== 1 ? 's' : ''}</span>
+                </span>
+                <select
+                  value={playerMap[player.key] || ''}
+                  onChange={(e) => setPlayerMap(prev => ({ ...prev, [player.key]: e.target.value }))}
+                  aria-label={`Miembro para ${player.name}`}
+                >
+                  <option value="">No importar</option>
+                  {preview.members.map(member => (
+                    <option key={member._id} value={member._id}>{memberLabel(member)}</option>
+                  ))}
+                </select>
+              </li>
+            ))}
+          </ul>
+          {hasDuplicates && (
+            <p className={styles.warning}>Un miembro no puede corresponder a más de un jugador.</p>
+          )}
+
+          {missingGames.length > 0 && (
+            <>
+              <h3 className={styles.subtitle}>Juegos que no están en la biblioteca</h3>
+              <p className={styles.hint}>
+                Sus partidas no se importarán. Añádelos al grupo y repite la importación para incluirlas.
+              </p>
+              <ul className={styles.missingGames}>
+                {missingGames.map(game => (
+                  <li key={game.bggId || game.name}>
+                    {game.name} ({game.plays} partida{game.plays !== 1 ? 's' : ''})
+                  </li>
+                ))}
+              </ul>
+            </>
+          )}
+        </>
+      );
+    }
+
+    if (step === 'progress' && job) {
+      return (
+        <ImportProgress
+          job={job}
+          isRunning={isRunning}
+          runningLabel="Importando partidas…"
+          importedLabel="importadas"
+          skippedLabel="ya importadas"
+        />
+      );
+    }
+
+    return null;
+  };
+
+  const renderFooter = () => {
+    if (step === 'source') {
+      return (
+        <>
+          <Button variant="outline" onClick={handleClose}>
+            Cancelar
+          </Button>
+          <Button type="submit" form="import-matches-form" disabled={loading || !file}>
+            {loading ? 'Leyendo...' : 'Continuar'}
+          </Button>
+        </>
+      );
+    }
+
+    if (step === 'mapping') {
+      return (
+        <>
+          <Button variant="outline" onClick={handleClose}>
+            Cancelar
+          </Button>
+          <Button onClick={handleImport} disabled={loading || assignedIds.length < 2 || hasDuplicates}>
+            <MdCloudDownload /> {loading ? 'Iniciando...' : 'Importar partidas'}
+          </Button>
+        </>
+      );
+    }
+
+    return (
+      <Button variant={isRunning ? 'outline' : 'primary'} onClick={handleClose}>
+        {isRunning ? 'Seguir en segundo plano' : 'Cerrar'}
+      </Button>
+    );
+  };
+
+  return (
+    <Modal
+      isOpen={isOpen}
+      onClose={handleClose}
+      title="Importar historial de partidas"
+      size="large"
+      footer={renderFooter()}
+    >
+      <div className={styles.modalContent}>
+        {(error || pollError) && <div className={styles.error}>⚠️ {error || pollError}</div>}
+        {renderContent()}
+      </div>
+    </Modal>
+  );
+};
+
+ImportMatchesModal.propTypes = {
+  isOpen: PropTypes.bool.isRequired,
+  onClose: PropTypes.func.isRequired,
+  onImported: PropTypes.func.isRequired,
+  groupId: PropTypes.string.isRequired,
+};
+
+export default ImportMatchesModal;
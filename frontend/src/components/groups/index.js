@@ -0,0 +1 @@
+export { default as ImportMatchesModal } from './ImportMatchesModal';
@@ -1,9 +1,9 @@
 import { Link, useLocation, useNavigate } from 'react-router-dom';
 import { GiPerspectiveDiceSixFacesRandom, GiCardPlay, GiTrophy, GiTeamIdea, GiScrollUnfurled } from 'react-icons/gi';
 import { MdPerson, MdExitToApp, MdHome, MdCalendarToday } from 'react-icons/md';
-import { FaUserCircle } from 'react-icons/fa';
 import { useAuth } from '../../context/AuthContext';
-import { isValidAvatar, capitalize } from '../../utils/validators';
+import Avatar from '../common/Avatar';
+import { capitalize } from '../../utils/validators';
 import styles from './Navbar.module.css';
 
 /**
@@ -95,11 +95,7 @@ const Navbar = () => {
             </li>
             <li>
               <Link to="/profile" className={`${styles.navLink} ${styles.profileLink} ${isActive('/profile')}`} title="Perfil">
-                {isValidAvatar(user?.avatar) ? (
-                  <img src={user.avatar} alt={user.nickname || user.name} className={styles.userAvatar} />
-                ) : (
-                  <FaUserCircle className={styles.linkIcon} />
-                )}
+                <Avatar src={user?.avatar} name={user?.name || user?.nickname} size={28} className={styles.userAvatar} />
                 <span className={styles.linkText}>{capitalize(user?.nickname) || user?.name || 'Perfil'}</span>
               </Link>
             </li>
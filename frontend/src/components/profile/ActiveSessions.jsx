@@ -0,0 +1,170 @@
+import { useState, useEffect, useCallback } from 'react';
+import { FiMonitor, FiSmartphone, FiLock, FiLogOut, FiMail } from 'react-icons/fi';
+import Button from '../common/Button';
+import ChangePasswordModal from './ChangePasswordModal';
+import authService from '../../services/authService';
+import { useAuth } from '../../context/AuthContext';
+import { useToast } from '../../context/ToastContext';
+import { timeAgo } from '../../utils/dateUtils';
+import styles from './ActiveSessions.module.css';
+
+const MOBILE_SYSTEMS = ['Android', 'iOS'];
+
+/**
+ * Nombre legible del dispositivo de una sesión
+ */
+const deviceLabel = (session) => {
+  if (session.browser && session.os) return `${session.browser} en ${session.os}`;
+  return session.browser || session.os || 'Dispositivo desconocido';
+};
+
+/**
+ * Sesiones abiertas del usuario, cambio de contraseña y verificación del email
+ * Permite cerrar una sesión concreta o todas las demás
+ */
+const ActiveSessions = () => {
+  const { user } = useAuth();
+  const toast = useToast();
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [revoking, setRevoking] = useState(null);
+  const [isPasswordModalOpen, setIsPasswordModalOpen] = useState(false);
+  const [sendingVerification, setSendingVerification] = useState(false);
+
+  const loadSessions = useCallback(async () => {
+    try {
+      const response = await authService.getSessions();
+      setSessions(response.data || []);
+    } catch {
+      // The list keeps the previous data
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadSessions();
+  }, [loadSessions]);
+
+  const handleRevoke = async (sessionId) => {
+    setRevoking(sessionId);
+    try {
+      await authService.revokeSession(sessionId);
+      setSessions(prev => prev.filter(session => session.id !== sessionId));
+      toast.success('Sesión cerrada');
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'No se pudo cerrar la sesión');
+    } finally {
+      setRevoking(null);
+    }
+  };
+
+  const handleRevokeOthers = async () => {
+    setRevoking('others');
+    try {
+      const response = await authService.revokeOtherSessions();
+      setSessions(prev => prev.filter(session => session.current));
+      toast.success(response.message);
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'No se pudieron cerrar las sesiones');
+    } finally {
+      setRevoking(null);
+    }
+  };
+
+  const handleResendVerification = async () => {
+    setSendingVerification(true);
+    try {
+      const response = await authService.resendVerification();
+      toast.success(response.message);
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'No se pudo enviar el email');
+    } finally {
+      setSendingVerification(false);
+    }
+  };
+
+  const handlePasswordChanged = (revoked) => {
+    toast.success(revoked > 0
+      ? `Contraseña actualizada. ${revoked} sesión(es) cerrada(s)`
+      : 'Contraseña actualizada');
+    loadSessions();
+  };
+
+  const otherSessions = sessions.filter(session => !session.current).length;
+
+  return (
+    <section className={styles.section}>
+      <h2><FiLock /> Sesiones y seguridad</h2>
+      <p className={styles.description}>
+        Dispositivos con tu sesión abierta. Cierra los que no reconozcas.
+      </p>
+
+      {user && user.emailVerified === false && (
+        <div className={styles.verifyNotice}>
+          <FiMail className={styles.deviceIcon} />
+          <span className={styles.details}>
+            Verifica tu email ({user.email}) para poder recuperar la cuenta si olvidas la contraseña.
+          </span>
+          <Button variant="outline" size="small" onClick={handleResendVerification} disabled={sendingVerification}>
+            {sendingVerification ? 'Enviando...' : 'Reenviar email'}
+          </Button>
+        </div>
+      )}
+
+      {loading ? (
+        <p className={styles.empty}>Cargando sesiones...</p>
+      ) : (
+        <ul className={styles.list}>
+          {sessions.map(session => (
+            <li key={session.id} className={styles.session}>
+              {MOBILE_SYSTEMS.includes(session.os)
+                ? <FiSmartphone className={styles.deviceIcon} />
+                : <FiMonitor className={styles.deviceIcon} />}
+              <div className={styles.details}>
+                <span className={styles.device}>
+                  {deviceLabel(session)}
+                  {session.current && <span className={styles.currentBadge}>Este dispositivo</span>}
+                </span>
+                <span className={styles.meta}>
+                  {session.ip && `${session.ip} · `}
+                  {session.current ? 'Activa ahora' : `Último uso ${timeAgo(session.lastUsedAt) || 'ahora'}`}
+                </span>
+              </div>
+              {!session.current && (
+                <button
+                  type="button"
+                  className={styles.revokeBtn}
+                  onClick={() => handleRevoke(session.id)}
+                  disabled={revoking !== null}
+                  title="Cerrar sesión en este dispositivo"
+                >
+                  <FiLogOut />
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <div className={styles.actions}>
+        <Button variant="secondary" onClick={() => setIsPasswordModalOpen(true)}>
+          <FiLock /> Cambiar contraseña
+        </Button>
+        {otherSessions > 0 && (
+          <Button variant="outline" onClick={handleRevokeOthers} disabled={revoking !== null}>
+            <FiLogOut /> Cerrar las demás sesiones
+          </Button>
+        )}
+      </div>
+
+      <ChangePasswordModal
+        isOpen={isPasswordModalOpen}
+        onClose={() => setIsPasswordModalOpen(false)}
+        onChanged={handlePasswordChanged}
+      />
+    </section>
+  );
+};
+
+export default ActiveSessions;
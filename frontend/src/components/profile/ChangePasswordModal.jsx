@@ -0,0 +1,105 @@
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import Modal from '../common/Modal';
+import Button from '../common/Button';
+import Input from '../common/Input';
+import authService from '../../services/authService';
+import styles from './ChangePasswordModal.module.css';
+
+const EMPTY_FORM = { currentPassword: '', newPassword: '', confirmPassword: '' };
+
+/**
+ * Cambio de contraseña
+ * El backend cierra el resto de sesiones; onChanged recibe cuántas
+ */
+const ChangePasswordModal = ({ isOpen, onClose, onChanged }) => {
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [error, setError] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const handleClose = () => {
+    setForm(EMPTY_FORM);
+    setError('');
+    onClose();
+  };
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm(prev => ({ ...prev, [name]: value }));
+    setError('');
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (form.newPassword.length < 6) {
+      setError('La nueva contraseña debe tener al menos 6 caracteres');
+      return;
+    }
+    if (form.newPassword !== form.confirmPassword) {
+      setError('Las contraseñas no coinciden');
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const response = await authService.changePassword(form.currentPassword, form.newPassword);
+      onChanged?.(response.data?.revoked || 0);
+      handleClose();
+    } catch (err) {
+      setError(err.response?.data?.message || 'No se pudo cambiar la contraseña');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Modal isOpen={isOpen} onClose={handleClose} title="Cambiar contraseña" size="small">
+      <form onSubmit={handleSubmit} className={styles.form}>
+        <Input
+          type="password"
+          name="currentPassword"
+          label="Contraseña actual"
+          value={form.currentPassword}
+          onChange={handleChange}
+          autoComplete="current-password"
+          required
+        />
+        <Input
+          type="password"
+          name="newPassword"
+          label="Nueva contraseña"
+          value={form.newPassword}
+          onChange={handleChange}
+          autoComplete="new-password"
+          required
+        />
+        <Input
+          type="password"
+          name="confirmPassword"
+          label="Repite la nueva contraseña"
+          value={form.confirmPassword}
+          onChange={handleChange}
+          autoComplete="new-password"
+          error={error}
+          required
+        />
+        <p className={styles.hint}>Se cerrará la sesión en el resto de tus dispositivos.</p>
+        <div className={styles.actions}>
+          <Button variant="secondary" onClick={handleClose} disabled={saving}>Cancelar</Button>
+          <Button type="submit" disabled={saving || !form.currentPassword || !form.newPassword}>
+            {saving ? 'Guardando...' : 'Cambiar contraseña'}
+          </Button>
+        </div>
+      </form>
+    </Modal>
+  );
+};
+
+ChangePasswordModal.propTypes = {
+  isOpen: PropTypes.bool.isRequired,
+  onClose: PropTypes.func.isRequired,
+  onChanged: PropTypes.func,
+};
+
+export default ChangePasswordModal;
@@ -0,0 +1,120 @@
+import { useState, useEffect } from 'react';
+import { FiDownload, FiRefreshCw, FiArchive } from 'react-icons/fi';
+import Button from '../common/Button';
+import authService from '../../services/authService';
+import { useToast } from '../../context/ToastContext';
+import { formatDateTime } from '../../utils/dateUtils';
+import styles from './DataExport.module.css';
+
+// Polling interval while the archive is being built
+const POLL_INTERVAL_MS = 3000;
+
+/**
+ * Tamaño legible de un archivo
+ */
+const formatSize = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+/**
+ * Exportación de todos los datos del usuario (RGPD)
+ * Pide al servidor un ZIP con JSON, CSV y las imágenes subidas, muestra su
+ * progreso y lo descarga con un enlace temporal mientras no caduque
+ */
+const DataExport = () => {
+  const toast = useToast();
+  const [dataExport, setDataExport] = useState(null);
+  const [requesting, setRequesting] = useState(false);
+  const [downloading, setDownloading] = useState(false);
+
+  const isRunning = dataExport && ['pending', 'running'].includes(dataExport.status);
+  const isReady = dataExport?.status === 'ready' && new Date(dataExport.expiresAt) > new Date();
+
+  useEffect(() => {
+    authService.getLatestDataExport()
+      .then(response => setDataExport(response.data))
+      .catch(() => {});
+  }, []);
+
+  // Poll the export until the archive is built
+  useEffect(() => {
+    if (!isRunning) return undefined;
+
+    const timer = setInterval(async () => {
+      try {
+        const response = await authService.getDataExport(dataExport.id);
+        setDataExport(response.data);
+        if (response.data.status === 'ready') {
+          toast.success('Ya puedes descargar tus datos', { title: 'Exportación lista' });
+        }
+      } catch {
+        // Checked again on the next tick
+      }
+    }, POLL_INTERVAL_MS);
+
+    return () => clearInterval(timer);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [isRunning, dataExport?.id]);
+
+  const handleRequest = async () => {
+    setRequesting(true);
+    try {
+      const response = await authService.requestDataExport();
+      setDataExport(response.data);
+      toast.info(response.message);
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'No se pudo solicitar la exportación');
+    } finally {
+      setRequesting(false);
+    }
+  };
+
+  const handleDownload = async () => {
+    setDownloading(true);
+    try {
+      const response = await authService.getDataExportLink(dataExport.id);
+      window.location.assign(response.data.url);
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'No se pudo descargar la exportación');
+    } finally {
+      setDownloading(false);
+    }
+  };
+
+  let status = 'Recibirás un archivo ZIP con tu perfil, grupos, partidas, juegos, puntuaciones, sesiones e imágenes subidas, en JSON y CSV.';
+  if (isRunning) {
+    status = 'Estamos preparando tus datos. Puedes salir de esta página; el archivo seguirá generándose.';
+  } else if (isReady) {
+    status = `Tu archivo (${formatSize(dataExport.size)}) está listo. Puedes descargarlo hasta el ${formatDateTime(dataExport.expiresAt)}.`;
+  } else if (dataExport?.status === 'failed') {
+    status = `${dataExport.error || 'No se pudo generar la exportación'}. Vuelve a intentarlo.`;
+  } else if (dataExport) {
+    status = 'Tu última exportación ha caducado. Solicita una nueva para descargar tus datos.';
+  }
+
+  return (
+    <div className={styles.export}>
+      <FiArchive className={styles.icon} />
+      <div className={styles.details}>
+        <span className={styles.title}>Exportar mis datos</span>
+        <span className={styles.status}>{status}</span>
+      </div>
+      <div className={styles.actions}>
+        {isReady && (
+          <Button variant="primary" onClick={handleDownload} disabled={downloading}>
+            <FiDownload /> {downloading ? 'Preparando...' : 'Descargar ZIP'}
+          </Button>
+        )}
+        <Button variant="secondary" onClick={handleRequest} disabled={requesting || isRunning}>
+          {isRunning || requesting
+            ? <><FiRefreshCw className={styles.spinning} /> Preparando...</>
+            : <><FiDownload /> {isReady ? 'Nueva exportación' : 'Exportar mis datos'}</>}
+        </Button>
+      </div>
+    </div>
+  );
+};
+
+export default DataExport;
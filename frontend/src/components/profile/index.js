@@ -0,0 +1,3 @@
+export { default as ActiveSessions } from './ActiveSessions';
+export { default as ChangePasswordModal } from './ChangePasswordModal';
+export { default as DataExport } from './DataExport';
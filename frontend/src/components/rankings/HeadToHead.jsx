@@ -0,0 +1,159 @@
+import { useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import { GiCrossedSwords } from 'react-icons/gi';
+import Card from '../common/Card';
+import rankingService from '../../services/rankingService';
+import { formatDate } from '../../utils/dateUtils';
+import styles from './HeadToHead.module.css';
+
+const RESULT_LABELS = {
+  win: 'Victoria',
+  loss: 'Derrota',
+  tie: 'Empate',
+};
+
+/**
+ * Head-to-head record between two members of a group
+ * Player A defaults to the current user
+ */
+const HeadToHead = ({ groupId, members, games = [], currentUserId = '' }) => {
+  const [playerA, setPlayerA] = useState(currentUserId);
+  const [playerB, setPlayerB] = useState('');
+  const [gameId, setGameId] = useState('');
+  const [record, setRecord] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  // Reset the selection when the group changes
+  useEffect(() => {
+    setPlayerA(currentUserId);
+    setPlayerB('');
+    setGameId('');
+    setRecord(null);
+  }, [groupId, currentUserId]);
+
+  useEffect(() => {
+    if (!playerA || !playerB || playerA === playerB) {
+      setRecord(null);
+      return;
+    }
+
+    let cancelled = false;
+    setLoading(true);
+    setError('');
+
+    rankingService.getHeadToHead(groupId, { playerA, playerB, gameId: gameId || undefined })
+      .then(response => { if (!cancelled) setRecord(response.data); })
+      .catch(err => {
+        if (!cancelled) {
+          setError(err.response?.data?.message || 'No se pudo cargar el historial');
+          setRecord(null);
+        }
+      })
+      .finally(() => { if (!cancelled) setLoading(false); });
+
+    return () => { cancelled = true; };
+  }, [groupId, playerA, playerB, gameId]);
+
+  const nameOf = (id) => members.find(m => m.id === id)?.name || 'Jugador';
+
+  return (
+    <Card variant="elevated" className={styles.card}>
+      <div className={styles.selectors}>
+        <select value={playerA} onChange={(e) => setPlayerA(e.target.value)} aria-label="Jugador A">
+          {members.map(m => (
+            <option key={m.id} value={m.id}>{m.name}</option>
+          ))}
+        </select>
+        <GiCrossedSwords className={styles.versusIcon} />
+        <select value={playerB} onChange={(e) => setPlayerB(e.target.value)} aria-label="Jugador B">
+          <option value="">Elige un rival…</option>
+          {members.filter(m => m.id !== playerA).map(m => (
+            <option key={m.id} value={m.id}>{m.name}</option>
+          ))}
+        </select>
+        <select value={gameId} onChange={(e) => setGameId(e.target.value)} aria-label="Juego">
+          <option value="">Todos los juegos</option>
+          {games.map(g => (
+            <option key={g._id} value={g._id}>{g.name}</option>
+          ))}
+        </select>
+      </div>
+
+      {error && <div className={styles.error}>⚠️ {error}</div>}
+
+      {!playerB ? (
+        <p className={styles.hint}>Elige dos jugadores del grupo para ver su historial</p>
+      ) : loading ? (
+        <p className={styles.hint}>Cargando…</p>
+      ) : record && (
+        <>
+          <div className={styles.scoreboard}>
+            <div className={styles.side}>
+              <span className={styles.sideName}>{nameOf(playerA)}</span>
+              <span className={styles.sideWins}>{record.wins}</span>
+            </div>
+            <div className={styles.ties}>
+              <span>{record.ties}</span>
+              <small>empates</small>
+            </div>
+            <div className={styles.side}>
+              <span className={styles.sideName}>{nameOf(playerB)}</span>
+              <span className={styles.sideWins}>{record.losses}</span>
+            </div>
+          </div>
+          <p className={styles.hint}>
+            {record.totalMatches} partidas como rivales
+          </p>
+
+          {record.byGame.length > 0 && (
+            <table className={styles.table}>
+              <thead>
+                <tr>
+                  <th>Juego</th>
+                  <th>V</th>
+                  <th>E</th>
+                  <th>D</th>
+                </tr>
+              </thead>
+              <tbody>
+                {record.byGame.map(row => (
+                  <tr key={row.game?._id || 'unknown'}>
+                    <td>{row.game?.name || 'Juego eliminado'}</td>
+                    <td>{row.wins}</td>
+                    <td>{row.ties}</td>
+                    <td>{row.losses}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+
+          {record.recentMatches.length > 0 && (
+            <ul className={styles.recentList}>
+              {record.recentMatches.map(m => (
+                <li key={m.matchId} className={styles.recentItem}>
+                  <span>{m.game?.name || 'Juego eliminado'}</span>
+                  <span className={styles.recentDate}>{formatDate(m.date)}</span>
+                  <span className={`${styles.result} ${styles[m.result]}`}>{RESULT_LABELS[m.result]}</span>
+                </li>
+              ))}
+            </ul>
+          )}
+        </>
+      )}
+    </Card>
+  );
+};
+
+HeadToHead.propTypes = {
+  groupId: PropTypes.string.isRequired,
+  members: PropTypes.arrayOf(PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    name: PropTypes.string,
+  })).isRequired,
+  games: PropTypes.array,
+  currentUserId: PropTypes.string,
+};
+
+export default HeadToHead;
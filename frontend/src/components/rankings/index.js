@@ -0,0 +1 @@
+export { default as HeadToHead } from './HeadToHead';
@@ -15,6 +15,7 @@
  */
 export const STORAGE_KEYS = {
   TOKEN: 'token',
+  REFRESH_TOKEN: 'refreshToken',
   USER: 'user',
   SELECTED_GROUP: 'selectedGroupId',
 };
@@ -25,6 +25,8 @@ export const useAuth = () => {
   const register = useAuthStore((state) => state.register);
   const logout = useAuthStore((state) => state.logout);
   const updateProfile = useAuthStore((state) => state.updateProfile);
+  const uploadAvatar = useAuthStore((state) => state.uploadAvatar);
+  const deleteAvatar = useAuthStore((state) => state.deleteAvatar);
   const clearError = useAuthStore((state) => state.clearError);
   const refreshUser = useAuthStore((state) => state.refreshUser);
   
@@ -41,6 +43,8 @@ export const useAuth = () => {
     register,
     logout,
     updateProfile,
+    uploadAvatar,
+    deleteAvatar,
     clearError,
     refreshUser,
   };
@@ -0,0 +1,85 @@
+/**
+ * @fileoverview Import Job Polling Hook
+ * @description Follows a background import job (games or matches) until it ends
+ * @module hooks/useImportJobPolling
+ */
+
+import { useState, useCallback, useRef, useEffect } from 'react';
+
+// Polling interval while an import is running
+const POLL_INTERVAL_MS = 2000;
+
+const isJobRunning = (job) => !!job && ['pending', 'running'].includes(job.status);
+
+/**
+ * Custom hook for following an import job
+ *
+ * The job is polled while it is pending or running, and onFinish is called
+ * once when it completes or fails. The import keeps running on the server if
+ * the component unmounts.
+ *
+ * @param {Function} fetchJob - (jobId) => Axios promise with the job in data
+ * @param {Object} options - { onFinish(job) }
+ * @returns {Object} { job, isRunning, error, follow(job), reset() }
+ *
+ * @example
+ * const { job, isRunning, follow } = useImportJobPolling(
+ *   (jobId) => gameService.getCollectionImport(jobId),
+ *   { onFinish: () => loadGames() }
+ * );
+ */
+const useImportJobPolling = (fetchJob, { onFinish } = {}) => {
+  const [job, setJob] = useState(null);
+  const [error, setError] = useState('');
+
+  // Latest callbacks, so inline functions do not restart the polling
+  const fetchJobRef = useRef(fetchJob);
+  const onFinishRef = useRef(onFinish);
+  useEffect(() => {
+    fetchJobRef.current = fetchJob;
+    onFinishRef.current = onFinish;
+  });
+
+  /**
+   * Shows a state of the job, notifying when it has ended
+   * @param {Object} next - Job as returned by the API
+   */
+  const follow = useCallback((next) => {
+    setJob(next);
+    if (next && !isJobRunning(next)) {
+      onFinishRef.current?.(next);
+    }
+  }, []);
+
+  const reset = useCallback(() => {
+    setJob(null);
+    setError('');
+  }, []);
+
+  const isRunning = isJobRunning(job);
+  const jobId = job?._id;
+
+  // Poll the job until it finishes
+  useEffect(() => {
+    if (!isRunning) return undefined;
+
+    let active = true;
+    const timer = setInterval(async () => {
+      try {
+        const response = await fetchJobRef.current(jobId);
+        if (active) follow(response.data);
+      } catch (err) {
+        if (active) setError(err.response?.data?.message || 'No se pudo consultar el progreso');
+      }
+    }, POLL_INTERVAL_MS);
+
+    return () => {
+      active = false;
+      clearInterval(timer);
+    };
+  }, [isRunning, jobId, follow]);
+
+  return { job, isRunning, error, follow, reset };
+};
+
+export default useImportJobPolling;
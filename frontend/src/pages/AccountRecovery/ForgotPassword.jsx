@@ -0,0 +1,112 @@
+import { useState } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import { MdEmail, MdMarkEmailRead } from 'react-icons/md';
+import { GiPerspectiveDiceSixFacesRandom } from 'react-icons/gi';
+import Button from '../../components/common/Button';
+import Input from '../../components/common/Input';
+import authService from '../../services/authService';
+import loginStyles from '../Login/Login.module.css';
+import styles from './AccountRecovery.module.css';
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Solicitud de restablecimiento de contraseña
+ * La respuesta es la misma exista o no la cuenta
+ */
+const ForgotPassword = () => {
+  const navigate = useNavigate();
+  const [email, setEmail] = useState('');
+  const [error, setError] = useState('');
+  const [sentMessage, setSentMessage] = useState('');
+  const [isLoading, setIsLoading] = useState(false);
+
+  const handleOverlayClick = (e) => {
+    if (e.target === e.currentTarget) {
+      navigate('/');
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!EMAIL_REGEX.test(email.trim())) {
+      setError('Introduce un email válido');
+      return;
+    }
+
+    setIsLoading(true);
+    setError('');
+    try {
+      const response = await authService.forgotPassword(email.trim());
+      setSentMessage(response.message);
+    } catch (err) {
+      setError(err.response?.data?.message || 'No se pudo enviar el email. Inténtalo de nuevo');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <div className={loginStyles.loginPage} onClick={handleOverlayClick}>
+      <div className={loginStyles.loginContainer}>
+        <div className={loginStyles.loginCard} onClick={(e) => e.stopPropagation()}>
+          <div className={loginStyles.header}>
+            <GiPerspectiveDiceSixFacesRandom className={loginStyles.icon} />
+            <h1 className={loginStyles.title}>Recuperar contraseña</h1>
+            <p className={loginStyles.subtitle}>
+              Te enviaremos un enlace para elegir una nueva
+            </p>
+          </div>
+
+          {sentMessage ? (
+            <div className={`${styles.notice} ${styles.success}`}>
+              <MdMarkEmailRead />
+              <span>{sentMessage}. Revisa también la carpeta de spam.</span>
+            </div>
+          ) : (
+            <form onSubmit={handleSubmit} className={loginStyles.form} noValidate>
+              <Input
+                label="Email de tu cuenta"
+                type="email"
+                name="email"
+                value={email}
+                placeholder="tu@email.com"
+                error={error}
+                required
+                icon={<MdEmail size={18} />}
+                onChange={(e) => {
+                  setEmail(e.target.value);
+                  setError('');
+                }}
+                autoComplete="email"
+                disabled={isLoading}
+              />
+
+              <Button
+                type="submit"
+                variant="primary"
+                size="large"
+                fullWidth
+                disabled={isLoading}
+                className={loginStyles.submitButton}
+              >
+                {isLoading ? 'Enviando...' : 'Enviar enlace'}
+              </Button>
+            </form>
+          )}
+
+          <div className={styles.footer}>
+            <p className={loginStyles.registerText}>
+              <Link to="/login" className={loginStyles.link}>
+                Volver a iniciar sesión
+              </Link>
+            </p>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ForgotPassword;
@@ -0,0 +1,142 @@
+import { useState } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+import { MdLock } from 'react-icons/md';
+import { GiPerspectiveDiceSixFacesRandom } from 'react-icons/gi';
+import { useAuth } from '../../context/AuthContext';
+import { useToast } from '../../context/ToastContext';
+import Button from '../../components/common/Button';
+import Input from '../../components/common/Input';
+import authService from '../../services/authService';
+import loginStyles from '../Login/Login.module.css';
+import styles from './AccountRecovery.module.css';
+
+/**
+ * Nueva contraseña desde el enlace del email de recuperación
+ * El backend cierra todas las sesiones, también la de esta pestaña
+ */
+const ResetPassword = () => {
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const { isAuthenticated, logout } = useAuth();
+  const toast = useToast();
+  const token = searchParams.get('token');
+
+  const [form, setForm] = useState({ password: '', confirmPassword: '' });
+  const [error, setError] = useState('');
+  const [serverError, setServerError] = useState(token ? '' : 'El enlace no es válido. Pide uno nuevo');
+  const [isLoading, setIsLoading] = useState(false);
+
+  const handleOverlayClick = (e) => {
+    if (e.target === e.currentTarget) {
+      navigate('/');
+    }
+  };
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm(prev => ({ ...prev, [name]: value }));
+    setError('');
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (form.password.length < 6) {
+      setError('La contraseña debe tener al menos 6 caracteres');
+      return;
+    }
+    if (form.password !== form.confirmPassword) {
+      setError('Las contraseñas no coinciden');
+      return;
+    }
+
+    setIsLoading(true);
+    setServerError('');
+    try {
+      const response = await authService.resetPassword(token, form.password);
+      if (isAuthenticated) {
+        logout();
+      }
+      toast.success(response.message, { title: 'Contraseña restablecida' });
+      navigate('/login', { replace: true });
+    } catch (err) {
+      setServerError(err.response?.data?.message || 'No se pudo restablecer la contraseña');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <div className={loginStyles.loginPage} onClick={handleOverlayClick}>
+      <div className={loginStyles.loginContainer}>
+        <div className={loginStyles.loginCard} onClick={(e) => e.stopPropagation()}>
+          <div className={loginStyles.header}>
+            <GiPerspectiveDiceSixFacesRandom className={loginStyles.icon} />
+            <h1 className={loginStyles.title}>Nueva contraseña</h1>
+            <p className={loginStyles.subtitle}>
+              Se cerrará la sesión en todos tus dispositivos
+            </p>
+          </div>
+
+          {serverError && (
+            <div className={loginStyles.serverError}>
+              <span>⚠️</span>
+              <span>{serverError}</span>
+            </div>
+          )}
+
+          {token && (
+            <form onSubmit={handleSubmit} className={loginStyles.form} noValidate>
+              <Input
+                label="Nueva contraseña"
+                type="password"
+                name="password"
+                value={form.password}
+                placeholder="••••••••"
+                required
+                icon={<MdLock size={18} />}
+                onChange={handleChange}
+                autoComplete="new-password"
+                disabled={isLoading}
+              />
+              <Input
+                label="Repite la contraseña"
+                type="password"
+                name="confirmPassword"
+                value={form.confirmPassword}
+                placeholder="••••••••"
+                error={error}
+                required
+                icon={<MdLock size={18} />}
+                onChange={handleChange}
+                autoComplete="new-password"
+                disabled={isLoading}
+              />
+
+              <Button
+                type="submit"
+                variant="primary"
+                size="large"
+                fullWidth
+                disabled={isLoading || !form.password}
+                className={loginStyles.submitButton}
+              >
+                {isLoading ? 'Guardando...' : 'Guardar contraseña'}
+              </Button>
+            </form>
+          )}
+
+          <div className={styles.footer}>
+            <p className={loginStyles.registerText}>
+              <Link to="/forgot-password" className={loginStyles.link}>
+                Pedir un enlace nuevo
+              </Link>
+            </p>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ResetPassword;
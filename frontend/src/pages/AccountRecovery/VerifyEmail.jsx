@@ -0,0 +1,99 @@
+import { useState, useEffect, useRef } from 'react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import { MdMarkEmailRead } from 'react-icons/md';
+import { GiPerspectiveDiceSixFacesRandom } from 'react-icons/gi';
+import { useAuth } from '../../context/AuthContext';
+import Button from '../../components/common/Button';
+import authService from '../../services/authService';
+import loginStyles from '../Login/Login.module.css';
+import styles from './AccountRecovery.module.css';
+
+/**
+ * Verificación del email desde el enlace enviado al registrarse
+ * Funciona con o sin sesión iniciada
+ */
+const VerifyEmail = () => {
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const { isAuthenticated, refreshUser } = useAuth();
+  const token = searchParams.get('token');
+
+  const [status, setStatus] = useState(token ? 'verifying' : 'error');
+  const [message, setMessage] = useState(token ? '' : 'El enlace de verificación no es válido');
+  // Each token works once: do not send it twice (StrictMode runs effects twice)
+  const requested = useRef(false);
+
+  useEffect(() => {
+    if (!token || requested.current) return;
+    requested.current = true;
+
+    authService.verifyEmail(token)
+      .then((response) => {
+        setStatus('verified');
+        setMessage(`${response.message}: ${response.data.email}`);
+        if (isAuthenticated) {
+          refreshUser();
+        }
+      })
+      .catch((err) => {
+        setStatus('error');
+        setMessage(err.response?.data?.message || 'No se pudo verificar el email');
+      });
+  }, [token, isAuthenticated, refreshUser]);
+
+  const handleContinue = () => navigate(isAuthenticated ? '/profile' : '/login', { replace: true });
+
+  const handleOverlayClick = (e) => {
+    if (e.target === e.currentTarget) {
+      navigate('/');
+    }
+  };
+
+  return (
+    <div className={loginStyles.loginPage} onClick={handleOverlayClick}>
+      <div className={loginStyles.loginContainer}>
+        <div className={loginStyles.loginCard} onClick={(e) => e.stopPropagation()}>
+          <div className={loginStyles.header}>
+            <GiPerspectiveDiceSixFacesRandom className={loginStyles.icon} />
+            <h1 className={loginStyles.title}>Verificar email</h1>
+          </div>
+
+          {status === 'verifying' && (
+            <div className={`${styles.notice} ${styles.pending}`}>
+              <span>Verificando tu email...</span>
+            </div>
+          )}
+          {status === 'verified' && (
+            <div className={`${styles.notice} ${styles.success}`}>
+              <MdMarkEmailRead />
+              <span>{message}</span>
+            </div>
+          )}
+          {status === 'error' && (
+            <div className={loginStyles.serverError}>
+              <span>⚠️</span>
+              <span>
+                {message}. {isAuthenticated
+                  ? 'Puedes pedir otro desde tu perfil.'
+                  : 'Inicia sesión para pedir otro desde tu perfil.'}
+              </span>
+            </div>
+          )}
+
+          <Button
+            variant="primary"
+            size="large"
+            fullWidth
+            disabled={status === 'verifying'}
+            onClick={handleContinue}
+            className={loginStyles.submitButton}
+          >
+            {isAuthenticated ? 'Ir a mi perfil' : 'Iniciar sesión'}
+          </Button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default VerifyEmail;
@@ -0,0 +1,3 @@
+export { default as ForgotPassword } from './ForgotPassword';
+export { default as ResetPassword } from './ResetPassword';
+export { default as VerifyEmail } from './VerifyEmail';
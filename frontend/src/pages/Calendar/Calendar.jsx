@@ -34,6 +34,8 @@ const Calendar = () => {
   const [showCreateModal, setShowCreateModal] = useState(false);
   const [showDetailsModal, setShowDetailsModal] = useState(false);
   const [showResultsModal, setShowResultsModal] = useState(false);
+  const [isCorrectingResults, setIsCorrectingResults] = useState(false);
+  const [isLoggingPlayed, setIsLoggingPlayed] = useState(false);
   const [selectedMatch, setSelectedMatch] = useState(null);
   const [editingMatch, setEditingMatch] = useState(null);
 
@@ -232,14 +234,82 @@ const Calendar = () => {
   // Handler for opening results recording modal
   const handleOpenResultsModal = (match) => {
     setSelectedMatch(match);
+    setIsCorrectingResults(false);
     setShowDetailsModal(false);
     setShowResultsModal(true);
   };
 
+  // Handler for entering the results of a match logged as already played
+  const handleLogPlayed = (draftMatch) => {
+    setShowCreateModal(false);
+    setSelectedMatch(draftMatch);
+    setIsCorrectingResults(false);
+    setIsLoggingPlayed(true);
+    setShowResultsModal(true);
+  };
+
+  // Handler for opening the results modal to correct a finished match
+  const handleOpenCorrectionModal = (match) => {
+    setSelectedMatch(match);
+    setIsCorrectingResults(true);
+    setShowDetailsModal(false);
+    setShowResultsModal(true);
+  };
+
+  // Handler for updating a match after a correction is reviewed
+  const handleMatchUpdated = (updatedMatch) => {
+    setMatches(prev => prev.map(m => m._id === updatedMatch._id ? updatedMatch : m));
+    setSelectedMatch(updatedMatch);
+  };
+
   // Handler for closing results modal
   const handleCloseResultsModal = () => {
     setShowResultsModal(false);
     setSelectedMatch(null);
+    setIsLoggingPlayed(false);
+  };
+
+  // Handler for saving a played match with its results (one request)
+  const handleSavePlayedMatch = async (_matchId, resultData) => {
+    try {
+      const response = await matchService.logPlayedMatch({
+        gameId: selectedMatch.game._id,
+        groupId: selectedMatch.group._id,
+        playedDate: selectedMatch.scheduledDate,
+        playerIds: selectedMatch.players.map(p => p.user._id),
+        location: selectedMatch.location,
+        ...resultData
+      });
+
+      setMatches(prev => [...prev, response.data]);
+      await refreshUser();
+      handleCloseResultsModal();
+      toast.success('Partida registrada. El ranking se ha actualizado.');
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Error al registrar la partida');
+      throw err;
+    }
+  };
+
+  // Handler for sending a correction of a finished match's results
+  const handleSaveCorrection = async (matchId, resultData) => {
+    try {
+      const response = await matchService.requestResultCorrection(matchId, resultData);
+
+      setMatches(prev => prev.map(m => m._id === matchId ? response.data : m));
+      setShowResultsModal(false);
+      setSelectedMatch(null);
+
+      if (response.correction?.status === 'approved') {
+        await refreshUser();
+        toast.success('Resultados corregidos. El ranking se ha actualizado.');
+      } else {
+        toast.success('Corrección enviada. El administrador del grupo debe aprobarla.');
+      }
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Error al enviar la corrección');
+      throw err;
+    }
   };
 
   // Handler for saving match results
@@ -259,8 +329,11 @@ const Calendar = () => {
       
       // Show success message with ranking info if available
       if (response.ranking?.updatedPlayers?.length > 0) {
-        const winnerInfo = response.ranking.updatedPlayers.find(p => p.isWinner);
-        if (winnerInfo) {
+        const winners = response.ranking.updatedPlayers.filter(p => p.isWinner);
+        if (winners.length > 1) {
+          toast.success(`¡Partida finalizada con empate! ${winners.length} jugadores comparten la victoria.`);
+        } else if (winners.length === 1) {
+          const [winnerInfo] = winners;
           toast.success(`¡Partida finalizada! ${winnerInfo.stats?.name || 'Ganador'} suma ${winnerInfo.points} puntos al ranking.`);
         } else {
           toast.success('¡Resultados guardados correctamente!');
@@ -350,6 +423,7 @@ const Calendar = () => {
         isOpen={showCreateModal}
         onClose={handleCloseCreateModal}
         onSave={handleSaveMatch}
+        onLogPlayed={handleLogPlayed}
         match={editingMatch}
       />
 
@@ -363,6 +437,8 @@ const Calendar = () => {
         onConfirm={handleConfirmAttendance}
         onCancelConfirmation={handleCancelConfirmation}
         onRegisterResults={handleOpenResultsModal}
+        onCorrectResults={handleOpenCorrectionModal}
+        onMatchUpdated={handleMatchUpdated}
       />
 
       {/* Modal de registro de resultados */}
@@ -370,7 +446,12 @@ const Calendar = () => {
         isOpen={showResultsModal}
         onClose={handleCloseResultsModal}
         match={selectedMatch}
-        onSave={handleSaveResults}
+        onSave={
+          isCorrectingResults ? handleSaveCorrection
+            : isLoggingPlayed ? handleSavePlayedMatch
+              : handleSaveResults
+        }
+        isCorrection={isCorrectingResults}
       />
     </div>
   );
@@ -6,13 +6,15 @@ import {
   MdFilterList,
   MdRefresh,
   MdArrowBack,
-  MdArrowForward
+  MdArrowForward,
+  MdCloudDownload
 } from 'react-icons/md';
 import { GiCardPlay } from 'react-icons/gi';
 import { FiBox, FiUsers } from 'react-icons/fi';
 import { useGroup } from '../../context/GroupContext';
 import GameCard from '../../components/games/GameCard';
 import AddGameModal from '../../components/games/AddGameModal';
+import ImportCollectionModal from '../../components/games/ImportCollectionModal';
 import Button from '../../components/common/Button';
 import Input from '../../components/common/Input';
 import Card from '../../components/common/Card';
@@ -31,6 +33,8 @@ const Games = () => {
   const [isFirstLoad, setIsFirstLoad] = useState(true);
   const [error, setError] = useState('');
   const [showAddModal, setShowAddModal] = useState(false);
+  const [showImportModal, setShowImportModal] = useState(false);
+  const [reloadKey, setReloadKey] = useState(0);
 
   // Filters and search
   const [searchTerm, setSearchTerm] = useState('');
@@ -116,7 +120,7 @@ const Games = () => {
     };
 
     loadGames();
-  }, [selectedGroup?._id, currentPage, sourceFilter, debouncedSearch, isFirstLoad]);
+  }, [selectedGroup?._id, currentPage, sourceFilter, debouncedSearch, isFirstLoad, reloadKey]);
 
   // Handlers - defined before useMemo so they can be used
   const handleGameAdded = useCallback((newGame) => {
@@ -124,6 +128,11 @@ const Games = () => {
     setTotalGames(prev => prev + 1);
   }, []);
 
+  // Reload the current page after a bulk import
+  const handleImported = useCallback(() => {
+    setReloadKey(prev => prev + 1);
+  }, []);
+
   const handleDelete = useCallback(async (game) => {
     if (!window.confirm(`¿Estás seguro de que quieres eliminar "${game.name}"?`)) {
       return;
@@ -185,16 +194,25 @@ const Games = () => {
               </p>
             </div>
           </div>
-          {/* Solo mostrar botón Añadir en "Mis Juegos" (sin grupo seleccionado) */}
-          {!selectedGroup && (
+          <div className={styles.headerActions}>
             <Button
-              variant="primary"
+              variant="outline"
               size="small"
-              onClick={() => setShowAddModal(true)}
+              onClick={() => setShowImportModal(true)}
             >
-              <MdAdd /> Añadir Juego
+              <MdCloudDownload /> Importar de BGG
             </Button>
-          )}
+            {/* Solo mostrar botón Añadir en "Mis Juegos" (sin grupo seleccionado) */}
+            {!selectedGroup && (
+              <Button
+                variant="primary"
+                size="small"
+                onClick={() => setShowAddModal(true)}
+              >
+                <MdAdd /> Añadir Juego
+              </Button>
+            )}
+          </div>
         </div>
       </div>
 
@@ -393,6 +411,15 @@ const Games = () => {
         onGameAdded={handleGameAdded}
         groupId={null}
       />
+
+      {/* Importación en bloque - a la biblioteca personal o al grupo seleccionado */}
+      <ImportCollectionModal
+        isOpen={showImportModal}
+        onClose={() => setShowImportModal(false)}
+        onImported={handleImported}
+        groups={groups}
+        defaultGroupId={selectedGroup?._id || ''}
+      />
     </div>
   );
 };
@@ -1,77 +1,35 @@
 import { useState, useEffect, useRef, useCallback } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
-import { MdArrowBack, MdContentCopy, MdCheckCircle, MdExitToApp, MdDelete, MdCameraAlt } from 'react-icons/md';
-import { FaUserCircle } from 'react-icons/fa';
-import { GiTeamIdea, GiTrophy } from 'react-icons/gi';
+import { MdArrowBack, MdContentCopy, MdCheckCircle, MdExitToApp, MdDelete, MdCameraAlt, MdHistory, MdCheck, MdClose, MdMail, MdLink } from 'react-icons/md';
+import { GiTrophy, GiSandsOfTime } from 'react-icons/gi';
 import { useAuth } from '../../context/AuthContext';
 import { useToast } from '../../context/ToastContext';
 import groupService from '../../services/groupService';
 import Loading from '../../components/common/Loading';
+import Avatar from '../../components/common/Avatar';
+import { ImportMatchesModal } from '../../components/groups';
 import { isValidAvatar } from '../../utils/validators';
+import { formatDate, timeAgo } from '../../utils/dateUtils';
 import styles from './GroupDetail.module.css';
 
-/**
- * Función para comprimir imagen
- */
-const compressImage = (file, maxWidth = 300, maxHeight = 300, quality = 0.8) => {
-  return new Promise((resolve, reject) => {
-    const reader = new FileReader();
-    reader.readAsDataURL(file);
-    reader.onload = (event) => {
-      const img = new Image();
-      img.src = event.target.result;
-      img.onload = () => {
-        const canvas = document.createElement('canvas');
-        let width = img.width;
-        let height = img.height;
-
-        if (width > height) {
-          if (width > maxWidth) {
-            height = Math.round((height * maxWidth) / width);
-            width = maxWidth;
-          }
-        } else {
-          if (height > maxHeight) {
-            width = Math.round((width * maxHeight) / height);
-            height = maxHeight;
-          }
-        }
-
-        canvas.width = width;
-        canvas.height = height;
-        const ctx = canvas.getContext('2d');
-        ctx.drawImage(img, 0, 0, width, height);
-        resolve(canvas.toDataURL('image/jpeg', quality));
-      };
-      img.onerror = reject;
-    };
-    reader.onerror = reject;
-  });
-};
-
 /**
  * Componente de Avatar de Grupo con carga de archivo para admin
  */
 const GroupAvatar = ({ group, isAdmin, onAvatarChange }) => {
-  const [imgError, setImgError] = useState(false);
   const fileInputRef = useRef(null);
-  const hasValidAvatar = isValidAvatar(group?.avatar) && !imgError;
+  const hasValidAvatar = isValidAvatar(group?.avatar);
 
-  const handleFileChange = async (e) => {
+  const handleFileChange = (e) => {
     const file = e.target.files?.[0];
     if (file) {
-      try {
-        const compressedImage = await compressImage(file);
-        onAvatarChange(compressedImage);
-      } catch {
-        // Silent error
-      }
+      onAvatarChange(file);
     }
+    e.target.value = '';
   };
 
   const handleRemove = (e) => {
     e.stopPropagation();
-    onAvatarChange('');
+    onAvatarChange(null);
   };
 
   return (
@@ -79,20 +37,11 @@ const GroupAvatar = ({ group, isAdmin, onAvatarChange }) => {
       <input
         ref={fileInputRef}
         type="file"
-        accept="image/*"
+        accept="image/jpeg,image/png,image/gif,image/webp"
         onChange={handleFileChange}
         className={styles.fileInput}
       />
-      {hasValidAvatar ? (
-        <img 
-          src={group.avatar} 
-          alt={group.name} 
-          className={styles.groupAvatarImg}
-          onError={() => setImgError(true)}
-        />
-      ) : (
-        <GiTeamIdea className={styles.groupAvatarIcon} />
-      )}
+      <Avatar src={group.avatar} name={group.name} size={80} className={styles.groupAvatarImg} />
       {isAdmin && (
         <div className={styles.avatarActions}>
           <button 
@@ -118,25 +67,19 @@ const GroupAvatar = ({ group, isAdmin, onAvatarChange }) => {
 };
 
 /**
- * Componente de Avatar de Miembro con fallback a icono por defecto
+ * Componente de Avatar de Miembro con sus iniciales si no tiene imagen
  */
 const MemberAvatar = ({ member, isAdmin }) => {
-  const [imgError, setImgError] = useState(false);
   const memberUser = member.user;
-  const hasValidAvatar = isValidAvatar(memberUser?.avatar) && !imgError;
 
   return (
     <div className={styles.memberAvatarContainer}>
-      {hasValidAvatar ? (
-        <img 
-          src={memberUser.avatar} 
-          alt={memberUser?.name || 'Miembro'} 
-          className={styles.memberAvatarImg}
-          onError={() => setImgError(true)}
-        />
-      ) : (
-        <FaUserCircle className={`${styles.memberAvatarIcon} ${isAdmin ? styles.memberAvatarIconAdmin : ''}`} />
-      )}
+      <Avatar
+        src={memberUser?.avatar}
+        name={memberUser?.name || 'Miembro'}
+        size={56}
+        className={styles.memberAvatarImg}
+      />
       {isAdmin && (
         <span className={styles.adminCrown}>👑</span>
       )}
@@ -144,6 +87,529 @@ const MemberAvatar = ({ member, isAdmin }) => {
   );
 };
 
+/**
+ * Estado de una temporada para mostrarla en la lista
+ */
+const getSeasonState = (season, currentSeasonId) => {
+  // An ended season stays open until the background job archives it
+  if (season.status === 'closed' || new Date(season.endDate) <= new Date()) {
+    return { label: 'Cerrada', className: styles.roleBadgeMember };
+  }
+  if (season._id === currentSeasonId) return { label: 'En curso', className: styles.roleBadgeAdmin };
+  return { label: 'Próxima', className: styles.roleBadgeMod };
+};
+
+/**
+ * Sección de temporadas: rankings por periodos con clasificación final archivada
+ * El admin puede crearlas, cerrarlas antes de tiempo o eliminar las no cerradas
+ */
+const SeasonsSection = ({ groupId, isAdmin, onNotify }) => {
+  const navigate = useNavigate();
+  const [seasons, setSeasons] = useState([]);
+  const [currentSeasonId, setCurrentSeasonId] = useState(null);
+  const [form, setForm] = useState({ name: '', startDate: '', endDate: '' });
+  const [saving, setSaving] = useState(false);
+
+  const loadSeasons = useCallback(async () => {
+    try {
+      const response = await groupService.getSeasons(groupId);
+      setSeasons(response.data || []);
+      setCurrentSeasonId(response.currentSeasonId || null);
+    } catch {
+      setSeasons([]);
+    }
+  }, [groupId]);
+
+  useEffect(() => { loadSeasons(); }, [loadSeasons]);
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      await groupService.createSeason(groupId, {
+        name: form.name,
+        // Medianoche local del día elegido
+        startDate: new Date(`${form.startDate}T00:00`).toISOString(),
+        endDate: new Date(`${form.endDate}T00:00`).toISOString(),
+      });
+      onNotify.success('Temporada creada');
+      setForm({ name: '', startDate: '', endDate: '' });
+      loadSeasons();
+    } catch (err) {
+      onNotify.error(err.response?.data?.message || 'Error al crear la temporada');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleClose = async (season) => {
+    if (!window.confirm(`¿Cerrar "${season.name}" ahora? Su clasificación quedará archivada.`)) return;
+    try {
+      await groupService.closeSeason(groupId, season._id);
+      onNotify.success('Temporada cerrada');
+      loadSeasons();
+    } catch (err) {
+      onNotify.error(err.response?.data?.message || 'Error al cerrar la temporada');
+    }
+  };
+
+  const handleDelete = async (season) => {
+    if (!window.confirm(`¿Eliminar la temporada "${season.name}"?`)) return;
+    try {
+      await groupService.deleteSeason(groupId, season._id);
+      onNotify.success('Temporada eliminada');
+      loadSeasons();
+    } catch (err) {
+      onNotify.error(err.response?.data?.message || 'Error al eliminar la temporada');
+    }
+  };
+
+  return (
+    <section className={styles.section}>
+      <h2 className={styles.sectionTitle}>Temporadas</h2>
+
+      {seasons.length === 0 ? (
+        <div className={styles.noMembers}>
+          <p>Este grupo no tiene temporadas: el ranking es histórico.</p>
+        </div>
+      ) : (
+        <ul className={styles.seasonsList}>
+          {seasons.map(season => {
+            const state = getSeasonState(season, currentSeasonId);
+            const isOpen = season.status !== 'closed';
+            return (
+              <li key={season._id} className={styles.seasonItem}>
+                <GiSandsOfTime className={styles.seasonIcon} />
+                <div className={styles.seasonInfo}>
+                  <span className={styles.seasonName}>{season.name}</span>
+                  <span className={styles.seasonDates}>
+                    {formatDate(season.startDate)} – {formatDate(season.endDate)}
+                  </span>
+                </div>
+                <span className={`${styles.roleBadge} ${state.className}`}>{state.label}</span>
+                <div className={styles.seasonActions}>
+                  {(season.status === 'closed' || season._id === currentSeasonId) && (
+                    <button
+                      className={styles.seasonButton}
+                      onClick={() => navigate(`/rankings?group=${groupId}&season=${season._id}`)}
+                      title="Ver clasificación"
+                    >
+                      <GiTrophy />
+                    </button>
+                  )}
+                  {isAdmin && season._id === currentSeasonId && (
+                    <button className={styles.seasonButton} onClick={() => handleClose(season)}>
+                      Cerrar
+                    </button>
+                  )}
+                  {isAdmin && isOpen && (
+                    <button
+                      className={`${styles.seasonButton} ${styles.dangerButton}`}
+                      onClick={() => handleDelete(season)}
+                      title="Eliminar temporada"
+                    >
+                      <MdDelete />
+                    </button>
+                  )}
+                </div>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+
+      {isAdmin && (
+        <form className={styles.seasonForm} onSubmit={handleCreate}>
+          <input
+            type="text"
+            placeholder="Nombre (p. ej. Primavera 2026)"
+            value={form.name}
+            maxLength={50}
+            onChange={(e) => setForm(prev => ({ ...prev, name: e.target.value }))}
+            required
+          />
+          <label>
+            Desde
+            <input
+              type="date"
+              value={form.startDate}
+              onChange={(e) => setForm(prev => ({ ...prev, startDate: e.target.value }))}
+              required
+            />
+          </label>
+          <label>
+            Hasta (no incluido)
+            <input
+              type="date"
+              value={form.endDate}
+              onChange={(e) => setForm(prev => ({ ...prev, endDate: e.target.value }))}
+              required
+            />
+          </label>
+          <button type="submit" className={styles.actionButton} disabled={saving}>
+            Crear temporada
+          </button>
+        </form>
+      )}
+    </section>
+  );
+};
+
+/**
+ * Sección de solicitudes de ingreso, para admins y moderadores
+ * Se aprueban o se rechazan con un motivo; el admin decide si el grupo requiere aprobación
+ */
+const JoinRequestsSection = ({ groupId, isAdmin, requireApproval, onRequireApprovalChange, onApproved, onNotify }) => {
+  const [requests, setRequests] = useState([]);
+  const [busy, setBusy] = useState(null);
+  const [rejectingId, setRejectingId] = useState(null);
+  const [reason, setReason] = useState('');
+
+  const loadRequests = useCallback(async () => {
+    try {
+      const response = await groupService.getJoinRequests(groupId);
+      setRequests(response.data || []);
+    } catch {
+      setRequests([]);
+    }
+  }, [groupId]);
+
+  useEffect(() => { loadRequests(); }, [loadRequests]);
+
+  const handleApprove = async (request) => {
+    setBusy(request._id);
+    try {
+      const response = await groupService.approveJoinRequest(groupId, request._id);
+      onNotify.success(response.message);
+      setRequests(prev => prev.filter(r => r._id !== request._id));
+      onApproved();
+    } catch (err) {
+      onNotify.error(err.response?.data?.message || 'Error al aprobar la solicitud');
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const handleReject = async (e, request) => {
+    e.preventDefault();
+    setBusy(request._id);
+    try {
+      await groupService.rejectJoinRequest(groupId, request._id, reason.trim());
+      onNotify.success('Solicitud rechazada');
+      setRequests(prev => prev.filter(r => r._id !== request._id));
+      setRejectingId(null);
+      setReason('');
+    } catch (err) {
+      onNotify.error(err.response?.data?.message || 'Error al rechazar la solicitud');
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  // Moderators only see the section while there is something to review
+  if (!isAdmin && !requireApproval && requests.length === 0) return null;
+
+  return (
+    <section className={styles.section}>
+      <h2 className={styles.sectionTitle}>Solicitudes de ingreso ({requests.length})</h2>
+
+      {isAdmin && (
+        <label className={styles.approvalToggle}>
+          <input
+            type="checkbox"
+            checked={Boolean(requireApproval)}
+            onChange={(e) => onRequireApprovalChange(e.target.checked)}
+          />
+          Aprobar manualmente a quien se una con el código de invitación
+        </label>
+      )}
+
+      {requests.length === 0 ? (
+        <div className={styles.noMembers}>
+          <p>No hay solicitudes pendientes.</p>
+        </div>
+      ) : (
+        <ul className={styles.seasonsList}>
+          {requests.map(request => (
+            <li key={request._id} className={styles.requestItem}>
+              <div className={styles.requestRow}>
+                <Avatar src={request.user?.avatar} name={request.user?.name || 'Usuario'} size={40} />
+                <div className={styles.seasonInfo}>
+                  <span className={styles.seasonName}>{request.user?.name || 'Usuario'}</span>
+                  <span className={styles.seasonDates}>
+                    {request.user?.stats?.totalMatches || 0} partidas · solicitado {timeAgo(request.createdAt) || 'ahora'}
+                  </span>
+                </div>
+                <div className={styles.seasonActions}>
+                  <button
+                    className={styles.seasonButton}
+                    onClick={() => handleApprove(request)}
+                    disabled={busy !== null}
+                    title="Aprobar"
+                  >
+                    <MdCheck />
+                  </button>
+                  <button
+                    className={`${styles.seasonButton} ${styles.dangerButton}`}
+                    onClick={() => {
+                      setRejectingId(rejectingId === request._id ? null : request._id);
+                      setReason('');
+                    }}
+                    disabled={busy !== null}
+                    title="Rechazar"
+                  >
+                    <MdClose />
+                  </button>
+                </div>
+              </div>
+              {request.message && <p className={styles.requestMessage}>&ldquo;{request.message}&rdquo;</p>}
+              {rejectingId === request._id && (
+                <form className={styles.seasonForm} onSubmit={(e) => handleReject(e, request)}>
+                  <input
+                    type="text"
+                    placeholder="Motivo (opcional, lo verá el usuario)"
+                    value={reason}
+                    maxLength={300}
+                    onChange={(e) => setReason(e.target.value)}
+                    autoFocus
+                  />
+                  <button type="submit" className={`${styles.seasonButton} ${styles.dangerButton}`} disabled={busy !== null}>
+                    Rechazar
+                  </button>
+                </form>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </section>
+  );
+};
+
+const LINK_ROLE_LABELS = {
+  member: 'Miembro',
+  moderator: 'Moderador',
+};
+
+const LINK_STATUS_LABELS = {
+  active: 'Activo',
+  exhausted: 'Agotado',
+};
+
+/**
+ * Sección de invitaciones del admin: invitar por email y enlaces de invitación
+ * con caducidad, usos máximos y rol; ambos se pueden revocar mientras estén pendientes
+ */
+const InvitationsSection = ({ groupId, onNotify }) => {
+  const [invitations, setInvitations] = useState([]);
+  const [links, setLinks] = useState([]);
+  const [email, setEmail] = useState('');
+  const [linkForm, setLinkForm] = useState({ expiresInDays: '7', maxUses: '', role: 'member' });
+  const [saving, setSaving] = useState(false);
+
+  const loadInvitations = useCallback(async () => {
+    try {
+      const [invitationsResponse, linksResponse] = await Promise.all([
+        groupService.getInvitations(groupId),
+        groupService.getInviteLinks(groupId),
+      ]);
+      setInvitations(invitationsResponse.data || []);
+      setLinks(linksResponse.data || []);
+    } catch {
+      setInvitations([]);
+      setLinks([]);
+    }
+  }, [groupId]);
+
+  useEffect(() => { loadInvitations(); }, [loadInvitations]);
+
+  const handleInvite = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      const response = await groupService.inviteUserToGroup(groupId, email.trim());
+      onNotify.success(response.message);
+      setEmail('');
+      setInvitations(prev => [response.data, ...prev]);
+    } catch (err) {
+      onNotify.error(err.response?.data?.message || 'Error al enviar la invitación');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRevokeInvitation = async (invitation) => {
+    if (!window.confirm(`¿Revocar la invitación a ${invitation.invitee?.name || invitation.email}?`)) return;
+    try {
+      await groupService.revokeInvitation(groupId, invitation._id);
+      onNotify.success('Invitación revocada');
+      setInvitations(prev => prev.filter(i => i._id !== invitation._id));
+    } catch (err) {
+      onNotify.error(err.response?.data?.message || 'Error al revocar la invitación');
+    }
+  };
+
+  const handleCopyLink = async (link) => {
+    try {
+      await navigator.clipboard.writeText(link.url);
+      onNotify.success('Enlace copiado al portapapeles');
+    } catch {
+      onNotify.info(`Copia el enlace: ${link.url}`, { duration: 10000 });
+    }
+  };
+
+  const handleCreateLink = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      const response = await groupService.createInviteLink(groupId, {
+        expiresInDays: Number(linkForm.expiresInDays),
+        maxUses: linkForm.maxUses ? Number(linkForm.maxUses) : null,
+        role: linkForm.role,
+      });
+      setLinks(prev => [response.data, ...prev]);
+      setLinkForm(prev => ({ ...prev, maxUses: '' }));
+      await handleCopyLink(response.data);
+    } catch (err) {
+      onNotify.error(err.response?.data?.message || 'Error al crear el enlace');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRevokeLink = async (link) => {
+    if (!window.confirm('¿Revocar este enlace? Dejará de funcionar para quien lo tenga.')) return;
+    try {
+      await groupService.revokeInviteLink(groupId, link.id);
+      onNotify.success('Enlace revocado');
+      setLinks(prev => prev.filter(l => l.id !== link.id));
+    } catch (err) {
+      onNotify.error(err.response?.data?.message || 'Error al revocar el enlace');
+    }
+  };
+
+  return (
+    <section className={styles.section}>
+      <h2 className={styles.sectionTitle}>Invitaciones</h2>
+
+      <form className={styles.inviteForm} onSubmit={handleInvite}>
+        <input
+          type="email"
+          placeholder="Email de la persona a invitar"
+          value={email}
+          onChange={(e) => setEmail(e.target.value)}
+          required
+        />
+        <button type="submit" className={styles.actionButton} disabled={saving}>
+          <MdMail /> Invitar
+        </button>
+      </form>
+      <p className={styles.inviteHint}>
+        Recibirá la invitación por email y decidirá si la acepta. Si aún no tiene cuenta, la encontrará al registrarse con ese email.
+      </p>
+
+      {invitations.length > 0 && (
+        <ul className={styles.seasonsList}>
+          {invitations.map(invitation => (
+            <li key={invitation._id} className={styles.seasonItem}>
+              <Avatar src={invitation.invitee?.avatar} name={invitation.invitee?.name || invitation.email} size={36} />
+              <div className={styles.seasonInfo}>
+                <span className={styles.seasonName}>{invitation.invitee?.name || invitation.email}</span>
+                <span className={styles.seasonDates}>
+                  {invitation.invitee ? 'Pendiente de respuesta' : 'Sin cuenta todavía'} · caduca el {formatDate(invitation.expiresAt)}
+                </span>
+              </div>
+              <div className={styles.seasonActions}>
+                <button
+                  className={`${styles.seasonButton} ${styles.dangerButton}`}
+                  onClick={() => handleRevokeInvitation(invitation)}
+                  title="Revocar invitación"
+                >
+                  <MdClose />
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <h3 className={styles.subsectionTitle}>Enlaces de invitación</h3>
+      {links.length === 0 ? (
+        <div className={styles.noMembers}>
+          <p>No hay enlaces activos. Quien abra uno se une al grupo directamente, sin aprobación.</p>
+        </div>
+      ) : (
+        <ul className={styles.seasonsList}>
+          {links.map(link => (
+            <li key={link.id} className={styles.seasonItem}>
+              <MdLink className={styles.seasonIcon} />
+              <div className={styles.seasonInfo}>
+                <span className={`${styles.seasonName} ${styles.linkUrl}`}>{link.url}</span>
+                <span className={styles.seasonDates}>
+                  {LINK_ROLE_LABELS[link.role]} · {link.uses}/{link.maxUses ?? '∞'} usos · caduca el {formatDate(link.expiresAt)}
+                </span>
+              </div>
+              <span className={`${styles.roleBadge} ${link.status === 'active' ? styles.roleBadgeAdmin : styles.roleBadgeMember}`}>
+                {LINK_STATUS_LABELS[link.status]}
+              </span>
+              <div className={styles.seasonActions}>
+                <button className={styles.seasonButton} onClick={() => handleCopyLink(link)} title="Copiar enlace">
+                  <MdContentCopy />
+                </button>
+                <button
+                  className={`${styles.seasonButton} ${styles.dangerButton}`}
+                  onClick={() => handleRevokeLink(link)}
+                  title="Revocar enlace"
+                >
+                  <MdDelete />
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <form className={styles.seasonForm} onSubmit={handleCreateLink}>
+        <label>
+          Caduca en
+          <select
+            value={linkForm.expiresInDays}
+            onChange={(e) => setLinkForm(prev => ({ ...prev, expiresInDays: e.target.value }))}
+          >
+            <option value="1">1 día</option>
+            <option value="7">7 días</option>
+            <option value="30">30 días</option>
+          </select>
+        </label>
+        <label>
+          Usos máximos
+          <input
+            type="number"
+            min="1"
+            max="100"
+            placeholder="Sin límite"
+            value={linkForm.maxUses}
+            onChange={(e) => setLinkForm(prev => ({ ...prev, maxUses: e.target.value }))}
+          />
+        </label>
+        <label>
+          Rol al unirse
+          <select
+            value={linkForm.role}
+            onChange={(e) => setLinkForm(prev => ({ ...prev, role: e.target.value }))}
+          >
+            <option value="member">Miembro</option>
+            <option value="moderator">Moderador</option>
+          </select>
+        </label>
+        <button type="submit" className={styles.actionButton} disabled={saving}>
+          <MdLink /> Crear enlace
+        </button>
+      </form>
+    </section>
+  );
+};
+
 /**
  * Página de detalle del grupo
  * Muestra toda la información del grupo, miembros, juegos, etc.
@@ -157,6 +623,7 @@ const GroupDetail = () => {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
   const [copiedCode, setCopiedCode] = useState(false);
+  const [showImportMatches, setShowImportMatches] = useState(false);
   const toastRef = useRef(toast);
 
   // Mantener referencia actualizada de toast sin causar re-renders
@@ -247,16 +714,51 @@ const GroupDetail = () => {
     }
   };
 
-  const handleAvatarChange = async (newAvatarUrl) => {
+  const handleRoleChange = async (memberId, role) => {
+    try {
+      const response = await groupService.updateMemberRole(id, memberId, role);
+      setGroup(response.data);
+      toastRef.current.success(response.message);
+    } catch (err) {
+      toastRef.current.error(err.response?.data?.message || 'Error al cambiar el rol');
+    }
+  };
+
+  const handleTransferOwnership = async (memberId, memberName) => {
+    if (!window.confirm(`¿Hacer a ${memberName} administrador del grupo? Tú pasarás a ser moderador.`)) return;
+
+    try {
+      const response = await groupService.transferOwnership(id, memberId);
+      setGroup(response.data);
+      toastRef.current.success(response.message);
+    } catch (err) {
+      toastRef.current.error(err.response?.data?.message || 'Error al transferir la administración');
+    }
+  };
+
+  // Uploads a new group avatar, or removes it when there is no file
+  const handleAvatarChange = async (file) => {
     try {
-      await groupService.updateGroup(id, { avatar: newAvatarUrl });
-      setGroup(prev => ({ ...prev, avatar: newAvatarUrl }));
-      toastRef.current.success(newAvatarUrl ? 'Imagen del grupo actualizada' : 'Imagen del grupo eliminada');
+      const response = file
+        ? await groupService.uploadAvatar(id, file)
+        : await groupService.deleteAvatar(id);
+      setGroup(prev => ({ ...prev, avatar: response.data.avatar }));
+      toastRef.current.success(file ? 'Imagen del grupo actualizada' : 'Imagen del grupo eliminada');
     } catch (err) {
       toastRef.current.error(err.response?.data?.message || 'Error al actualizar imagen');
     }
   };
 
+  // Refresh the group after importing past matches or approving a new member
+  const reloadGroup = async () => {
+    try {
+      const response = await groupService.getGroupById(id);
+      setGroup(response.data);
+    } catch {
+      // The page keeps the previous data
+    }
+  };
+
   if (loading) {
     return <Loading message="Cargando grupo..." />;
   }
@@ -277,9 +779,22 @@ const GroupDetail = () => {
 
   // Determine if current user is admin
   const adminUser = group.admin;
-  const isAdmin = user?._id === adminUser?._id || user?._id === group.createdBy;
+  const isAdmin = user?._id === adminUser?._id;
+  const isModerator = group.members?.some(m => m.user?._id === user?._id && m.role === 'moderator');
   const memberCount = (group.members?.length || 0);
 
+  const handleRequireApprovalChange = async (requireApproval) => {
+    try {
+      await groupService.updateGroup(id, { settings: { requireApproval } });
+      setGroup(prev => ({ ...prev, settings: { ...prev.settings, requireApproval } }));
+      toastRef.current.success(requireApproval
+        ? 'Las nuevas incorporaciones necesitarán aprobación'
+        : 'Cualquiera con el código podrá unirse directamente');
+    } catch (err) {
+      toastRef.current.error(err.response?.data?.message || 'Error al actualizar el grupo');
+    }
+  };
+
   // Helper function to format join date
   const formatJoinDate = (date) => {
     if (!date) return '';
@@ -409,6 +924,24 @@ const GroupDetail = () => {
                             Se unió el {formatJoinDate(member.joinedAt)}
                           </p>
                         )}
+
+                        {/* Gestión de roles (solo admin, sobre los demás miembros) */}
+                        {isAdmin && !isCurrentUser && !isMemberAdmin && (
+                          <div className={styles.memberActions}>
+                            <button
+                              className={styles.seasonButton}
+                              onClick={() => handleRoleChange(memberUser?._id, isMemberModerator ? 'member' : 'moderator')}
+                            >
+                              {isMemberModerator ? 'Quitar moderador' : 'Hacer moderador'}
+                            </button>
+                            <button
+                              className={styles.seasonButton}
+                              onClick={() => handleTransferOwnership(memberUser?._id, memberUser?.name)}
+                            >
+                              Hacer administrador
+                            </button>
+                          </div>
+                        )}
                       </div>
                     </div>
                   );
@@ -424,6 +957,24 @@ const GroupDetail = () => {
               )}
             </div>
           </section>
+
+          {/* Join Requests Section */}
+          {(isAdmin || isModerator) && (
+            <JoinRequestsSection
+              groupId={id}
+              isAdmin={isAdmin}
+              requireApproval={group.settings?.requireApproval}
+              onRequireApprovalChange={handleRequireApprovalChange}
+              onApproved={reloadGroup}
+              onNotify={toast}
+            />
+          )}
+
+          {/* Invitations Section */}
+          {isAdmin && <InvitationsSection groupId={id} onNotify={toast} />}
+
+          {/* Seasons Section */}
+          <SeasonsSection groupId={id} isAdmin={isAdmin} onNotify={toast} />
         </div>
 
         {/* Sidebar */}
@@ -436,6 +987,14 @@ const GroupDetail = () => {
             >
               <GiTrophy /> Ver Rankings
             </button>
+            {isAdmin && (
+              <button
+                className={styles.actionButton}
+                onClick={() => setShowImportMatches(true)}
+              >
+                <MdHistory /> Importar partidas
+              </button>
+            )}
             <button 
               className={`${styles.actionButton} ${styles.dangerButton}`}
               onClick={handleLeaveGroup}
@@ -459,6 +1018,15 @@ const GroupDetail = () => {
           </div>
         </aside>
       </div>
+
+      {isAdmin && (
+        <ImportMatchesModal
+          isOpen={showImportMatches}
+          onClose={() => setShowImportMatches(false)}
+          onImported={reloadGroup}
+          groupId={id}
+        />
+      )}
     </div>
   );
 };
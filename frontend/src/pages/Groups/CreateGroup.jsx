@@ -4,10 +4,11 @@ import { useGroup } from '../../context/GroupContext';
 import { useAuth } from '../../context/AuthContext';
 import { MdArrowBack, MdInfo } from 'react-icons/md';
 import { GiTeamIdea } from 'react-icons/gi';
-import { FaUserCircle } from 'react-icons/fa';
 import Button from '../../components/common/Button';
 import Card from '../../components/common/Card';
 import Input from '../../components/common/Input';
+import Avatar from '../../components/common/Avatar';
+import ImageUploader from '../../components/common/ImageUploader';
 import styles from './CreateGroup.module.css';
 import groupService from '../../services/groupService';
 
@@ -27,6 +28,8 @@ const CreateGroup = () => {
     name: '',
     description: '',
   });
+  // Uploaded once the group exists
+  const [avatarFile, setAvatarFile] = useState(null);
 
   // Check group limit on load
   useEffect(() => {
@@ -60,11 +63,19 @@ const CreateGroup = () => {
         description: formData.description.trim(),
       });
 
+      const groupId = response.data?._id || response.data?.id;
+      if (groupId && avatarFile) {
+        try {
+          await groupService.uploadAvatar(groupId, avatarFile);
+        } catch {
+          // The group is created anyway: the image can be changed from its page
+        }
+      }
+
       // Reload groups
       await loadGroups();
 
       // Navigate to the newly created group or to the groups list
-      const groupId = response.data?._id || response.data?.id;
       if (groupId) {
         navigate(`/groups/${groupId}`);
       } else {
@@ -135,6 +146,21 @@ const CreateGroup = () => {
             </p>
           </div>
 
+          {/* Imagen */}
+          <div className={styles.formGroup}>
+            <label className={styles.label}>
+              Imagen del Grupo
+            </label>
+            <ImageUploader
+              onFileSelected={setAvatarFile}
+              shape="round"
+              fallback={<Avatar name={formData.name || 'Grupo'} size={120} />}
+            />
+            <p className={styles.hint}>
+              Opcional. Si no eliges ninguna se mostrarán las iniciales del grupo
+            </p>
+          </div>
+
           {/* Descripción */}
           <div className={styles.formGroup}>
             <label htmlFor="description" className={styles.label}>
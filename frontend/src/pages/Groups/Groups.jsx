@@ -1,20 +1,26 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useCallback } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
 import { useGroup } from '../../context/GroupContext';
 import { useToast } from '../../context/ToastContext';
 import { useAuth } from '../../context/AuthContext';
-import { MdAddCircle, MdPersonAdd, MdExitToApp } from 'react-icons/md';
-import { FaUserCircle } from 'react-icons/fa';
+import { MdAddCircle, MdPersonAdd, MdExitToApp, MdHourglassEmpty, MdClose, MdMail } from 'react-icons/md';
 import { GiTeamIdea } from 'react-icons/gi';
 import groupService from '../../services/groupService';
 import Button from '../../components/common/Button';
 import Loading from '../../components/common/Loading';
-import { isValidAvatar } from '../../utils/validators';
+import Avatar from '../../components/common/Avatar';
+import { timeAgo } from '../../utils/dateUtils';
 import styles from './Groups.module.css';
 
 // Maximum number of groups per user (must match the backend)
 const MAX_GROUPS = 7;
 
+const REQUEST_STATUS_LABELS = {
+  pending: 'Pendiente',
+  approved: 'Aprobada',
+  rejected: 'Rechazada',
+};
+
 /**
  * Groups Page - List and group management
  */
@@ -27,7 +33,29 @@ const Groups = () => {
   const [error, setError] = useState('');
   const [showJoinModal, setShowJoinModal] = useState(false);
   const [inviteCode, setInviteCode] = useState('');
+  const [joinMessage, setJoinMessage] = useState('');
   const [joiningLoading, setJoiningLoading] = useState(false);
+  const [joinRequests, setJoinRequests] = useState([]);
+  const [invitations, setInvitations] = useState([]);
+  const [respondingId, setRespondingId] = useState(null);
+
+  const loadJoinRequests = useCallback(async () => {
+    try {
+      const response = await groupService.getMyJoinRequests();
+      setJoinRequests(response.data || []);
+    } catch {
+      // The list keeps the previous data
+    }
+  }, []);
+
+  const loadInvitations = useCallback(async () => {
+    try {
+      const response = await groupService.getMyInvitations();
+      setInvitations(response.data || []);
+    } catch {
+      // The list keeps the previous data
+    }
+  }, []);
 
   useEffect(() => {
     const loadInitialGroups = async () => {
@@ -42,7 +70,9 @@ const Groups = () => {
     };
 
     loadInitialGroups();
-  }, [loadGroups]);
+    loadJoinRequests();
+    loadInvitations();
+  }, [loadGroups, loadJoinRequests, loadInvitations]);
 
   const handleLeaveGroup = async (e, group) => {
     e.stopPropagation();
@@ -72,11 +102,19 @@ const Groups = () => {
 
     setJoiningLoading(true);
     try {
-      const response = await groupService.joinGroup(inviteCode);
+      const response = await groupService.joinGroup(inviteCode, joinMessage.trim() || undefined);
       
-      if (response.success) {
+      if (response.pending) {
+        // The group requires approval: the request waits for its admins
+        toast.info(response.message, { title: 'Solicitud enviada' });
+        setInviteCode('');
+        setJoinMessage('');
+        setShowJoinModal(false);
+        await loadJoinRequests();
+      } else if (response.success) {
         toast.success('¡Te has unido al grupo exitosamente!');
         setInviteCode('');
+        setJoinMessage('');
         setShowJoinModal(false);
         
         // Reload groups
@@ -90,6 +128,47 @@ const Groups = () => {
     }
   };
 
+  const handleCancelRequest = async (request) => {
+    if (!window.confirm(`¿Retirar tu solicitud para unirte a "${request.group?.name}"?`)) return;
+
+    try {
+      await groupService.cancelJoinRequest(request._id);
+      toast.success('Solicitud retirada');
+      setJoinRequests(prev => prev.filter(r => r._id !== request._id));
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Error al retirar la solicitud');
+    }
+  };
+
+  const handleAcceptInvitation = async (invitation) => {
+    setRespondingId(invitation._id);
+    try {
+      const response = await groupService.acceptInvitation(invitation._id);
+      toast.success(response.message);
+      setInvitations(prev => prev.filter(i => i._id !== invitation._id));
+      await loadGroups();
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Error al aceptar la invitación');
+    } finally {
+      setRespondingId(null);
+    }
+  };
+
+  const handleDeclineInvitation = async (invitation) => {
+    if (!window.confirm(`¿Rechazar la invitación a "${invitation.group?.name}"?`)) return;
+
+    setRespondingId(invitation._id);
+    try {
+      await groupService.declineInvitation(invitation._id);
+      toast.success('Invitación rechazada');
+      setInvitations(prev => prev.filter(i => i._id !== invitation._id));
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Error al rechazar la invitación');
+    } finally {
+      setRespondingId(null);
+    }
+  };
+
   return (
     <div className={styles.groupsPage}>
       {/* Header */}
@@ -135,6 +214,84 @@ const Groups = () => {
         </div>
       )}
 
+      {/* Invitaciones recibidas */}
+      {invitations.length > 0 && (
+        <section className={styles.requestsSection}>
+          <h2 className={styles.requestsTitle}>
+            <MdMail /> Invitaciones a grupos
+          </h2>
+          <ul className={styles.requestsList}>
+            {invitations.map(invitation => (
+              <li key={invitation._id} className={styles.requestItem}>
+                <Avatar src={invitation.group?.avatar} name={invitation.group?.name} size={36} />
+                <div className={styles.requestInfo}>
+                  <span className={styles.requestGroup}>{invitation.group?.name}</span>
+                  <span className={styles.requestMeta}>
+                    {invitation.invitedBy?.name || 'Un administrador'} te invitó {timeAgo(invitation.createdAt) || 'ahora'}
+                    {invitation.claimedAtSignup && user?.emailVerified === false && ' · Verifica tu email para aceptarla'}
+                  </span>
+                </div>
+                <div className={styles.invitationActions}>
+                  <Button
+                    variant="primary"
+                    size="small"
+                    onClick={() => handleAcceptInvitation(invitation)}
+                    disabled={respondingId !== null || groups.length >= MAX_GROUPS}
+                  >
+                    Aceptar
+                  </Button>
+                  <button
+                    className={styles.requestCancel}
+                    onClick={() => handleDeclineInvitation(invitation)}
+                    disabled={respondingId !== null}
+                    title="Rechazar invitación"
+                  >
+                    <MdClose />
+                  </button>
+                </div>
+              </li>
+            ))}
+          </ul>
+        </section>
+      )}
+
+      {/* Solicitudes de ingreso enviadas */}
+      {joinRequests.length > 0 && (
+        <section className={styles.requestsSection}>
+          <h2 className={styles.requestsTitle}>
+            <MdHourglassEmpty /> Solicitudes para unirte
+          </h2>
+          <ul className={styles.requestsList}>
+            {joinRequests.map(request => (
+              <li key={request._id} className={styles.requestItem}>
+                <Avatar src={request.group?.avatar} name={request.group?.name} size={36} />
+                <div className={styles.requestInfo}>
+                  <span className={styles.requestGroup}>{request.group?.name}</span>
+                  <span className={styles.requestMeta}>
+                    {request.status === 'pending'
+                      ? `Enviada ${timeAgo(request.createdAt) || 'ahora'} · esperando a un administrador`
+                      : `Revisada ${timeAgo(request.reviewedAt) || 'ahora'}`}
+                    {request.status === 'rejected' && request.rejectionReason && ` · Motivo: ${request.rejectionReason}`}
+                  </span>
+                </div>
+                <span className={`${styles.requestStatus} ${styles[`requestStatus_${request.status}`]}`}>
+                  {REQUEST_STATUS_LABELS[request.status]}
+                </span>
+                {request.status === 'pending' && (
+                  <button
+                    className={styles.requestCancel}
+                    onClick={() => handleCancelRequest(request)}
+                    title="Retirar solicitud"
+                  >
+                    <MdClose />
+                  </button>
+                )}
+              </li>
+            ))}
+          </ul>
+        </section>
+      )}
+
       {/* Loading */}
       {loading && <Loading message="Cargando grupos..." />}
 
@@ -155,15 +312,7 @@ const Groups = () => {
               {/* Header con avatar, nombre y descripción */}
               <div className={styles.cardHeader}>
                 <div className={styles.groupHeaderRow}>
-                  {isValidAvatar(group.avatar) ? (
-                    <img 
-                      src={group.avatar} 
-                      alt={group.name} 
-                      className={styles.groupAvatarImg}
-                    />
-                  ) : (
-                    <GiTeamIdea className={styles.groupAvatarIcon} />
-                  )}
+                  <Avatar src={group.avatar} name={group.name} size={52} className={styles.groupAvatarImg} />
                   <div className={styles.groupHeaderText}>
                     <h3 className={styles.groupName}>{group.name}</h3>
                     <p className={styles.groupDescription}>
@@ -178,15 +327,7 @@ const Groups = () => {
                 <div className={styles.adminSection}>
                   <span className={styles.adminLabel}>Administrador</span>
                   <div className={styles.adminInfo}>
-                    {isValidAvatar(group.admin?.avatar) ? (
-                      <img 
-                        src={group.admin.avatar} 
-                        alt={group.admin?.name} 
-                        className={styles.adminAvatarImg}
-                      />
-                    ) : (
-                      <FaUserCircle className={styles.adminAvatarIcon} />
-                    )}
+                    <Avatar src={group.admin?.avatar} name={group.admin?.name} size={36} className={styles.adminAvatarImg} />
                     <span className={styles.adminName}>{group.admin?.name || 'Sin admin'}</span>
                   </div>
                   <span className={styles.membersCount}>
@@ -267,6 +408,20 @@ const Groups = () => {
                 </small>
               </div>
 
+              <div className={styles.formGroup}>
+                <label htmlFor="joinMessage">Mensaje para el administrador (opcional)</label>
+                <textarea
+                  id="joinMessage"
+                  className={styles.messageInput}
+                  placeholder="Si el grupo requiere aprobación, lo verá junto a tu solicitud"
+                  value={joinMessage}
+                  onChange={(e) => setJoinMessage(e.target.value)}
+                  maxLength={300}
+                  rows={2}
+                  disabled={joiningLoading}
+                />
+              </div>
+
               <div className={styles.formActions}>
                 <button
                   type="button"
@@ -5,6 +5,7 @@ import { FiCalendar, FiUsers, FiClock } from 'react-icons/fi';
 import Card from '../../components/common/Card';
 import Loading from '../../components/common/Loading';
 import matchService from '../../services/matchService';
+import { getWinnerIds } from '../../utils/matchUtils';
 import styles from './History.module.css';
 
 const History = () => {
@@ -41,10 +42,9 @@ const History = () => {
   const { stats, filtered } = useMemo(() => {
     const currentUserId = user?._id?.toString();
     
-    // Check if user won (is the winner or has position 1)
+    // Check if user won (is one of the winners or has position 1)
     const isWinner = (match) => {
-      const winnerId = match.winner?._id?.toString() || match.winner?.toString();
-      if (winnerId === currentUserId) return true;
+      if (getWinnerIds(match).includes(currentUserId)) return true;
       const userPlayer = match.players?.find(p => {
         const playerId = p.user?._id?.toString() || p.user?.toString();
         return playerId === currentUserId;
@@ -117,14 +117,20 @@ const StatCard = ({ label, value, color }) => (
 
 const MatchCard = ({ match, userId }) => {
   const userIdStr = userId?.toString();
-  const winnerId = match.winner?._id?.toString() || match.winner?.toString();
   const userPlayer = match.players?.find(p => {
     const playerId = p.user?._id?.toString() || p.user?.toString();
     return playerId === userIdStr;
   });
-  const isWinner = winnerId === userIdStr || userPlayer?.position === 1;
+  const isWinner = getWinnerIds(match).includes(userIdStr) || userPlayer?.position === 1;
   const date = new Date(match.actualDate || match.scheduledDate).toLocaleDateString('es-ES', { day: 'numeric', month: 'short', year: 'numeric' });
   const playersWithPosition = match.players?.filter(p => p.position) || [];
+  // Positions shared by several players (ties)
+  const tiedPositions = new Set(
+    playersWithPosition
+      .map(p => p.position)
+      .filter((position, i, positions) => positions.indexOf(position) !== i)
+  );
+  const isSharedWin = isWinner && tiedPositions.has(1);
   const durationMinutes = match.duration?.value || match.duration;
 
   return (
@@ -138,7 +144,7 @@ const MatchCard = ({ match, userId }) => {
             {durationMinutes && <span><FiClock /> {durationMinutes}min</span>}
           </div>
         </div>
-        {isWinner && <div className={styles.winBadge}><GiTrophy /> Victoria</div>}
+        {isWinner && <div className={styles.winBadge}><GiTrophy /> {isSharedWin ? 'Victoria compartida' : 'Victoria'}</div>}
       </div>
 
       <div className={styles.results}>
@@ -153,6 +159,7 @@ const MatchCard = ({ match, userId }) => {
               <span className={styles.playerName}>
                 {p.user?.name || 'Jugador'}{isMe && ' (Tú)'}
               </span>
+              {tiedPositions.has(p.position) && <span className={styles.tie}>Empate</span>}
               {p.pointsEarned > 0 && <span className={styles.pts}>+{p.pointsEarned} pts</span>}
             </div>
           );
@@ -1,5 +1,5 @@
 import { useEffect } from 'react';
-import { Link, useNavigate } from 'react-router-dom';
+import { Link, useNavigate, useLocation } from 'react-router-dom';
 import { GiPerspectiveDiceSixFacesRandom, GiCardPlay, GiDiceSixFacesFive, GiDiceSixFacesSix } from 'react-icons/gi';
 import { FiUsers, FiCalendar, FiBarChart2 } from 'react-icons/fi';
 import { useAuth } from '../../context/AuthContext';
@@ -7,15 +7,20 @@ import Button from '../../components/common/Button';
 import Footer from '../../components/layout/Footer';
 import styles from './Home.module.css';
 
+// Email links open over the landing page even with a session started
+const EMAIL_LINK_PATHS = ['/reset-password', '/verify-email'];
+
 const Home = () => {
   const navigate = useNavigate();
+  const location = useLocation();
   const { isAuthenticated, loading } = useAuth();
+  const isEmailLink = EMAIL_LINK_PATHS.includes(location.pathname);
 
   useEffect(() => {
-    if (!loading && isAuthenticated) {
+    if (!loading && isAuthenticated && !isEmailLink) {
       navigate('/home', { replace: true });
     }
-  }, [isAuthenticated, loading, navigate]);
+  }, [isAuthenticated, loading, isEmailLink, navigate]);
 
   return (
     <div className={styles.landingWrapper}>
@@ -0,0 +1,103 @@
+import { useState, useEffect } from 'react';
+import { useParams, useNavigate, useLocation, Link } from 'react-router-dom';
+import { GiTeamIdea } from 'react-icons/gi';
+import { useAuth } from '../../context/AuthContext';
+import { useGroup } from '../../context/GroupContext';
+import { useToast } from '../../context/ToastContext';
+import groupService from '../../services/groupService';
+import Button from '../../components/common/Button';
+import Loading from '../../components/common/Loading';
+import Avatar from '../../components/common/Avatar';
+import { formatDate } from '../../utils/dateUtils';
+import styles from './InviteLink.module.css';
+
+/**
+ * Página de un enlace de invitación a un grupo
+ * Muestra el grupo sin necesidad de sesión; para unirse hay que iniciarla
+ */
+const InviteLink = () => {
+  const { token } = useParams();
+  const navigate = useNavigate();
+  const location = useLocation();
+  const { isAuthenticated } = useAuth();
+  const { loadGroups } = useGroup();
+  const toast = useToast();
+
+  const [invite, setInvite] = useState(null);
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [joining, setJoining] = useState(false);
+
+  useEffect(() => {
+    groupService.getInviteLinkPreview(token)
+      .then(response => setInvite(response.data))
+      .catch(err => setError(err.response?.data?.message || 'Este enlace de invitación no es válido o ha caducado'))
+      .finally(() => setLoading(false));
+  }, [token]);
+
+  const handleJoin = async () => {
+    setJoining(true);
+    try {
+      const response = await groupService.joinWithInviteLink(token);
+      toast.success(response.message);
+      await loadGroups();
+      navigate(`/groups/${response.data._id}`, { replace: true });
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Error al unirse al grupo');
+      setJoining(false);
+    }
+  };
+
+  if (loading) {
+    return <Loading message="Cargando invitación..." />;
+  }
+
+  return (
+    <div className={styles.invitePage}>
+      <div className={styles.card}>
+        {error ? (
+          <>
+            <GiTeamIdea className={styles.icon} />
+            <h1 className={styles.title}>Invitación no disponible</h1>
+            <p className={styles.description}>{error}. Pide un enlace nuevo al administrador del grupo.</p>
+            <Link to={isAuthenticated ? '/groups' : '/'}>
+              <Button variant="secondary">Volver</Button>
+            </Link>
+          </>
+        ) : (
+          <>
+            <Avatar src={invite.group.avatar} name={invite.group.name} size={80} />
+            <p className={styles.kicker}>Te han invitado a unirte a</p>
+            <h1 className={styles.title}>{invite.group.name}</h1>
+            {invite.group.description && <p className={styles.description}>{invite.group.description}</p>}
+            <p className={styles.meta}>
+              {invite.group.memberCount} miembro{invite.group.memberCount !== 1 ? 's' : ''}
+              {invite.role === 'moderator' && ' · Entrarás como moderador'}
+              {` · Enlace válido hasta el ${formatDate(invite.expiresAt)}`}
+            </p>
+            {isAuthenticated ? (
+              <Button variant="primary" size="large" onClick={handleJoin} disabled={joining}>
+                {joining ? 'Uniéndome...' : 'Unirme al grupo'}
+              </Button>
+            ) : (
+              <div className={styles.actions}>
+                <Button
+                  variant="primary"
+                  size="large"
+                  onClick={() => navigate('/login', { state: { from: location.pathname } })}
+                >
+                  Inicia sesión para unirte
+                </Button>
+                <p className={styles.hint}>
+                  ¿No tienes cuenta? <Link to="/register">Regístrate</Link> y vuelve a abrir este enlace.
+                </p>
+              </div>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default InviteLink;
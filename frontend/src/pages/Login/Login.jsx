@@ -6,6 +6,7 @@ import { useAuth } from '../../context/AuthContext';
 import { useToast } from '../../context/ToastContext';
 import Button from '../../components/common/Button';
 import Input from '../../components/common/Input';
+import { formatDate } from '../../utils/dateUtils';
 import styles from './Login.module.css';
 
 const Login = () => {
@@ -42,6 +43,8 @@ const Login = () => {
 
   const [isLoading, setIsLoading] = useState(false);
   const [serverError, setServerError] = useState('');
+  // End of the grace period of an account pending deletion
+  const [pendingDeletionUntil, setPendingDeletionUntil] = useState(null);
 
   // Identifier validation (email or player name)
   const validateIdentifier = (identifier) => {
@@ -79,6 +82,7 @@ const Login = () => {
     if (serverError) {
       setServerError('');
     }
+    setPendingDeletionUntil(null);
 
     // Validate in real-time if field was already touched
     if (touched[name]) {
@@ -148,6 +152,13 @@ const Login = () => {
       
       navigate(from, { replace: true });
     } catch (error) {
+      // Account in its deletion grace period: offer to restore it
+      const pendingDeletion = error.response?.data?.pendingDeletion;
+      if (pendingDeletion) {
+        setPendingDeletionUntil(pendingDeletion.scheduledFor);
+        return;
+      }
+
       // Show error toast
       toast.error(
         error.response?.data?.message || 'Email o contraseña incorrectos',
@@ -167,6 +178,22 @@ const Login = () => {
     }
   };
 
+  // Logs in again asking the backend to cancel the pending deletion
+  const handleRestoreAccount = async () => {
+    setIsLoading(true);
+    try {
+      const { identifier, password } = formData;
+      await login({ identifier, password, restore: true });
+      toast.success('Tu cuenta se ha restaurado. ¡Bienvenido de nuevo!');
+      navigate(from, { replace: true });
+    } catch (error) {
+      setPendingDeletionUntil(null);
+      setServerError(error.message || 'No se pudo restaurar la cuenta');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
   return (
     <div className={styles.loginPage} onClick={handleOverlayClick}>
       <div className={styles.loginContainer}>
@@ -188,6 +215,24 @@ const Login = () => {
             </div>
           )}
 
+          {/* Cuenta pendiente de eliminación */}
+          {pendingDeletionUntil && (
+            <div className={styles.restoreNotice}>
+              <span>
+                Tu cuenta se eliminará el <strong>{formatDate(pendingDeletionUntil)}</strong>.
+                ¿Quieres restaurarla y seguir usándola?
+              </span>
+              <Button
+                variant="primary"
+                size="small"
+                onClick={handleRestoreAccount}
+                disabled={isLoading}
+              >
+                {isLoading ? 'Restaurando...' : 'Restaurar mi cuenta'}
+              </Button>
+            </div>
+          )}
+
           {/* Formulario */}
           <form onSubmit={handleSubmit} className={styles.form} noValidate>
             <Input
@@ -221,18 +266,23 @@ const Login = () => {
               disabled={isLoading}
             />
 
-            <div className={styles.rememberMe}>
-              <input
-                type="checkbox"
-                id="rememberMe"
-                name="rememberMe"
-                checked={formData.rememberMe}
-                onChange={handleChange}
-                className={styles.checkbox}
-              />
-              <label htmlFor="rememberMe" className={styles.checkboxLabel}>
-                Recordarme en este dispositivo
-              </label>
+            <div className={styles.options}>
+              <div className={styles.rememberMe}>
+                <input
+                  type="checkbox"
+                  id="rememberMe"
+                  name="rememberMe"
+                  checked={formData.rememberMe}
+                  onChange={handleChange}
+                  className={styles.checkbox}
+                />
+                <label htmlFor="rememberMe" className={styles.checkboxLabel}>
+                  Recordarme en este dispositivo
+                </label>
+              </div>
+              <Link to="/forgot-password" className={styles.forgotLink}>
+                ¿Olvidaste tu contraseña?
+              </Link>
             </div>
 
             <Button
@@ -1,33 +1,34 @@
 import { useState, useEffect } from 'react';
 import { useAuth } from '../../context/AuthContext';
 import { useGroup } from '../../context/GroupContext';
+import { useToast } from '../../context/ToastContext';
 import { useNavigate } from 'react-router-dom';
-import { FiEdit2, FiAward, FiUsers, FiTarget, FiTrendingUp, FiStar, FiZap, FiDownload, FiTrash2, FiShield, FiAlertTriangle } from 'react-icons/fi';
+import { FiEdit2, FiAward, FiUsers, FiTarget, FiTrendingUp, FiStar, FiZap, FiTrash2, FiShield, FiAlertTriangle } from 'react-icons/fi';
 import { GiTrophy, GiDiceFire, GiPerspectiveDiceSixFacesRandom, GiTeamIdea, GiCardPlay, GiCrown, GiLaurelCrown, GiPodium, GiRocket, GiDiamondHard, GiBookCover } from 'react-icons/gi';
-import { FaUserCircle } from 'react-icons/fa';
 import { MdGroup } from 'react-icons/md';
 import Loading from '../../components/common/Loading';
+import Avatar from '../../components/common/Avatar';
 import EditProfileModal from '../../components/common/EditProfileModal';
 import Button from '../../components/common/Button';
 import Input from '../../components/common/Input';
 import Modal from '../../components/common/Modal';
+import { ActiveSessions, DataExport } from '../../components/profile';
 import gameService from '../../services/gameService';
 import authService from '../../services/authService';
-import { isValidAvatar } from '../../utils/validators';
 import styles from './Profile.module.css';
 
 const Profile = () => {
-  const { user, updateProfile, refreshUser, logout } = useAuth();
+  const { user, updateProfile, uploadAvatar, deleteAvatar, refreshUser, logout } = useAuth();
   const { groups } = useGroup();
+  const toast = useToast();
   const navigate = useNavigate();
   const [isModalOpen, setIsModalOpen] = useState(false);
   const [gamesCount, setGamesCount] = useState(0);
   const [isDeleteModalOpen, setIsDeleteModalOpen] = useState(false);
   const [deletePassword, setDeletePassword] = useState('');
   const [deleteError, setDeleteError] = useState('');
+  const [deleteImmediately, setDeleteImmediately] = useState(false);
   const [isDeleting, setIsDeleting] = useState(false);
-  const [isExporting, setIsExporting] = useState(false);
-  const [_exportError, setExportError] = useState('');
 
   // Refresh user data on mount to have updated stats
   useEffect(() => {
@@ -39,30 +40,13 @@ const Profile = () => {
     gameService.getGames({ limit: 1 }).then(r => setGamesCount(r.total || 0)).catch(() => {});
   }, [user]);
 
-  const handleSaveProfile = async (data) => {
-    await updateProfile(data);
-  };
-
-  // Export user data (GDPR)
-  const handleExportData = async () => {
-    setIsExporting(true);
-    try {
-      const response = await authService.exportUserData();
-      const dataStr = JSON.stringify(response.data, null, 2);
-      const blob = new Blob([dataStr], { type: 'application/json' });
-      const url = URL.createObjectURL(blob);
-      const link = document.createElement('a');
-      link.href = url;
-      link.download = `tabletop-mastering-data-${user.nickname || 'user'}-${new Date().toISOString().split('T')[0]}.json`;
-      document.body.appendChild(link);
-      link.click();
-      document.body.removeChild(link);
-      URL.revokeObjectURL(url);
-    } catch {
-      setExportError('Failed to export data');
-    } finally {
-      setIsExporting(false);
+  const handleSaveProfile = async ({ avatarFile, removeAvatar, ...data }) => {
+    if (avatarFile) {
+      await uploadAvatar(avatarFile);
+    } else if (removeAvatar) {
+      await deleteAvatar();
     }
+    await updateProfile(data);
   };
 
   // Delete account (GDPR)
@@ -74,7 +58,8 @@ const Profile = () => {
     setIsDeleting(true);
     setDeleteError('');
     try {
-      await authService.deleteAccount(deletePassword);
+      const response = await authService.deleteAccount(deletePassword, { immediate: deleteImmediately });
+      toast.info(response.message, { title: 'Cuenta eliminada', duration: 8000 });
       logout();
       navigate('/', { replace: true });
     } catch (error) {
@@ -130,11 +115,7 @@ const Profile = () => {
         <div className={styles.headerContent}>
           <div className={styles.avatarSection}>
             <div className={styles.avatarWrapper}>
-              {isValidAvatar(user.avatar) ? (
-                <img src={user.avatar} alt={user.name} className={styles.avatar} />
-              ) : (
-                <FaUserCircle className={styles.avatarIcon} />
-              )}
+              <Avatar src={user.avatar} name={user.name || user.nickname} size={120} className={styles.avatar} />
             </div>
             <div className={styles.joinDate}>
               <GiPerspectiveDiceSixFacesRandom />
@@ -212,20 +193,17 @@ const Profile = () => {
           </div>
         </section>
 
+        {/* Sesiones abiertas y contraseña */}
+        <ActiveSessions />
+
         {/* Sección de Datos y Privacidad (RGPD) */}
         <section className={styles.privacySection}>
           <h2><FiShield /> Datos y Privacidad</h2>
           <p className={styles.privacyDesc}>
             Conforme al RGPD, puedes exportar o eliminar todos tus datos personales.
           </p>
+          <DataExport />
           <div className={styles.privacyActions}>
-            <Button
-              variant="secondary"
-              onClick={handleExportData}
-              disabled={isExporting}
-            >
-              <FiDownload /> {isExporting ? 'Exportando...' : 'Exportar mis datos'}
-            </Button>
             <Button
               variant="danger"
               onClick={() => setIsDeleteModalOpen(true)}
@@ -250,6 +228,7 @@ const Profile = () => {
           setIsDeleteModalOpen(false);
           setDeletePassword('');
           setDeleteError('');
+          setDeleteImmediately(false);
         }}
         title="Eliminar cuenta"
       >
@@ -257,10 +236,24 @@ const Profile = () => {
           <div className={styles.deleteWarning}>
             <FiAlertTriangle className={styles.warningIcon} />
             <p>
-              <strong>Esta acción es irreversible.</strong> Se eliminarán todos tus datos, 
-              incluyendo tu perfil, estadísticas y participación en partidas.
+              <strong>Se borrarán tus datos personales</strong> (nombre, email, avatar y perfil) y saldrás
+              de tus grupos. En las partidas que jugaste aparecerás como &quot;Jugador eliminado&quot;, para no
+              alterar el historial de los demás.
             </p>
           </div>
+          <p>
+            {deleteImmediately
+              ? 'Tus datos se borrarán ahora mismo y no podrás recuperar la cuenta.'
+              : 'Tu cuenta se desactivará ahora y se borrará pasado el periodo de gracia. Hasta entonces puedes restaurarla iniciando sesión.'}
+          </p>
+          <label className={styles.deleteOption}>
+            <input
+              type="checkbox"
+              checked={deleteImmediately}
+              onChange={(e) => setDeleteImmediately(e.target.checked)}
+            />
+            Borrar mis datos ya, sin periodo de gracia
+          </label>
           <p>Introduce tu contraseña para confirmar:</p>
           <Input
             type="password"
@@ -276,6 +269,7 @@ const Profile = () => {
                 setIsDeleteModalOpen(false);
                 setDeletePassword('');
                 setDeleteError('');
+                setDeleteImmediately(false);
               }}
             >
               Cancelar
@@ -285,7 +279,7 @@ const Profile = () => {
               onClick={handleDeleteAccount}
               disabled={isDeleting || !deletePassword}
             >
-              {isDeleting ? 'Eliminando...' : 'Eliminar definitivamente'}
+              {isDeleting ? 'Eliminando...' : deleteImmediately ? 'Eliminar definitivamente' : 'Eliminar cuenta'}
             </Button>
           </div>
         </div>
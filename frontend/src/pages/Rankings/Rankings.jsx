@@ -1,18 +1,24 @@
 import { useState, useEffect, useCallback, useMemo } from 'react';
 import { useSearchParams } from 'react-router-dom';
 import { MdRefresh } from 'react-icons/md';
-import { FaUserCircle } from 'react-icons/fa';
 import { GiTrophy, GiPodium } from 'react-icons/gi';
 import { useAuth } from '../../context/AuthContext';
 import { useGroup } from '../../context/GroupContext';
 import Button from '../../components/common/Button';
 import Card from '../../components/common/Card';
+import Avatar from '../../components/common/Avatar';
+import { HeadToHead } from '../../components/rankings';
 import rankingService from '../../services/rankingService';
-import { isValidAvatar, capitalize } from '../../utils/validators';
+import gameService from '../../services/gameService';
+import groupService from '../../services/groupService';
+import { capitalize } from '../../utils/validators';
+import { formatDate } from '../../utils/dateUtils';
 import styles from './Rankings.module.css';
 
 /**
  * Rankings Page - Global and by group
+ * Inside a group: overall ranking (current season by default, archived seasons
+ * or all-time), leaderboard of one game and head-to-head records
  */
 
 const Rankings = () => {
@@ -24,21 +30,68 @@ const Rankings = () => {
   const [error, setError] = useState('');
   const [selectedGroupId, setSelectedGroupId] = useState(searchParams.get('group') || null);
   const [sortBy, setSortBy] = useState('points');
+  const [view, setView] = useState('overall');
+  const [games, setGames] = useState([]);
+  const [selectedGameId, setSelectedGameId] = useState('');
+  const [members, setMembers] = useState([]);
+  const [seasons, setSeasons] = useState([]);
+  const [selectedSeason, setSelectedSeason] = useState(searchParams.get('season') || 'current');
+  const [rankingSeason, setRankingSeason] = useState(null);
 
   // Load groups on mount
   useEffect(() => {
     if (groups.length === 0) loadGroups();
   }, [groups.length, loadGroups]);
 
-  // Load ranking
+  // Changing group goes back to its current season
+  const selectGroup = (groupId) => {
+    setSelectedGroupId(groupId);
+    setSelectedSeason('current');
+  };
+
+  // Load seasons, games and members of the selected group
+  useEffect(() => {
+    setView('overall');
+    setSelectedGameId('');
+    setGames([]);
+    setMembers([]);
+    setSeasons([]);
+    if (!selectedGroupId) return;
+
+    groupService.getSeasons(selectedGroupId)
+      .then(response => setSeasons(response.data || []))
+      .catch(() => setSeasons([]));
+    gameService.getGames({ groupId: selectedGroupId, limit: 100 })
+      .then(response => setGames(response.data || []))
+      .catch(() => setGames([]));
+    groupService.getGroupMembers(selectedGroupId)
+      .then(response => setMembers((response.data || []).map(member => ({
+        id: member.user?._id || member.user,
+        name: capitalize(member.user?.nickname) || member.user?.name || 'Jugador',
+      }))))
+      .catch(() => setMembers([]));
+  }, [selectedGroupId]);
+
+  // Load ranking (sorted by sortBy, with positions and ties, from the API)
   const loadRanking = useCallback(async () => {
+    if (view === 'headToHead') return;
+    if (view === 'game' && !selectedGameId) {
+      setRanking([]);
+      setRankingSeason(null);
+      setLoading(false);
+      return;
+    }
+
     setLoading(true);
     setError('');
 
     try {
       let response;
       if (selectedGroupId) {
-        response = await rankingService.getGroupRanking(selectedGroupId);
+        response = view === 'game'
+          ? await rankingService.getGameLeaderboard(selectedGroupId, selectedGameId, sortBy)
+          : await rankingService.getGroupRanking(selectedGroupId, selectedSeason, sortBy);
+        setRankingSeason(view === 'game' ? null : response.season || null);
         const data = response.data?.ranking || response.data || [];
         setRanking(data.map(item => ({
           id: item.user?._id || item.userId || item._id,
@@ -48,9 +101,14 @@ const Rankings = () => {
           totalPoints: item.totalPoints || 0,
           totalWins: item.totalWins || 0,
           totalMatches: item.totalMatches || 0,
+          skillRating: item.skillRating || 0,
+          skillSigma: item.skillSigma || 0,
+          position: item.position,
+          tied: Boolean(item.tied),
         })));
       } else {
-        response = await rankingService.getGlobalRanking();
+        response = await rankingService.getGlobalRanking(sortBy);
+        setRankingSeason(null);
         const data = response.data || [];
         setRanking(data.map(item => ({
           id: item.userId || item._id,
@@ -60,6 +118,10 @@ const Rankings = () => {
           totalPoints: item.totalPoints || 0,
           totalWins: item.totalWins || 0,
           totalMatches: item.totalMatches || 0,
+          skillRating: item.skillRating || 0,
+          skillSigma: item.skillSigma || 0,
+          position: item.position,
+          tied: Boolean(item.tied),
         })));
       }
     } catch {
@@ -68,25 +130,17 @@ const Rankings = () => {
     } finally {
       setLoading(false);
     }
-  }, [selectedGroupId]);
+  }, [selectedGroupId, view, selectedGameId, selectedSeason, sortBy]);
 
   useEffect(() => { loadRanking(); }, [loadRanking]);
 
-  // Sort ranking
-  const sortedRanking = useMemo(() => {
-    const sorted = [...ranking];
-    if (sortBy === 'points') sorted.sort((a, b) => (b.totalPoints || 0) - (a.totalPoints || 0));
-    else if (sortBy === 'wins') sorted.sort((a, b) => (b.totalWins || 0) - (a.totalWins || 0));
-    return sorted;
-  }, [ranking, sortBy]);
-
   // Normalize current user ID
   const currentUserId = user?._id?.toString?.() || user?._id || '';
 
   // Top 20 + current user if outside top
   const { displayRanking, currentUserEntry } = useMemo(() => {
-    const top20 = sortedRanking.slice(0, 20);
-    const userIndex = sortedRanking.findIndex(p => {
+    const top20 = ranking.slice(0, 20);
+    const userIndex = ranking.findIndex(p => {
       const playerId = p.id?.toString?.() || p.id || '';
       return playerId && currentUserId && playerId === currentUserId;
     });
@@ -94,15 +148,20 @@ const Rankings = () => {
     
     return {
       displayRanking: top20,
-      currentUserEntry: isUserOutsideTop ? { ...sortedRanking[userIndex], position: userIndex + 1 } : null
+      currentUserEntry: isUserOutsideTop ? ranking[userIndex] : null
     };
-  }, [sortedRanking, currentUserId]);
+  }, [ranking, currentUserId]);
 
   // Current view info
   const groupName = selectedGroupId 
     ? groups.find(g => g._id === selectedGroupId)?.name || 'Grupo'
     : 'Global';
-  const totalPlayers = sortedRanking.length;
+  const gameName = view === 'game' ? games.find(g => g._id === selectedGameId)?.name : null;
+  const closedSeasons = seasons.filter(season => season.status === 'closed');
+  const seasonInfo = rankingSeason
+    ? `${rankingSeason.name} · ${formatDate(rankingSeason.startDate)} – ${formatDate(rankingSeason.endDate)}${rankingSeason.status === 'closed' ? ' (archivada)' : ''}`
+    : null;
+  const totalPlayers = ranking.length;
 
   return (
     <div className={styles.rankingsPage}>
@@ -111,11 +170,14 @@ const Rankings = () => {
         <div className={styles.headerTitle}>
           <GiTrophy className={styles.headerIcon} />
           <div>
-            <h1>Ranking {groupName}</h1>
-            <p className={styles.subtitle}>{totalPlayers} jugadores</p>
+            <h1>Ranking {groupName}{gameName ? ` · ${gameName}` : ''}</h1>
+            <p className={styles.subtitle}>
+              {view === 'headToHead' ? 'Cara a cara' : `${totalPlayers} jugadores`}
+              {view === 'overall' && selectedGroupId && ` · ${seasonInfo || 'Histórico'}`}
+            </p>
           </div>
         </div>
-        <Button variant="outline" size="small" onClick={loadRanking} disabled={loading}>
+        <Button variant="outline" size="small" onClick={loadRanking} disabled={loading || view === 'headToHead'}>
           <MdRefresh className={loading ? styles.spinning : ''} />
         </Button>
       </div>
@@ -124,7 +186,7 @@ const Rankings = () => {
       <div className={styles.groupNav}>
         <button
           className={`${styles.navBtn} ${!selectedGroupId ? styles.active : ''}`}
-          onClick={() => setSelectedGroupId(null)}
+          onClick={() => selectGroup(null)}
         >
           Global
         </button>
@@ -132,123 +194,184 @@ const Rankings = () => {
           <button
             key={g._id}
             className={`${styles.navBtn} ${selectedGroupId === g._id ? styles.active : ''}`}
-            onClick={() => setSelectedGroupId(g._id)}
+            onClick={() => selectGroup(g._id)}
           >
             {g.name}
           </button>
         ))}
-      </div>      {/* Ordenación */}
-      <div className={styles.sortBar}>
-        <span>Ordenar:</span>
-        <Button variant={sortBy === 'points' ? 'primary' : 'outline'} size="small" onClick={() => setSortBy('points')}>
-          Puntos
-        </Button>
-        <Button variant={sortBy === 'wins' ? 'primary' : 'outline'} size="small" onClick={() => setSortBy('wins')}>
-          Victorias
-        </Button>
       </div>
 
-      {error && <div className={styles.error}>⚠️ {error}</div>}
+      {/* Vistas del grupo */}
+      {selectedGroupId && (
+        <div className={styles.sortBar}>
+          <span>Ver:</span>
+          <Button variant={view === 'overall' ? 'primary' : 'outline'} size="small" onClick={() => setView('overall')}>
+            General
+          </Button>
+          <Button variant={view === 'game' ? 'primary' : 'outline'} size="small" onClick={() => setView('game')}>
+            Por juego
+          </Button>
+          <Button variant={view === 'headToHead' ? 'primary' : 'outline'} size="small" onClick={() => setView('headToHead')}>
+            Cara a cara
+          </Button>
+          {view === 'overall' && (
+            <select
+              className={styles.gameSelect}
+              value={selectedSeason}
+              onChange={(e) => setSelectedSeason(e.target.value)}
+              aria-label="Temporada"
+            >
+              <option value="current">Temporada actual</option>
+              {closedSeasons.map(season => (
+                <option key={season._id} value={season._id}>{season.name}</option>
+              ))}
+              <option value="all">Histórico</option>
+            </select>
+          )}
+          {view === 'game' && (
+            <select
+              className={styles.gameSelect}
+              value={selectedGameId}
+              onChange={(e) => setSelectedGameId(e.target.value)}
+              aria-label="Juego"
+            >
+              <option value="">Elige un juego…</option>
+              {games.map(g => (
+                <option key={g._id} value={g._id}>{g.name}</option>
+              ))}
+            </select>
+          )}
+        </div>
+      )}
+
+      {view === 'headToHead' && selectedGroupId ? (
+        <HeadToHead
+          groupId={selectedGroupId}
+          members={members}
+          games={games}
+          currentUserId={currentUserId}
+        />
+      ) : (
+        <>
+          {/* Ordenación */}
+          <div className={styles.sortBar}>
+            <span>Ordenar:</span>
+            <Button variant={sortBy === 'points' ? 'primary' : 'outline'} size="small" onClick={() => setSortBy('points')}>
+              Puntos
+            </Button>
+            <Button variant={sortBy === 'wins' ? 'primary' : 'outline'} size="small" onClick={() => setSortBy('wins')}>
+              Victorias
+            </Button>
+            <Button variant={sortBy === 'rating' ? 'primary' : 'outline'} size="small" onClick={() => setSortBy('rating')}>
+              Habilidad
+            </Button>
+          </div>
+
+          {error && <div className={styles.error}>⚠️ {error}</div>}
 
-      {/* Tabla */}
-      <Card variant="elevated" className={styles.tableCard}>
-        <table className={styles.table}>
-          <thead>
-            <tr>
-              <th>#</th>
-              <th>Jugador</th>
-              <th>Puntos</th>
-              <th>Victorias</th>
-              <th>Partidas</th>
-            </tr>
-          </thead>
-          <tbody>
-            {loading ? (
-              [...Array(5)].map((_, i) => (
-                <tr key={i} className={styles.skeleton}>
-                  <td><div className={styles.skelBox} /></td>
-                  <td><div className={styles.skelPlayer}><div className={styles.skelAvatar} /><div className={styles.skelName} /></div></td>
-                  <td><div className={styles.skelBox} /></td>
-                  <td><div className={styles.skelBox} /></td>
-                  <td><div className={styles.skelBox} /></td>
+          {/* Tabla */}
+          <Card variant="elevated" className={styles.tableCard}>
+            <table className={styles.table}>
+              <thead>
+                <tr>
+                  <th>#</th>
+                  <th>Jugador</th>
+                  <th>Puntos</th>
+                  <th>Victorias</th>
+                  <th>Partidas</th>
+                  <th title="Valoración de habilidad (± incertidumbre)">Habilidad</th>
                 </tr>
-              ))
-            ) : sortedRanking.length > 0 ? (
-              <>
-                {displayRanking.map((p, i) => {
-                  const playerId = p.id?.toString?.() || p.id || '';
-                  const isMe = playerId && currentUserId && playerId === currentUserId;
-                  const pos = i + 1;
-                  return (
-                    <tr key={p.id || i} className={`${isMe ? styles.me : ''} ${pos <= 3 ? styles[`top${pos}`] : ''}`}>
-                      <td className={styles.pos}>
-                        {pos <= 3 ? (
-                          <span className={`${styles.medal} ${styles[`medal${pos}`]}`}>
-                            {pos === 1 ? '🥇' : pos === 2 ? '🥈' : '🥉'}
-                          </span>
-                        ) : (
-                          <span className={styles.posNumber}>{pos}</span>
-                        )}
-                      </td>
-                      <td>
-                        <div className={styles.player}>
-                          <div className={styles.avatar}>
-                            {isValidAvatar(p.avatar) ? (
-                              <img src={p.avatar} alt="" />
-                            ) : (
-                              <FaUserCircle className={styles.avatarFallback} />
-                            )}
-                          </div>
-                          <span className={styles.name}>{capitalize(p.nickname) || p.name}</span>
-                          {isMe && <span className={styles.badge}>Tú</span>}
-                        </div>
-                      </td>
-                      <td className={styles.points}>{p.totalPoints || 0}</td>
-                      <td className={styles.wins}>{p.totalWins || 0}</td>
-                      <td>{p.totalMatches || 0}</td>
+              </thead>
+              <tbody>
+                {loading ? (
+                  [...Array(5)].map((_, i) => (
+                    <tr key={i} className={styles.skeleton}>
+                      <td><div className={styles.skelBox} /></td>
+                      <td><div className={styles.skelPlayer}><div className={styles.skelAvatar} /><div className={styles.skelName} /></div></td>
+                      <td><div className={styles.skelBox} /></td>
+                      <td><div className={styles.skelBox} /></td>
+                      <td><div className={styles.skelBox} /></td>
+                      <td><div className={styles.skelBox} /></td>
                     </tr>
-                  );
-                })}
-                {currentUserEntry && (
+                  ))
+                ) : ranking.length > 0 ? (
                   <>
-                    <tr className={styles.separator}>
-                      <td colSpan={5}><div className={styles.separatorLine}><span>···</span></div></td>
-                    </tr>
-                    <tr className={styles.me}>
-                      <td className={styles.pos}>
-                        <span className={styles.posNumber}>{currentUserEntry.position}</span>
-                      </td>
-                      <td>
-                        <div className={styles.player}>
-                          <div className={styles.avatar}>
-                            {isValidAvatar(currentUserEntry.avatar) ? (
-                              <img src={currentUserEntry.avatar} alt="" />
+                    {displayRanking.map((p, i) => {
+                      const playerId = p.id?.toString?.() || p.id || '';
+                      const isMe = playerId && currentUserId && playerId === currentUserId;
+                      const pos = p.position;
+                      return (
+                        <tr key={p.id || i} className={`${isMe ? styles.me : ''} ${pos <= 3 ? styles[`top${pos}`] : ''}`}>
+                          <td className={styles.pos}>
+                            {pos <= 3 ? (
+                              <span className={`${styles.medal} ${styles[`medal${pos}`]}`}>
+                                {pos === 1 ? '🥇' : pos === 2 ? '🥈' : '🥉'}
+                              </span>
                             ) : (
-                              <FaUserCircle className={styles.avatarFallback} />
+                              <span className={styles.posNumber}>{pos}</span>
                             )}
-                          </div>
-                          <span className={styles.name}>{capitalize(currentUserEntry.nickname) || currentUserEntry.name}</span>
-                          <span className={styles.badge}>Tú</span>
-                        </div>
-                      </td>
-                      <td className={styles.points}>{currentUserEntry.totalPoints || 0}</td>
-                      <td className={styles.wins}>{currentUserEntry.totalWins || 0}</td>
-                      <td>{currentUserEntry.totalMatches || 0}</td>
-                    </tr>
+                            {p.tied && <span className={styles.tied} title="Empatado">=</span>}
+                          </td>
+                          <td>
+                            <div className={styles.player}>
+                              <div className={styles.avatar}>
+                                <Avatar src={p.avatar} name={p.name || p.nickname} size={36} className={styles.avatarImage} />
+                              </div>
+                              <span className={styles.name}>{capitalize(p.nickname) || p.name}</span>
+                              {isMe && <span className={styles.badge}>Tú</span>}
+                            </div>
+                          </td>
+                          <td className={styles.points}>{p.totalPoints || 0}</td>
+                          <td className={styles.wins}>{p.totalWins || 0}</td>
+                          <td>{p.totalMatches || 0}</td>
+                          <td className={styles.rating}>
+                            {p.skillRating.toFixed(1)} <span className={styles.sigma}>±{p.skillSigma.toFixed(1)}</span>
+                          </td>
+                        </tr>
+                      );
+                    })}
+                    {currentUserEntry && (
+                      <>
+                        <tr className={styles.separator}>
+                          <td colSpan={6}><div className={styles.separatorLine}><span>···</span></div></td>
+                        </tr>
+                        <tr className={styles.me}>
+                          <td className={styles.pos}>
+                            <span className={styles.posNumber}>{currentUserEntry.position}</span>
+                            {currentUserEntry.tied && <span className={styles.tied} title="Empatado">=</span>}
+                          </td>
+                          <td>
+                            <div className={styles.player}>
+                              <div className={styles.avatar}>
+                                <Avatar src={currentUserEntry.avatar} name={currentUserEntry.name || currentUserEntry.nickname} size={36} className={styles.avatarImage} />
+                              </div>
+                              <span className={styles.name}>{capitalize(currentUserEntry.nickname) || currentUserEntry.name}</span>
+                              <span className={styles.badge}>Tú</span>
+                            </div>
+                          </td>
+                          <td className={styles.points}>{currentUserEntry.totalPoints || 0}</td>
+                          <td className={styles.wins}>{currentUserEntry.totalWins || 0}</td>
+                          <td>{currentUserEntry.totalMatches || 0}</td>
+                          <td className={styles.rating}>
+                            {currentUserEntry.skillRating.toFixed(1)} <span className={styles.sigma}>±{currentUserEntry.skillSigma.toFixed(1)}</span>
+                          </td>
+                        </tr>
+                      </>
+                    )}
                   </>
+                ) : (
+                  <tr>
+                    <td colSpan={6} className={styles.empty}>
+                      <GiPodium className={styles.emptyIcon} />
+                      <p>{view === 'game' && !selectedGameId ? 'Elige un juego para ver su clasificación' : 'No hay datos de ranking'}</p>
+                    </td>
+                  </tr>
                 )}
-              </>
-            ) : (
-              <tr>
-                <td colSpan={5} className={styles.empty}>
-                  <GiPodium className={styles.emptyIcon} />
-                  <p>No hay datos de ranking</p>
-                </td>
-              </tr>
-            )}
-          </tbody>
-        </table>
-      </Card>
+              </tbody>
+            </table>
+          </Card>
+        </>
+      )}
     </div>
   );
 };
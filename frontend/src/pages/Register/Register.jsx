@@ -3,6 +3,7 @@ import { Link, useNavigate } from 'react-router-dom';
 import { GiPerspectiveDiceSixFacesRandom } from 'react-icons/gi';
 import { MdEmail, MdLock, MdPerson, MdAlternateEmail } from 'react-icons/md';
 import { useAuth } from '../../context/AuthContext';
+import { useToast } from '../../context/ToastContext';
 import authService from '../../services/authService';
 import Button from '../../components/common/Button';
 import Input from '../../components/common/Input';
@@ -15,6 +16,7 @@ import styles from './Register.module.css';
 const Register = () => {
   const navigate = useNavigate();
   const { register } = useAuth();
+  const toast = useToast();
 
   // Close modal when clicking outside the form
   const handleOverlayClick = (e) => {
@@ -360,6 +362,16 @@ const Register = () => {
 
       // Registration successful - user is already logged in the context
       if (response.data?.user) {
+        toast.info(`Te hemos enviado un email a ${response.data.user.email} para verificar tu cuenta`, {
+          title: 'Verifica tu email'
+        });
+        if (response.data.pendingInvitations > 0) {
+          toast.info('Verifica tu email y acéptalas desde Grupos', {
+            title: response.data.pendingInvitations === 1
+              ? 'Tienes una invitación a un grupo'
+              : `Tienes ${response.data.pendingInvitations} invitaciones a grupos`
+          });
+        }
         navigate('/', { 
           state: { 
             message: `¡Bienvenido/a, ${response.data.user.name}! Tu cuenta ha sido creada exitosamente.` 
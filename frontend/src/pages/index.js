@@ -11,6 +11,8 @@ export { default as GroupDetail } from './GroupDetail/GroupDetail';
 export { default as Calendar } from './Calendar/Calendar';
 export { default as History } from './History/History';
 export { default as NotFound } from './NotFound/NotFound';
+export { default as InviteLink } from './InviteLink/InviteLink';
+export { ForgotPassword, ResetPassword, VerifyEmail } from './AccountRecovery';
 
 // Legal Pages
 export { PrivacyPolicy, TermsOfService, CookiePolicy, Accessibility, Licenses } from './Legal';
@@ -12,6 +12,7 @@ import { STORAGE_KEYS, AUTH_ROUTES } from '../constants/auth';
  * 
  * Features:
  * - Automatic authentication interceptors
+ * - Silent access token refresh on 401
  * - Centralized error handling
  * - Automatic retry on network failures
  * - Development logging
@@ -91,6 +92,47 @@ const addPendingRequest = (config) => {
   });
 };
 
+// ============================================================================
+// TOKEN REFRESH
+// ============================================================================
+
+/**
+ * Endpoints cuyo 401 no se resuelve renovando el token
+ */
+const NO_REFRESH_URLS = ['/auth/login', '/auth/register', '/auth/refresh', '/auth/logout'];
+
+/**
+ * Renovación en curso: las peticiones que fallan a la vez esperan la misma
+ * (el backend invalida cada refresh token en cuanto se usa)
+ */
+let refreshPromise = null;
+
+/**
+ * Cambia el refresh token por un token de acceso nuevo
+ * Usa axios directamente para no pasar por los interceptores
+ * @returns {Promise<string>} Nuevo token de acceso
+ */
+const refreshAccessToken = () => {
+  if (!refreshPromise) {
+    const refreshToken = sessionStorage.getItem(STORAGE_KEYS.REFRESH_TOKEN);
+
+    refreshPromise = (refreshToken
+      ? axios.post(`${API_CONFIG.baseURL}/auth/refresh`, { refreshToken }, { timeout: API_CONFIG.timeout })
+      : Promise.reject(new Error('No refresh token'))
+    )
+      .then((response) => {
+        const { token, refreshToken: nextRefreshToken } = response.data.data;
+        sessionStorage.setItem(STORAGE_KEYS.TOKEN, token);
+        sessionStorage.setItem(STORAGE_KEYS.REFRESH_TOKEN, nextRefreshToken);
+        return token;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+  return refreshPromise;
+};
+
 // ============================================================================
 // REQUEST INTERCEPTOR
 // ============================================================================
@@ -184,17 +226,34 @@ api.interceptors.response.use(
       }
     }
 
-    // 4. Error 401 - Token inválido o expirado
+    // 4. Error 401 - Token expirado: renovarlo y repetir la petición una vez
+    if (
+      error.response?.status === 401 &&
+      originalRequest &&
+      !originalRequest._retry &&
+      !NO_REFRESH_URLS.includes(originalRequest.url) &&
+      sessionStorage.getItem(STORAGE_KEYS.REFRESH_TOKEN)
+    ) {
+      originalRequest._retry = true;
+      try {
+        const token = await refreshAccessToken();
+        originalRequest.headers.Authorization = `Bearer ${token}`;
+        return api(originalRequest);
+      } catch {
+        // The session was closed or expired: handled below as any other 401
+      }
+    }
+
+    // 5. Error 401 - Sesión cerrada o inválida
     if (error.response?.status === 401) {
       const currentPath = window.location.pathname;
       const isAuthRoute = currentPath === AUTH_ROUTES.LOGIN || 
                          currentPath === AUTH_ROUTES.REGISTER;
 
-      if (!isAuthRoute && !originalRequest._retry) {
-        originalRequest._retry = true;
-
+      if (!isAuthRoute && !NO_REFRESH_URLS.includes(originalRequest?.url)) {
         // Clear auth data (sessionStorage for tab isolation)
         sessionStorage.removeItem(STORAGE_KEYS.TOKEN);
+        sessionStorage.removeItem(STORAGE_KEYS.REFRESH_TOKEN);
         sessionStorage.removeItem(STORAGE_KEYS.USER);
 
         // Redirect to login
@@ -204,9 +263,9 @@ api.interceptors.response.use(
       }
     }
 
-    // 5. Error 403 - Forbidden (silent)
-    // 6. Error 404 - Not found (silent)
-    // 7. Error 500+ - Server error (silent)
+    // 6. Error 403 - Forbidden (silent)
+    // 7. Error 404 - Not found (silent)
+    // 8. Error 500+ - Server error (silent)
 
     // Return error for handling in components
     return Promise.reject(error);
@@ -247,6 +306,7 @@ export const setAuthToken = (token) => {
  */
 export const clearAuth = () => {
   sessionStorage.removeItem(STORAGE_KEYS.TOKEN);
+  sessionStorage.removeItem(STORAGE_KEYS.REFRESH_TOKEN);
   sessionStorage.removeItem(STORAGE_KEYS.USER);
   sessionStorage.removeItem(STORAGE_KEYS.SELECTED_GROUP);
   delete api.defaults.headers.common['Authorization'];
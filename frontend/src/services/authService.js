@@ -1,12 +1,24 @@
 /**
  * @fileoverview Authentication Service
- * @description Registration, login, logout and session management operations
+ * @description Registration, login, logout, token refresh, session management, password reset and email verification operations
  * @module services/authService
  */
 
 import api from './api';
 import { STORAGE_KEYS } from '../constants/auth';
 
+/**
+ * Stores the tokens and user of a login or registration response
+ * @param {Object} data - Response data ({ user, token, refreshToken })
+ */
+const storeSession = (data) => {
+  if (data?.token && data?.user) {
+    sessionStorage.setItem(STORAGE_KEYS.TOKEN, data.token);
+    sessionStorage.setItem(STORAGE_KEYS.REFRESH_TOKEN, data.refreshToken);
+    sessionStorage.setItem(STORAGE_KEYS.USER, JSON.stringify(data.user));
+  }
+};
+
 /**
  * Authentication service
  * Manages all authentication-related operations and user persistence
@@ -22,10 +34,7 @@ const authService = {
    */
   register: async (userData) => {
     const response = await api.post('/auth/register', userData);
-    if (response.data.data?.token && response.data.data?.user) {
-      sessionStorage.setItem(STORAGE_KEYS.TOKEN, response.data.data.token);
-      sessionStorage.setItem(STORAGE_KEYS.USER, JSON.stringify(response.data.data.user));
-    }
+    storeSession(response.data.data);
     return response.data;
   },
 
@@ -36,19 +45,21 @@ const authService = {
    */
   login: async (credentials) => {
     const response = await api.post('/auth/login', credentials);
-    if (response.data.data?.token && response.data.data?.user) {
-      sessionStorage.setItem(STORAGE_KEYS.TOKEN, response.data.data.token);
-      sessionStorage.setItem(STORAGE_KEYS.USER, JSON.stringify(response.data.data.user));
-    }
+    storeSession(response.data.data);
     return response.data;
   },
 
   /**
    * Logs out the user
-   * Clears token and user data from sessionStorage
+   * Closes the session on the backend (without waiting) and clears token and user data from sessionStorage
    */
   logout: () => {
+    const refreshToken = sessionStorage.getItem(STORAGE_KEYS.REFRESH_TOKEN);
+    if (refreshToken) {
+      api.post('/auth/logout', { refreshToken }).catch(() => {});
+    }
     sessionStorage.removeItem(STORAGE_KEYS.TOKEN);
+    sessionStorage.removeItem(STORAGE_KEYS.REFRESH_TOKEN);
     sessionStorage.removeItem(STORAGE_KEYS.USER);
     sessionStorage.removeItem(STORAGE_KEYS.SELECTED_GROUP);
   },
@@ -83,6 +94,38 @@ const authService = {
     return response.data;
   },
 
+  /**
+   * Uploads the user's avatar (the backend crops it and stores several sizes)
+   * @param {File} imageFile - Image file
+   * @returns {Promise<Object>} Updated user
+   */
+  uploadAvatar: async (imageFile) => {
+    const formData = new FormData();
+    formData.append('avatar', imageFile);
+
+    const response = await api.post('/auth/profile/avatar', formData, {
+      headers: {
+        'Content-Type': 'multipart/form-data',
+      },
+    });
+    if (response.data.data?.user) {
+      sessionStorage.setItem(STORAGE_KEYS.USER, JSON.stringify(response.data.data.user));
+    }
+    return response.data.data;
+  },
+
+  /**
+   * Removes the user's avatar (the app shows the initials instead)
+   * @returns {Promise<Object>} Updated user
+   */
+  deleteAvatar: async () => {
+    const response = await api.delete('/auth/profile/avatar');
+    if (response.data.data?.user) {
+      sessionStorage.setItem(STORAGE_KEYS.USER, JSON.stringify(response.data.data.user));
+    }
+    return response.data.data;
+  },
+
   /**
    * Syncs user data in sessionStorage
    * @param {Object} userData - Updated user data
@@ -161,21 +204,131 @@ const authService = {
   },
 
   /**
-   * Export all user data (GDPR)
-   * @returns {Promise<Object>} Exported user data
+   * Lists the user's open sessions (device, IP, last use)
+   * @returns {Promise<Object>} { data: sessions }
+   */
+  getSessions: async () => {
+    const response = await api.get('/auth/sessions');
+    return response.data;
+  },
+
+  /**
+   * Closes one of the user's sessions
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<Object>} Result
+   */
+  revokeSession: async (sessionId) => {
+    const response = await api.delete(`/auth/sessions/${sessionId}`);
+    return response.data;
+  },
+
+  /**
+   * Closes every session except the current one
+   * @returns {Promise<Object>} { data: { revoked } }
+   */
+  revokeOtherSessions: async () => {
+    const response = await api.delete('/auth/sessions');
+    return response.data;
+  },
+
+  /**
+   * Changes the password (the backend closes every other session)
+   * @param {string} currentPassword - Current password
+   * @param {string} newPassword - New password
+   * @returns {Promise<Object>} Result
+   */
+  changePassword: async (currentPassword, newPassword) => {
+    const response = await api.put('/auth/password', { currentPassword, newPassword });
+    return response.data;
+  },
+
+  /**
+   * Requests a password reset email (same answer whether or not the email has an account)
+   * @param {string} email - Account email
+   * @returns {Promise<Object>} { message }
+   */
+  forgotPassword: async (email) => {
+    const response = await api.post('/auth/forgot-password', { email });
+    return response.data;
+  },
+
+  /**
+   * Sets a new password with the token of a reset email
+   * @param {string} token - Token from the email link
+   * @param {string} password - New password
+   * @returns {Promise<Object>} Result
+   */
+  resetPassword: async (token, password) => {
+    const response = await api.post('/auth/reset-password', { token, password });
+    return response.data;
+  },
+
+  /**
+   * Verifies the email with the token of a verification email
+   * @param {string} token - Token from the email link
+   * @returns {Promise<Object>} { data: { email, emailVerified } }
+   */
+  verifyEmail: async (token) => {
+    const response = await api.post('/auth/verify-email', { token });
+    return response.data;
+  },
+
+  /**
+   * Sends the verification email again
+   * @returns {Promise<Object>} { message }
+   */
+  resendVerification: async () => {
+    const response = await api.post('/auth/resend-verification');
+    return response.data;
+  },
+
+  /**
+   * Requests a ZIP with all user data (GDPR), built in the background
+   * @returns {Promise<Object>} { message, data: export }
+   */
+  requestDataExport: async () => {
+    const response = await api.post('/auth/export');
+    return response.data;
+  },
+
+  /**
+   * Gets the latest data export of the user
+   * @returns {Promise<Object>} { data: export or null }
+   */
+  getLatestDataExport: async () => {
+    const response = await api.get('/auth/export/latest');
+    return response.data;
+  },
+
+  /**
+   * Gets the status of a data export
+   * @param {string} exportId - Export ID
+   * @returns {Promise<Object>} { data: export }
+   */
+  getDataExport: async (exportId) => {
+    const response = await api.get(`/auth/export/${exportId}`);
+    return response.data;
+  },
+
+  /**
+   * Creates a short-lived download link for a ready data export
+   * @param {string} exportId - Export ID
+   * @returns {Promise<Object>} { data: { url, expiresAt } }
    */
-  exportUserData: async () => {
-    const response = await api.get('/auth/export-data');
+  getDataExportLink: async (exportId) => {
+    const response = await api.post(`/auth/export/${exportId}/link`);
     return response.data;
   },
 
   /**
-   * Delete account and all data (GDPR)
+   * Delete account (GDPR): personal data is anonymized, after a grace period
+   * unless immediate is set
    * @param {string} password - Password for confirmation
-   * @returns {Promise<Object>} Deletion result
+   * @param {Object} options - { immediate: skip the grace period }
+   * @returns {Promise<Object>} { message, data: { anonymized, scheduledFor } }
    */
-  deleteAccount: async (password) => {
-    const response = await api.delete('/auth/delete-account', { data: { password } });
+  deleteAccount: async (password, { immediate = false } = {}) => {
+    const response = await api.delete('/auth/delete-account', { data: { password, immediate } });
     return response.data;
   },
 };
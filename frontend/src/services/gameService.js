@@ -61,12 +61,18 @@ const gameService = {
     return response.data;
   },
 
-  // Sync game with BGG
+  // Sync game with BGG (queued: returns the job, see getJob)
   syncWithBGG: async (gameId) => {
     const response = await api.put(`/games/${gameId}/sync-bgg`);
     return response.data;
   },
 
+  // Get a background job (BGG sync status)
+  getJob: async (jobId) => {
+    const response = await api.get(`/jobs/${jobId}`);
+    return response.data;
+  },
+
   // Delete game
   deleteGame: async (gameId) => {
     const response = await api.delete(`/games/${gameId}`);
@@ -79,6 +85,38 @@ const gameService = {
     return response.data;
   },
 
+  // Preview the import of a BGG collection (username or exported XML/CSV file)
+  previewCollectionImport: async ({ username, file, groupId }) => {
+    const formData = new FormData();
+    if (file) formData.append('file', file);
+    if (username) formData.append('username', username);
+    if (groupId) formData.append('groupId', groupId);
+
+    const response = await api.post('/games/import/preview', formData, {
+      headers: {
+        'Content-Type': 'multipart/form-data',
+      },
+    });
+    return response.data;
+  },
+
+  // Start importing the selected games of a collection
+  startCollectionImport: async ({ games, groupId, source, sourceLabel }) => {
+    const response = await api.post('/games/import', {
+      games,
+      groupId,
+      source,
+      sourceLabel,
+    });
+    return response.data;
+  },
+
+  // Get the progress of a collection import
+  getCollectionImport: async (jobId) => {
+    const response = await api.get(`/games/import/${jobId}`);
+    return response.data;
+  },
+
   // Upload game image
   uploadGameImage: async (gameId, imageFile) => {
     const formData = new FormData();
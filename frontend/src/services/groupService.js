@@ -1,6 +1,6 @@
 /**
  * @fileoverview Group Service
- * @description CRUD operations for groups, members and invitations
+ * @description CRUD operations for groups, members, join requests, invitations, seasons and match history imports
  * @module services/groupService
  */
 
@@ -13,19 +13,105 @@ const groupService = {
   
   createGroup: (groupData) => api.post('/groups', groupData).then(r => r.data),
   
-  joinGroup: (inviteCode) => api.post('/groups/join', { inviteCode }).then(r => r.data),
+  // Groups that require approval answer 202 with { pending: true, data: joinRequest }
+  joinGroup: (inviteCode, message) => api.post('/groups/join', { inviteCode, message }).then(r => r.data),
+
+  // Join requests: the user's own, and the review queue of a group (admins and moderators)
+  getMyJoinRequests: () => api.get('/groups/join-requests/mine').then(r => r.data),
+
+  cancelJoinRequest: (requestId) => api.delete(`/groups/join-requests/${requestId}`).then(r => r.data),
+
+  getJoinRequests: (groupId, status = 'pending') =>
+    api.get(`/groups/${groupId}/join-requests`, { params: { status } }).then(r => r.data),
+
+  approveJoinRequest: (groupId, requestId) =>
+    api.post(`/groups/${groupId}/join-requests/${requestId}/approve`).then(r => r.data),
+
+  rejectJoinRequest: (groupId, requestId, reason) =>
+    api.post(`/groups/${groupId}/join-requests/${requestId}/reject`, { reason }).then(r => r.data),
   
   getGroupMembers: (groupId) => api.get(`/groups/${groupId}/members`).then(r => r.data),
   
   updateGroup: (groupId, groupData) => api.put(`/groups/${groupId}`, groupData).then(r => r.data),
   
+  uploadAvatar: (groupId, imageFile) => {
+    const formData = new FormData();
+    formData.append('avatar', imageFile);
+    return api.post(`/groups/${groupId}/avatar`, formData, {
+      headers: { 'Content-Type': 'multipart/form-data' },
+    }).then(r => r.data);
+  },
+
+  deleteAvatar: (groupId) => api.delete(`/groups/${groupId}/avatar`).then(r => r.data),
+  
   deleteGroup: (groupId) => api.delete(`/groups/${groupId}`).then(r => r.data),
   
   leaveGroup: (groupId) => api.delete(`/groups/${groupId}/leave`).then(r => r.data),
   
   removeMember: (groupId, userId) => api.delete(`/groups/${groupId}/members/${userId}`).then(r => r.data),
+
+  updateMemberRole: (groupId, userId, role) => api.put(`/groups/${groupId}/members/${userId}/role`, { role }).then(r => r.data),
+
+  transferOwnership: (groupId, userId) => api.post(`/groups/${groupId}/transfer`, { userId }).then(r => r.data),
   
+  // Invitations by email: the invitee accepts or declines them (admins list and revoke them)
   inviteUserToGroup: (groupId, email) => api.post(`/groups/${groupId}/invite`, { email }).then(r => r.data),
+
+  getInvitations: (groupId) => api.get(`/groups/${groupId}/invitations`).then(r => r.data),
+
+  revokeInvitation: (groupId, invitationId) =>
+    api.delete(`/groups/${groupId}/invitations/${invitationId}`).then(r => r.data),
+
+  getMyInvitations: () => api.get('/groups/invitations/mine').then(r => r.data),
+
+  acceptInvitation: (invitationId) => api.post(`/groups/invitations/${invitationId}/accept`).then(r => r.data),
+
+  declineInvitation: (invitationId) => api.post(`/groups/invitations/${invitationId}/decline`).then(r => r.data),
+
+  // Invite links: { expiresInDays, maxUses, role }
+  createInviteLink: (groupId, options) => api.post(`/groups/${groupId}/invite-links`, options).then(r => r.data),
+
+  getInviteLinks: (groupId) => api.get(`/groups/${groupId}/invite-links`).then(r => r.data),
+
+  revokeInviteLink: (groupId, linkId) => api.delete(`/groups/${groupId}/invite-links/${linkId}`).then(r => r.data),
+
+  getInviteLinkPreview: (token) => api.get(`/groups/invite-links/${token}`).then(r => r.data),
+
+  joinWithInviteLink: (token) => api.post(`/groups/invite-links/${token}/join`).then(r => r.data),
+
+  // Seasons: { data: seasons, currentSeasonId }
+  getSeasons: (groupId) => api.get(`/groups/${groupId}/seasons`).then(r => r.data),
+
+  getSeason: (groupId, seasonId) => api.get(`/groups/${groupId}/seasons/${seasonId}`).then(r => r.data),
+
+  createSeason: (groupId, seasonData) => api.post(`/groups/${groupId}/seasons`, seasonData).then(r => r.data),
+
+  updateSeason: (groupId, seasonId, seasonData) => api.put(`/groups/${groupId}/seasons/${seasonId}`, seasonData).then(r => r.data),
+
+  deleteSeason: (groupId, seasonId) => api.delete(`/groups/${groupId}/seasons/${seasonId}`).then(r => r.data),
+
+  closeSeason: (groupId, seasonId) => api.post(`/groups/${groupId}/seasons/${seasonId}/close`).then(r => r.data),
+
+  // Match history import (BG Stats JSON / BGG plays XML)
+  previewMatchImport: (groupId, file) => {
+    const formData = new FormData();
+    formData.append('file', file);
+    return api.post(`/groups/${groupId}/matches/import/preview`, formData, {
+      headers: { 'Content-Type': 'multipart/form-data' },
+    }).then(r => r.data);
+  },
+
+  // playerMap: { externalPlayerKey: userId }
+  startMatchImport: (groupId, file, playerMap) => {
+    const formData = new FormData();
+    formData.append('file', file);
+    formData.append('playerMap', JSON.stringify(playerMap));
+    return api.post(`/groups/${groupId}/matches/import`, formData, {
+      headers: { 'Content-Type': 'multipart/form-data' },
+    }).then(r => r.data);
+  },
+
+  getMatchImport: (groupId, jobId) => api.get(`/groups/${groupId}/matches/import/${jobId}`).then(r => r.data),
 };
 
 export default groupService;
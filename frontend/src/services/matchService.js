@@ -25,6 +25,17 @@ const matchService = {
     return response.data;
   },
 
+  /**
+   * Log a match already played: created finished, with its results, in one request
+   * @param {object} matchData - gameId, groupId, playedDate (past), playerIds, location,
+   *   plus the same result fields as finishMatch
+   * @returns {object} { data: match, ranking: rankingReport }
+   */
+  logPlayedMatch: async (matchData) => {
+    const response = await api.post('/matches/played', matchData);
+    return response.data;
+  },
+
   // Get match details
   getMatchById: async (matchId) => {
     const response = await api.get(`/matches/${matchId}`);
@@ -59,8 +70,11 @@ const matchService = {
    * Finish match and record results
    * @param {string} matchId - Match ID
    * @param {object} resultData - Result data
-   * @param {string} resultData.winnerId - Winner ID (optional)
+   * @param {string} resultData.mode - individual|teams|cooperative (optional, default individual)
+   * @param {string} resultData.winnerId - Winner ID (optional, individual only)
    * @param {Array} resultData.results - Array of { userId, score, position }
+   * @param {Array} resultData.teams - Array of { name, userIds, position, score } (teams only)
+   * @param {string} resultData.cooperativeResult - 'win'|'loss' (cooperative only)
    * @param {object} resultData.duration - { value: number, unit: 'minutes'|'hours' }
    * @param {string} resultData.notes - Additional notes (optional)
    * @returns {object} { data: match, ranking: rankingReport }
@@ -69,6 +83,52 @@ const matchService = {
     const response = await api.post(`/matches/${matchId}/finish`, resultData);
     return response.data;
   },
+
+  /**
+   * Request a correction of a finished match's results
+   * Applied at once for the group admin, otherwise pending their approval
+   * @param {string} matchId - Match ID
+   * @param {object} resultData - Same fields as finishMatch plus reason
+   * @returns {object} { data: match, correction, ranking }
+   */
+  requestResultCorrection: async (matchId, resultData) => {
+    const response = await api.post(`/matches/${matchId}/corrections`, resultData);
+    return response.data;
+  },
+
+  /**
+   * Get the result corrections of a match
+   * @param {string} matchId - Match ID
+   * @returns {object} { data: corrections, canReview }
+   */
+  getResultCorrections: async (matchId) => {
+    const response = await api.get(`/matches/${matchId}/corrections`);
+    return response.data;
+  },
+
+  /**
+   * Approve a pending result correction (group admin)
+   * @param {string} matchId - Match ID
+   * @param {string} correctionId - Correction ID
+   * @param {string} note - Review note (optional)
+   * @returns {object} { data: match, correction, ranking }
+   */
+  approveResultCorrection: async (matchId, correctionId, note) => {
+    const response = await api.post(`/matches/${matchId}/corrections/${correctionId}/approve`, { note });
+    return response.data;
+  },
+
+  /**
+   * Reject a pending result correction (group admin)
+   * @param {string} matchId - Match ID
+   * @param {string} correctionId - Correction ID
+   * @param {string} note - Review note (optional)
+   * @returns {object} { data: match, correction }
+   */
+  rejectResultCorrection: async (matchId, correctionId, note) => {
+    const response = await api.post(`/matches/${matchId}/corrections/${correctionId}/reject`, { note });
+    return response.data;
+  },
 };
 
 export default matchService;
@@ -1,19 +1,54 @@
 /**
  * @fileoverview Ranking Service
- * @description Gets global and group rankings
+ * @description Gets global and group rankings, per-game leaderboards and head-to-head records
  * @module services/rankingService
  */
 
 import api from './api';
 
 const rankingService = {
-  getGlobalRanking: async () => {
-    const response = await api.get('/matches/ranking/global');
+  /**
+   * Get the global ranking
+   * @param {string} sortBy - 'points' (default), 'wins' or 'rating'
+   * @returns {object} { data: ranking }
+   */
+  getGlobalRanking: async (sortBy = 'points') => {
+    const response = await api.get('/matches/ranking/global', { params: { sortBy } });
     return response.data;
   },
 
-  getGroupRanking: async (groupId) => {
-    const response = await api.get(`/matches/ranking/group/${groupId}`);
+  /**
+   * Get the ranking of a group
+   * @param {string} groupId - Group ID
+   * @param {string} season - 'current' (default), 'all' (all-time) or a season ID
+   * @param {string} sortBy - 'points' (default), 'wins' or 'rating'
+   * @returns {object} { data: ranking, season } (season is null for the all-time ranking)
+   */
+  getGroupRanking: async (groupId, season = 'current', sortBy = 'points') => {
+    const response = await api.get(`/matches/ranking/group/${groupId}`, { params: { season, sortBy } });
+    return response.data;
+  },
+
+  /**
+   * Get the leaderboard of one game inside a group
+   * @param {string} groupId - Group ID
+   * @param {string} gameId - Game ID
+   * @param {string} sortBy - 'points' (default), 'wins' or 'rating'
+   * @returns {object} { data: ranking }
+   */
+  getGameLeaderboard: async (groupId, gameId, sortBy = 'points') => {
+    const response = await api.get(`/matches/ranking/group/${groupId}/game/${gameId}`, { params: { sortBy } });
+    return response.data;
+  },
+
+  /**
+   * Get the head-to-head record of player A against player B
+   * @param {string} groupId - Group ID
+   * @param {object} params - { playerA (default: current user), playerB, gameId (optional) }
+   * @returns {object} { data: { players, totalMatches, wins, losses, ties, byGame, recentMatches } }
+   */
+  getHeadToHead: async (groupId, params) => {
+    const response = await api.get(`/matches/ranking/group/${groupId}/head-to-head`, { params });
     return response.data;
   },
 };
@@ -103,7 +103,10 @@ const useAuthStore = create(
         } catch (err) {
           const errorMessage = err.response?.data?.message || err.message || 'Error logging in';
           set({ error: errorMessage, loading: false });
-          throw new Error(errorMessage);
+          // Keep the response: it may offer to restore an account pending deletion
+          const error = new Error(errorMessage);
+          error.response = err.response;
+          throw error;
         }
       },
 
@@ -155,6 +158,36 @@ const useAuthStore = create(
         }
       },
 
+      /**
+       * Uploads a new avatar for the user
+       */
+      uploadAvatar: async (imageFile) => {
+        try {
+          const data = await authService.uploadAvatar(imageFile);
+          set({ user: data.user });
+          return data;
+        } catch (err) {
+          const errorMessage = err.response?.data?.message || err.message || 'Error uploading avatar';
+          set({ error: errorMessage });
+          throw new Error(errorMessage);
+        }
+      },
+
+      /**
+       * Removes the user's avatar
+       */
+      deleteAvatar: async () => {
+        try {
+          const data = await authService.deleteAvatar();
+          set({ user: data.user });
+          return data;
+        } catch (err) {
+          const errorMessage = err.response?.data?.message || err.message || 'Error removing avatar';
+          set({ error: errorMessage });
+          throw new Error(errorMessage);
+        }
+      },
+
       /**
        * Refreshes user data from the backend
        */
@@ -0,0 +1,16 @@
+/**
+ * @fileoverview Match Utilities
+ * @description Helpers to read match results
+ * @module utils/matchUtils
+ */
+
+/**
+ * Gets the IDs of all winners of a match
+ * Uses `winners` (several on a tie) and falls back to `winner` for older matches
+ * @param {object} match - Match with winners/winner (populated or not)
+ * @returns {Array<string>} Winner IDs
+ */
+export const getWinnerIds = (match) => {
+  const winners = match?.winners?.length ? match.winners : [match?.winner].filter(Boolean);
+  return winners.map(w => (w._id || w).toString());
+};
@@ -52,13 +52,16 @@ export const validateInviteCode = (code) => {
 };
 
 /**
- * Validates if an avatar is a real image uploaded by the user
- * Only accepts images in data:image format (base64)
+ * Validates if an avatar is a real image set by the user
+ * Accepts uploaded avatars and other image URLs or data URIs, but not the
+ * placeholder images old accounts were created with
  * @param {string} avatar - URL or data URI of the avatar
- * @returns {boolean} True if it's a valid uploaded avatar
+ * @returns {boolean} True if it's a valid avatar
  */
 export const isValidAvatar = (avatar) => {
-  return avatar && avatar.startsWith('data:image');
+  if (!avatar) return false;
+  if (avatar.startsWith('data:image')) return true;
+  return /^https?:\/\//.test(avatar) && !avatar.includes('via.placeholder.com');
 };
 
 /**